@@ -0,0 +1,65 @@
+/**
+ * 下载 AI 检查点到 public/models
+ * 构建后模型随站点一起发布，运行时不再访问外网
+ *
+ * 用法：npm run fetch-models [-- <检查点源 URL>]
+ * 每个检查点目录另写一份 checksums.json（SHA-256），加载时用于完整性校验
+ */
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+import { CHECKPOINTS, HOSTED_CHECKPOINT_URL } from '../src/ai/checkpoints.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const sourceUrl = (process.argv[2] || HOSTED_CHECKPOINT_URL).replace(/\/+$/, '')
+const modelsDir = path.resolve(__dirname, '../public/models')
+
+async function download(url) {
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText}: ${url}`)
+  return Buffer.from(await response.arrayBuffer())
+}
+
+async function fetchCheckpoint(name, checkpoint) {
+  const baseUrl = `${sourceUrl}/${checkpoint.path}`
+  const targetDir = path.join(modelsDir, checkpoint.path)
+  fs.mkdirSync(targetDir, { recursive: true })
+
+  const files = new Map()
+  files.set('config.json', await download(`${baseUrl}/config.json`))
+  const manifestData = await download(`${baseUrl}/weights_manifest.json`)
+  files.set('weights_manifest.json', manifestData)
+
+  const manifest = JSON.parse(manifestData.toString('utf8'))
+  for (const group of manifest) {
+    for (const shard of group.paths) {
+      files.set(shard, await download(`${baseUrl}/${shard}`))
+    }
+  }
+
+  const checksums = {}
+  files.forEach((data, fileName) => {
+    fs.writeFileSync(path.join(targetDir, fileName), data)
+    checksums[fileName] = crypto.createHash('sha256').update(data).digest('hex')
+  })
+  fs.writeFileSync(path.join(targetDir, 'checksums.json'), JSON.stringify(checksums, null, 2) + '\n')
+
+  const bytes = [...files.values()].reduce((sum, data) => sum + data.length, 0)
+  console.log(`✓ ${name}: ${files.size} files, ${(bytes / (1024 * 1024)).toFixed(1)} MB → ${path.relative(process.cwd(), targetDir)}`)
+}
+
+async function main() {
+  console.log(`Downloading checkpoints from ${sourceUrl}`)
+  for (const [name, checkpoint] of Object.entries(CHECKPOINTS)) {
+    await fetchCheckpoint(name, checkpoint)
+  }
+}
+
+main().catch(error => {
+  console.error('✗ Failed to download checkpoints:', error.message)
+  process.exit(1)
+})
@@ -0,0 +1,294 @@
+/**
+ * AI Checkpoints
+ * MusicVAE / MusicRNN 检查点的位置、完整性校验和加载状态
+ *
+ * - 默认从本站的 /models 目录加载（public/models，由 Vite 原样提供），不访问外网
+ * - 可通过 VITE_AI_CHECKPOINT_URL 或 setCheckpointLocation() 指向其他 URL，或改用用户选择的本地文件夹
+ * - 加载前先读入检查点的全部文件并校验：config 类型、manifest 结构、分片是否齐全、
+ *   每组分片的字节数是否与 manifest 一致；目录里有 checksums.json 时再校验 SHA-256
+ * - 校验通过的字节直接交给 Magenta 初始化，模型不会再次请求网络
+ *
+ * 检查点目录结构（与 Magenta 托管的目录相同）：
+ *   <baseUrl>/music_vae/mel_4bar_small_q2/{config.json, weights_manifest.json, group*-shard*}
+ *   <baseUrl>/music_rnn/basic_rnn/{config.json, weights_manifest.json, group*-shard*}
+ */
+
+export const CHECKPOINTS = {
+  musicVAE: { type: 'MusicVAE', path: 'music_vae/mel_4bar_small_q2' },
+  melodyRNN: { type: 'MusicRNN', path: 'music_rnn/basic_rnn' }
+}
+
+// Magenta 官方托管的检查点（需要联网，只在显式配置时使用）
+export const HOSTED_CHECKPOINT_URL = 'https://storage.googleapis.com/magentadata/js/checkpoints'
+
+const CHECKSUM_FILE = 'checksums.json'
+
+// manifest 中每个数值所占字节（量化权重按量化类型计算）
+const DTYPE_BYTES = { float32: 4, int32: 4, bool: 1, float16: 2, uint16: 2, uint8: 1 }
+
+const INTEGRITY_ERRORS = [
+  'CHECKPOINT_TYPE_MISMATCH',
+  'CHECKPOINT_MANIFEST_INVALID',
+  'CHECKPOINT_SHARD_MISSING',
+  'CHECKPOINT_SIZE_MISMATCH',
+  'CHECKPOINT_CHECKSUM_MISMATCH'
+]
+
+let mm = null
+let location = getDefaultLocation()
+// 模型名 → Promise<model>，同一检查点只加载一次，供各 AI 模块共用
+const models = new Map()
+const status = {}
+// 初始化模型时临时替换全局 fetch，需逐个进行
+let fetchLock = Promise.resolve()
+
+resetStatus()
+
+function getDefaultLocation() {
+  const env = import.meta.env || {}
+  const baseUrl = env.VITE_AI_CHECKPOINT_URL || `${env.BASE_URL || '/'}models`
+  return { source: 'url', baseUrl: baseUrl.replace(/\/+$/, '') }
+}
+
+function resetStatus() {
+  Object.keys(CHECKPOINTS).forEach(name => {
+    status[name] = { state: 'idle', error: null, integrity: null }
+  })
+}
+
+/**
+ * Set where checkpoints are loaded from
+ * 已加载的模型会被释放，调用方需重新初始化 AI 模块
+ * @param {Object} next - { source: 'url', baseUrl } 或 { source: 'files', files: FileList|File[] }
+ */
+export function setCheckpointLocation(next) {
+  if (next.source === 'files') {
+    const files = Array.from(next.files || [])
+    if (files.length === 0) throw new Error('CHECKPOINT_FILES_EMPTY')
+    location = { source: 'files', files: indexFiles(files) }
+  } else if (next.source === 'url' && next.baseUrl) {
+    location = { source: 'url', baseUrl: next.baseUrl.replace(/\/+$/, '') }
+  } else {
+    location = getDefaultLocation()
+  }
+
+  models.forEach(promise => promise.then(model => model.dispose()).catch(() => {}))
+  models.clear()
+  resetStatus()
+}
+
+/**
+ * Describe the current checkpoint location
+ * @returns {Object} { source, baseUrl?, fileCount?, offline }
+ */
+export function getCheckpointLocation() {
+  if (location.source === 'files') {
+    return { source: 'files', fileCount: location.files.size, offline: true }
+  }
+  return { source: 'url', baseUrl: location.baseUrl, offline: !isCrossOrigin(location.baseUrl) }
+}
+
+/**
+ * Per-model loading state
+ * state: idle | loading | ready | missing（找不到检查点） | corrupt（未通过完整性校验） | failed
+ * integrity: 校验通过后为 { files, bytes, checksums: 'verified' | 'absent' | 'unavailable' }
+ * @returns {Object} 模型名 → { state, error, integrity }
+ */
+export function getCheckpointStatus() {
+  return Object.fromEntries(Object.entries(status).map(([name, entry]) => [name, { ...entry }]))
+}
+
+/**
+ * Load a checkpoint, verify it and initialize the Magenta model
+ * 同一模型的并发调用共享一次加载；失败后下次调用会重新尝试
+ * @param {string} name - CHECKPOINTS 中的模型名
+ * @returns {Promise<Object>} Initialized MusicVAE / MusicRNN
+ */
+export function loadModel(name) {
+  if (!CHECKPOINTS[name]) throw new Error('CHECKPOINT_UNKNOWN')
+  if (models.has(name)) return models.get(name)
+
+  const current = location
+  const promise = (async () => {
+    status[name] = { state: 'loading', error: null, integrity: null }
+    const { files, integrity } = await readCheckpoint(CHECKPOINTS[name], current)
+    const model = await instantiate(name, CHECKPOINTS[name], files)
+    if (current !== location) {
+      model.dispose()
+      throw new Error('CHECKPOINT_LOCATION_CHANGED')
+    }
+    status[name] = { state: 'ready', error: null, integrity }
+    return model
+  })()
+
+  models.set(name, promise)
+  promise.catch(error => {
+    if (models.get(name) === promise) models.delete(name)
+    if (current !== location) return
+    status[name] = { state: getFailureState(error.message), error: error.message, integrity: null }
+  })
+  return promise
+}
+
+function getFailureState(code) {
+  if (code === 'CHECKPOINT_NOT_FOUND') return 'missing'
+  if (INTEGRITY_ERRORS.includes(code)) return 'corrupt'
+  return 'failed'
+}
+
+/**
+ * 读入检查点的全部文件并校验
+ * @returns {Promise<Object>} { files: Map<文件名, ArrayBuffer>, integrity }
+ */
+async function readCheckpoint(checkpoint, source) {
+  const read = createReader(checkpoint, source)
+  const files = new Map()
+
+  const configData = await read('config.json')
+  const config = decodeJson(configData)
+  if (!config || config.type !== checkpoint.type) throw new Error('CHECKPOINT_TYPE_MISMATCH')
+  files.set('config.json', configData)
+
+  const manifestData = await read('weights_manifest.json')
+  const manifest = decodeJson(manifestData)
+  if (!isValidManifest(manifest)) throw new Error('CHECKPOINT_MANIFEST_INVALID')
+  files.set('weights_manifest.json', manifestData)
+
+  let bytes = 0
+  for (const group of manifest) {
+    let groupBytes = 0
+    for (const path of group.paths) {
+      const data = await read(path).catch(error => {
+        throw new Error(error.message === 'CHECKPOINT_NOT_FOUND' ? 'CHECKPOINT_SHARD_MISSING' : error.message)
+      })
+      files.set(path, data)
+      groupBytes += data.byteLength
+    }
+    if (groupBytes !== getGroupBytes(group)) throw new Error('CHECKPOINT_SIZE_MISMATCH')
+    bytes += groupBytes
+  }
+
+  const checksums = await read(CHECKSUM_FILE).then(decodeJson).catch(() => null)
+  const checksumState = checksums ? await verifyChecksums(files, checksums) : 'absent'
+
+  return { files, integrity: { files: files.size, bytes, checksums: checksumState } }
+}
+
+/**
+ * 按位置类型返回文件读取函数 (fileName) => Promise<ArrayBuffer>
+ * 找不到文件（404、离线、被 SPA 回退成 HTML 页面）时抛出 CHECKPOINT_NOT_FOUND
+ */
+function createReader(checkpoint, source) {
+  if (source.source === 'files') {
+    const dir = checkpoint.path.split('/').pop()
+    return async fileName => {
+      const file = source.files.get(`${dir}/${fileName}`)
+      if (!file) throw new Error('CHECKPOINT_NOT_FOUND')
+      return file.arrayBuffer()
+    }
+  }
+
+  return async fileName => {
+    let response
+    try {
+      response = await fetch(`${source.baseUrl}/${checkpoint.path}/${fileName}`)
+    } catch (error) {
+      throw new Error('CHECKPOINT_NOT_FOUND')
+    }
+    const contentType = response.headers.get('content-type') || ''
+    if (!response.ok || contentType.includes('text/html')) throw new Error('CHECKPOINT_NOT_FOUND')
+    return response.arrayBuffer()
+  }
+}
+
+/**
+ * 用户选择的文件按「所在目录/文件名」索引
+ * 选择整个 models 文件夹或单个检查点文件夹都可以
+ */
+function indexFiles(files) {
+  const index = new Map()
+  files.forEach(file => {
+    const segments = (file.webkitRelativePath || file.name).split('/')
+    const key = segments.slice(-2).join('/')
+    index.set(key, file)
+  })
+  return index
+}
+
+function isValidManifest(manifest) {
+  return Array.isArray(manifest) && manifest.length > 0 && manifest.every(group =>
+    Array.isArray(group.paths) && group.paths.length > 0 &&
+    Array.isArray(group.weights) && group.weights.every(w => w.name && Array.isArray(w.shape) && w.dtype)
+  )
+}
+
+// 一组分片应有的总字节数
+function getGroupBytes(group) {
+  return group.weights.reduce((sum, weight) => {
+    const dtype = weight.quantization ? weight.quantization.dtype : weight.dtype
+    const size = weight.shape.reduce((product, dim) => product * dim, 1)
+    return sum + size * (DTYPE_BYTES[dtype] || 4)
+  }, 0)
+}
+
+/**
+ * checksums.json: { "<文件名>": "<sha256 十六进制>" }
+ * crypto.subtle 只在安全上下文（https / localhost）中可用，不可用时跳过
+ * @returns {Promise<string>} 'verified' | 'unavailable'
+ */
+async function verifyChecksums(files, checksums) {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle
+  if (!subtle) return 'unavailable'
+
+  for (const [fileName, expected] of Object.entries(checksums)) {
+    const data = files.get(fileName)
+    if (!data) throw new Error('CHECKPOINT_CHECKSUM_MISMATCH')
+    const digest = new Uint8Array(await subtle.digest('SHA-256', data))
+    const hex = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('')
+    if (hex !== String(expected).toLowerCase()) throw new Error('CHECKPOINT_CHECKSUM_MISMATCH')
+  }
+  return 'verified'
+}
+
+/**
+ * 用已校验的文件初始化 Magenta 模型
+ * Magenta 和 tf.io.loadWeights 都通过全局 fetch 读取 `${checkpointURL}/<文件名>`，
+ * 初始化期间把虚拟前缀 checkpoint://<模型名> 的请求指向内存中的文件，其余请求照常转发
+ */
+async function instantiate(name, checkpoint, files) {
+  if (!mm) mm = await import('@magenta/music')
+  const prefix = `checkpoint://${name}/`
+
+  const run = fetchLock.then(async () => {
+    const originalFetch = globalThis.fetch
+    globalThis.fetch = (input, init) => {
+      const url = typeof input === 'string' ? input : input.url
+      if (!url.startsWith(prefix)) return originalFetch(input, init)
+      const data = files.get(url.slice(prefix.length))
+      return Promise.resolve(data ? new Response(data) : new Response(null, { status: 404 }))
+    }
+    try {
+      const model = new mm[checkpoint.type](prefix.slice(0, -1))
+      await model.initialize()
+      return model
+    } finally {
+      globalThis.fetch = originalFetch
+    }
+  })
+
+  fetchLock = run.catch(() => {})
+  return run
+}
+
+function decodeJson(data) {
+  try {
+    return JSON.parse(new TextDecoder().decode(data))
+  } catch (error) {
+    return null
+  }
+}
+
+function isCrossOrigin(url) {
+  if (!/^[a-z]+:\/\//i.test(url)) return false
+  return typeof window === 'undefined' || !url.startsWith(window.location.origin)
+}
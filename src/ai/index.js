@@ -10,8 +10,9 @@
  * - K-Means: 和弦聚类验证
  */
 
-import { pitchToMidi, VOICE_RANGES } from '../knowledge/index.js'
-import { initVoiceSeparationAI } from './voiceSeparation.js'
+import { pitchToMidi, getMeasureBeats, VOICE_RANGES } from '../knowledge/index.js'
+import { initVoiceSeparationAI, resetVoiceSeparationAI } from './voiceSeparation.js'
+import { loadModel, setCheckpointLocation } from './checkpoints.js'
 
 let mm = null
 let musicVAE = null
@@ -22,6 +23,7 @@ let initializationAttempted = false
 /**
  * Initialize AI models (lazy loading)
  * 初始化所有AI模型，包括声部分离模块
+ * 检查点默认从本站 /models 加载（见 checkpoints.js），找不到或校验失败时使用规则引擎，应用可完全离线运行
  * @returns {Promise<void>}
  */
 export async function initializeAI() {
@@ -33,17 +35,21 @@ export async function initializeAI() {
     mm = await import('@magenta/music')
     
     // Initialize MusicVAE for encoding
-    musicVAE = new mm.MusicVAE('https://storage.googleapis.com/magentadata/js/checkpoints/music_vae/mel_4bar_small_q2')
-    await musicVAE.initialize()
+    musicVAE = await loadModel('musicVAE')
     
-    // Initialize MelodyRNN for melody analysis
-    melodyRNN = new mm.MusicRNN('https://storage.googleapis.com/magentadata/js/checkpoints/music_rnn/basic_rnn')
-    await melodyRNN.initialize()
-    
-    // 初始化声部分离AI模块
+    // 初始化声部分离AI模块（与上面共用同一个 MusicVAE，不依赖 MelodyRNN）
     await initVoiceSeparationAI()
     
     isInitialized = true
+    
+    // MelodyRNN 目前没有被使用：加载失败不影响 isInitialized，与 getAIStatus 的 state 保持一致
+    try {
+      melodyRNN = await loadModel('melodyRNN')
+    } catch (error) {
+      console.warn('MelodyRNN failed to load:', error)
+      melodyRNN = null
+    }
+    
     console.log('AI models initialized successfully (including voice separation)')
   } catch (error) {
     console.warn('AI models failed to load, using rule-based fallback:', error)
@@ -51,6 +57,21 @@ export async function initializeAI() {
   }
 }
 
+/**
+ * Re-initialize AI models, optionally from another checkpoint location
+ * @param {Object} location - { source: 'url', baseUrl } | { source: 'files', files } | {}（恢复默认 /models）；不传时重试当前位置
+ * @returns {Promise<void>}
+ */
+export async function reloadAI(location) {
+  if (location) setCheckpointLocation(location)
+  resetVoiceSeparationAI()
+  musicVAE = null
+  melodyRNN = null
+  isInitialized = false
+  initializationAttempted = false
+  await initializeAI()
+}
+
 /**
  * Check if AI is available
  * @returns {boolean}
@@ -88,7 +109,7 @@ export function scoreToNoteSequence(score) {
     })
     
     // Advance time by measure duration
-    const beatsPerMeasure = score.metadata.timeSignature.beats
+    const beatsPerMeasure = getMeasureBeats(measure.timeSignature || score.metadata.timeSignature)
     currentTime += beatsPerMeasure * quarterNoteDuration
   })
   
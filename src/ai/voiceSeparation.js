@@ -8,9 +8,9 @@
  */
 
 import { pitchToMidi } from '../knowledge/index.js'
+import { loadModel, getCheckpointStatus, getCheckpointLocation } from './checkpoints.js'
 
 // AI 模块引用
-let mm = null
 let musicVAE = null
 let isAIReady = false
 let aiInitPromise = null
@@ -30,6 +30,7 @@ const CONFIG = {
 
 /**
  * 初始化 AI 模型（延迟加载）
+ * 检查点位置和校验由 checkpoints.js 负责；加载失败后可再次调用重试
  */
 export async function initVoiceSeparationAI() {
   if (isAIReady) return true
@@ -38,12 +39,7 @@ export async function initVoiceSeparationAI() {
   aiInitPromise = (async () => {
     try {
       console.log('Loading MusicVAE for voice separation...')
-      mm = await import('@magenta/music')
-      
-      musicVAE = new mm.MusicVAE(
-        'https://storage.googleapis.com/magentadata/js/checkpoints/music_vae/mel_4bar_small_q2'
-      )
-      await musicVAE.initialize()
+      musicVAE = await loadModel('musicVAE')
       
       isAIReady = true
       console.log('Voice separation AI ready')
@@ -51,6 +47,7 @@ export async function initVoiceSeparationAI() {
     } catch (error) {
       console.warn('Voice separation AI failed to load:', error)
       isAIReady = false
+      aiInitPromise = null
       return false
     }
   })()
@@ -58,6 +55,16 @@ export async function initVoiceSeparationAI() {
   return aiInitPromise
 }
 
+/**
+ * 重置 AI 状态（切换检查点位置后调用）
+ */
+export function resetVoiceSeparationAI() {
+  musicVAE = null
+  isAIReady = false
+  aiInitPromise = null
+  embeddingCache.clear()
+}
+
 /**
  * 检查 AI 是否可用
  */
@@ -671,10 +678,18 @@ export function clearEmbeddingCache() {
 
 /**
  * 获取 AI 状态信息
+ * state 取声部分离所用 MusicVAE 检查点的状态：idle | loading | ready | missing | corrupt | failed
+ * （isAIAvailable 同样只取决于 MusicVAE；MelodyRNN 的状态见 models）
+ * @returns {Object} { isReady, state, error, location, models, cacheSize, config }
  */
 export function getAIStatus() {
+  const models = getCheckpointStatus()
   return {
     isReady: isAIReady,
+    state: models.musicVAE.state,
+    error: models.musicVAE.error,
+    location: getCheckpointLocation(),
+    models,
     cacheSize: embeddingCache.size,
     config: CONFIG
   }
@@ -51,6 +51,31 @@ export const KEY_SIGNATURE_DEFINITIONS = {
   '-7': { major: 'Cb', minor: 'Ab', accidentals: ['Bb', 'Eb', 'Ab', 'Db', 'Gb', 'Cb', 'Fb'] }
 }
 
+// 调式相对于同主音大调的调号偏移（五度圈步数），如 D dorian 与 D 大调相差两个降号（= C 大调调号）
+export const MODE_FIFTHS = {
+  major: 0, ionian: 0, lydian: 1, mixolydian: -1, dorian: -2,
+  minor: -3, aeolian: -3, phrygian: -4, locrian: -5
+}
+
+// Krumhansl-Kessler 调性轮廓（下标为相对主音的半音数），用于由音级分布推断调性
+export const KEY_PROFILES = {
+  major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+}
+
+// 和弦类型：intervals 为相对根音的半音数，symbol 为和弦记号后缀，seventh 表示七和弦
+export const CHORD_QUALITIES = {
+  major: { intervals: [0, 4, 7], symbol: '', seventh: false },
+  minor: { intervals: [0, 3, 7], symbol: 'm', seventh: false },
+  diminished: { intervals: [0, 3, 6], symbol: 'dim', seventh: false },
+  augmented: { intervals: [0, 4, 8], symbol: 'aug', seventh: false },
+  dominant7: { intervals: [0, 4, 7, 10], symbol: '7', seventh: true },
+  major7: { intervals: [0, 4, 7, 11], symbol: 'maj7', seventh: true },
+  minor7: { intervals: [0, 3, 7, 10], symbol: 'm7', seventh: true },
+  halfDiminished7: { intervals: [0, 3, 6, 10], symbol: 'm7b5', seventh: true },
+  diminished7: { intervals: [0, 3, 6, 9], symbol: 'dim7', seventh: true }
+}
+
 // Note Duration Definitions (in ticks, where quarter = 1024)
 export const DURATION_DEFINITIONS = {
   whole: { ticks: 4096, beats: 4, flags: 0, filled: false },
@@ -127,6 +152,10 @@ export const COMPOUND_METER_GROUPINGS = {
 // Pitch to MIDI conversion helpers
 export const PITCH_TO_SEMITONE = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }
 
+// 半音 -> [音名, 变音]
+const SHARP_SPELLING = [['C', 0], ['C', 1], ['D', 0], ['D', 1], ['E', 0], ['F', 0], ['F', 1], ['G', 0], ['G', 1], ['A', 0], ['A', 1], ['B', 0]]
+const FLAT_SPELLING = [['C', 0], ['D', -1], ['D', 0], ['E', -1], ['E', 0], ['F', 0], ['G', -1], ['G', 0], ['A', -1], ['A', 0], ['B', -1], ['B', 0]]
+
 /**
  * Convert pitch to MIDI number
  * @param {Object} pitch - Pitch object with step, octave, alter
@@ -140,26 +169,123 @@ export function pitchToMidi(pitch) {
   return (octave + 1) * 12 + semitone + alter
 }
 
+/**
+ * Convert MIDI number to pitch
+ * 黑键按调号拼写：升号调（及 C 大调）用升号，降号调用降号
+ * @param {number} midi - MIDI note number
+ * @param {number} fifths - Key signature fifths
+ * @returns {Object} Pitch { step, octave, alter }
+ */
+export function midiToPitch(midi, fifths = 0) {
+  const [step, alter] = (fifths < 0 ? FLAT_SPELLING : SHARP_SPELLING)[((midi % 12) + 12) % 12]
+  return { step, octave: Math.floor(midi / 12) - 1, alter }
+}
+
 /**
  * Get strong beats for a time signature
+ * 
+ * TIME_SIGNATURE_DEFINITIONS 以拍号的分母为单位记录强拍（6/8 的第4拍是第4个八分音符），
+ * 而音符的 startBeat 以四分音符为单位，这里统一换算为四分音符位置：
+ * 6/8 → [1, 2.5]，2/2 → [1]，4/2 → [1, 5]
+ * 
  * @param {Object} timeSignature - Time signature object
- * @returns {number[]} Array of strong beat positions
+ * @returns {number[]} Array of strong beat positions (quarter-note based, 1-indexed)
  */
 export function getStrongBeats(timeSignature) {
   const key = `${timeSignature.beats}/${timeSignature.beatType}`
   const def = TIME_SIGNATURE_DEFINITIONS[key]
-  return def ? def.strongBeats : [1]
+  if (!def) return [1]
+  const quartersPerBeat = 4 / timeSignature.beatType
+  return def.strongBeats.map(sb => (sb - 1) * quartersPerBeat + 1)
 }
 
 /**
  * Check if a beat position is a strong beat
- * @param {number} beat - Beat position (1-indexed)
+ * 落在强拍所在的整个拍单位内（如 4/4 的 1 ~ 2 之间）都视为强拍
+ * @param {number} beat - Beat position (1-indexed, quarter-note based)
  * @param {Object} timeSignature - Time signature object
  * @returns {boolean}
  */
 export function isStrongBeat(beat, timeSignature) {
   const strongBeats = getStrongBeats(timeSignature)
-  return strongBeats.includes(Math.floor(beat))
+  const beatUnit = getBeatUnitTicks(timeSignature) / 1024
+  return strongBeats.some(sb => beat >= sb - 0.001 && beat < sb + beatUnit - 0.001)
+}
+
+/**
+ * Check if a time signature is a compound meter (beat = dotted note)
+ * @param {Object} timeSignature - Time signature object
+ * @returns {boolean}
+ */
+export function isCompoundMeter(timeSignature) {
+  const key = `${timeSignature.beats}/${timeSignature.beatType}`
+  const def = TIME_SIGNATURE_DEFINITIONS[key]
+  return (def?.type || timeSignature.type) === 'compound'
+}
+
+/**
+ * Get the length of a full measure in ticks (quarter = 1024)
+ * 6/8 → 3072，2/2 → 4096，3/8 → 1536
+ * @param {Object} timeSignature - Time signature object
+ * @returns {number} Measure length in ticks
+ */
+export function getMeasureTicks(timeSignature) {
+  return Math.round(timeSignature.beats * 4096 / timeSignature.beatType)
+}
+
+/**
+ * Get the length of a full measure in quarter-note beats
+ * @param {Object} timeSignature - Time signature object
+ * @returns {number} Measure length in quarter notes
+ */
+export function getMeasureBeats(timeSignature) {
+  return getMeasureTicks(timeSignature) / 1024
+}
+
+/**
+ * Get the length of one counted beat in ticks
+ * 复合拍子以附点音符为一拍（6/8、9/8、12/8 为附点四分音符）
+ * @param {Object} timeSignature - Time signature object
+ * @returns {number} Beat unit in ticks
+ */
+export function getBeatUnitTicks(timeSignature) {
+  const noteTicks = 4096 / timeSignature.beatType
+  return isCompoundMeter(timeSignature) ? noteTicks * 3 : noteTicks
+}
+
+/**
+ * Get the position of every counted beat in a measure
+ * 6/8 → [1, 2.5]，2/2 → [1, 3]，3/4 → [1, 2, 3]
+ * @param {Object} timeSignature - Time signature object
+ * @returns {number[]} Beat positions (quarter-note based, 1-indexed)
+ */
+export function getBeatPositions(timeSignature) {
+  const beatUnit = getBeatUnitTicks(timeSignature) / 1024
+  const measureBeats = getMeasureBeats(timeSignature)
+  const positions = []
+  for (let pos = 0; pos < measureBeats - 0.001; pos += beatUnit) {
+    positions.push(pos + 1)
+  }
+  return positions
+}
+
+/**
+ * Convert a tick length into a duration object (type + dots)
+ * @param {number} ticks - Duration in ticks
+ * @returns {Object} Duration object { type, dots, ticks }
+ */
+export function getDurationFromTicks(ticks) {
+  const types = ['whole', 'half', 'quarter', 'eighth', 'sixteenth', '32nd']
+  for (const type of types) {
+    const base = DURATION_DEFINITIONS[type].ticks
+    if (ticks === base) return { type, dots: 0, ticks }
+    if (ticks === base * 1.5) return { type, dots: 1, ticks }
+    if (ticks === base * 1.75) return { type, dots: 2, ticks }
+  }
+  // 无法用单个音符表示的时值：取不超过它的最大音符类型，ticks 保持不变；
+  // 导出时按 ticks 用 splitDurationTicks 拆成用连线连接的几个音符
+  const type = types.find(t => ticks >= DURATION_DEFINITIONS[t].ticks) || '32nd'
+  return { type, dots: 0, ticks }
 }
 
 /**
@@ -178,3 +304,41 @@ export function getDurationTicks(type, dots = 0) {
   }
   return total
 }
+
+/**
+ * Get the alteration a key signature gives to a step
+ * @param {string} step - Note step (C-B)
+ * @param {number} fifths - Key signature fifths
+ * @returns {number} 1 (sharp), -1 (flat) or 0
+ */
+export function getKeyAlter(step, fifths = 0) {
+  const key = KEY_SIGNATURE_DEFINITIONS[Math.max(-7, Math.min(7, fifths))]
+  const accidental = key.accidentals.find(a => a[0] === step)
+  if (!accidental) return 0
+  return accidental.endsWith('#') ? 1 : -1
+}
+
+/**
+ * Split a length into note values, longest first
+ * 无法用单个音符（含附点）表示的时值拆成几个音符，由调用方用连线连接
+ * @param {number} ticks - Length in ticks
+ * @returns {Array} Duration objects [{ type, dots, ticks }]
+ */
+export function splitDurationTicks(ticks) {
+  const values = Object.keys(DURATION_DEFINITIONS)
+    .flatMap(type => [2, 1, 0].map(dots => ({ type, dots, ticks: getDurationTicks(type, dots) })))
+    .sort((a, b) => b.ticks - a.ticks)
+
+  const result = []
+  let remaining = Math.round(ticks)
+  while (remaining > 0) {
+    const value = values.find(v => v.ticks <= remaining)
+    if (!value) {
+      result.push({ type: '32nd', dots: 0, ticks: remaining })
+      break
+    }
+    result.push(value)
+    remaining -= value.ticks
+  }
+  return result
+}
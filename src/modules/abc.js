@@ -0,0 +1,467 @@
+/**
+ * ABC Module
+ * ABC notation export
+ *
+ * 把单谱表的简化结果写成 ABC 记谱，可以直接贴到论坛或曲集里：
+ * - 文件头：X: / T: / C: / M: / L:1/8 / Q: / K:
+ * - 音符按拍位输出，空白处补休止符；拍号、调号在小节开头改变时写内联字段 [M:...] / [K:...]
+ * - 小节线上写反复记号和跳房子，音符上写连线、连奏线、演奏法、装饰音和力度
+ * - 歌词写成每行音乐之后的 w: 行
+ * - 多个 part 时每个 part 一个声部（V:）
+ *
+ * 大谱表（钢琴）结果请导出 MusicXML 或 MIDI
+ */
+
+import { getScoreParts } from './parser.js'
+import { attachSlurMarks } from './slurs.js'
+import {
+  MODE_FIFTHS,
+  getKeyAlter,
+  getMeasureTicks,
+  getBeatUnitTicks,
+  getDurationTicks,
+  splitDurationTicks
+} from '../knowledge/index.js'
+
+// L:1/8
+const UNIT_TICKS = 512
+const MEASURES_PER_LINE = 4
+const EPSILON = 1
+
+const ACCIDENTAL_SIGNS = { '-2': '__', '-1': '_', 0: '=', 1: '^', 2: '^^' }
+
+const ARTICULATION_DECORATIONS = {
+  staccato: '.', staccatissimo: '!wedge!', accent: '!accent!', 'strong-accent': '!marcato!',
+  tenuto: '!tenuto!', 'detached-legato': '!tenuto!.', fermata: '!fermata!'
+}
+
+const EMBELLISHMENT_DECORATIONS = {
+  trill: '!trill!', turn: '!turn!', inverted_turn: '!invertedturn!',
+  mordent_upper: '!mordent!', mordent_lower: '!uppermordent!', arpeggio: '!arpeggio!', slide: '!slide!'
+}
+
+// ABC 标准中的力度记号，其余力度写成注释文字
+const ABC_DYNAMICS = ['pppp', 'ppp', 'pp', 'p', 'mp', 'mf', 'f', 'ff', 'fff', 'ffff', 'sfz']
+
+const NAVIGATION_START_DECORATIONS = { segno: '!segno!', coda: '!coda!' }
+const NAVIGATION_END_DECORATIONS = { tocoda: '!dacoda!', fine: '!fine!', dacapo: '!D.C.!', dalsegno: '!D.S.!' }
+
+const MODE_SUFFIXES = {
+  major: '', minor: 'm', dorian: 'dor', mixolydian: 'mix', phrygian: 'phr', lydian: 'lyd', locrian: 'loc'
+}
+
+const CLEF_NAMES = { F4: 'bass', C3: 'alto', C4: 'tenor' }
+
+/**
+ * Generate ABC notation for a single-staff score
+ * @param {Object} score - Simplified score
+ * @returns {string} ABC source
+ */
+export function generateAbc(score) {
+  const { metadata } = score
+  const parts = getScoreParts(score)
+  if (parts.some(part => (part.scoreType || score.scoreType) === 'grand-staff')) {
+    throw new Error('ABC_SINGLE_STAFF_ONLY')
+  }
+
+  const firstMeasure = parts[0]?.measures[0] || {}
+  const timeSignature = firstMeasure.timeSignature || metadata.timeSignature
+  const keySignature = firstMeasure.keySignature || metadata.keySignature
+
+  const lines = ['X:1', `T:${headerText(metadata.title || 'Untitled')}`]
+  if (metadata.composer && metadata.composer !== 'Unknown') {
+    lines.push(`C:${headerText(metadata.composer)}`)
+  }
+  lines.push(`M:${formatMeter(timeSignature)}`, 'L:1/8', `Q:1/4=${metadata.tempo || 120}`)
+
+  if (parts.length > 1) {
+    parts.forEach(part => {
+      lines.push(`V:${part.id} name="${headerText(part.name || part.id).replace(/"/g, '')}"${formatClef(part.measures[0]?.clefs)}`)
+    })
+    lines.push(`K:${formatKey(keySignature)}`)
+    parts.forEach(part => {
+      lines.push(`V:${part.id}`, ...generatePartBody(part, metadata))
+    })
+  } else {
+    lines.push(`K:${formatKey(keySignature)}${formatClef(firstMeasure.clefs)}`)
+    lines.push(...generatePartBody(parts[0], metadata))
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+function headerText(text) {
+  return String(text).replace(/[\r\n]+/g, ' ').trim()
+}
+
+function formatMeter(timeSignature) {
+  return `${timeSignature.beats}/${timeSignature.beatType}`
+}
+
+function formatClef(clefs) {
+  const clef = CLEF_NAMES[(clefs || [])[0]]
+  return clef ? ` clef=${clef}` : ''
+}
+
+/**
+ * Key name from fifths and mode ('G', 'Em', 'Ddor')
+ */
+function formatKey(keySignature) {
+  const mode = MODE_FIFTHS[keySignature?.mode] !== undefined ? keySignature.mode : 'major'
+  const tonicFifths = (keySignature?.fifths || 0) - MODE_FIFTHS[mode]
+  const letters = 'FCGDAEB'
+  const idx = tonicFifths + 1
+  const letter = letters[((idx % 7) + 7) % 7]
+  const sharps = Math.floor(idx / 7)
+  const accidental = sharps > 0 ? '#'.repeat(sharps) : 'b'.repeat(-sharps)
+  return `${letter}${accidental}${MODE_SUFFIXES[mode] ?? ''}`
+}
+
+/**
+ * Body lines of one part: music lines of MEASURES_PER_LINE measures, each followed by its w: lines
+ */
+function generatePartBody(part, metadata) {
+  const measures = attachSlurMarks(part.measures, part.slurs)
+  const lines = []
+  const state = { openWedge: null }
+
+  for (let start = 0; start < measures.length; start += MEASURES_PER_LINE) {
+    let music = start === 0 ? openingBar(measures[0]) : ''
+    const lyricEntries = []
+
+    measures.slice(start, start + MEASURES_PER_LINE).forEach((measure, offset) => {
+      const idx = start + offset
+      const prevMeasure = measures[idx - 1] || null
+      const result = generateMeasureAbc(measure, prevMeasure, metadata, state)
+      music += `${result.text} ${barBetween(measure, measures[idx + 1] || null)} `
+      lyricEntries.push(...result.lyricEntries)
+    })
+
+    lines.push(music.trim())
+    lines.push(...generateLyricLines(lyricEntries))
+  }
+
+  return lines
+}
+
+function findBarline(measure, location, predicate = () => true) {
+  return (measure?.barlines || []).find(b => b.location === location && predicate(b)) || null
+}
+
+/**
+ * Bar line before the first measure (forward repeat / first ending)
+ */
+function openingBar(measure) {
+  const forward = findBarline(measure, 'left', b => b.repeat === 'forward')
+  const ending = findBarline(measure, 'left', b => b.ending?.type === 'start')
+  let text = forward ? '|:' : ''
+  if (ending) text += `[${ending.ending.number}`
+  return text ? `${text} ` : ''
+}
+
+/**
+ * Bar line between two measures: 前一小节右侧 + 后一小节左侧的反复、跳房子记号
+ */
+function barBetween(measure, nextMeasure) {
+  const backward = findBarline(measure, 'right', b => b.repeat === 'backward')
+  const forward = findBarline(nextMeasure, 'left', b => b.repeat === 'forward')
+  const ending = findBarline(nextMeasure, 'left', b => b.ending?.type === 'start')
+  const right = findBarline(measure, 'right', b => b.style)
+
+  let bar
+  if (backward && forward) bar = '::'
+  else if (backward) bar = ':|'
+  else if (forward) bar = '|:'
+  else if (!nextMeasure || right?.style === 'light-heavy') bar = '|]'
+  else if (right?.style === 'light-light') bar = '||'
+  else bar = '|'
+
+  if (ending) {
+    bar += bar.endsWith(':') ? ` [${ending.ending.number}` : ending.ending.number
+  }
+  return bar
+}
+
+/**
+ * ABC text of one measure
+ * @returns {Object} { text, lyricEntries }
+ */
+function generateMeasureAbc(measure, prevMeasure, metadata, state) {
+  const timeSignature = measure.timeSignature || metadata.timeSignature
+  const keySignature = measure.keySignature || metadata.keySignature
+  const measureTicks = getMeasureTicks(timeSignature)
+  const beatTicks = getBeatUnitTicks(timeSignature)
+  const parts = []
+  const lyricEntries = []
+  // 同一拍内的八分及更短音符写在一起（连成一组符杠），其余用空格分开
+  let beamable = false
+  const add = (text, beamed = false) => {
+    parts.push(beamed && parts.length > 0 ? parts.pop() + text : text)
+  }
+
+  if (prevMeasure) {
+    const prevTime = prevMeasure.timeSignature || metadata.timeSignature
+    const prevKey = prevMeasure.keySignature || metadata.keySignature
+    if (formatMeter(prevTime) !== formatMeter(timeSignature)) add(`[M:${formatMeter(timeSignature)}]`)
+    if (formatKey(prevKey) !== formatKey(keySignature)) add(`[K:${formatKey(keySignature)}]`)
+  }
+
+  const navigation = measure.navigation || []
+  navigation.filter(m => NAVIGATION_START_DECORATIONS[m.type]).forEach(m => add(NAVIGATION_START_DECORATIONS[m.type]))
+
+  const notes = [...(measure.notes || [])].sort((a, b) => a.startBeat - b.startBeat)
+  const graceNotes = notes.filter(n => n.embellishment === 'grace_note')
+  const lastCopies = new Set(notes.filter((n, idx) => !notes.slice(idx + 1).some(other => other.id === n.id)))
+  const groups = groupByPosition(notes.filter(n => n.embellishment !== 'grace_note'))
+  const directions = measure.directions || []
+  const noteIds = new Set(notes.map(n => n.id))
+  const floating = directions.filter(d => !d.noteId || !noteIds.has(d.noteId))
+  const emitted = new Set()
+  const accidentals = new Map()
+
+  const floatingBefore = position => floating
+    .filter(d => !emitted.has(d) && (d.startBeat - 1) * 1024 <= position + EPSILON)
+    .map(d => {
+      emitted.add(d)
+      return directionText(d, state)
+    })
+    .join('')
+
+  let position = 0
+  let tupletRemaining = 0
+
+  groups.forEach((group, groupIdx) => {
+    if (group.position > position + EPSILON) {
+      add(floatingBefore(position) + restText(group.position - position))
+      position = group.position
+      beamable = false
+    }
+
+    const first = group.notes[0]
+    const next = groups[groupIdx + 1]
+    const tuplet = first.duration?.tuplet || null
+    // 同一谱表上重叠的音符截断到下一个音符的起点
+    const advance = tuplet || !next
+      ? first.duration.ticks
+      : Math.min(first.duration.ticks, next.position - group.position)
+
+    let prefix = floatingBefore(group.position)
+    if (tuplet && tupletRemaining === 0) {
+      tupletRemaining = countTupletNotes(groups, groupIdx)
+      prefix += tupletText(tuplet, tupletRemaining)
+    }
+    if (tuplet) tupletRemaining--
+    else tupletRemaining = 0
+
+    const slurStarts = group.notes.flatMap(n => (n.slurMarks || []).filter(m => m.type === 'start'))
+    prefix += '('.repeat(slurStarts.length)
+    // 拍头简化拆分的音符（同一 id）只在第一个上写记号
+    directions
+      .filter(d => !floating.includes(d) && !emitted.has(d) && group.notes.some(n => n.id === d.noteId))
+      .forEach(d => {
+        emitted.add(d)
+        prefix += directionText(d, state)
+      })
+    prefix += decorationText(group.notes)
+
+    const graces = graceNotes.filter(n => Math.abs((n.startBeat - 1) * 1024 - group.position) <= EPSILON)
+    if (graces.length > 0) {
+      prefix += `{${graces.map(n => pitchText(n.pitch, keySignature, accidentals)).join('')}}`
+    }
+
+    // 无法用单个音符记写的时值拆成用连线连接的几个音符
+    const lengths = tuplet
+      ? [getDurationTicks(first.duration.type, first.duration.dots)]
+      : splitDurationTicks(advance).map(d => d.ticks)
+    const pitches = group.notes.map(n => pitchText(n.pitch, keySignature, accidentals))
+    const noteTexts = lengths.map((ticks, idx) => {
+      const isLast = idx === lengths.length - 1
+      // 同一 id 出现多次时连线从最后一个出发
+      const tied = group.notes.map(n => !isLast || (n.tiedTo && lastCopies.has(n)))
+      return chordText(pitches, tied, ticks)
+    })
+
+    const slurStops = group.notes.flatMap(n => (n.slurMarks || []).filter(m => m.type === 'stop'))
+    const onBeat = Math.abs(group.position - Math.round(group.position / beatTicks) * beatTicks) <= EPSILON
+    const short = lengths.length === 1 && advance < 1024
+    add(prefix + noteTexts.join('') + ')'.repeat(slurStops.length), beamable && short && !onBeat)
+    beamable = short
+
+    lyricEntries.push({ note: first, pieces: lengths.length })
+    position = group.position + advance
+  })
+
+  if (position < measureTicks - EPSILON) {
+    add(floatingBefore(position) + restText(measureTicks - position))
+    position = measureTicks
+  }
+
+  const trailing = floatingBefore(Infinity) +
+    navigation.filter(m => NAVIGATION_END_DECORATIONS[m.type]).map(m => NAVIGATION_END_DECORATIONS[m.type]).join('')
+
+  return { text: parts.join(' ') + trailing, lyricEntries }
+}
+
+/**
+ * 按起始位置把音符分组（和弦）
+ */
+function groupByPosition(notes) {
+  const groups = []
+  notes.forEach(note => {
+    const position = (note.startBeat - 1) * 1024
+    const last = groups[groups.length - 1]
+    if (last && Math.abs(position - last.position) <= EPSILON) {
+      last.notes.push(note)
+    } else {
+      groups.push({ position, notes: [note] })
+    }
+  })
+  return groups
+}
+
+/**
+ * Number of groups in the tuplet starting at groupIdx
+ * 连音组在记写时值之和达到 actual 个最短音符时结束
+ */
+function countTupletNotes(groups, groupIdx) {
+  const { actual, normal } = groups[groupIdx].notes[0].duration.tuplet
+  let count = 0
+  let total = 0
+  let shortest = Infinity
+
+  for (let i = groupIdx; i < groups.length; i++) {
+    const duration = groups[i].notes[0].duration
+    if (duration.tuplet?.actual !== actual || duration.tuplet?.normal !== normal) break
+    const notated = getDurationTicks(duration.type, duration.dots)
+    count++
+    total += notated
+    shortest = Math.min(shortest, notated)
+    if (total % (shortest * actual) === 0) break
+  }
+
+  return count
+}
+
+function tupletText(tuplet, count) {
+  const { actual, normal } = tuplet
+  const defaultNormal = [3, 6].includes(actual) ? 2 : [2, 4, 8].includes(actual) ? 3 : null
+  if (normal === defaultNormal && count === actual) return `(${actual}`
+  return `(${actual}:${normal}:${count}`
+}
+
+/**
+ * Note or chord with its length; tied[i] 为 true 的音符后写连线
+ */
+function chordText(pitches, tied, ticks) {
+  const length = lengthText(ticks)
+  if (pitches.length === 1) {
+    return `${pitches[0]}${length}${tied[0] ? '-' : ''}`
+  }
+  return `[${pitches.map((p, idx) => `${p}${tied[idx] ? '-' : ''}`).join('')}]${length}`
+}
+
+function restText(ticks) {
+  return splitDurationTicks(ticks).map(d => `z${lengthText(d.ticks)}`).join(' ')
+}
+
+/**
+ * Length as a multiple of L:1/8 ('', '2', '/', '3/2')
+ */
+function lengthText(ticks) {
+  const value = Math.max(1, Math.round(ticks))
+  const divisor = gcd(value, UNIT_TICKS)
+  const numerator = value / divisor
+  const denominator = UNIT_TICKS / divisor
+  if (denominator === 1) return numerator === 1 ? '' : String(numerator)
+  if (numerator === 1) return denominator === 2 ? '/' : `/${denominator}`
+  return `${numerator}/${denominator}`
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b)
+}
+
+/**
+ * Pitch with the accidental needed in this measure
+ * 与调号或本小节之前的临时记号不同时才写临时记号
+ */
+function pitchText(pitch, keySignature, accidentals) {
+  const key = `${pitch.step}${pitch.octave}`
+  const alter = pitch.alter || 0
+  const expected = accidentals.has(key) ? accidentals.get(key) : getKeyAlter(pitch.step, keySignature?.fifths || 0)
+  let text = ''
+  if (alter !== expected) {
+    text = ACCIDENTAL_SIGNS[alter] ?? ''
+    accidentals.set(key, alter)
+  }
+
+  if (pitch.octave >= 5) {
+    text += pitch.step.toLowerCase() + "'".repeat(pitch.octave - 5)
+  } else {
+    text += pitch.step + ','.repeat(4 - pitch.octave)
+  }
+  return text
+}
+
+function decorationText(notes) {
+  const articulations = [...new Set(notes.flatMap(n => n.articulations || []))]
+  const embellishment = notes.map(n => n.embellishment).find(e => EMBELLISHMENT_DECORATIONS[e])
+  return articulations.map(a => ARTICULATION_DECORATIONS[a] || '').join('') +
+    (embellishment ? EMBELLISHMENT_DECORATIONS[embellishment] : '')
+}
+
+function directionText(direction, state) {
+  switch (direction.type) {
+    case 'dynamic':
+      return ABC_DYNAMICS.includes(direction.value)
+        ? `!${direction.value}!`
+        : `"_${annotationText(direction.value)}"`
+    case 'wedge':
+      if (direction.value === 'stop') {
+        const stop = state.openWedge === 'diminuendo' ? '!>)!' : '!<)!'
+        state.openWedge = null
+        return stop
+      }
+      state.openWedge = direction.value
+      return direction.value === 'diminuendo' ? '!>(!' : '!<(!'
+    case 'words':
+      return `"${direction.placement === 'below' ? '_' : '^'}${annotationText(direction.value)}"`
+    default:
+      return ''
+  }
+}
+
+function annotationText(text) {
+  return String(text).replace(/["\r\n]/g, ' ').trim()
+}
+
+/**
+ * w: lines for one music line, one per verse
+ * 每个音符一个音节；没有歌词的音符写 *，延长线写 _
+ */
+function generateLyricLines(entries) {
+  const verses = [...new Set(entries.flatMap(e => (e.note.lyrics || []).map(l => l.verse)))].sort((a, b) => a - b)
+
+  return verses.map(verse => {
+    const tokens = []
+    let extending = false
+    entries.forEach(entry => {
+      const lyric = (entry.note.lyrics || []).find(l => l.verse === verse)
+      if (lyric) {
+        const syllables = [lyric, ...(lyric.elisions || [])].map(s => s.text.replace(/-/g, '\\-').replace(/\s+/g, '~'))
+        const hyphen = ['begin', 'middle'].includes(lyric.syllabic) ? '-' : ''
+        tokens.push(syllables.join('~') + hyphen)
+        extending = Boolean(lyric.extend)
+      } else {
+        tokens.push(extending ? '_' : '*')
+      }
+      // 拆成连线音符的后几个音符
+      for (let i = 1; i < entry.pieces; i++) {
+        tokens.push(extending ? '_' : '*')
+      }
+    })
+
+    while (tokens.length > 0 && tokens[tokens.length - 1] === '*') tokens.pop()
+    return `w:${tokens.join(' ')}`
+  })
+}
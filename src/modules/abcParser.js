@@ -0,0 +1,904 @@
+/**
+ * ABC Parser Module
+ * ABC notation (.abc) import
+ *
+ * 把 ABC 记谱转换为与 parseXmlContent 相同的乐谱结构，分析和简化流程无需区分输入格式：
+ * - 文件头字段 → metadata（T: 曲名、C: 作曲、Q: 速度）
+ * - K: / M: / L: → 调号、拍号、默认音符时值（曲中可以用独立的字段行或 [K:...] 内联字段改变）
+ * - 小节线 → 小节；反复记号（|: :|）和跳房子（|1 :|2）→ measure.barlines
+ * - 连线（-）、连奏线（( )）、装饰记号（!...!）、力度和渐强渐弱、w: 歌词
+ *
+ * 文件包含多首曲子时只导入第一首；多声部（V:）时只导入第一个声部
+ */
+
+import { buildNavigationModel } from './navigation.js'
+import { linkTies } from './ties.js'
+import { linkSlurs } from './slurs.js'
+import {
+  MODE_FIFTHS,
+  getKeyAlter,
+  getMeasureTicks,
+  getDurationFromTicks,
+  splitDurationTicks
+} from '../knowledge/index.js'
+
+// 全音符的 tick 数（内部时值以四分音符 = 1024 计）
+const WHOLE_TICKS = 4096
+
+const DEFAULT_TIME_SIGNATURE = { beats: 4, beatType: 4, type: 'simple' }
+
+// 主音 → 同主音大调的调号
+const STEP_FIFTHS = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 }
+
+// K: 字段的调式写法（取前三个字母）
+const MODE_NAMES = {
+  m: 'minor', min: 'minor', aeo: 'minor', maj: 'major', ion: 'major',
+  mix: 'mixolydian', dor: 'dorian', phr: 'phrygian', lyd: 'lydian', loc: 'locrian'
+}
+
+const CLEF_NAMES = { treble: 'G2', bass: 'F4', alto: 'C3', tenor: 'C4' }
+
+// 装饰记号（!name! 或单字符简写）→ 演奏法
+const DECORATION_ARTICULATIONS = {
+  '.': 'staccato', staccato: 'staccato', wedge: 'staccatissimo',
+  L: 'accent', accent: 'accent', emphasis: 'accent', '>': 'accent',
+  marcato: 'strong-accent', '^': 'strong-accent', tenuto: 'tenuto',
+  H: 'fermata', fermata: 'fermata'
+}
+
+// 装饰记号 → 装饰音（与 parseEmbellishment 的分类一致）
+const DECORATION_EMBELLISHMENTS = {
+  T: 'trill', trill: 'trill', '~': 'turn', roll: 'turn', turn: 'turn', invertedturn: 'inverted_turn',
+  M: 'mordent_upper', mordent: 'mordent_upper', lowermordent: 'mordent_upper',
+  P: 'mordent_lower', uppermordent: 'mordent_lower', pralltriller: 'mordent_lower',
+  arpeggio: 'arpeggio', slide: 'slide'
+}
+
+const DECORATION_DYNAMICS = ['pppp', 'ppp', 'pp', 'p', 'mp', 'mf', 'f', 'ff', 'fff', 'ffff', 'sfz', 'sf', 'fp']
+
+const DECORATION_WEDGES = {
+  'crescendo(': 'crescendo', '<(': 'crescendo', 'crescendo)': 'stop', '<)': 'stop',
+  'diminuendo(': 'diminuendo', '>(': 'diminuendo', 'diminuendo)': 'stop', '>)': 'stop'
+}
+
+const DECORATION_NAVIGATION = {
+  S: { type: 'segno', text: null }, segno: { type: 'segno', text: null },
+  O: { type: 'coda', text: null }, coda: { type: 'coda', text: null },
+  fine: { type: 'fine', text: 'Fine' },
+  'D.C.': { type: 'dacapo', text: 'D.C.' }, dacapo: { type: 'dacapo', text: 'D.C.' },
+  'D.S.': { type: 'dalsegno', text: 'D.S.' }, dacoda: { type: 'tocoda', text: 'To Coda' }
+}
+
+const NOTE_PATTERN = /^(\^\^|\^|__|_|=)?([A-Ga-g])([,']*)(\d*(?:\/+\d*)?)(-?)/
+const BAR_PATTERN = /^(:*)(\[\||\|\]|\|\||\||::)(:*)(?:\[?(\d+(?:[,-]\d+)*))?/
+
+/**
+ * Parse ABC content into score structure
+ * @param {string} text - ABC source
+ * @param {string} fileName - File name, used as title when the tune has none
+ * @returns {Object} Parsed score (same shape as parseXmlContent)
+ */
+export function parseAbcContent(text, fileName = '') {
+  const lines = selectFirstTune(text)
+  const keyLine = lines.findIndex(line => /^K:/.test(line))
+  if (keyLine < 0) {
+    throw new Error('PARSE_ERROR')
+  }
+
+  const header = parseHeader(lines.slice(0, keyLine + 1))
+  const { measures, partName } = buildMeasures(lines.slice(keyLine + 1), header)
+  if (!measures.some(m => m.notes.length > 0)) {
+    throw new Error('PARSE_ERROR')
+  }
+
+  linkTies(measures)
+  const slurs = linkSlurs(measures)
+
+  const name = partName || 'Part 1'
+  const part = {
+    id: 'P1',
+    name,
+    instrument: name,
+    midiProgram: null,
+    staves: 1,
+    measures,
+    slurs,
+    navigation: buildNavigationModel(measures)
+  }
+
+  const metadata = {
+    title: header.title || fileName.replace(/\.abc$/i, '') || 'Untitled',
+    composer: header.composer || 'Unknown',
+    tempo: header.tempo || 120,
+    timeSignature: measures[0].timeSignature,
+    keySignature: measures[0].keySignature,
+    clefs: measures[0].clefs,
+    textAnnotations: measures.flatMap(m => (m.directions || []).filter(d => d.type === 'words').map(d => d.value))
+  }
+
+  return {
+    metadata,
+    parts: [part],
+    measures,
+    navigation: part.navigation,
+    rawXml: null
+  }
+}
+
+/**
+ * Lines of the first tune, comments removed
+ * 曲子以 X: 开始，以空行结束
+ */
+function selectFirstTune(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n')
+  const start = lines.findIndex(line => /^X:/.test(line))
+  const tune = []
+  let inBody = false
+
+  for (let i = Math.max(start, 0); i < lines.length; i++) {
+    const line = lines[i]
+    if (inBody && (line.trim() === '' || /^X:/.test(line))) break
+    if (/^K:/.test(line)) inBody = true
+    // % 之后是注释（\% 除外），%% 开头的排版指令整行忽略
+    tune.push(line.replace(/(^|[^\\])%.*$/, '$1').trimEnd())
+  }
+
+  return tune
+}
+
+function parseField(line) {
+  const match = line.match(/^([A-Za-z]):(.*)$/)
+  return match ? { name: match[1], value: match[2].trim() } : null
+}
+
+/**
+ * Header fields up to and including K:
+ */
+function parseHeader(lines) {
+  const fields = {}
+  const voices = new Map()
+  lines.forEach(line => {
+    const field = parseField(line)
+    if (!field) return
+    if (field.name === 'V') {
+      const id = field.value.split(/\s+/)[0]
+      if (id && !voices.has(id)) voices.set(id, field.value)
+    } else if (!(field.name in fields) || !['T', 'C'].includes(field.name)) {
+      // T: / C: 取第一个，其余字段取最后一个
+      fields[field.name] = field.value
+    }
+  })
+
+  const timeSignature = parseMeter(fields.M)
+  // 没有 L: 时按拍号决定默认时值：小于 3/4 的拍号为十六分音符，否则为八分音符
+  const defaultUnit = timeSignature && timeSignature.beats / timeSignature.beatType < 0.75
+    ? WHOLE_TICKS / 16
+    : WHOLE_TICKS / 8
+  const unitLength = parseUnitLength(fields.L) || defaultUnit
+  const key = parseKey(fields.K)
+
+  return {
+    title: fields.T || null,
+    composer: fields.C || null,
+    tempo: parseTempo(fields.Q, unitLength),
+    timeSignature: timeSignature || { ...DEFAULT_TIME_SIGNATURE },
+    unitLength,
+    keySignature: key.keySignature,
+    clef: key.clef,
+    voices
+  }
+}
+
+/**
+ * Parse M: ('6/8', 'C', 'C|', '2+3/8'); 'none' 或无法识别时返回 null
+ */
+function parseMeter(value) {
+  const text = (value || '').trim()
+  if (text === 'C') return makeTimeSignature(4, 4)
+  if (text === 'C|') return makeTimeSignature(2, 2)
+
+  const match = text.match(/^\(?([\d+]+)\)?\s*\/\s*(\d+)/)
+  if (!match) return null
+  const beats = match[1].split('+').reduce((sum, n) => sum + (parseInt(n) || 0), 0)
+  return makeTimeSignature(beats, parseInt(match[2]))
+}
+
+function makeTimeSignature(beats, beatType) {
+  return {
+    beats,
+    beatType,
+    type: [6, 9, 12].includes(beats) && beatType === 8 ? 'compound' : 'simple'
+  }
+}
+
+/**
+ * Parse L: ('1/8') into ticks
+ */
+function parseUnitLength(value) {
+  const match = (value || '').match(/^(\d+)\s*\/\s*(\d+)/)
+  if (!match) return null
+  return WHOLE_TICKS * parseInt(match[1]) / parseInt(match[2])
+}
+
+/**
+ * Parse Q: into quarter notes per minute
+ * 'Q:1/4=120'、'Q:"Allegro" 3/8=80'；旧写法 'Q:120' 以 L: 为拍
+ */
+function parseTempo(value, unitLength) {
+  const text = value || ''
+  const beatMatch = text.match(/(\d+)\s*\/\s*(\d+)\s*=\s*(\d+)/)
+  if (beatMatch) {
+    const beatTicks = WHOLE_TICKS * parseInt(beatMatch[1]) / parseInt(beatMatch[2])
+    return Math.round(parseInt(beatMatch[3]) * beatTicks / 1024)
+  }
+  const bareMatch = text.match(/^\s*(\d+)\s*$/)
+  return bareMatch ? Math.round(parseInt(bareMatch[1]) * unitLength / 1024) : null
+}
+
+/**
+ * Parse K: ('G', 'Em', 'D mix', 'Bb', 'F#m clef=bass', 'none')
+ * @returns {Object} { keySignature: { fifths, mode }, clef }
+ */
+function parseKey(value) {
+  const text = (value || '').trim()
+  const clef = parseClef(text)
+  const match = text.match(/^([A-G])([#b]?)\s*([A-Za-z]*)/)
+  if (!match) {
+    return { keySignature: { fifths: 0, mode: 'major' }, clef }
+  }
+
+  const [, step, accidental, modeText] = match
+  const modeKey = modeText.toLowerCase() === 'm' ? 'm' : modeText.slice(0, 3).toLowerCase()
+  const mode = MODE_NAMES[modeKey] || 'major'
+  const tonicFifths = STEP_FIFTHS[step] + (accidental === '#' ? 7 : accidental === 'b' ? -7 : 0)
+
+  return { keySignature: { fifths: tonicFifths + MODE_FIFTHS[mode], mode }, clef }
+}
+
+function parseClef(text) {
+  const match = text.match(/(?:^|\s)(?:clef=)?(treble|bass|alto|tenor)\d?\b/)
+  return match ? CLEF_NAMES[match[1]] : null
+}
+
+/**
+ * Parse a note length suffix ('', '2', '/', '//', '3/2', '/4') into a multiple of L:
+ */
+function parseLength(text) {
+  const match = (text || '').match(/^(\d*)(\/*)(\d*)$/)
+  if (!match) return 1
+  const numerator = match[1] ? parseInt(match[1]) : 1
+  const slashes = match[2].length
+  if (slashes === 0) return numerator
+  const denominator = match[3] ? parseInt(match[3]) : Math.pow(2, slashes)
+  return numerator / denominator
+}
+
+function parsePitchToken(match) {
+  const [, accidental, letter, octaveMarks] = match
+  const accidentals = { '^^': 2, '^': 1, '__': -2, '_': -1, '=': 0 }
+  const shift = (octaveMarks.match(/'/g) || []).length - (octaveMarks.match(/,/g) || []).length
+  return {
+    accidental: accidental !== undefined ? accidentals[accidental] : null,
+    step: letter.toUpperCase(),
+    octave: (letter === letter.toUpperCase() ? 4 : 5) + shift
+  }
+}
+
+/**
+ * Split one line of music into tokens
+ */
+function tokenizeMusic(line) {
+  const tokens = []
+  let i = 0
+
+  while (i < line.length) {
+    const rest = line.slice(i)
+    const char = line[i]
+    let match
+
+    if ((match = rest.match(/^\[([A-Za-z]):([^\]]*)\]/))) {
+      tokens.push({ kind: 'field', name: match[1], value: match[2].trim() })
+    } else if ((match = rest.match(BAR_PATTERN))) {
+      tokens.push({ kind: 'bar', text: match[1] + match[2] + match[3], ending: match[4] || null })
+    } else if ((match = rest.match(/^\[(\d+(?:[,-]\d+)*)/))) {
+      tokens.push({ kind: 'bar', text: '', ending: match[1] })
+    } else if ((match = rest.match(/^\[([^\]]*)\](\d*(?:\/+\d*)?)(-?)/))) {
+      const notes = []
+      let inner = match[1]
+      let noteMatch
+      while (inner.length > 0) {
+        if ((noteMatch = inner.match(NOTE_PATTERN))) {
+          notes.push({ ...parsePitchToken(noteMatch), length: parseLength(noteMatch[4]), tie: noteMatch[5] === '-' || match[3] === '-' })
+          inner = inner.slice(noteMatch[0].length)
+        } else {
+          inner = inner.slice(1)
+        }
+      }
+      if (notes.length > 0) {
+        tokens.push({ kind: 'note', notes, length: notes[0].length * parseLength(match[2]) })
+      }
+    } else if ((match = rest.match(NOTE_PATTERN))) {
+      const note = { ...parsePitchToken(match), tie: match[5] === '-' }
+      tokens.push({ kind: 'note', notes: [note], length: parseLength(match[4]) })
+    } else if ((match = rest.match(/^[zx](\d*(?:\/+\d*)?)/))) {
+      tokens.push({ kind: 'rest', length: parseLength(match[1]) })
+    } else if ((match = rest.match(/^[ZX](\d*)/))) {
+      tokens.push({ kind: 'multirest', count: parseInt(match[1]) || 1 })
+    } else if ((match = rest.match(/^\{\/?([^}]*)\}/))) {
+      const notes = []
+      let inner = match[1]
+      let noteMatch
+      while (inner.length > 0) {
+        if ((noteMatch = inner.match(NOTE_PATTERN))) {
+          notes.push({ ...parsePitchToken(noteMatch), length: parseLength(noteMatch[4]) })
+          inner = inner.slice(noteMatch[0].length)
+        } else {
+          inner = inner.slice(1)
+        }
+      }
+      tokens.push({ kind: 'grace', notes })
+    } else if ((match = rest.match(/^\((\d)(?::(\d*))?(?::(\d*))?/))) {
+      tokens.push({
+        kind: 'tuplet',
+        p: parseInt(match[1]),
+        q: match[2] ? parseInt(match[2]) : null,
+        r: match[3] ? parseInt(match[3]) : null
+      })
+    } else if ((match = rest.match(/^(>+|<+)/))) {
+      tokens.push({ kind: 'broken', direction: match[1][0], count: match[1].length })
+    } else if (char === '(') {
+      match = [char]
+      tokens.push({ kind: 'slurStart' })
+    } else if (char === ')') {
+      match = [char]
+      tokens.push({ kind: 'slurEnd' })
+    } else if (char === '"') {
+      const end = line.indexOf('"', i + 1)
+      match = [end < 0 ? rest : line.slice(i, end + 1)]
+      tokens.push({ kind: 'annotation', text: line.slice(i + 1, end < 0 ? line.length : end) })
+    } else if ((char === '!' || char === '+') && line.indexOf(char, i + 1) > i) {
+      const end = line.indexOf(char, i + 1)
+      match = [line.slice(i, end + 1)]
+      tokens.push({ kind: 'decoration', name: line.slice(i + 1, end) })
+    } else if ('.~HLMOPSTuv'.includes(char)) {
+      match = [char]
+      tokens.push({ kind: 'decoration', name: char })
+    } else {
+      // 空白、符杠分隔、续行符等不影响乐谱内容
+      match = [char]
+    }
+
+    i += match[0].length
+  }
+
+  applyBrokenRhythm(tokens)
+  return tokens
+}
+
+/**
+ * Broken rhythm: a>b = 附点 + 短音，a<b 相反；>> / >>> 为复附点
+ */
+function applyBrokenRhythm(tokens) {
+  const isTimed = token => token.kind === 'note' || token.kind === 'rest'
+  tokens.forEach((token, idx) => {
+    if (token.kind !== 'broken') return
+    const previous = tokens.slice(0, idx).reverse().find(isTimed)
+    const next = tokens.slice(idx + 1).find(isTimed)
+    if (!previous || !next) return
+
+    const short = Math.pow(0.5, token.count)
+    const long = 2 - short
+    previous.length *= token.direction === '>' ? long : short
+    next.length *= token.direction === '>' ? short : long
+  })
+}
+
+/**
+ * Split a w: line into syllables and alignment marks
+ * - 空格、- 分隔音节（- 表示同一单词内的音节）
+ * - _ 延长上一音节一个音符，* 跳过一个音符，| 跳到下一小节
+ * - ~ 连接两个单词到同一音符，\- 为连字符本身
+ */
+function tokenizeLyrics(text) {
+  const items = []
+  let current = ''
+  let hyphenBefore = false
+
+  const flush = hyphenAfter => {
+    if (!current) return false
+    const syllabic = hyphenBefore
+      ? (hyphenAfter ? 'middle' : 'end')
+      : (hyphenAfter ? 'begin' : 'single')
+    items.push({ type: 'syllable', text: current, syllabic })
+    hyphenBefore = hyphenAfter
+    current = ''
+    return true
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (char === '\\' && text[i + 1] === '-') {
+      current += '-'
+      i++
+    } else if (char === '-') {
+      // 连续的连字符：每多一个跳过一个音符
+      if (!flush(true)) items.push({ type: 'skip' })
+    } else if (/\s/.test(char)) {
+      flush(false)
+    } else if (char === '_') {
+      flush(false)
+      items.push({ type: 'extend' })
+    } else if (char === '*') {
+      flush(false)
+      items.push({ type: 'skip' })
+    } else if (char === '|') {
+      flush(false)
+      items.push({ type: 'bar' })
+    } else if (char === '~') {
+      current += ' '
+    } else {
+      current += char
+    }
+  }
+  flush(false)
+
+  return items
+}
+
+/**
+ * Align a w: line with the notes of the music lines before it
+ * @param {string} text - Lyric line
+ * @param {Array} entries - [{ note, measureIdx }] in order
+ * @param {number} verse - Verse number
+ */
+function applyLyricLine(text, entries, verse) {
+  let cursor = 0
+  let lastLyric = null
+
+  tokenizeLyrics(text).forEach(item => {
+    if (item.type === 'bar') {
+      while (cursor > 0 && cursor < entries.length && entries[cursor].measureIdx === entries[cursor - 1].measureIdx) {
+        cursor++
+      }
+      return
+    }
+
+    const entry = entries[cursor++]
+    if (!entry) return
+    if (item.type === 'syllable') {
+      lastLyric = { verse, syllabic: item.syllabic, text: item.text, extend: false }
+      entry.note.lyrics = [...(entry.note.lyrics || []), lastLyric]
+    } else if (item.type === 'extend' && lastLyric) {
+      lastLyric.extend = true
+    }
+  })
+}
+
+/**
+ * Build parser-compatible measures from the tune body
+ * @param {string[]} lines - Body lines (after K:)
+ * @param {Object} header - Parsed header
+ * @returns {Object} { measures, partName }
+ */
+function buildMeasures(lines, header) {
+  let counter = 0
+  const nextId = () => `note_${++counter}`
+
+  let timeSignature = header.timeSignature
+  let keySignature = header.keySignature
+  let clefs = [header.clef || 'G2']
+  let unitLength = header.unitLength
+
+  const measures = []
+  let measure = null
+  let position = 0
+  // 临时记号在本小节内对同一音高持续有效
+  let accidentals = new Map()
+
+  let pendingArticulations = []
+  let pendingEmbellishment = null
+  let pendingDirections = []
+  let pendingSlurStarts = 0
+  const openSlurs = []
+  let openTies = []
+  let lastNote = null
+  let tuplet = null
+  let openEnding = null
+
+  let selectedVoice = null
+  let skipping = false
+  let partName = null
+  let lyricEntries = []
+  let verse = 0
+
+  const startMeasure = () => {
+    measure = {
+      number: measures.length + 1,
+      notes: [],
+      rests: [],
+      timeSignature,
+      keySignature,
+      clefs,
+      barlines: [],
+      navigation: [],
+      directions: []
+    }
+    position = 0
+    accidentals = new Map()
+  }
+  startMeasure()
+
+  const hasContent = () => measure.notes.length > 0 || measure.rests.length > 0
+  const currentBeat = () => 1 + position / 1024
+
+  const closeMeasure = rightBarline => {
+    // 小节末尾（如小节线之前的 !<)!）的力度记号不附着音符
+    pendingDirections.forEach(direction => {
+      measure.directions.push({ ...direction, startBeat: direction.startBeat ?? currentBeat() })
+    })
+    pendingDirections = []
+    if (rightBarline) measure.barlines.push(rightBarline)
+    measures.push(measure)
+    startMeasure()
+  }
+
+  const addNavigation = mark => {
+    if (!measure.navigation.some(m => m.type === mark.type)) measure.navigation.push(mark)
+  }
+
+  const applyField = (name, value) => {
+    switch (name) {
+      case 'K': {
+        const key = parseKey(value)
+        keySignature = key.keySignature
+        if (key.clef) clefs = [key.clef]
+        break
+      }
+      case 'M':
+        timeSignature = parseMeter(value) || { ...DEFAULT_TIME_SIGNATURE }
+        break
+      case 'L':
+        unitLength = parseUnitLength(value) || unitLength
+        break
+      default:
+        return
+    }
+    // 小节开头的改变从本小节生效，小节中途的改变从下一小节生效
+    if (!hasContent()) {
+      measure.timeSignature = timeSignature
+      measure.keySignature = keySignature
+      measure.clefs = clefs
+    }
+  }
+
+  const selectVoice = value => {
+    const id = value.split(/\s+/)[0]
+    if (!id) return
+    if (selectedVoice === null) {
+      selectedVoice = id
+      const definition = `${header.voices.get(id) || ''} ${value}`
+      const nameMatch = definition.match(/(?:name|nm)="([^"]*)"/)
+      if (nameMatch) partName = nameMatch[1]
+      const clef = parseClef(definition)
+      if (clef) {
+        clefs = [clef]
+        if (!hasContent()) measure.clefs = clefs
+      }
+    }
+    skipping = id !== selectedVoice
+  }
+
+  // 连音：(p:q:r 表示 r 个音符按 q 个音符的时值演奏 p 个
+  const defaultTupletNormal = p => {
+    if (p === 3 || p === 6) return 2
+    if (p === 2 || p === 4 || p === 8) return 3
+    return timeSignature.type === 'compound' ? 3 : 2
+  }
+
+  // 音符 / 休止符的时值：连音只占一个音符，其余按可记写的时值拆分
+  const takeDurations = length => {
+    const notated = length * unitLength
+    if (tuplet) {
+      const actual = notated * tuplet.q / tuplet.p
+      const { type, dots } = getDurationFromTicks(Math.round(notated))
+      const duration = { type, dots, tuplet: { actual: tuplet.p, normal: tuplet.q }, ticks: Math.round(actual) }
+      tuplet.remaining--
+      if (tuplet.remaining <= 0) tuplet = null
+      return { advance: actual, durations: [duration] }
+    }
+    const durations = splitDurationTicks(notated).map(d => ({ type: d.type, dots: d.dots, tuplet: null, ticks: d.ticks }))
+    return { advance: notated, durations }
+  }
+
+  const resolvePitch = pitchToken => {
+    const { step, octave } = pitchToken
+    const key = `${step}${octave}`
+    let alter
+    if (pitchToken.accidental !== null) {
+      alter = pitchToken.accidental
+      accidentals.set(key, alter)
+    } else {
+      // 跨小节线连线的后一个音沿用前一个音的变音
+      const tiedFrom = openTies.find(n => n.pitch.step === step && n.pitch.octave === octave)
+      alter = tiedFrom
+        ? tiedFrom.pitch.alter
+        : (accidentals.has(key) ? accidentals.get(key) : getKeyAlter(step, keySignature.fifths))
+    }
+    return { step, octave, alter }
+  }
+
+  const placeNotes = token => {
+    const startBeat = currentBeat()
+    const { advance, durations } = takeDurations(token.length)
+    const firstNotes = []
+    const tiedNotes = []
+
+    token.notes.forEach(pitchToken => {
+      const pitch = resolvePitch(pitchToken)
+      const tiedFromPrevious = openTies.some(n => n.pitch.step === pitch.step &&
+        n.pitch.octave === pitch.octave && n.pitch.alter === pitch.alter)
+
+      let previous = null
+      let offset = 0
+      durations.forEach(duration => {
+        const note = {
+          id: nextId(),
+          pitch,
+          duration,
+          startBeat: startBeat + offset / 1024,
+          voice: 1,
+          staff: 1,
+          tiedTo: null,
+          tiedFrom: previous ? previous.id : (tiedFromPrevious ? 'pending' : null),
+          isLocked: false,
+          embellishment: null
+        }
+        if (previous) previous.tiedTo = note.id
+        measure.notes.push(note)
+        if (!previous) firstNotes.push(note)
+        previous = note
+        offset += duration.ticks
+      })
+      if (pitchToken.tie) {
+        previous.tiedTo = 'pending'
+        tiedNotes.push(previous)
+      }
+      if (pitchToken === token.notes[0]) lastNote = previous
+    })
+
+    const first = firstNotes[0]
+    if (pendingArticulations.length > 0) {
+      first.articulations = pendingArticulations
+      pendingArticulations = []
+    }
+    if (pendingEmbellishment) {
+      first.embellishment = pendingEmbellishment
+      pendingEmbellishment = null
+    }
+    for (; pendingSlurStarts > 0; pendingSlurStarts--) {
+      const number = openSlurs.length + 1
+      openSlurs.push(number)
+      first.slurMarks = [...(first.slurMarks || []), { type: 'start', number, placement: null }]
+    }
+    pendingDirections.forEach(direction => {
+      measure.directions.push({ ...direction, startBeat: direction.startBeat ?? startBeat, noteId: first.id })
+    })
+    pendingDirections = []
+
+    lyricEntries.push({ note: first, measureIdx: measures.length })
+    openTies = tiedNotes
+    position += advance
+  }
+
+  const placeRest = length => {
+    const startBeat = currentBeat()
+    const { advance, durations } = takeDurations(length)
+    let offset = 0
+    durations.forEach(duration => {
+      measure.rests.push({ id: nextId(), duration, startBeat: startBeat + offset / 1024, voice: 1, staff: 1 })
+      offset += duration.ticks
+    })
+    pendingDirections.forEach(direction => {
+      if (direction.startBeat === null) direction.startBeat = startBeat
+    })
+    openTies = []
+    position += advance
+  }
+
+  const placeGraceNotes = token => {
+    token.notes.forEach(pitchToken => {
+      const { type, dots } = getDurationFromTicks(Math.round(pitchToken.length * unitLength))
+      measure.notes.push({
+        id: nextId(),
+        pitch: resolvePitch(pitchToken),
+        duration: { type, dots, tuplet: null, ticks: 0 },
+        startBeat: currentBeat(),
+        voice: 1,
+        staff: 1,
+        tiedTo: null,
+        tiedFrom: null,
+        isLocked: false,
+        embellishment: 'grace_note'
+      })
+    })
+  }
+
+  const applyDecoration = name => {
+    if (DECORATION_ARTICULATIONS[name]) {
+      const articulation = DECORATION_ARTICULATIONS[name]
+      if (!pendingArticulations.includes(articulation)) pendingArticulations.push(articulation)
+    } else if (DECORATION_EMBELLISHMENTS[name]) {
+      pendingEmbellishment = DECORATION_EMBELLISHMENTS[name]
+    } else if (DECORATION_DYNAMICS.includes(name)) {
+      pendingDirections.push({ startBeat: null, staff: 1, placement: 'below', noteId: null, type: 'dynamic', value: name })
+    } else if (DECORATION_WEDGES[name]) {
+      pendingDirections.push({
+        startBeat: null, staff: 1, placement: 'below', noteId: null,
+        type: 'wedge', value: DECORATION_WEDGES[name], number: 1
+      })
+    } else if (DECORATION_NAVIGATION[name]) {
+      addNavigation({ ...DECORATION_NAVIGATION[name] })
+    }
+  }
+
+  // "^text" / "_text" 等注释作为表情文字；没有位置前缀的是和弦标记，忽略
+  const applyAnnotation = text => {
+    const match = text.match(/^([\^_<>@])(.*)$/)
+    if (!match || !match[2].trim()) return
+    const value = match[2].trim()
+
+    if (/\bD\.\s*C\./i.test(value) || /da capo/i.test(value)) addNavigation({ type: 'dacapo', text: value })
+    else if (/\bD\.\s*S\./i.test(value) || /dal segno/i.test(value)) addNavigation({ type: 'dalsegno', text: value })
+    else if (/to coda/i.test(value)) addNavigation({ type: 'tocoda', text: value })
+    else if (/^fine\.?$/i.test(value)) addNavigation({ type: 'fine', text: value })
+    else {
+      pendingDirections.push({
+        startBeat: null,
+        staff: 1,
+        placement: match[1] === '_' ? 'below' : 'above',
+        noteId: null,
+        type: 'words',
+        value
+      })
+    }
+  }
+
+  const applyBar = token => {
+    const backward = token.text.startsWith(':')
+    const forward = token.text.length > 1 && token.text.endsWith(':')
+    let style = null
+    if (backward || token.text.includes('|]')) style = 'light-heavy'
+    else if (token.text.includes('||')) style = 'light-light'
+
+    // 跳房子在反复记号、双小节线或下一个跳房子处结束
+    let endingStop = null
+    if (openEnding && (backward || forward || style || token.ending)) {
+      endingStop = { number: openEnding, type: backward || token.ending ? 'stop' : 'discontinue', text: null }
+      openEnding = null
+    }
+
+    const rightBarline = style || backward || endingStop
+      ? { location: 'right', style, repeat: backward ? 'backward' : null, times: null, ending: endingStop }
+      : null
+
+    if (hasContent()) {
+      closeMeasure(rightBarline)
+    } else if (rightBarline && measures.length > 0) {
+      measures[measures.length - 1].barlines.push(rightBarline)
+    }
+
+    const leftStyle = forward || token.text.startsWith('[|') ? 'heavy-light' : null
+    if (leftStyle || token.ending) {
+      measure.barlines.push({
+        location: 'left',
+        style: leftStyle,
+        repeat: forward ? 'forward' : null,
+        times: null,
+        ending: token.ending ? { number: token.ending, type: 'start', text: `${token.ending}.` } : null
+      })
+    }
+    if (token.ending) openEnding = token.ending
+  }
+
+  const applyToken = token => {
+    switch (token.kind) {
+      case 'note':
+        placeNotes(token)
+        break
+      case 'rest':
+        placeRest(token.length)
+        break
+      case 'multirest': {
+        const measureTicks = getMeasureTicks(measure.timeSignature)
+        for (let i = 0; i < token.count; i++) {
+          if (i > 0) closeMeasure(null)
+          const { type, dots } = getDurationFromTicks(measureTicks)
+          measure.rests.push({ id: nextId(), duration: { type, dots, tuplet: null, ticks: measureTicks }, startBeat: 1, voice: 1, staff: 1 })
+          position = measureTicks
+        }
+        openTies = []
+        break
+      }
+      case 'grace':
+        placeGraceNotes(token)
+        break
+      case 'bar':
+        applyBar(token)
+        break
+      case 'tuplet': {
+        const q = token.q || defaultTupletNormal(token.p)
+        tuplet = { p: token.p, q, remaining: token.r || token.p }
+        break
+      }
+      case 'slurStart':
+        pendingSlurStarts++
+        break
+      case 'slurEnd':
+        if (openSlurs.length > 0 && lastNote) {
+          const number = openSlurs.pop()
+          lastNote.slurMarks = [...(lastNote.slurMarks || []), { type: 'stop', number, placement: null }]
+        }
+        break
+      case 'decoration':
+        applyDecoration(token.name)
+        break
+      case 'annotation':
+        applyAnnotation(token.text)
+        break
+      case 'field':
+        if (token.name === 'V') selectVoice(token.value)
+        else if (!skipping) applyField(token.name, token.value)
+        break
+    }
+  }
+
+  let afterLyrics = false
+  lines.forEach(line => {
+    const field = parseField(line)
+    if (field) {
+      if (field.name === 'V') {
+        selectVoice(field.value)
+      } else if (skipping) {
+        return
+      } else if (field.name === 'w') {
+        applyLyricLine(field.value, lyricEntries, ++verse)
+        afterLyrics = true
+      } else {
+        applyField(field.name, field.value)
+      }
+      return
+    }
+    if (skipping || line.trim() === '') return
+
+    // 新的音乐行之后的 w: 行重新对齐
+    if (afterLyrics) {
+      lyricEntries = []
+      verse = 0
+      afterLyrics = false
+    }
+    tokenizeMusic(line).forEach(token => {
+      if (skipping && !(token.kind === 'field' && token.name === 'V')) return
+      applyToken(token)
+    })
+  })
+
+  if (hasContent()) {
+    closeMeasure(openEnding ? { location: 'right', style: null, repeat: null, times: null, ending: { number: openEnding, type: 'discontinue', text: null } } : null)
+  } else if (openEnding && measures.length > 0) {
+    measures[measures.length - 1].barlines.push({
+      location: 'right', style: null, repeat: null, times: null,
+      ending: { number: openEnding, type: 'discontinue', text: null }
+    })
+  }
+
+  return {
+    measures: measures.map(m => ({
+      ...m,
+      notes: [...m.notes].sort((a, b) => a.startBeat - b.startBeat),
+      barlines: m.barlines.length > 0 ? m.barlines : undefined,
+      navigation: m.navigation.length > 0 ? m.navigation : undefined,
+      directions: m.directions.length > 0 ? m.directions : undefined
+    })),
+    partName
+  }
+}
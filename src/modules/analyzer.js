@@ -9,6 +9,7 @@
 
 import { 
   getStrongBeats, 
+  getMeasureBeats,
   isStrongBeat, 
   pitchToMidi,
   RHYTHM_PATTERNS
@@ -19,19 +20,118 @@ import {
   classifyVoicePart,
   isAIAvailable 
 } from '../ai/index.js'
+import { getScoreParts } from './parser.js'
+import { analyzeKeys } from './keyAnalysis.js'
+import { analyzeHarmony } from './harmony.js'
+import { analyzeCadences } from './cadence.js'
+import { analyzePhrases } from './phrases.js'
+import { estimateDifficulty } from './difficulty.js'
+import { throwIfAborted, yieldToEventLoop } from '../utils/cancellation.js'
+
+// 每分析这么多小节报告一次进度并让出主线程
+const ANALYSIS_BATCH_SIZE = 16
 
 /**
  * Analyze a parsed score
+ * 每个 part 独立分析；score.measures 对应第一个 part
  * @param {Object} score - Parsed score
  * @param {string} scoreType - 'single-staff' or 'grand-staff'
+ * @param {Object} options - { signal, onProgress(percent, stage) }
+ *   stage 为 'analyze'（逐小节分析）或 'voices'（大谱表声部识别）；signal 取消时抛出 SIMPLIFICATION_CANCELLED
  * @returns {Promise<Object>} Analyzed score
  */
-export async function analyzeScore(score, scoreType) {
-  const { metadata, measures } = score
+export async function analyzeScore(score, scoreType, options = {}) {
+  const { signal = null, onProgress = null } = options
+  const { metadata } = score
   
   // Type A: Deterministic analysis
   const strongBeats = getStrongBeats(metadata.timeSignature)
   
+  const sourceParts = getScoreParts(score)
+  const totalMeasures = sourceParts.reduce((sum, p) => sum + p.measures.length, 0)
+  const grandStaffParts = sourceParts.filter(p => getPartScoreType(p, scoreType) === 'grand-staff').length
+  let analyzedMeasures = 0
+  let separatedParts = 0
+  
+  const parts = []
+  for (const part of sourceParts) {
+    const partScoreType = getPartScoreType(part, scoreType)
+    const analyzed = await analyzePart(part.measures, metadata, partScoreType, {
+      signal,
+      onMeasures: count => {
+        analyzedMeasures += count
+        if (onProgress) onProgress(Math.round((analyzedMeasures / totalMeasures) * 100), 'analyze')
+      },
+      onVoices: () => {
+        separatedParts++
+        if (onProgress) onProgress(Math.round((separatedParts / grandStaffParts) * 100), 'voices')
+      }
+    })
+    parts.push({ ...part, ...analyzed, scoreType: partScoreType })
+  }
+  
+  // 调性与转调：所有 part 合并统计，每个小节得到 localKey
+  throwIfAborted(signal)
+  const keyAnalysis = analyzeKeys(parts.map(p => p.measures), metadata)
+  
+  // 和声：每拍的和弦和级数（相对于 localKey），存入 measure.harmony，供大谱表规则取舍内声部
+  analyzeHarmony(parts.map(p => p.measures), metadata)
+  
+  // 终止式：乐句结尾的两个和弦的外声部标记 cadence 并锁定
+  const cadences = analyzeCadences(parts.map(p => p.measures), metadata)
+  
+  // 乐句划分：休止、长音、终止式与旋律重复决定乐句边界，乐句末音锁定；各 part 的锁定音随之更新
+  const firstMeasure = parts[0].measures[0]
+  const phraseAnalysis = analyzePhrases(parts.map(p => p.measures), metadata, {
+    pickup: !!firstMeasure && isAnacrusis(firstMeasure, getMeasureTimeSignature(firstMeasure, metadata.timeSignature))
+  })
+  parts.forEach(part => {
+    part.lockedNotes = part.measures.flatMap(m => m.notes).filter(n => n.isLocked)
+  })
+  
+  // 原谱难度（1~8 级），与简化谱的难度对照
+  const difficulty = estimateDifficulty({ metadata, parts })
+  
+  return {
+    metadata,
+    parts,
+    measures: parts[0].measures,
+    voices: parts[0].voices,
+    lockedNotes: parts.flatMap(p => p.lockedNotes),
+    strongBeats,
+    keyAnalysis,
+    cadences,
+    phraseAnalysis,
+    difficulty,
+    scoreType
+  }
+}
+
+/**
+ * Score type to use for a single part
+ * 大谱表规则只适用于有两个谱表的 part（如钢琴），其余 part 按单行谱处理
+ * @param {Object} part - Part object
+ * @param {string} scoreType - Score type chosen by the user
+ * @returns {string} 'single-staff' or 'grand-staff'
+ */
+export function getPartScoreType(part, scoreType) {
+  if (scoreType === 'grand-staff' && part.staves && part.staves < 2) {
+    return 'single-staff'
+  }
+  return scoreType
+}
+
+/**
+ * Analyze the measures of one part
+ * @param {Array} measures - Measures of the part
+ * @param {Object} metadata - Score metadata
+ * @param {string} scoreType - 'single-staff' or 'grand-staff'
+ * @param {Object} progress - { signal, onMeasures(count), onVoices() }
+ * @returns {Promise<Object>} { measures, voices, lockedNotes }
+ */
+async function analyzePart(measures, metadata, scoreType, progress = {}) {
+  const { signal = null, onMeasures = null, onVoices = null } = progress
+  
   // Analyze each measure
   const analyzedMeasures = measures.map(measure => {
     const analyzedNotes = measure.notes.map(note => ({
@@ -50,37 +150,45 @@ export async function analyzeScore(score, scoreType) {
   // Type B: AI-assisted analysis
   const allNotes = analyzedMeasures.flatMap(m => m.notes)
   
-  // Identify LOCKED notes
-  identifyLockedNotes(analyzedMeasures, metadata.timeSignature)
+  // Identify LOCKED notes（分批进行，以便报告进度和响应取消）
+  for (let i = 0; i < analyzedMeasures.length; i += ANALYSIS_BATCH_SIZE) {
+    throwIfAborted(signal)
+    const batch = analyzedMeasures.slice(i, i + ANALYSIS_BATCH_SIZE)
+    identifyLockedNotes(batch, metadata.timeSignature)
+    if (onMeasures) onMeasures(batch.length)
+    await yieldToEventLoop()
+  }
   
   // Identify voices for grand staff
   let voices = {}
   if (scoreType === 'grand-staff') {
+    throwIfAborted(signal)
     voices = await identifyVoices(allNotes)
+    throwIfAborted(signal)
+    if (onVoices) onVoices()
   }
   
   // Get locked notes list
   const lockedNotes = allNotes.filter(n => n.isLocked)
   
   return {
-    metadata,
     measures: analyzedMeasures,
     voices,
-    lockedNotes,
-    strongBeats,
-    scoreType
+    lockedNotes
   }
 }
 
 /**
  * Identify LOCKED notes that should not be modified
  * @param {Array} measures - Array of measures
- * @param {Object} timeSignature - Time signature
+ * @param {Object} defaultTimeSignature - Time signature for measures without their own
  */
-function identifyLockedNotes(measures, timeSignature) {
-  const strongBeats = getStrongBeats(timeSignature)
-  
+function identifyLockedNotes(measures, defaultTimeSignature) {
   measures.forEach((measure, measureIdx) => {
+    // 拍号可能在乐曲中途改变，强拍按小节自己的拍号计算
+    const timeSignature = getMeasureTimeSignature(measure, defaultTimeSignature)
+    const strongBeats = getStrongBeats(timeSignature)
+    
     // 按声部分组处理，确保旋律线的转折点正确识别
     const staff1Notes = measure.notes.filter(n => n.staff === 1)
     const staff2Notes = measure.notes.filter(n => n.staff === 2)
@@ -113,7 +221,7 @@ function identifyLockedNotes(measures, timeSignature) {
       // Check for ties (cross-beat or cross-measure)
       if (note.tiedTo) {
         note.isLocked = true
-        note.lockReason = 'cross_beat_tie'
+        note.lockReason = measure.notes.some(n => n.id === note.tiedTo) ? 'cross_beat_tie' : 'cross_measure_tie'
         return
       }
       
@@ -159,6 +267,16 @@ function identifyLockedNotes(measures, timeSignature) {
 }
 
 
+/**
+ * Time signature in effect for a measure
+ * @param {Object} measure - Measure object
+ * @param {Object} defaultTimeSignature - Score-level time signature
+ * @returns {Object} Time signature
+ */
+export function getMeasureTimeSignature(measure, defaultTimeSignature) {
+  return measure?.timeSignature || defaultTimeSignature
+}
+
 /**
  * Check if a note is a melodic turning point
  * @param {Array} notes - Notes in measure
@@ -303,7 +421,7 @@ function groupByBeat(notes) {
  * @returns {boolean}
  */
 export function isAnacrusis(measure, timeSignature) {
-  const expectedBeats = timeSignature.beats
+  const expectedBeats = getMeasureBeats(timeSignature)
   
   if (!measure.notes || measure.notes.length === 0) {
     return false
@@ -0,0 +1,258 @@
+/**
+ * Cadence Detection Module
+ * Authentic, half, plagal and deceptive cadences at phrase ends
+ *
+ * 在 analyzeHarmony 之后调用，依据 measure.harmony 与 measure.localKey：
+ * - 乐句结尾（终止点）：强拍上开始的旋律音有延长记号；或长于前一个旋律音、至少两拍；
+ *   或至少一拍且后面跟着休止符；乐曲最后一个和弦也视为终止点
+ * - 终止点的和弦与之前最近的不同根音的和弦组成终止式，按级数和低音进行分类：
+ *   V/V7/vii° → I 为正格终止（两个和弦都是原位且旋律落在主音上为完全正格终止），
+ *   IV → I 为变格终止，V → vi（小调 VI）为阻碍终止，落在 V 上为半终止
+ * - 两个和弦的外声部（每个 part 在和弦开始处的最高音与最低音）标记 cadence（'approach' / 'arrival'）并锁定
+ *   （已锁定的保留原因，否则为 'cadence'），Level 1–2 的简化据此保留终止式
+ */
+
+import { getBeatUnitTicks, getMeasureBeats, isStrongBeat, pitchToMidi } from '../knowledge/index.js'
+import { getPitchClass, getMeasureKey } from './keyAnalysis.js'
+
+const EPSILON = 0.001
+
+// 向前查找终止前和弦的最大小节数
+const LOOKBACK_MEASURES = 2
+
+const TONIC_QUALITIES = ['major', 'minor']
+const DOMINANT_QUALITIES = ['major', 'dominant7']
+const LEADING_TONE_QUALITIES = ['diminished', 'halfDiminished7', 'diminished7']
+
+/**
+ * Find the cadences of a score and lock their outer-voice notes
+ * 各 part 按小节下标对齐；每个小节最多一个终止式，存入每个 part 的 measure.cadence
+ * @param {Array} partMeasures - Measures of each part (Array<Array<Measure>>)
+ * @param {Object} metadata - Score metadata
+ * @returns {Array} Cadences [{ type, perfect, measure, number, beat, key, chords, noteIds }]
+ */
+export function analyzeCadences(partMeasures, metadata) {
+  const count = Math.max(0, ...partMeasures.map(measures => measures.length))
+  const columns = Array.from({ length: count }, (_, idx) => partMeasures.map(measures => measures[idx]).filter(Boolean))
+  const lastIdx = findLastSoundingMeasure(columns)
+  const cadences = []
+
+  for (let idx = 0; idx <= lastIdx; idx++) {
+    const measures = columns[idx]
+    const timeSignature = measures[0]?.timeSignature || metadata.timeSignature
+    const harmony = measures[0]?.harmony || []
+    const key = getMeasureKey(measures[0], metadata.keySignature)
+
+    // 从小节末尾往前找，取小节中最后一个终止点
+    for (let s = harmony.length - 1; s >= 0; s--) {
+      const slot = harmony[s]
+      if (!slot.chord) continue
+      const isFinal = idx === lastIdx && (s === 0 || harmony.slice(s + 1).every(h => !h.chord))
+      if (!isFinal && !isPhraseEnd(columns, idx, slot, timeSignature)) continue
+
+      // 终止和弦从它在本小节中开始的拍算起
+      let arrivalIdx = s
+      while (arrivalIdx > 0 && isSameRoot(harmony[arrivalIdx - 1].chord, slot.chord)) arrivalIdx--
+      const arrival = harmony[arrivalIdx]
+
+      // 终止前的和弦：最近的一个，分类不成时再看前一个（中间可能是经过和弦）
+      const topNote = getTopNote(measures, arrival.beat) || getTopNote(measures, slot.beat)
+      let previous = null
+      let cadence = null
+      for (const candidate of findPreviousChords(columns, idx, arrivalIdx)) {
+        cadence = describeCadence(candidate.slot.chord, arrival.chord, key, topNote)
+        if (cadence) {
+          previous = candidate
+          break
+        }
+      }
+      if (!cadence) continue
+
+      const noteIds = [
+        ...lockOuterVoices(columns[previous.idx], previous.slot, 'approach'),
+        ...lockOuterVoices(measures, arrival, 'arrival')
+      ]
+      const result = {
+        ...cadence,
+        measure: idx,
+        number: measures[0].number ?? idx + 1,
+        beat: arrival.beat,
+        key: key.name,
+        noteIds
+      }
+      measures.forEach(measure => {
+        measure.cadence = result
+      })
+      cadences.push(result)
+      break
+    }
+  }
+
+  return cadences
+}
+
+/**
+ * 强拍上的旋律音是否结束一个乐句
+ */
+function isPhraseEnd(columns, idx, slot, timeSignature) {
+  const measures = columns[idx]
+  const top = getTopNote(measures, slot.beat)
+  if (!top) return false
+  if ((top.articulations || []).includes('fermata')) return true
+  if (!isStrongBeat(slot.beat, timeSignature)) return false
+
+  const length = top.duration.ticks / getBeatUnitTicks(timeSignature)
+  if (length >= 1 - EPSILON && isFollowedByRest(columns, idx, top, timeSignature)) return true
+
+  const before = getPreviousTopNote(columns, idx, slot.beat)
+  return length >= 2 - EPSILON && (!before || before.duration.ticks < top.duration.ticks)
+}
+
+// 该拍开始的最高音
+function getTopNote(measures, beat) {
+  return measures
+    .flatMap(m => m.notes || [])
+    .filter(n => !n.embellishment && n.pitch && Math.abs(n.startBeat - beat) < EPSILON)
+    .reduce((top, note) => (!top || pitchToMidi(note.pitch) > pitchToMidi(top.pitch) ? note : top), null)
+}
+
+// 该拍之前最后一个起音的最高音（本小节没有时取前一小节）
+function getPreviousTopNote(columns, idx, beat) {
+  for (let i = idx; i >= Math.max(0, idx - 1); i--) {
+    const onsets = columns[i]
+      .flatMap(m => m.notes || [])
+      .filter(n => !n.embellishment && n.pitch && (i < idx || n.startBeat < beat - EPSILON))
+    if (onsets.length === 0) continue
+    const last = Math.max(...onsets.map(n => n.startBeat))
+    return getTopNote(columns[i], last)
+  }
+  return null
+}
+
+// 音符结束处（同一谱表）是休止符
+function isFollowedByRest(columns, idx, note, timeSignature) {
+  const measureIdx = columns[idx].findIndex(m => (m.notes || []).includes(note))
+  const end = note.startBeat + note.duration.ticks / 1024
+  if (end < getMeasureBeats(timeSignature) + 1 - EPSILON) {
+    return hasRestAt(columns[idx][measureIdx], note.staff, end)
+  }
+  const next = columns[idx + 1]?.[measureIdx]
+  return !next || hasRestAt(next, note.staff, 1)
+}
+
+function hasRestAt(measure, staff, beat) {
+  const sameStaff = item => (item.staff || 1) === (staff || 1) && Math.abs(item.startBeat - beat) < EPSILON
+  return (measure.rests || []).some(sameStaff) && !(measure.notes || []).some(sameStaff)
+}
+
+/**
+ * 终止和弦之前最近的几个不同根音的和弦，每个返回它开始的拍
+ * 遇到没有和弦的拍即停止
+ * @returns {Array} [{ idx, slot }]，由近及远
+ */
+function findPreviousChords(columns, idx, slotIdx, limit = 2) {
+  const runs = []
+  let current = columns[idx][0].harmony[slotIdx].chord
+  // 与当前和弦开始处相距超过 LOOKBACK_MEASURES 个小节即停止
+  let currentIdx = idx
+  for (let i = idx; i >= 0 && i >= currentIdx - LOOKBACK_MEASURES; i--) {
+    const harmony = columns[i][0]?.harmony || []
+    for (let s = (i === idx ? slotIdx : harmony.length) - 1; s >= 0; s--) {
+      const chord = harmony[s].chord
+      if (!chord) return runs
+      if (isSameRoot(chord, current)) {
+        if (runs.length > 0) runs[runs.length - 1] = { idx: i, slot: harmony[s] }
+        currentIdx = i
+        continue
+      }
+      if (runs.length === limit) return runs
+      runs.push({ idx: i, slot: harmony[s] })
+      current = chord
+      currentIdx = i
+    }
+  }
+  return runs
+}
+
+function isSameRoot(a, b) {
+  return !!a && !!b && a.pitchClasses[0] === b.pitchClasses[0]
+}
+
+/**
+ * Classify two chords as a cadence
+ * @param {Object} previous - Chord before the arrival
+ * @param {Object} arrival - Chord at the phrase end
+ * @param {Object} key - LocalKey of the arrival
+ * @param {Object|null} topNote - Melody note at the arrival
+ * @returns {Object|null} { type, perfect, chords }
+ */
+function describeCadence(previous, arrival, key, topNote) {
+  const tonicPc = getPitchClass({ ...key.tonic, octave: 4 })
+  const from = (previous.pitchClasses[0] - tonicPc + 12) % 12
+  const to = (arrival.pitchClasses[0] - tonicPc + 12) % 12
+  const isDominant = from === 7 && DOMINANT_QUALITIES.includes(previous.quality)
+  // 减七和弦按等音可以有四种拼法，只要含导音即可
+  const isLeadingTone = previous.quality === 'diminished7'
+    ? previous.pitchClasses.includes((tonicPc + 11) % 12)
+    : from === 11 && LEADING_TONE_QUALITIES.includes(previous.quality)
+
+  // 四六和弦（如终止四六）不作为终止和弦
+  if (arrival.inversion === 2) return null
+
+  let type = null
+  if (to === 0 && TONIC_QUALITIES.includes(arrival.quality)) {
+    if (isDominant || isLeadingTone) type = 'authentic'
+    else if (from === 5 && TONIC_QUALITIES.includes(previous.quality)) type = 'plagal'
+  } else if (isDominant && to === (key.mode === 'minor' ? 8 : 9) && TONIC_QUALITIES.includes(arrival.quality)) {
+    type = 'deceptive'
+  } else if (to === 7 && arrival.quality === 'major' && arrival.inversion === 0 && from !== 7) {
+    type = 'half'
+  }
+  if (!type) return null
+
+  const perfect = type === 'authentic' && isDominant &&
+    previous.inversion === 0 && arrival.inversion === 0 &&
+    !!topNote && getPitchClass(topNote.pitch) === tonicPc
+
+  return { type, perfect, chords: [previous.roman, arrival.roman] }
+}
+
+/**
+ * 标记并锁定和弦开始处每个 part 的最高音与最低音
+ * 两者都取自和弦开始时起音的音，最高音优先取和弦音；单声部旋律因此只标记一个音
+ * @param {string} role - 'approach'（终止前的和弦）或 'arrival'（终止和弦），写入 note.cadence
+ * @returns {string[]} Locked note ids
+ */
+function lockOuterVoices(measures, slot, role) {
+  const ids = []
+  measures.forEach(measure => {
+    const notes = (measure.notes || []).filter(n =>
+      !n.embellishment && n.pitch &&
+      n.startBeat > slot.beat - EPSILON && n.startBeat < slot.beat + slot.duration - EPSILON
+    )
+    if (notes.length === 0) return
+    const first = Math.min(...notes.map(n => n.startBeat))
+    const onset = notes.filter(n => n.startBeat < first + EPSILON)
+    const chordTones = onset.filter(n => slot.chord.pitchClasses.includes(getPitchClass(n.pitch)))
+    const byPitch = (a, b) => pitchToMidi(a.pitch) - pitchToMidi(b.pitch)
+    const soprano = [...(chordTones.length > 0 ? chordTones : onset)].sort(byPitch).pop()
+    const bass = [...onset].sort(byPitch)[0]
+
+    new Set([soprano, bass]).forEach(note => {
+      note.cadence = role
+      if (!note.isLocked) {
+        note.isLocked = true
+        note.lockReason = 'cadence'
+      }
+      ids.push(note.id)
+    })
+  })
+  return ids
+}
+
+function findLastSoundingMeasure(columns) {
+  for (let idx = columns.length - 1; idx >= 0; idx--) {
+    if (columns[idx].some(m => (m.notes || []).some(n => !n.embellishment && n.pitch))) return idx
+  }
+  return -1
+}
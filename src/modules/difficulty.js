@@ -0,0 +1,227 @@
+/**
+ * Difficulty Estimation Module
+ * Grade estimate for a score or a range of measures
+ *
+ * 原谱和各级简化谱都可以评分，便于显示「Grade 5 → Grade 2」。每个 part 分别计算以下因素（0~1）：
+ * - density：每秒起音数（按速度换算）
+ * - rhythm：连音、附点、切分音所占比例，以及最短时值
+ * - range：每只手（谱表）的音域
+ * - leaps：旋律线和低音线相邻音的平均音程与八度以上大跳
+ * - accidentals：调号以外的临时升降号所占比例
+ * - keySignature：调号中升降号的个数
+ * - handIndependence：两只手节奏的独立程度（只对大谱表）
+ * - chordSize：每个起音上同时按下的音数（只对大谱表）
+ * 各因素加权平均后换算为 1~8 级；多个 part 时取最难的 part
+ */
+
+import { getBeatUnitTicks, getKeyAlter, getMeasureBeats, isStrongBeat, pitchToMidi } from '../knowledge/index.js'
+import { getScoreParts } from './parser.js'
+
+const EPSILON = 0.001
+
+export const MIN_GRADE = 1
+export const MAX_GRADE = 8
+
+// 各因素的权重；单行谱没有 handIndependence 和 chordSize，其余权重按比例放大
+const FACTOR_WEIGHTS = {
+  density: 0.25,
+  rhythm: 0.15,
+  range: 0.1,
+  leaps: 0.1,
+  accidentals: 0.1,
+  keySignature: 0.1,
+  handIndependence: 0.1,
+  chordSize: 0.1
+}
+
+const GRAND_STAFF_FACTORS = ['handIndependence', 'chordSize']
+
+// 各因素取值为 0 和 1 时对应的原始数值
+const FACTOR_RANGES = {
+  density: [1, 8], // 每秒起音数
+  rhythm: [0, 0.5], // 特殊节奏所占比例（含最短时值的加分）
+  range: [12, 36], // 半音
+  leaps: [2, 9], // 平均音程（半音），八度以上大跳另加
+  accidentals: [0, 0.25], // 临时记号所占比例
+  keySignature: [0, 7], // 升降号个数
+  handIndependence: [0, 1],
+  chordSize: [0, 2] // 每个起音上多出的音数
+}
+
+/**
+ * Estimate the difficulty of a score
+ * @param {Object} score - Analyzed or simplified score
+ * @param {Object} options - { start, end } 小节下标范围（含两端），默认整首
+ * @returns {Object} { grade, score, factors, parts: [{ id, name, grade, score, factors }], measures }
+ *   score 为 0~100；factors 为各因素 0~1 的取值（多个 part 时为最难 part 的取值）
+ */
+export function estimateDifficulty(score, options = {}) {
+  const { metadata = {} } = score
+  const tempo = metadata.tempo || 120
+
+  const parts = getScoreParts(score).map(part => {
+    const start = Math.max(0, options.start ?? 0)
+    const end = Math.min(part.measures.length - 1, options.end ?? part.measures.length - 1)
+    const measures = part.measures.slice(start, end + 1)
+    const grandStaff = part.staves >= 2 || measures.some(m => (m.notes || []).some(n => n.staff === 2))
+    const factors = getFactors(measures, metadata, tempo, grandStaff)
+    const value = combineFactors(factors, grandStaff)
+    return { id: part.id, name: part.name, grade: toGrade(value), score: Math.round(value * 100), factors, measures: measures.length }
+  })
+
+  if (parts.length === 0) return { grade: MIN_GRADE, score: 0, factors: {}, parts: [], measures: 0 }
+  const hardest = parts.reduce((max, part) => (part.score > max.score ? part : max))
+  return {
+    grade: hardest.grade,
+    score: hardest.score,
+    factors: hardest.factors,
+    parts: parts.map(({ measures, ...part }) => part),
+    measures: hardest.measures
+  }
+}
+
+/**
+ * 一个 part 的各因素
+ * @returns {Object} 因素名 → 0~1
+ */
+function getFactors(measures, metadata, tempo, grandStaff) {
+  const staves = grandStaff ? [1, 2] : [null]
+  const hands = staves.map(staff => measures.map(measure => getMainNotes(measure)
+    .filter(n => staff === null || (n.staff || 1) === staff)))
+
+  // 连线的后一个音不重新弹奏
+  const played = measures.map(measure => getMainNotes(measure).filter(n => !n.tiedFrom))
+  const playedCount = played.reduce((sum, notes) => sum + notes.length, 0)
+  const onsetCount = played.reduce((sum, notes) => sum + new Set(notes.map(n => `${n.staff || 1}:${n.startBeat.toFixed(3)}`)).size, 0)
+  const accidentalCount = played.reduce((sum, notes, idx) => {
+    const fifths = (measures[idx].keySignature || metadata.keySignature)?.fifths || 0
+    return sum + notes.filter(n => (n.pitch.alter || 0) !== getKeyAlter(n.pitch.step, fifths)).length
+  }, 0)
+
+  const totalBeats = measures.reduce((sum, m) => sum + getMeasureBeats(m.timeSignature || metadata.timeSignature), 0)
+  const seconds = totalBeats * 60 / tempo
+
+  const factors = {
+    density: seconds > 0 ? onsetCount / seconds : 0,
+    rhythm: getRhythmComplexity(played, measures, metadata),
+    range: average(hands.map(hand => getRange(hand.flat()))),
+    leaps: average(hands.map((hand, idx) => getLeapSize(hand, idx === 1))),
+    accidentals: playedCount > 0 ? accidentalCount / playedCount : 0,
+    keySignature: measures.reduce((max, m) => Math.max(max, Math.abs((m.keySignature || metadata.keySignature)?.fifths || 0)), 0)
+  }
+  if (grandStaff) {
+    factors.handIndependence = getHandIndependence(hands)
+    factors.chordSize = getChordSize(hands)
+  }
+
+  Object.keys(factors).forEach(name => {
+    const [low, high] = FACTOR_RANGES[name]
+    factors[name] = Math.round(clamp((factors[name] - low) / (high - low)) * 100) / 100
+  })
+  return factors
+}
+
+function getMainNotes(measure) {
+  return (measure.notes || []).filter(n => !n.embellishment && n.pitch)
+}
+
+function combineFactors(factors, grandStaff) {
+  const names = Object.keys(FACTOR_WEIGHTS).filter(name => grandStaff || !GRAND_STAFF_FACTORS.includes(name))
+  const totalWeight = names.reduce((sum, name) => sum + FACTOR_WEIGHTS[name], 0)
+  return names.reduce((sum, name) => sum + FACTOR_WEIGHTS[name] * (factors[name] || 0), 0) / totalWeight
+}
+
+function toGrade(value) {
+  return Math.min(MAX_GRADE, MIN_GRADE + Math.floor(value * (MAX_GRADE - MIN_GRADE + 1)))
+}
+
+/**
+ * 特殊节奏所占比例：连音、附点节奏、切分（弱拍起、越过下一拍）
+ * 最短时值为十六分音符或更短时另加
+ * @param {Array} played - 每个小节弹奏的音
+ */
+function getRhythmComplexity(played, measures, metadata) {
+  const notes = played.flat()
+  if (notes.length === 0) return 0
+  const special = played.reduce((sum, measureNotes, idx) => {
+    const timeSignature = measures[idx].timeSignature || metadata.timeSignature
+    return sum + measureNotes.filter(note => {
+      if (note.duration.tuplet) return true
+      // 附点音符不是整拍（如 4/4 的附点四分音符）时才算附点节奏
+      if (note.duration.dots > 0 && note.duration.ticks % getBeatUnitTicks(timeSignature) !== 0) return true
+      const end = note.startBeat + note.duration.ticks / 1024
+      return !isStrongBeat(note.startBeat, timeSignature) && note.startBeat % 1 > EPSILON && end > Math.ceil(note.startBeat) + EPSILON
+    }).length
+  }, 0)
+  const shortest = notes.reduce((min, n) => Math.min(min, n.duration.ticks), Infinity)
+  const shortBonus = shortest < 256 ? 0.2 : shortest < 512 ? 0.1 : 0
+  return special / notes.length + shortBonus
+}
+
+function getRange(notes) {
+  if (notes.length === 0) return 0
+  // 音符很多时展开参数会超出调用栈，用 reduce
+  const midis = notes.map(n => pitchToMidi(n.pitch))
+  return midis.reduce((max, midi) => Math.max(max, midi), -Infinity) - midis.reduce((min, midi) => Math.min(min, midi), Infinity)
+}
+
+/**
+ * 旋律线（或左手的低音线）相邻音的平均音程，八度以上的大跳按两倍计
+ * @param {Array} hand - 每个小节这只手的音
+ * @param {boolean} lowest - 取每个起音的最低音（左手）而不是最高音
+ */
+function getLeapSize(hand, lowest) {
+  const line = hand.flatMap(notes => {
+    const onsets = new Map()
+    notes.filter(n => !n.tiedFrom).forEach(note => {
+      const midi = pitchToMidi(note.pitch)
+      const current = onsets.get(note.startBeat)
+      if (current === undefined || (lowest ? midi < current : midi > current)) onsets.set(note.startBeat, midi)
+    })
+    return [...onsets.entries()].sort((a, b) => a[0] - b[0]).map(entry => entry[1])
+  })
+  if (line.length < 2) return 0
+  let total = 0
+  for (let i = 1; i < line.length; i++) {
+    const interval = Math.abs(line[i] - line[i - 1])
+    total += interval > 12 ? interval * 2 : interval
+  }
+  return total / (line.length - 1)
+}
+
+/**
+ * 两只手的独立程度：不同时起音的比例 × 两只手起音数之比
+ * 两手节奏相同，或一只手几乎不动时都较低
+ */
+function getHandIndependence(hands) {
+  const onsets = hands.map(hand => new Set(hand.flatMap((notes, idx) =>
+    notes.filter(n => !n.tiedFrom).map(n => `${idx}:${n.startBeat.toFixed(3)}`)
+  )))
+  const [right, left] = onsets
+  if (right.size === 0 || left.size === 0) return 0
+  const union = new Set([...right, ...left])
+  const shared = [...right].filter(key => left.has(key)).length
+  const balance = Math.min(right.size, left.size) / Math.max(right.size, left.size)
+  return (1 - shared / union.size) * balance
+}
+
+// 每个起音上除一个音之外多出的音数（两只手的平均）
+function getChordSize(hands) {
+  return average(hands.map(hand => {
+    const sizes = new Map()
+    hand.forEach((notes, idx) => notes.filter(n => !n.tiedFrom).forEach(note => {
+      const key = `${idx}:${note.startBeat.toFixed(3)}`
+      sizes.set(key, (sizes.get(key) || 0) + 1)
+    }))
+    if (sizes.size === 0) return 0
+    return [...sizes.values()].reduce((sum, size) => sum + size - 1, 0) / sizes.size
+  }))
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, value))
+}
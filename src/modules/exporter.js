@@ -19,26 +19,64 @@
  */
 
 import JSZip from 'jszip'
+import { getScoreParts } from './parser.js'
+import { getMeasureTicks, splitDurationTicks } from '../knowledge/index.js'
+import { generateMidiFile } from './midi.js'
+import { generateAbc } from './abc.js'
+import { generateLilyPond } from './lilypond.js'
+import { attachSlurMarks } from './slurs.js'
+import { throwIfAborted } from '../utils/cancellation.js'
 
 /**
- * Export simplified score to MusicXML
+ * Export simplified score to MusicXML, compressed MusicXML, MIDI, ABC or LilyPond
+ * @param {Object} score - Simplified score
+ * @param {'musicxml' | 'mxl' | 'mid' | 'abc' | 'ly'} format - Output format（abc 只支持单谱表结果）
+ * @param {Object} options - MIDI options (see generateMidiFile), plus
+ *   signal（取消时抛出 SIMPLIFICATION_CANCELLED）和 onProgress(percent)
  */
-export async function exportScore(score, format = 'musicxml') {
-  const xmlContent = generateMusicXML(score)
+export async function exportScore(score, format = 'musicxml', options = {}) {
+  const { signal = null, onProgress = null } = options
+  const report = percent => {
+    if (onProgress) onProgress(percent)
+  }
+  
+  throwIfAborted(signal)
+  report(0)
   
-  if (format === 'mxl') {
-    return await createMxlFile(xmlContent, score.metadata.title)
+  let blob
+  if (format === 'mid') {
+    blob = new Blob([generateMidiFile(score, options)], { type: 'audio/midi' })
+  } else if (format === 'abc') {
+    blob = new Blob([generateAbc(score)], { type: 'text/vnd.abc' })
+  } else if (format === 'ly') {
+    blob = new Blob([generateLilyPond(score)], { type: 'text/x-lilypond' })
+  } else {
+    const xmlContent = generateMusicXML(score)
+    if (format === 'mxl') {
+      // 生成 XML 占前一半进度，压缩占后一半
+      report(50)
+      throwIfAborted(signal)
+      blob = await createMxlFile(xmlContent, score.metadata.title, percent => report(50 + Math.round(percent / 2)))
+    } else {
+      blob = new Blob([xmlContent], { type: 'application/vnd.recordare.musicxml+xml' })
+    }
   }
   
-  return new Blob([xmlContent], { type: 'application/vnd.recordare.musicxml+xml' })
+  throwIfAborted(signal)
+  report(100)
+  return blob
 }
 
 /**
  * Generate MusicXML content
+ * 也用于页面内的乐谱渲染（ScoreNotation）
+ * @param {Object} score - Simplified score
+ * @returns {string} MusicXML document
  */
-function generateMusicXML(score) {
-  const { metadata, measures, scoreType } = score
+export function generateMusicXML(score) {
+  const { metadata, scoreType } = score
   const divisions = 256 // 每四分音符的分割数
+  const parts = getScoreParts(score)
   
   let xml = `<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">
@@ -54,53 +92,204 @@ function generateMusicXML(score) {
     </encoding>
   </identification>
   <part-list>
-    <score-part id="P1">
-      <part-name>${scoreType === 'grand-staff' ? 'Piano' : 'Part 1'}</part-name>
+`
+
+  parts.forEach(part => {
+    const partScoreType = part.scoreType || scoreType
+    const partName = parts.length > 1 && part.name
+      ? part.name
+      : (partScoreType === 'grand-staff' ? 'Piano' : 'Part 1')
+    xml += `    <score-part id="${escapeXml(part.id)}">
+      <part-name>${escapeXml(partName)}</part-name>
     </score-part>
-  </part-list>
-  <part id="P1">
+`
+  })
+
+  xml += `  </part-list>
 `
 
-  measures.forEach((measure, index) => {
-    xml += generateMeasureXML(measure, index === 0, metadata, divisions, scoreType)
+  parts.forEach(part => {
+    const partScoreType = part.scoreType || scoreType
+    xml += `  <part id="${escapeXml(part.id)}">
+`
+    const measures = attachSlurMarks(part.measures, part.slurs)
+    measures.forEach((measure, index) => {
+      xml += generateMeasureXML(measure, measures[index - 1] || null, metadata, divisions, partScoreType)
+    })
+    xml += `  </part>
+`
   })
 
-  xml += `  </part>
-</score-partwise>`
+  xml += `</score-partwise>`
 
   return xml
 }
 
 /**
  * Generate XML for a single measure
+ * 拍号、调号、谱号变化时在该小节开头重新输出 attributes
  */
-function generateMeasureXML(measure, isFirst, metadata, divisions, scoreType) {
+function generateMeasureXML(measure, prevMeasure, metadata, divisions, scoreType) {
   let xml = `    <measure number="${measure.number}">\n`
   
-  if (isFirst) {
-    xml += generateAttributesXML(metadata, divisions, scoreType)
-    if (metadata.tempo) {
-      xml += `      <direction placement="above">
+  const attributes = getMeasureAttributes(measure, metadata, scoreType)
+  const prevAttributes = prevMeasure ? getMeasureAttributes(prevMeasure, metadata, scoreType) : null
+  
+  xml += generateAttributesXML(attributes, prevAttributes, divisions, scoreType)
+  xml += generateBarlinesXML(measure.barlines, 'left')
+  xml += generateNavigationXML(measure.navigation, NAVIGATION_START_MARKS)
+  
+  if (!prevMeasure && metadata.tempo) {
+    xml += `      <direction placement="above">
         <direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${metadata.tempo}</per-minute></metronome></direction-type>
         <sound tempo="${metadata.tempo}"/>
       </direction>\n`
-    }
   }
   
   const notes = measure.notes || []
-  const timeSignature = metadata.timeSignature
-  const measureDuration = timeSignature.beats * divisions
+  const timeSignature = attributes.timeSignature
+  const measureDuration = Math.round(getMeasureTicks(timeSignature) / 1024 * divisions)
+  
+  // 附着在音符上的力度/表情记号随该音符输出，其余放在小节开头并用 offset 定位
+  const directions = measure.directions || []
+  const noteIds = new Set(notes.map(n => n.id))
+  const anchoredDirections = directions.filter(d => d.noteId && noteIds.has(d.noteId))
+  directions
+    .filter(d => !anchoredDirections.includes(d))
+    .forEach(d => {
+      const staff = scoreType === 'grand-staff' ? Math.min(Math.max(d.staff || 1, 1), 2) : 1
+      const offset = Math.round((d.startBeat - 1) * divisions)
+      xml += generateDirectionXML(d, staff, offset)
+    })
   
   if (scoreType === 'grand-staff') {
-    xml += generateGrandStaffMeasureXML(notes, divisions, timeSignature, measureDuration)
+    xml += generateGrandStaffMeasureXML(notes, divisions, timeSignature, measureDuration, anchoredDirections)
   } else {
-    xml += generateSingleStaffMeasureXML(notes, divisions, timeSignature, measureDuration)
+    xml += generateSingleStaffMeasureXML(notes, divisions, timeSignature, measureDuration, anchoredDirections)
   }
   
+  xml += generateNavigationXML(measure.navigation, NAVIGATION_END_MARKS)
+  xml += generateBarlinesXML(measure.barlines, 'right')
   xml += `    </measure>\n`
   return xml
 }
 
+/**
+ * 反复记号：小节线上的反复、跳房子
+ */
+function generateBarlinesXML(barlines, location) {
+  let xml = ''
+  const matching = (barlines || []).filter(b => b.location === location)
+  
+  matching.forEach(barline => {
+    xml += `      <barline location="${location}">\n`
+    if (barline.style) {
+      xml += `        <bar-style>${barline.style}</bar-style>\n`
+    }
+    if (barline.ending) {
+      const { number, type, text } = barline.ending
+      xml += text && type === 'start'
+        ? `        <ending number="${escapeXml(number)}" type="${type}">${escapeXml(text)}</ending>\n`
+        : `        <ending number="${escapeXml(number)}" type="${type}"/>\n`
+    }
+    if (barline.repeat) {
+      const times = barline.times ? ` times="${barline.times}"` : ''
+      xml += `        <repeat direction="${barline.repeat}"${times}/>\n`
+    }
+    xml += `      </barline>\n`
+  })
+  
+  return xml
+}
+
+// 小节开头输出的跳转记号（跳转目标）与小节末尾输出的跳转记号（跳转指令）
+const NAVIGATION_START_MARKS = ['segno', 'coda']
+const NAVIGATION_END_MARKS = ['tocoda', 'fine', 'dacapo', 'dalsegno']
+
+const NAVIGATION_DEFAULT_TEXT = {
+  tocoda: 'To Coda',
+  fine: 'Fine',
+  dacapo: 'D.C.',
+  dalsegno: 'D.S.'
+}
+
+const NAVIGATION_SOUND = {
+  segno: 'segno="segno"',
+  coda: 'coda="coda"',
+  tocoda: 'tocoda="coda"',
+  fine: 'fine="yes"',
+  dacapo: 'dacapo="yes"',
+  dalsegno: 'dalsegno="segno"'
+}
+
+/**
+ * 跳转记号：Segno、Coda、To Coda、Fine、D.C.、D.S.
+ */
+function generateNavigationXML(navigation, types) {
+  let xml = ''
+  const marks = (navigation || []).filter(mark => types.includes(mark.type))
+  
+  marks.forEach(mark => {
+    const directionType = mark.type === 'segno' || mark.type === 'coda'
+      ? `<${mark.type}/>`
+      : `<words>${escapeXml(mark.text || NAVIGATION_DEFAULT_TEXT[mark.type])}</words>`
+    xml += `      <direction placement="above">
+        <direction-type>${directionType}</direction-type>
+        <sound ${NAVIGATION_SOUND[mark.type]}/>
+      </direction>\n`
+  })
+  
+  return xml
+}
+
+// MusicXML <dynamics> 中可以直接使用的力度标记
+const DYNAMIC_MARKS = [
+  'pppppp', 'ppppp', 'pppp', 'ppp', 'pp', 'p', 'mp', 'mf', 'f', 'ff', 'fff', 'ffff', 'fffff', 'ffffff',
+  'sf', 'sfp', 'sfpp', 'fp', 'rf', 'rfz', 'sfz', 'sffz', 'fz', 'n', 'pf', 'sfzp'
+]
+
+/**
+ * 力度、渐强渐弱和表情文字
+ */
+function generateDirectionXML(direction, staff, offset = 0) {
+  const placement = direction.placement || (direction.type === 'words' ? 'above' : 'below')
+  
+  let directionType
+  if (direction.type === 'dynamic') {
+    const mark = DYNAMIC_MARKS.includes(direction.value)
+      ? `<${direction.value}/>`
+      : `<other-dynamics>${escapeXml(direction.value)}</other-dynamics>`
+    directionType = `<dynamics>${mark}</dynamics>`
+  } else if (direction.type === 'wedge') {
+    directionType = `<wedge type="${direction.value}" number="${direction.number || 1}"/>`
+  } else {
+    directionType = `<words>${escapeXml(direction.value)}</words>`
+  }
+  
+  let xml = `      <direction placement="${placement}">
+        <direction-type>${directionType}</direction-type>\n`
+  if (offset) {
+    xml += `        <offset>${offset}</offset>\n`
+  }
+  xml += `        <staff>${staff}</staff>
+      </direction>\n`
+  return xml
+}
+
+/**
+ * 获取小节生效的拍号、调号和谱号（小节未记录时使用全曲的值）
+ */
+function getMeasureAttributes(measure, metadata, scoreType) {
+  const clefs = measure.clefs || []
+  return {
+    timeSignature: measure.timeSignature || metadata.timeSignature,
+    keySignature: measure.keySignature || metadata.keySignature,
+    clefs: scoreType === 'grand-staff'
+      ? [clefs[0] || 'G2', clefs[1] || 'F4']
+      : [clefs[0] || 'G2']
+  }
+}
+
 /**
  * 生成大谱表小节的 XML
  * 
@@ -115,7 +304,7 @@ function generateMeasureXML(measure, isFirst, metadata, divisions, scoreType) {
  * - 使用 backup 回到小节开头
  * - 每个声部独立输出，时值必须填满整个小节
  */
-function generateGrandStaffMeasureXML(notes, divisions, timeSignature, measureDuration) {
+function generateGrandStaffMeasureXML(notes, divisions, timeSignature, measureDuration, directions = []) {
   let xml = ''
   
   // 按 voicePart 分离四个声部
@@ -140,7 +329,7 @@ function generateGrandStaffMeasureXML(notes, divisions, timeSignature, measureDu
     // Voice 1: Soprano - 输出完整小节（包含休止符填充）
     if (hasSoprano) {
       const sopranoNotes = soprano.length > 0 ? soprano : upperNotes
-      const result = generateVoiceXMLAligned(sopranoNotes, 1, 1, divisions, measureDuration, hasAlto ? 'up' : null)
+      const result = generateVoiceXMLAligned(sopranoNotes, 1, 1, divisions, measureDuration, hasAlto ? 'up' : null, directions)
       xml += result.xml
     }
     
@@ -148,7 +337,7 @@ function generateGrandStaffMeasureXML(notes, divisions, timeSignature, measureDu
     if (hasAlto) {
       // 回到小节开头
       xml += `      <backup><duration>${measureDuration}</duration></backup>\n`
-      const result = generateVoiceXMLAligned(alto, 2, 1, divisions, measureDuration, 'down')
+      const result = generateVoiceXMLAligned(alto, 2, 1, divisions, measureDuration, 'down', directions)
       xml += result.xml
     }
   } else {
@@ -166,7 +355,7 @@ function generateGrandStaffMeasureXML(notes, divisions, timeSignature, measureDu
   if (hasTenor || hasBass) {
     // Voice 3: Tenor
     if (hasTenor) {
-      const result = generateVoiceXMLAligned(tenor, 3, 2, divisions, measureDuration, hasBass ? 'up' : null)
+      const result = generateVoiceXMLAligned(tenor, 3, 2, divisions, measureDuration, hasBass ? 'up' : null, directions)
       xml += result.xml
       
       if (hasBass) {
@@ -178,7 +367,7 @@ function generateGrandStaffMeasureXML(notes, divisions, timeSignature, measureDu
     // Voice 4: Bass
     if (hasBass) {
       const bassNotes = bass.length > 0 ? bass : lowerNotes
-      const result = generateVoiceXMLAligned(bassNotes, 4, 2, divisions, measureDuration, hasTenor ? 'down' : null)
+      const result = generateVoiceXMLAligned(bassNotes, 4, 2, divisions, measureDuration, hasTenor ? 'down' : null, directions)
       xml += result.xml
     }
   } else {
@@ -203,9 +392,10 @@ function generateGrandStaffMeasureXML(notes, divisions, timeSignature, measureDu
  * @param {number} divisions - 每四分音符的分割数
  * @param {number} measureDuration - 小节总时值
  * @param {string} stemDirection - 符干方向
+ * @param {Array} directions - 附着在音符上的力度/表情记号
  * @returns {Object} { xml, duration }
  */
-function generateVoiceXMLAligned(notes, voice, staff, divisions, measureDuration, stemDirection) {
+function generateVoiceXMLAligned(notes, voice, staff, divisions, measureDuration, stemDirection, directions = []) {
   let xml = ''
   let totalDuration = 0
   
@@ -240,10 +430,24 @@ function generateVoiceXMLAligned(notes, voice, staff, divisions, measureDuration
     // 获取音符的实际时值
     const noteDuration = Math.round((group.notes[0].duration?.ticks || 1024) / 1024 * divisions)
     
+    // 力度/表情记号写在所附音符之前
+    directions
+      .filter(d => group.notes.some(n => n.id === d.noteId))
+      .forEach(d => {
+        xml += generateDirectionXML(d, staff)
+      })
+    
+    // 无法用单个音符记写的时值（如 5/4 的整小节）拆成用连线连接的几个音符
+    const first = group.notes[0]
+    const pieces = first.duration?.tuplet ? [first.duration] : splitDurationTicks(first.duration?.ticks || 1024)
+    
     // 输出和弦中的所有音符
-    group.notes.forEach((note, noteIdx) => {
-      const isChord = noteIdx > 0
-      xml += generateNoteXML(note, divisions, voice, staff, isChord, stemDirection)
+    pieces.forEach((piece, pieceIdx) => {
+      group.notes.forEach((note, noteIdx) => {
+        const isChord = noteIdx > 0
+        const written = pieces.length > 1 ? getTiedPiece(note, piece, pieceIdx, pieces.length) : note
+        xml += generateNoteXML(written, divisions, voice, staff, isChord, stemDirection)
+      })
     })
     
     // 只有第一个音符（非和弦音）计入时值
@@ -261,14 +465,33 @@ function generateVoiceXMLAligned(notes, voice, staff, divisions, measureDuration
   return { xml, duration: totalDuration }
 }
 
+/**
+ * 拆开的音符中的一段：中间用连线连接，原有的连线、连句线起点、歌词和奏法记在第一段，
+ * 连线和连句线终点、延长记号记在最后一段
+ */
+function getTiedPiece(note, duration, idx, count) {
+  const isFirst = idx === 0
+  const isLast = idx === count - 1
+  const articulations = note.articulations || []
+  return {
+    ...note,
+    duration: { type: duration.type, dots: duration.dots, tuplet: null, ticks: duration.ticks },
+    tiedFrom: isFirst ? note.tiedFrom : note.id,
+    tiedTo: isLast ? note.tiedTo : note.id,
+    articulations: articulations.filter(a => (a === 'fermata' ? isLast : isFirst)),
+    slurMarks: (note.slurMarks || []).filter(s => (s.type === 'stop' ? isLast : isFirst)),
+    lyrics: isFirst ? note.lyrics : []
+  }
+}
+
 /**
  * 生成单行谱小节的 XML
  */
-function generateSingleStaffMeasureXML(notes, divisions, timeSignature, measureDuration) {
+function generateSingleStaffMeasureXML(notes, divisions, timeSignature, measureDuration, directions = []) {
   if (!notes || notes.length === 0) {
     return generateFullMeasureRest(1, 1, measureDuration)
   }
-  const result = generateVoiceXMLAligned(notes, 1, 1, divisions, measureDuration, null)
+  const result = generateVoiceXMLAligned(notes, 1, 1, divisions, measureDuration, null, directions)
   return result.xml
 }
 
@@ -349,27 +572,55 @@ function generateFullMeasureRest(voice, staff, measureDuration) {
 
 /**
  * Generate attributes XML
+ * 第一小节输出完整 attributes；之后只输出与上一小节不同的部分，没有变化时返回空字符串
  */
-function generateAttributesXML(metadata, divisions, scoreType) {
-  const { timeSignature, keySignature } = metadata
+function generateAttributesXML(attributes, prevAttributes, divisions, scoreType) {
+  const { timeSignature, keySignature, clefs } = attributes
+  const isFirst = !prevAttributes
   
-  let xml = `      <attributes>
-        <divisions>${divisions}</divisions>
-        <key><fifths>${keySignature.fifths}</fifths></key>
-        <time><beats>${timeSignature.beats}</beats><beat-type>${timeSignature.beatType}</beat-type></time>\n`
+  const keyChanged = isFirst || keySignature.fifths !== prevAttributes.keySignature.fifths
+  const timeChanged = isFirst ||
+    timeSignature.beats !== prevAttributes.timeSignature.beats ||
+    timeSignature.beatType !== prevAttributes.timeSignature.beatType
+  const changedClefs = clefs
+    .map((clef, idx) => ({ clef, number: idx + 1 }))
+    .filter(({ clef, number }) => isFirst || clef !== prevAttributes.clefs[number - 1])
   
-  if (scoreType === 'grand-staff') {
-    xml += `        <staves>2</staves>
-        <clef number="1"><sign>G</sign><line>2</line></clef>
-        <clef number="2"><sign>F</sign><line>4</line></clef>\n`
-  } else {
-    xml += `        <clef><sign>G</sign><line>2</line></clef>\n`
+  if (!keyChanged && !timeChanged && changedClefs.length === 0) return ''
+  
+  let xml = `      <attributes>\n`
+  
+  if (isFirst) {
+    xml += `        <divisions>${divisions}</divisions>\n`
+  }
+  if (keyChanged) {
+    xml += `        <key><fifths>${keySignature.fifths}</fifths></key>\n`
+  }
+  if (timeChanged) {
+    xml += `        <time><beats>${timeSignature.beats}</beats><beat-type>${timeSignature.beatType}</beat-type></time>\n`
   }
+  if (isFirst && scoreType === 'grand-staff') {
+    xml += `        <staves>2</staves>\n`
+  }
+  
+  changedClefs.forEach(({ clef, number }) => {
+    const numberAttr = scoreType === 'grand-staff' ? ` number="${number}"` : ''
+    xml += `        <clef${numberAttr}>${clefToXML(clef)}</clef>\n`
+  })
   
   xml += `      </attributes>\n`
   return xml
 }
 
+/**
+ * 谱号字符串（如 'G2'、'F4'、'C3'）转为 sign/line 元素
+ */
+function clefToXML(clef) {
+  const match = /^(.*?)(\d*)$/.exec(clef)
+  const sign = match[1] || 'G'
+  return match[2] ? `<sign>${sign}</sign><line>${match[2]}</line>` : `<sign>${sign}</sign>`
+}
+
 /**
  * Generate note XML
  */
@@ -391,6 +642,9 @@ function generateNoteXML(note, divisions, voice, staff, isChord = false, stemDir
   
   xml += `        <duration>${xmlDuration}</duration>\n`
   
+  if (note.tiedFrom) {
+    xml += `        <tie type="stop"/>\n`
+  }
   if (note.tiedTo) {
     xml += `        <tie type="start"/>\n`
   }
@@ -416,14 +670,50 @@ function generateNoteXML(note, divisions, voice, staff, isChord = false, stemDir
   
   xml += `        <staff>${staff}</staff>\n`
   
+  const notations = []
+  if (note.tiedFrom) {
+    notations.push('<tied type="stop"/>')
+  }
   if (note.tiedTo) {
-    xml += `        <notations><tied type="start"/></notations>\n`
+    notations.push('<tied type="start"/>')
   }
+  const slurMarks = note.slurMarks || []
+  slurMarks.forEach(slur => {
+    const placement = slur.type === 'start' && slur.placement ? ` placement="${slur.placement}"` : ''
+    notations.push(`<slur type="${slur.type}" number="${slur.number}"${placement}/>`)
+  })
+  const articulations = (note.articulations || []).filter(a => a !== 'fermata')
+  if (articulations.length > 0) {
+    notations.push(`<articulations>${articulations.map(a => `<${a}/>`).join('')}</articulations>`)
+  }
+  if (note.articulations?.includes('fermata')) {
+    notations.push('<fermata type="upright"/>')
+  }
+  if (notations.length > 0) {
+    xml += `        <notations>${notations.join('')}</notations>\n`
+  }
+  
+  const lyrics = note.lyrics || []
+  lyrics.forEach(lyric => {
+    xml += generateLyricXML(lyric)
+  })
   
   xml += `      </note>\n`
   return xml
 }
 
+function generateLyricXML(lyric) {
+  let content = `<syllabic>${lyric.syllabic || 'single'}</syllabic><text>${escapeXml(lyric.text)}</text>`
+  const elisions = lyric.elisions || []
+  elisions.forEach(syllable => {
+    content += `<elision> </elision><syllabic>${syllable.syllabic || 'single'}</syllabic><text>${escapeXml(syllable.text)}</text>`
+  })
+  if (lyric.extend) {
+    content += '<extend/>'
+  }
+  return `        <lyric number="${lyric.verse}">${content}</lyric>\n`
+}
+
 function durationToType(type) {
   const typeMap = {
     'whole': 'whole', 'half': 'half', 'quarter': 'quarter',
@@ -432,7 +722,7 @@ function durationToType(type) {
   return typeMap[type] || 'quarter'
 }
 
-async function createMxlFile(xmlContent, title) {
+async function createMxlFile(xmlContent, title, onProgress = null) {
   const zip = new JSZip()
   
   const containerXml = `<?xml version="1.0" encoding="UTF-8"?>
@@ -445,7 +735,12 @@ async function createMxlFile(xmlContent, title) {
   zip.file('META-INF/container.xml', containerXml)
   zip.file('score.xml', xmlContent)
   
-  return await zip.generateAsync({ type: 'blob', mimeType: 'application/vnd.recordare.musicxml' })
+  return await zip.generateAsync(
+    { type: 'blob', mimeType: 'application/vnd.recordare.musicxml' },
+    metadata => {
+      if (onProgress) onProgress(metadata.percent)
+    }
+  )
 }
 
 function escapeXml(str) {
@@ -0,0 +1,197 @@
+/**
+ * Harmony Analysis Module
+ * Chord labels per beat with Roman numerals relative to the local key
+ *
+ * 每个小节按拍（getBeatPositions：4/4 四拍，6/8 两个附点四分拍）切分，每拍取所有 part、两个谱表上
+ * 在该拍内发声的音（包括此前开始、延续进来的音），按发声时长加权得到音级分布，最低音另加权重；
+ * 再与 CHORD_QUALITIES 中各类和弦在 12 个根音上的模板比较：
+ * - 和弦音的权重计分，非和弦音扣分，模板中缺少的音扣分
+ * - 根音在低音、和弦各音都在本调音阶内的略加分
+ * 只有一个音级的拍（单旋律、八度）如果属于前一个和弦，视为前一个和弦的延续，否则不标记
+ *
+ * 结果存入 measure.harmony: [{ beat, duration, chord }]，chord 为 null 或
+ * { root, quality, inversion, bass, symbol, roman, pitchClasses, confidence }
+ */
+
+import { CHORD_QUALITIES, getBeatPositions, getMeasureBeats, midiToPitch, pitchToMidi } from '../knowledge/index.js'
+import { getPitchClass, getMeasureKey } from './keyAnalysis.js'
+
+const EPSILON = 0.001
+
+const NON_CHORD_PENALTY = 0.6
+const MISSING_TONE_PENALTY = 0.15
+const BASS_ROOT_BONUS = 0.1
+const DIATONIC_BONUS = 0.05
+// 最低音额外加的权重（相对于一拍的长度）
+const BASS_WEIGHT = 0.5
+
+// 本调音阶（相对主音的半音数），小调含升高的导音
+const SCALES = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10, 11]
+}
+
+// 根音相对主音的半音数 → 级数
+const DEGREES = {
+  major: ['I', 'bII', 'II', 'bIII', 'III', 'IV', '#IV', 'V', 'bVI', 'VI', 'bVII', 'VII'],
+  minor: ['I', 'bII', 'II', 'III', '#III', 'IV', '#IV', 'V', 'VI', '#VI', 'VII', 'VII']
+}
+
+const INVERSION_FIGURES = {
+  triad: ['', '6', '64'],
+  seventh: ['7', '65', '43', '42']
+}
+
+const LOWERCASE_QUALITIES = ['minor', 'diminished', 'minor7', 'halfDiminished7', 'diminished7']
+
+const QUALITY_SIGNS = {
+  diminished: '°',
+  augmented: '+',
+  major7: 'M',
+  halfDiminished7: 'ø',
+  diminished7: '°'
+}
+
+/**
+ * Label the harmony of every measure
+ * 各 part 按小节下标对齐，所有 part 的音一起分析；结果写入每个 part 的 measure.harmony
+ * 调性取 measure.localKey（见 keyAnalysis.js），应在 analyzeKeys 之后调用
+ * @param {Array} partMeasures - Measures of each part (Array<Array<Measure>>)
+ * @param {Object} metadata - Score metadata
+ * @returns {Array} Harmony of each measure index
+ */
+export function analyzeHarmony(partMeasures, metadata) {
+  const count = Math.max(0, ...partMeasures.map(measures => measures.length))
+  const result = []
+  let previous = null
+
+  for (let idx = 0; idx < count; idx++) {
+    const measures = partMeasures.map(measures => measures[idx]).filter(Boolean)
+    const timeSignature = measures[0]?.timeSignature || metadata.timeSignature
+    const key = getMeasureKey(measures[0], metadata.keySignature)
+    const notes = measures.flatMap(m => m.notes || []).filter(n => !n.embellishment && n.pitch)
+
+    const beats = getBeatPositions(timeSignature)
+    const measureEnd = getMeasureBeats(timeSignature) + 1
+    const harmony = beats.map((beat, i) => {
+      const end = beats[i + 1] || measureEnd
+      const chord = findChord(notes, beat, end, key, previous)
+      if (chord) previous = chord
+      return { beat, duration: end - beat, chord }
+    })
+
+    partMeasures.forEach(list => {
+      if (list[idx]) list[idx].harmony = harmony
+    })
+    result.push(harmony)
+  }
+
+  return result
+}
+
+/**
+ * Chord sounding at a beat of an analyzed measure
+ * @param {Object} measure - Measure with harmony
+ * @param {number} beat - Beat position (1-indexed, quarter-note based)
+ * @returns {Object|null} Chord
+ */
+export function getChordAt(measure, beat) {
+  const slot = (measure?.harmony || []).find(h => beat >= h.beat - EPSILON && beat < h.beat + h.duration - EPSILON)
+  return slot ? slot.chord : null
+}
+
+/**
+ * 一拍内的和弦
+ * @returns {Object|null} Chord
+ */
+function findChord(notes, start, end, key, previous) {
+  const weights = new Array(12).fill(0)
+  let lowest = null
+  const sounding = notes.filter(note => {
+    const noteEnd = note.startBeat + note.duration.ticks / 1024
+    if (note.startBeat >= end - EPSILON || noteEnd <= start + EPSILON) return false
+    weights[getPitchClass(note.pitch)] += Math.min(end, noteEnd) - Math.max(start, note.startBeat)
+    if (!lowest || pitchToMidi(note.pitch) < pitchToMidi(lowest.pitch)) lowest = note
+    return true
+  })
+  if (!lowest) return null
+
+  const bassPc = getPitchClass(lowest.pitch)
+  if (weights.filter(w => w > 0).length < 2) {
+    return previous && previous.pitchClasses.includes(bassPc) ? previous : null
+  }
+  weights[bassPc] += BASS_WEIGHT * (end - start)
+
+  const total = weights.reduce((a, b) => a + b, 0)
+  const tonicPc = getPitchClass({ ...key.tonic, octave: 4 })
+  const scale = SCALES[key.mode].map(interval => (tonicPc + interval) % 12)
+
+  let best = null
+  for (let root = 0; root < 12; root++) {
+    Object.entries(CHORD_QUALITIES).forEach(([quality, definition]) => {
+      const tones = definition.intervals.map(interval => (root + interval) % 12)
+      const match = tones.reduce((sum, pc) => sum + weights[pc], 0)
+      const missing = tones.filter(pc => weights[pc] === 0).length
+      let score = (match - NON_CHORD_PENALTY * (total - match)) / total - MISSING_TONE_PENALTY * missing
+      if (root === bassPc) score += BASS_ROOT_BONUS
+      if (tones.every(pc => scale.includes(pc))) score += DIATONIC_BONUS
+      if (!best || score > best.score + EPSILON) best = { root, quality, tones, score }
+    })
+  }
+
+  return describeChord(best, lowest, sounding, key, tonicPc)
+}
+
+function describeChord(best, lowest, sounding, key, tonicPc) {
+  const definition = CHORD_QUALITIES[best.quality]
+  const bassPc = getPitchClass(lowest.pitch)
+  const inversion = Math.max(0, definition.intervals.indexOf((bassPc - best.root + 12) % 12))
+
+  // 根音按谱面上的拼法，谱面上没有根音时按调号拼写
+  const spelled = sounding.find(n => getPitchClass(n.pitch) === best.root)
+  const root = spelled
+    ? { step: spelled.pitch.step, alter: spelled.pitch.alter || 0 }
+    : pickSpelling(midiToPitch(best.root + 60, key.fifths))
+  const bass = { step: lowest.pitch.step, alter: lowest.pitch.alter || 0 }
+
+  const symbol = `${spellName(root)}${definition.symbol}${inversion > 0 ? `/${spellName(bass)}` : ''}`
+
+  return {
+    root,
+    quality: best.quality,
+    inversion,
+    bass,
+    symbol,
+    roman: getRomanNumeral(best.root, best.quality, inversion, key.mode, tonicPc),
+    pitchClasses: best.tones,
+    confidence: Math.round(Math.max(0, Math.min(1, best.score)) * 100) / 100
+  }
+}
+
+/**
+ * Roman numeral of a chord, e.g. 'V7', 'ii6', 'viiø7', 'bVI', 'I64'
+ * @param {number} root - Root pitch class
+ * @param {string} quality - CHORD_QUALITIES key
+ * @param {number} inversion - 0 = root position
+ * @param {string} mode - 'major' | 'minor'
+ * @param {number} tonicPc - Tonic pitch class
+ * @returns {string}
+ */
+export function getRomanNumeral(root, quality, inversion, mode, tonicPc) {
+  const degree = DEGREES[mode][(root - tonicPc + 12) % 12]
+  const accidental = degree.match(/^[b#]?/)[0]
+  let numeral = degree.slice(accidental.length)
+  if (LOWERCASE_QUALITIES.includes(quality)) numeral = numeral.toLowerCase()
+
+  const figures = CHORD_QUALITIES[quality].seventh ? INVERSION_FIGURES.seventh : INVERSION_FIGURES.triad
+  return `${accidental}${numeral}${QUALITY_SIGNS[quality] || ''}${figures[inversion] || ''}`
+}
+
+function pickSpelling(pitch) {
+  return { step: pitch.step, alter: pitch.alter || 0 }
+}
+
+function spellName(pitch) {
+  const accidental = pitch.alter > 0 ? '#'.repeat(pitch.alter) : 'b'.repeat(-pitch.alter)
+  return `${pitch.step}${accidental}`
+}
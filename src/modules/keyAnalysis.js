@@ -0,0 +1,277 @@
+/**
+ * Key Analysis Module
+ * Key finding and modulation tracking from pitch-class profiles
+ *
+ * 调号只说明升降号，不说明主音和调式（G 大调与 e 小调调号相同），也不反映转调。本模块：
+ * - 统计每个小节的音级分布（按时值加权，所有 part、两个谱表合并）
+ * - 以前后各两个小节的加权窗口与 24 个调的 Krumhansl-Kessler 轮廓求相关
+ * - 与调号一致的调加少量分数；用 Viterbi 在整首乐曲上选出最优的调序列，每次转调有代价，
+ *   避免一两个小节的离调和弦被当作转调
+ * - 每个小节得到 localKey（含 0~1 的置信度），相邻同调的小节合并为调区
+ */
+
+import { KEY_PROFILES, KEY_SIGNATURE_DEFINITIONS, pitchToMidi } from '../knowledge/index.js'
+
+// 窗口权重：本小节、相距 1 小节、相距 2 小节
+const WINDOW_WEIGHTS = [1, 0.6, 0.3]
+// 与调号一致的调的加分（相关系数单位）
+const SIGNATURE_BONUS = 0.1
+// 全曲调性：以末小节最低音为主音的调的加分
+const FINAL_BASS_BONUS = 0.1
+// 每次转调的代价
+const MODULATION_PENALTY = 0.35
+
+const MODES = ['major', 'minor']
+
+// 24 个候选调 { pc, mode }
+const CANDIDATE_KEYS = MODES.flatMap(mode => Array.from({ length: 12 }, (_, pc) => ({ pc, mode })))
+
+/**
+ * Pitch class (0 = C … 11 = B) of a pitch
+ * @param {Object} pitch - Pitch { step, octave, alter }
+ * @returns {number}
+ */
+export function getPitchClass(pitch) {
+  return ((pitchToMidi(pitch) % 12) + 12) % 12
+}
+
+/**
+ * Duration-weighted pitch-class histogram
+ * 装饰音不计入
+ * @param {Array} notes - Notes
+ * @returns {number[]} 12 weights（单位：四分音符）
+ */
+export function getPitchClassProfile(notes) {
+  const profile = new Array(12).fill(0)
+  notes.forEach(note => {
+    if (note.embellishment || !note.pitch) return
+    profile[getPitchClass(note.pitch)] += (note.duration?.ticks || 0) / 1024
+  })
+  return profile
+}
+
+/**
+ * Find the local key of every measure and the key of the whole piece
+ * 各 part 按小节下标对齐；结果同时写入每个 part 的 measure.localKey
+ * @param {Array} partMeasures - Measures of each part (Array<Array<Measure>>)
+ * @param {Object} metadata - Score metadata（keySignature 为全曲调号）
+ * @returns {Object} { key, regions: [{ start, end, startNumber, endNumber, key }], measures: LocalKey[] }
+ *   调区的 key.confidence 为区内各小节置信度的平均值
+ */
+export function analyzeKeys(partMeasures, metadata) {
+  const count = Math.max(0, ...partMeasures.map(measures => measures.length))
+  if (count === 0) return { key: null, regions: [], measures: [] }
+
+  const signatures = []
+  const profiles = []
+  for (let idx = 0; idx < count; idx++) {
+    const measures = partMeasures.map(measures => measures[idx]).filter(Boolean)
+    signatures.push((measures[0]?.keySignature || metadata.keySignature)?.fifths || 0)
+    profiles.push(getPitchClassProfile(measures.flatMap(m => m.notes || [])))
+  }
+
+  const windowed = profiles.map((_, idx) => getWindowProfile(profiles, idx))
+  const scores = windowed.map((profile, idx) => scoreKeys(profile, signatures[idx]))
+  const path = findKeyPath(scores)
+
+  const localKeys = path.map((keyIdx, idx) => {
+    const key = CANDIDATE_KEYS[keyIdx]
+    return describeKey(key.pc, key.mode, signatures[idx], getConfidence(scores[idx], keyIdx))
+  })
+
+  partMeasures.forEach(measures => measures.forEach((measure, idx) => {
+    measure.localKey = localKeys[idx]
+  }))
+
+  return {
+    key: findGlobalKey(profiles, partMeasures, signatures[0]),
+    regions: buildRegions(localKeys, partMeasures[0] || []),
+    measures: localKeys
+  }
+}
+
+/**
+ * Key to use for a measure
+ * 有 localKey 时用它，否则按调号视为大调
+ * @param {Object} measure - Measure
+ * @param {Object} keySignature - Score key signature
+ * @returns {Object} LocalKey
+ */
+export function getMeasureKey(measure, keySignature) {
+  if (measure?.localKey) return measure.localKey
+  const signature = measure?.keySignature || keySignature || { fifths: 0, mode: 'major' }
+  const mode = signature.mode === 'minor' ? 'minor' : 'major'
+  const fifths = Math.max(-7, Math.min(7, signature.fifths || 0))
+  return describeKey(getTonicPitchClass(fifths, mode), mode, fifths, 0)
+}
+
+function getWindowProfile(profiles, idx) {
+  const profile = new Array(12).fill(0)
+  WINDOW_WEIGHTS.forEach((weight, distance) => {
+    new Set([idx - distance, idx + distance]).forEach(j => {
+      if (j < 0 || j >= profiles.length) return
+      profiles[j].forEach((value, pc) => {
+        profile[pc] += value * weight
+      })
+    })
+  })
+  return profile
+}
+
+// 各候选调的得分：与轮廓的相关系数，加上调号一致的加分
+function scoreKeys(profile, signatureFifths) {
+  return CANDIDATE_KEYS.map(key => {
+    const bonus = normalizeFifths(getKeyFifths(key.pc, key.mode)) === normalizeFifths(signatureFifths) ? SIGNATURE_BONUS : 0
+    return correlate(profile, key) + bonus
+  })
+}
+
+// Pearson 相关系数；没有音符的窗口得 0
+function correlate(profile, key) {
+  const template = KEY_PROFILES[key.mode]
+  const values = profile.map((_, pc) => template[(pc - key.pc + 12) % 12])
+  const meanA = profile.reduce((a, b) => a + b, 0) / 12
+  const meanB = values.reduce((a, b) => a + b, 0) / 12
+  let cov = 0
+  let varA = 0
+  let varB = 0
+  for (let i = 0; i < 12; i++) {
+    cov += (profile[i] - meanA) * (values[i] - meanB)
+    varA += (profile[i] - meanA) ** 2
+    varB += (values[i] - meanB) ** 2
+  }
+  if (varA === 0 || varB === 0) return 0
+  return cov / Math.sqrt(varA * varB)
+}
+
+/**
+ * Viterbi：使「各小节得分之和 − 转调次数 × 代价」最大的调序列
+ * @returns {number[]} 每个小节的候选调下标
+ */
+function findKeyPath(scores) {
+  let totals = scores[0].slice()
+  const back = [null]
+
+  for (let i = 1; i < scores.length; i++) {
+    const best = totals.reduce((b, value, k) => (value > totals[b] ? k : b), 0)
+    const pointers = []
+    totals = scores[i].map((score, k) => {
+      const stay = totals[k]
+      const change = totals[best] - MODULATION_PENALTY
+      pointers.push(stay >= change ? k : best)
+      return score + Math.max(stay, change)
+    })
+    back.push(pointers)
+  }
+
+  const path = [totals.reduce((b, value, k) => (value > totals[b] ? k : b), 0)]
+  for (let i = scores.length - 1; i > 0; i--) {
+    path.unshift(back[i][path[0]])
+  }
+  return path
+}
+
+/**
+ * 置信度：所选调的相关程度，乘以它领先于其他调的幅度
+ * 与关系大小调或属调难以区分时置信度较低
+ */
+function getConfidence(keyScores, keyIdx) {
+  const score = keyScores[keyIdx]
+  const runnerUp = Math.max(...keyScores.filter((_, k) => k !== keyIdx))
+  const fit = clamp(score)
+  const margin = clamp(0.5 + (score - runnerUp) * 2.5)
+  return Math.round(fit * margin * 100) / 100
+}
+
+function findGlobalKey(profiles, partMeasures, signatureFifths) {
+  const total = new Array(12).fill(0)
+  profiles.forEach(profile => profile.forEach((value, pc) => {
+    total[pc] += value
+  }))
+
+  const finalBass = getFinalBassPitchClass(partMeasures)
+  const scores = scoreKeys(total, signatureFifths).map((score, k) =>
+    score + (CANDIDATE_KEYS[k].pc === finalBass ? FINAL_BASS_BONUS : 0)
+  )
+  const best = scores.reduce((b, value, k) => (value > scores[b] ? k : b), 0)
+  const key = CANDIDATE_KEYS[best]
+  return describeKey(key.pc, key.mode, signatureFifths, getConfidence(scores, best))
+}
+
+// 最后一个有音符的小节中的最低音
+function getFinalBassPitchClass(partMeasures) {
+  const count = Math.max(...partMeasures.map(measures => measures.length))
+  for (let idx = count - 1; idx >= 0; idx--) {
+    const notes = partMeasures.flatMap(measures => measures[idx]?.notes || []).filter(n => !n.embellishment && n.pitch)
+    if (notes.length > 0) {
+      const lowest = notes.reduce((min, note) => (pitchToMidi(note.pitch) < pitchToMidi(min.pitch) ? note : min))
+      return getPitchClass(lowest.pitch)
+    }
+  }
+  return null
+}
+
+function buildRegions(localKeys, measures) {
+  const regions = []
+  localKeys.forEach((key, idx) => {
+    const last = regions[regions.length - 1]
+    if (last && last.key.name === key.name) {
+      last.end = idx
+      last.endNumber = measures[idx]?.number ?? idx + 1
+      return
+    }
+    const number = measures[idx]?.number ?? idx + 1
+    regions.push({ start: idx, end: idx, startNumber: number, endNumber: number, key: { ...key } })
+  })
+
+  regions.forEach(region => {
+    const keys = localKeys.slice(region.start, region.end + 1)
+    const mean = keys.reduce((sum, key) => sum + key.confidence, 0) / keys.length
+    region.key.confidence = Math.round(mean * 100) / 100
+  })
+  return regions
+}
+
+/**
+ * LocalKey 对象
+ * 调号五度数在 -7~7 中取最接近当前调号的拼法（如升 F 大调与降 G 大调）
+ * @returns {Object} { tonic: { step, alter }, mode, fifths, name, confidence }
+ */
+function describeKey(pc, mode, signatureFifths, confidence) {
+  const fifths = spellFifths(getKeyFifths(pc, mode), signatureFifths)
+  const tonicName = KEY_SIGNATURE_DEFINITIONS[fifths][mode]
+  const alter = { '#': 1, b: -1 }[tonicName[1]] || 0
+  return {
+    tonic: { step: tonicName[0], alter },
+    mode,
+    fifths,
+    name: `${tonicName} ${mode}`,
+    confidence
+  }
+}
+
+// 调号五度数（-5~6），小调按关系大调计算
+function getKeyFifths(pc, mode) {
+  const majorPc = mode === 'minor' ? (pc + 3) % 12 : pc
+  return normalizeFifths((majorPc * 7) % 12)
+}
+
+function getTonicPitchClass(fifths, mode) {
+  const majorPc = (((fifths * 7) % 12) + 12) % 12
+  return mode === 'minor' ? (majorPc + 9) % 12 : majorPc
+}
+
+function normalizeFifths(fifths) {
+  const value = ((fifths % 12) + 12) % 12
+  return value > 6 ? value - 12 : value
+}
+
+function spellFifths(fifths, signatureFifths) {
+  return [fifths - 12, fifths, fifths + 12]
+    .filter(f => f >= -7 && f <= 7)
+    .reduce((best, f) => (Math.abs(f - signatureFifths) < Math.abs(best - signatureFifths) ? f : best))
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, value))
+}
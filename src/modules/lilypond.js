@@ -0,0 +1,664 @@
+/**
+ * LilyPond Module
+ * LilyPond (.ly) export
+ *
+ * 把简化结果写成 LilyPond 源文件，用于排版打印练习谱：
+ * - 绝对音高（c' = 中央 C），时值带附点，连音写成 \tuplet
+ * - 拍号、调号、谱号在开头及改变的小节写 \time / \key / \clef，弱起小节写 \partial
+ * - 单谱表 part 各占一个 Staff
+ * - 大谱表 part 写成 PianoStaff：上谱表 Soprano / Alto、下谱表 Tenor / Bass，
+ *   两个声部分别用 \voiceOne / \voiceTwo（与 MusicXML 导出的大谱表声部布局相同）
+ * - 小节线上写反复记号和跳房子，音符上写连线、连奏线、演奏法、装饰音和力度
+ * - 歌词写成 \lyricsto 对应声部的 Lyrics
+ */
+
+import { getScoreParts } from './parser.js'
+import { attachSlurMarks } from './slurs.js'
+import { isAnacrusis } from './analyzer.js'
+import { MODE_FIFTHS, getMeasureTicks, getDurationTicks, splitDurationTicks } from '../knowledge/index.js'
+
+const LILYPOND_VERSION = '2.24.0'
+const EPSILON = 1
+
+const DURATION_NUMBERS = {
+  whole: '1', half: '2', quarter: '4', eighth: '8', sixteenth: '16', '32nd': '32'
+}
+
+const ALTER_SUFFIXES = { '-2': 'eses', '-1': 'es', 0: '', 1: 'is', 2: 'isis' }
+
+const ARTICULATION_SCRIPTS = {
+  staccato: '-.', staccatissimo: '-!', accent: '->', 'strong-accent': '-^',
+  tenuto: '--', 'detached-legato': '-_', fermata: '\\fermata'
+}
+
+const EMBELLISHMENT_SCRIPTS = {
+  trill: '\\trill', turn: '\\turn', inverted_turn: '\\reverseturn',
+  mordent_upper: '\\mordent', mordent_lower: '\\prall', arpeggio: '\\arpeggio'
+}
+
+// LilyPond 内置的力度记号，其余力度用 \markup \dynamic 写出
+const LILYPOND_DYNAMICS = [
+  'ppppp', 'pppp', 'ppp', 'pp', 'p', 'mp', 'mf', 'f', 'ff', 'fff', 'ffff', 'fffff',
+  'fp', 'sf', 'sff', 'sp', 'spp', 'sfz', 'rfz'
+]
+
+const CLEF_NAMES = {
+  G2: 'treble', G1: 'french', F4: 'bass', F3: 'varbaritone', F5: 'subbass',
+  C1: 'soprano', C2: 'mezzosoprano', C3: 'alto', C4: 'tenor', C5: 'baritone'
+}
+
+/**
+ * Generate a LilyPond source file
+ * @param {Object} score - Simplified score
+ * @returns {string} LilyPond source
+ */
+export function generateLilyPond(score) {
+  const { metadata } = score
+  const parts = getScoreParts(score)
+  const pickupTicks = getPickupTicks(parts[0]?.measures || [], metadata)
+
+  const lines = [`\\version "${LILYPOND_VERSION}"`, '', '\\header {', `  title = ${stringText(metadata.title || 'Untitled')}`]
+  if (metadata.composer && metadata.composer !== 'Unknown') {
+    lines.push(`  composer = ${stringText(metadata.composer)}`)
+  }
+  lines.push('  tagline = ##f', '}', '', '\\score {', '  <<')
+
+  parts.forEach((part, idx) => {
+    const context = { metadata, pickupTicks, scoreMarks: idx === 0 }
+    const partLines = (part.scoreType || score.scoreType) === 'grand-staff'
+      ? generatePianoStaff(part, context)
+      : generateSingleStaff(part, context)
+    lines.push(...indent(partLines, 4))
+  })
+
+  lines.push('  >>', '  \\layout { }', '}')
+  return lines.join('\n') + '\n'
+}
+
+function indent(lines, width) {
+  const pad = ' '.repeat(width)
+  return lines.map(line => line ? pad + line : line)
+}
+
+/**
+ * LilyPond string literal
+ */
+function stringText(text) {
+  return `"${String(text).replace(/[\r\n]+/g, ' ').trim().replace(/["\\]/g, '\\$&')}"`
+}
+
+/**
+ * Length of the pickup measure in ticks, or 0 without anacrusis
+ */
+function getPickupTicks(measures, metadata) {
+  const first = measures[0]
+  if (!first || !isAnacrusis(first, first.timeSignature || metadata.timeSignature)) return 0
+  return Math.max(...first.notes.map(n => (n.startBeat - 1) * 1024 + n.duration.ticks))
+}
+
+function generateSingleStaff(part, context) {
+  const name = part.id || 'P1'
+  const voice = { name, staff: 1, role: null, primary: true, measures: part.measures, slurs: part.slurs }
+
+  return [
+    `\\new Staff \\with { instrumentName = ${stringText(part.name || name)} } <<`,
+    ...indent(generateVoice(voice, context), 2),
+    '>>',
+    ...generateLyrics(voice)
+  ]
+}
+
+/**
+ * 大谱表音符按 Soprano / Alto / Tenor / Bass 分组，规则与 generateGrandStaffMeasureXML 相同
+ */
+function splitGrandStaffNotes(notes) {
+  const soprano = notes.filter(n => n.voicePart === 'soprano' || (n.staff === 1 && n.voice === 1 && !n.voicePart))
+  const alto = notes.filter(n => n.voicePart === 'alto' || (n.staff === 1 && n.voice === 2 && !n.voicePart))
+  const tenor = notes.filter(n => n.voicePart === 'tenor' || (n.staff === 2 && n.voice === 1 && !n.voicePart))
+  const bass = notes.filter(n => n.voicePart === 'bass' || (n.staff === 2 && n.voice === 2 && !n.voicePart))
+
+  return {
+    soprano: soprano.length > 0 || alto.length > 0 ? soprano : notes.filter(n => n.staff === 1),
+    alto,
+    tenor,
+    bass: tenor.length > 0 || bass.length > 0 ? bass : notes.filter(n => n.staff === 2)
+  }
+}
+
+/**
+ * PianoStaff of a grand-staff part
+ * 每个谱表的主声部（Soprano / Bass）写调号、谱号等；小节内没有音符时，
+ * 主声部写整小节休止符，另一声部写隐藏的占位休止符（s）
+ */
+function generatePianoStaff(part, context) {
+  const id = part.id || 'P1'
+  const split = part.measures.map(measure => splitGrandStaffNotes(measure.notes || []))
+
+  // 上谱表 Soprano 为主声部（\voiceOne），下谱表 Bass 为主声部（\voiceTwo）
+  const staffLines = (staff, primaryPart, secondaryPart, staffName) => {
+    const hasSecondary = split.some(s => s[secondaryPart].length > 0)
+    const makeVoice = (voicePart, primary, role) => ({
+      name: `${id}-${voicePart}`,
+      staff,
+      role: hasSecondary ? role : null,
+      primary,
+      slurs: part.slurs,
+      measures: part.measures.map((measure, idx) => ({
+        ...measure,
+        notes: split[idx][voicePart],
+        filler: primary && split[idx][secondaryPart].length === 0 ? 'rest' : 'spacer',
+        directions: getVoiceDirections(measure, split[idx][voicePart], primary, staff)
+      }))
+    })
+    const primary = makeVoice(primaryPart, true, staff === 1 ? 'voiceOne' : 'voiceTwo')
+    const secondary = hasSecondary ? makeVoice(secondaryPart, false, staff === 1 ? 'voiceTwo' : 'voiceOne') : null
+    const voices = staff === 1 ? [primary, secondary] : [secondary, primary]
+    const staffVoices = voices.filter(Boolean)
+
+    return [
+      `\\new Staff = "${staffName}" <<`,
+      ...indent(staffVoices.flatMap(voice => generateVoice(voice, context)), 2),
+      '>>',
+      ...staffVoices.flatMap(voice => generateLyrics(voice))
+    ]
+  }
+
+  return [
+    `\\new PianoStaff \\with { instrumentName = ${stringText(part.name || 'Piano')} } <<`,
+    ...indent(staffLines(1, 'soprano', 'alto', `${id}-upper`), 2),
+    ...indent(staffLines(2, 'bass', 'tenor', `${id}-lower`), 2),
+    '>>'
+  ]
+}
+
+/**
+ * Directions written in one voice of a grand staff
+ * 附着在音符上的记号跟随该音符；没有附着音符的记号写在所在谱表的主声部
+ */
+function getVoiceDirections(measure, voiceNotes, primary, staff) {
+  const measureIds = new Set((measure.notes || []).map(n => n.id))
+  const voiceIds = new Set(voiceNotes.map(n => n.id))
+
+  return (measure.directions || []).filter(d => {
+    if (d.noteId && measureIds.has(d.noteId)) return voiceIds.has(d.noteId)
+    return primary && (d.staff === 2 ? 2 : 1) === staff
+  })
+}
+
+/**
+ * Voice context with one line per measure
+ * @param {Object} voice - { name, staff, role, primary, measures, slurs }
+ * @param {Object} context - { metadata, pickupTicks, scoreMarks }
+ * @returns {string[]} Lines
+ */
+function generateVoice(voice, context) {
+  const { metadata, pickupTicks } = context
+  // 小节线、跳房子、速度和跳转记号属于整个乐谱，只写在第一个 part 的第一个声部
+  const scoreMarks = context.scoreMarks && voice.primary && voice.staff === 1
+  const measures = attachSlurMarks(voice.measures, voice.slurs)
+  const state = { slurs: new Map(), pending: [], lyricEntries: [] }
+  const lines = []
+
+  if (voice.role) lines.push(`\\${voice.role}`)
+
+  measures.forEach((measure, idx) => {
+    const prevMeasure = measures[idx - 1] || null
+    const nextMeasure = measures[idx + 1] || null
+    const timeSignature = measure.timeSignature || metadata.timeSignature
+    const length = idx === 0 && pickupTicks > 0 ? pickupTicks : getMeasureTicks(timeSignature)
+    const commands = []
+
+    if (voice.primary) {
+      commands.push(...attributeCommands(measure, prevMeasure, voice.staff, metadata))
+      if (idx === 0 && pickupTicks > 0) commands.push(`\\partial ${multipliedDuration(pickupTicks)}`)
+    }
+    if (scoreMarks) {
+      if (idx === 0) {
+        commands.push(`\\tempo 4 = ${metadata.tempo || 120}`)
+        const opening = repeatCommands(null, measure)
+        if (opening) commands.push(opening)
+        if (findBarline(measure, 'left', b => b.repeat === 'forward')) commands.push('\\bar ".|:"')
+      }
+      const marks = measure.navigation || []
+      if (marks.some(m => m.type === 'segno')) commands.push('\\segnoMark 1')
+      if (marks.some(m => m.type === 'coda')) commands.push('\\codaMark 1')
+    }
+
+    const isLast = idx === measures.length - 1
+    const events = generateMeasureEvents(measure, length, state, isLast)
+    let text = [...commands, ...events.map(eventText)].join(' ')
+
+    if (scoreMarks) {
+      const closing = [
+        ...(measure.navigation || []).map(navigationCommand).filter(Boolean),
+        barCommand(measure, nextMeasure),
+        repeatCommands(measure, nextMeasure)
+      ].filter(Boolean)
+      if (closing.length > 0) text += ` ${closing.join(' ')}`
+    }
+
+    lines.push(`${text} |`)
+  })
+
+  voice.lyricEntries = state.lyricEntries
+  return [`\\new Voice = "${voice.name}" {`, ...indent(lines, 2), '}']
+}
+
+/**
+ * \clef / \key / \time at the start of the piece and wherever they change
+ */
+function attributeCommands(measure, prevMeasure, staff, metadata) {
+  const commands = []
+  const clef = clefName(measure.clefs, staff)
+  const key = keyText(measure.keySignature || metadata.keySignature)
+  const time = timeText(measure.timeSignature || metadata.timeSignature)
+
+  if (!prevMeasure || clefName(prevMeasure.clefs, staff) !== clef) commands.push(`\\clef ${clef}`)
+  if (!prevMeasure || keyText(prevMeasure.keySignature || metadata.keySignature) !== key) commands.push(key)
+  if (!prevMeasure || timeText(prevMeasure.timeSignature || metadata.timeSignature) !== time) commands.push(time)
+  return commands
+}
+
+function clefName(clefs, staff) {
+  const clef = (clefs || [])[staff - 1]
+  if (!clef) return staff === 2 ? 'bass' : 'treble'
+  if (/^percussion/i.test(clef)) return 'percussion'
+  return CLEF_NAMES[clef] || (clef.startsWith('F') ? 'bass' : 'treble')
+}
+
+/**
+ * \key command from fifths and mode ('\key g \major', '\key fis \minor')
+ */
+function keyText(keySignature) {
+  const mode = MODE_FIFTHS[keySignature?.mode] !== undefined ? keySignature.mode : 'major'
+  const tonicFifths = (keySignature?.fifths || 0) - MODE_FIFTHS[mode]
+  const letters = 'FCGDAEB'
+  const idx = tonicFifths + 1
+  const step = letters[((idx % 7) + 7) % 7]
+  const alter = Math.max(-2, Math.min(2, Math.floor(idx / 7)))
+  return `\\key ${pitchName(step, alter)} \\${mode}`
+}
+
+function timeText(timeSignature) {
+  return `\\time ${timeSignature.beats}/${timeSignature.beatType}`
+}
+
+function findBarline(measure, location, predicate = () => true) {
+  return (measure?.barlines || []).find(b => b.location === location && predicate(b)) || null
+}
+
+/**
+ * Bar line after a measure: 本小节右侧 + 下一小节左侧的反复记号
+ */
+function barCommand(measure, nextMeasure) {
+  const backward = findBarline(measure, 'right', b => b.repeat === 'backward')
+  const forward = findBarline(nextMeasure, 'left', b => b.repeat === 'forward')
+  const right = findBarline(measure, 'right', b => b.style)
+
+  if (backward && forward) return '\\bar ":|.|:"'
+  if (backward) return '\\bar ":|."'
+  if (forward) return '\\bar ".|:"'
+  if (!nextMeasure || right?.style === 'light-heavy') return '\\bar "|."'
+  if (right?.style === 'light-light') return '\\bar "||"'
+  return ''
+}
+
+/**
+ * Volta brackets at the boundary between two measures
+ * 同一时刻只能设置一次 repeatCommands，所以结束和开始写在一起
+ */
+function repeatCommands(measure, nextMeasure) {
+  const commands = []
+  if (findBarline(measure, 'right', b => ['stop', 'discontinue'].includes(b.ending?.type))) {
+    commands.push('(volta #f)')
+  }
+  const start = findBarline(nextMeasure, 'left', b => b.ending?.type === 'start')
+  if (start) {
+    commands.push(`(volta ${stringText(start.ending.text || `${start.ending.number}.`)})`)
+  }
+  return commands.length > 0 ? `\\set Score.repeatCommands = #'(${commands.join(' ')})` : ''
+}
+
+function navigationCommand(mark) {
+  switch (mark.type) {
+    case 'fine':
+      return '\\fine'
+    case 'dacapo':
+      return `\\jump ${stringText(mark.text || 'D.C.')}`
+    case 'dalsegno':
+      return `\\jump ${stringText(mark.text || 'D.S.')}`
+    case 'tocoda':
+      return `\\jump ${stringText(mark.text || 'To Coda')}`
+    default:
+      return ''
+  }
+}
+
+/**
+ * Events (notes, chords, rests) of one measure in one voice
+ * 音符按拍位输出，空白处补休止符；重叠的音符截断到下一个音符的起点，超出小节的部分截断到小节线
+ * @returns {Array} [{ position, prefix, pieces, post, suffix }]
+ */
+function generateMeasureEvents(measure, length, state, isLast) {
+  const notes = [...(measure.notes || [])].sort((a, b) => a.startBeat - b.startBeat)
+  const graceNotes = notes.filter(n => n.embellishment === 'grace_note')
+  const lastCopies = new Set(notes.filter((n, idx) => !notes.slice(idx + 1).some(other => other.id === n.id)))
+  const groups = groupByPosition(notes.filter(n => n.embellishment !== 'grace_note'))
+  const directions = measure.directions || []
+  const noteIds = new Set(notes.map(n => n.id))
+  const emitted = new Set()
+  const events = []
+
+  const restEvent = (position, ticks) => ({
+    position,
+    prefix: '',
+    pieces: splitDurationTicks(ticks).map(d => scaledText(`r${durationText(d)}`, d)),
+    post: [],
+    suffix: ''
+  })
+
+  if (groups.length === 0) {
+    const symbol = measure.filler === 'spacer' ? 's' : 'R'
+    events.push({ position: 0, prefix: '', pieces: [`${symbol}${multipliedDuration(length)}`], post: [], suffix: '' })
+  }
+
+  let position = 0
+  // 正在输出的连音组：{ remaining, ratio, padding, end }
+  let tupletSpan = null
+
+  groups.forEach((group, groupIdx) => {
+    if (group.position > position + EPSILON) {
+      // 连音组内部的空白按连音比例记写
+      const gap = group.position - position
+      events.push(restEvent(position, tupletSpan ? gap * tupletSpan.ratio : gap))
+      position = group.position
+    }
+
+    const first = group.notes[0]
+    const next = groups[groupIdx + 1]
+    const tuplet = first.duration?.tuplet || null
+    const advance = tuplet
+      ? first.duration.ticks
+      : Math.min(first.duration.ticks, (next ? next.position : length) - group.position)
+    const event = { position: group.position, prefix: '', pieces: [], post: [], suffix: '' }
+
+    if (tuplet && !tupletSpan) {
+      tupletSpan = openTuplet(groups, groupIdx, length)
+      event.prefix += tupletSpan.command
+    }
+
+    const graces = graceNotes.filter(n => Math.abs((n.startBeat - 1) * 1024 - group.position) <= EPSILON)
+    if (graces.length > 0) {
+      event.prefix += `\\grace { ${graces.map(n => `${pitchText(n.pitch)}${durationText(n.duration, '16')}`).join(' ')} } `
+    }
+
+    // 连奏线先结束再开始；一个声部里同时只能有一条连奏线，嵌套的连奏线写成乐句连线 \( \)
+    // 起止音符相同的重复连奏线只写一次
+    group.notes.flatMap(n => (n.slurMarks || []).filter(m => m.type === 'stop')).forEach(mark => {
+      const open = state.slurs.get(mark.number)
+      if (!open) return
+      event.post.push(open.kind === 'phrasing' ? '\\)' : ')')
+      state.slurs.delete(mark.number)
+    })
+    group.notes.flatMap(n => (n.slurMarks || []).filter(m => m.type === 'start')).forEach(mark => {
+      const open = [...state.slurs.values()]
+      const span = `${mark.startNoteId}>${mark.endNoteId}`
+      if (open.some(o => o.span === span)) return
+      const kind = !open.some(o => o.kind === 'slur') ? 'slur' : !open.some(o => o.kind === 'phrasing') ? 'phrasing' : null
+      if (!kind) return
+      event.post.push(kind === 'phrasing' ? '\\(' : '(')
+      state.slurs.set(mark.number, { kind, span })
+    })
+
+    // 拍头简化拆分的音符（同一 id）只在第一个上写记号
+    directions
+      .filter(d => d.noteId && noteIds.has(d.noteId) && !emitted.has(d) && group.notes.some(n => n.id === d.noteId))
+      .forEach(d => {
+        emitted.add(d)
+        event.post.push(directionText(d))
+      })
+    event.post.push(...scriptTexts(group.notes))
+
+    // 无法用单个音符记写的时值拆成用连线连接的几个音符
+    const lengths = tuplet
+      ? [{ type: first.duration.type, dots: first.duration.dots || 0 }]
+      : splitDurationTicks(advance)
+    const pitches = group.notes.map(n => pitchText(n.pitch))
+    event.pieces = lengths.map((duration, idx) => {
+      const isLastPiece = idx === lengths.length - 1
+      // 同一 id 出现多次时连线从最后一个出发
+      const tied = group.notes.map(n => !isLastPiece || Boolean(n.tiedTo && lastCopies.has(n)))
+      return scaledText(chordText(pitches, tied, durationText(duration)), duration)
+    })
+
+    position = group.position + advance
+    if (tupletSpan && --tupletSpan.remaining === 0) {
+      const rests = tupletSpan.padding > 0 ? splitDurationTicks(tupletSpan.padding) : []
+      event.suffix = `${rests.map(d => ` r${durationText(d)}`).join('')} }`
+      position = tupletSpan.end
+      tupletSpan = null
+    }
+
+    events.push(event)
+    state.lyricEntries.push({ note: first, pieces: lengths.length })
+  })
+
+  if (groups.length > 0 && position < length - EPSILON) {
+    events.push(restEvent(position, length - position))
+  }
+
+  // 没有附着音符的记号写在其拍位所在的音符或休止符上；位于小节末尾的写到下一小节开头
+  events[0].post.unshift(...state.pending)
+  state.pending = []
+  directions
+    .filter(d => !d.noteId || !noteIds.has(d.noteId))
+    .forEach(d => {
+      const directionPosition = (d.startBeat - 1) * 1024
+      if (directionPosition >= length - EPSILON && !isLast) {
+        state.pending.push(directionText(d))
+        return
+      }
+      const target = [...events].reverse().find(e => e.position <= directionPosition + EPSILON) || events[0]
+      target.post.push(directionText(d))
+    })
+
+  return events
+}
+
+function eventText(event) {
+  const [head, ...rest] = event.pieces
+  return `${event.prefix}${head}${event.post.join('')}${rest.map(p => ` ${p}`).join('')}${event.suffix}`
+}
+
+/**
+ * 按起始位置把音符分组（和弦）
+ */
+function groupByPosition(notes) {
+  const groups = []
+  notes.forEach(note => {
+    const position = (note.startBeat - 1) * 1024
+    const last = groups[groups.length - 1]
+    if (last && Math.abs(position - last.position) <= EPSILON) {
+      last.notes.push(note)
+    } else {
+      groups.push({ position, notes: [note] })
+    }
+  })
+  return groups
+}
+
+/**
+ * Open the tuplet starting at groupIdx
+ * 连音组在记写时值之和达到 actual 个最短音符时结束；简化后不完整的连音组用休止符补齐。
+ * 简化后连音组与后面的音符重叠时，用 \scaleDurations 压缩到可用的时值，保证小节时值正确
+ * @returns {Object} { command, remaining, ratio, padding, end } padding 为补齐的记写时值（ticks）
+ */
+function openTuplet(groups, groupIdx, length) {
+  const start = groups[groupIdx]
+  const { actual, normal } = start.notes[0].duration.tuplet
+  const ratio = actual / normal
+  let count = 0
+  let total = 0
+  let shortest = Infinity
+
+  for (let i = groupIdx; i < groups.length; i++) {
+    const duration = groups[i].notes[0].duration
+    if (duration.tuplet?.actual !== actual || duration.tuplet?.normal !== normal) break
+    const notated = getDurationTicks(duration.type, duration.dots)
+    count++
+    total += notated
+    shortest = Math.min(shortest, notated)
+    if (total % (shortest * actual) === 0) break
+  }
+
+  const last = groups[groupIdx + count - 1]
+  const after = groups[groupIdx + count]
+  const nextStart = after ? after.position : length
+  const end = last.position + last.notes[0].duration.ticks
+
+  if (end > nextStart + EPSILON) {
+    const notated = Math.max(1, Math.round((end - start.position) * ratio))
+    const available = Math.max(1, Math.round(nextStart - start.position))
+    const divisor = gcd(available, notated)
+    return {
+      command: `\\scaleDurations ${available / divisor}/${notated / divisor} { `,
+      remaining: count, ratio, padding: 0, end: nextStart
+    }
+  }
+
+  const unit = shortest * actual
+  const padding = Math.ceil(total / unit) * unit - total
+  // 补齐的休止符不能盖住下一个音符或小节线
+  const fits = end + padding / ratio <= nextStart + EPSILON
+  return {
+    command: `\\tuplet ${actual}/${normal} { `,
+    remaining: count,
+    ratio,
+    padding: fits ? padding : 0,
+    end: fits ? end + padding / ratio : end
+  }
+}
+
+/**
+ * Note or chord; tied[i] 为 true 的音符后写连线
+ */
+function chordText(pitches, tied, duration) {
+  if (pitches.length === 1) {
+    return `${pitches[0]}${duration}${tied[0] ? '~' : ''}`
+  }
+  if (tied.every(Boolean)) {
+    return `<${pitches.join(' ')}>${duration}~`
+  }
+  return `<${pitches.map((p, idx) => `${p}${tied[idx] ? '~' : ''}`).join(' ')}>${duration}`
+}
+
+/**
+ * Duration number with dots ('4', '8.', '2..')
+ */
+function durationText(duration, fallback = '4') {
+  return `${DURATION_NUMBERS[duration?.type] || fallback}${'.'.repeat(duration?.dots || 0)}`
+}
+
+/**
+ * 比记写时值短的剩余时值（与连音重叠而截断的音符）用 \scaleDurations 压缩
+ */
+function scaledText(text, duration) {
+  const notated = getDurationTicks(duration.type, duration.dots)
+  if (!duration.ticks || Math.abs(duration.ticks - notated) <= EPSILON) return text
+  // 以 1/3 个 64 分音符为单位，保证三连音的时值能精确表示
+  const numerator = Math.max(1, Math.round(duration.ticks * 3 / 32))
+  const denominator = notated * 3 / 32
+  const divisor = gcd(numerator, denominator)
+  return `\\scaleDurations ${numerator / divisor}/${denominator / divisor} { ${text} }`
+}
+
+/**
+ * Duration of any length, as a multiple of a whole note when no single value fits ('2.', '1*5/8')
+ */
+function multipliedDuration(ticks) {
+  const pieces = splitDurationTicks(ticks)
+  if (pieces.length === 1) return durationText(pieces[0])
+  const value = Math.max(1, Math.round(ticks))
+  const divisor = gcd(value, 4096)
+  return `1*${value / divisor}/${4096 / divisor}`
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b)
+}
+
+/**
+ * Note name in Dutch (default) LilyPond input: c, fis, es, as, bes
+ */
+function pitchName(step, alter) {
+  const letter = step.toLowerCase()
+  const suffix = ALTER_SUFFIXES[alter] ?? ''
+  return ['e', 'a'].includes(letter) && suffix.startsWith('es') ? letter + suffix.slice(1) : letter + suffix
+}
+
+/**
+ * Absolute pitch: c = C3, c' = C4（中央 C）, c, = C2
+ */
+function pitchText(pitch) {
+  const marks = pitch.octave - 3
+  return pitchName(pitch.step, pitch.alter || 0) + (marks >= 0 ? "'".repeat(marks) : ','.repeat(-marks))
+}
+
+function scriptTexts(notes) {
+  const articulations = [...new Set(notes.flatMap(n => n.articulations || []))]
+  const embellishment = notes.map(n => n.embellishment).find(e => EMBELLISHMENT_SCRIPTS[e])
+  return [
+    ...articulations.map(a => ARTICULATION_SCRIPTS[a]).filter(Boolean),
+    ...(embellishment ? [EMBELLISHMENT_SCRIPTS[embellishment]] : [])
+  ]
+}
+
+function directionText(direction) {
+  switch (direction.type) {
+    case 'dynamic':
+      if (LILYPOND_DYNAMICS.includes(direction.value)) return `\\${direction.value}`
+      return /^[pfmrszn]+$/.test(direction.value)
+        ? `_\\markup { \\dynamic ${direction.value} }`
+        : `_\\markup { \\italic ${stringText(direction.value)} }`
+    case 'wedge':
+      if (direction.value === 'stop') return '\\!'
+      return direction.value === 'diminuendo' ? '\\>' : '\\<'
+    case 'words':
+      return `${direction.placement === 'below' ? '_' : '^'}${stringText(direction.value)}`
+    default:
+      return ''
+  }
+}
+
+/**
+ * Lyrics contexts of a voice, one per verse
+ * 每个音符一个音节（ignoreMelismata），没有歌词的音符和拆分出的连线音符写 _
+ */
+function generateLyrics(voice) {
+  const entries = voice.lyricEntries || []
+  const verses = [...new Set(entries.flatMap(e => (e.note.lyrics || []).map(l => l.verse)))].sort((a, b) => a - b)
+
+  return verses.map(verse => {
+    const tokens = []
+    entries.forEach(entry => {
+      const lyric = (entry.note.lyrics || []).find(l => l.verse === verse)
+      if (lyric) {
+        let token = [lyric, ...(lyric.elisions || [])].map(s => lyricWord(s.text)).join('~')
+        if (['begin', 'middle'].includes(lyric.syllabic)) token += ' --'
+        if (lyric.extend) token += ' __'
+        tokens.push(token)
+      } else {
+        tokens.push('_')
+      }
+      for (let i = 1; i < entry.pieces; i++) tokens.push('_')
+    })
+
+    while (tokens.length > 0 && tokens[tokens.length - 1] === '_') tokens.pop()
+    return `\\new Lyrics \\lyricsto "${voice.name}" { \\set ignoreMelismata = ##t ${tokens.join(' ')} }`
+  })
+}
+
+function lyricWord(text) {
+  const word = String(text).trim()
+  return /^[A-Za-z\u00C0-\uFFFF'’]+$/.test(word) ? word : stringText(word)
+}
@@ -0,0 +1,292 @@
+/**
+ * MIDI Module
+ * Standard MIDI File (SMF) export
+ *
+ * 输出 Type 1 MIDI 文件：
+ * - 第 0 轨：速度、拍号、调号（指挥轨）
+ * - 单谱表 part：每个 part 一轨
+ * - 大谱表 part：每个 voicePart（Soprano / Alto / Tenor / Bass）一轨
+ *
+ * 连线（tiedTo / tiedFrom）连接的音符合并为一个音；
+ * 可选根据力度记号（measure.directions）设置力度
+ */
+
+import { getScoreParts } from './parser.js'
+import { isAnacrusis } from './analyzer.js'
+import { getMeasureTicks, pitchToMidi } from '../knowledge/index.js'
+
+// 每四分音符的 MIDI tick 数（内部时值以四分音符 = 1024 计）
+const PPQ = 480
+const DEFAULT_VELOCITY = 80
+const DRUM_CHANNEL = 9
+
+const VOICE_PARTS = ['soprano', 'alto', 'tenor', 'bass']
+
+const DYNAMIC_VELOCITIES = {
+  pppp: 20, ppp: 32, pp: 45, p: 58, mp: 70, mf: 82, f: 96, ff: 108, fff: 118, ffff: 126,
+  fp: 96, sf: 110, sfz: 112, sffz: 120, fz: 110, rfz: 104, rf: 104
+}
+
+// 只作用于当前音符、不改变后续力度的记号
+const ACCENT_DYNAMICS = ['fp', 'sf', 'sfz', 'sffz', 'fz', 'rfz', 'rf']
+
+/**
+ * Generate a Type 1 Standard MIDI File
+ * @param {Object} score - Simplified score
+ * @param {Object} options - { dynamics: boolean } 是否根据力度记号设置力度（默认 true）
+ * @returns {Uint8Array} MIDI file bytes
+ */
+export function generateMidiFile(score, options = {}) {
+  const { dynamics = true } = options
+  const { metadata } = score
+  const parts = getScoreParts(score)
+  const measureStarts = getMeasureStartTicks(parts[0]?.measures || [], metadata)
+
+  const tracks = [buildConductorTrack(parts[0]?.measures || [], metadata, measureStarts)]
+
+  parts.forEach(part => {
+    const partScoreType = part.scoreType || score.scoreType
+    const groups = partScoreType === 'grand-staff'
+      ? splitByVoicePart(part)
+      : [{ name: part.name || 'Part 1', measures: part.measures }]
+
+    groups.forEach(group => {
+      const channel = getChannel(tracks.length - 1)
+      const program = part.midiProgram ? part.midiProgram - 1 : 0
+      tracks.push(buildNoteTrack(group, channel, program, measureStarts, dynamics))
+    })
+  })
+
+  const header = [
+    ...textBytes('MThd'),
+    ...uint32(6),
+    ...uint16(1),
+    ...uint16(tracks.length),
+    ...uint16(PPQ)
+  ]
+  const chunks = tracks.map(events => {
+    const data = encodeTrack(events)
+    return [...textBytes('MTrk'), ...uint32(data.length), ...data]
+  })
+
+  return new Uint8Array([...header, ...chunks.flat()])
+}
+
+/**
+ * Absolute start of every measure in MIDI ticks
+ * 弱起小节只占其音符的长度（与播放、LilyPond 的 \partial 相同）
+ */
+function getMeasureStartTicks(measures, metadata) {
+  const starts = []
+  let position = 0
+  measures.forEach((measure, idx) => {
+    starts.push(position)
+    const timeSignature = measure.timeSignature || metadata.timeSignature
+    const length = idx === 0 && isAnacrusis(measure, timeSignature)
+      ? Math.max(...measure.notes.map(n => (n.startBeat - 1) * 1024 + n.duration.ticks))
+      : getMeasureTicks(timeSignature)
+    position += toMidiTicks(length)
+  })
+  starts.push(position)
+  return starts
+}
+
+function buildConductorTrack(measures, metadata, measureStarts) {
+  const events = [
+    { tick: 0, order: 0, data: metaEvent(0x03, textBytes(metadata.title || 'Untitled')) },
+    { tick: 0, order: 0, data: tempoEvent(metadata.tempo || 120) }
+  ]
+
+  let prevTime = null
+  let prevKey = null
+  measures.forEach((measure, idx) => {
+    const timeSignature = measure.timeSignature || metadata.timeSignature
+    const timeKey = `${timeSignature.beats}/${timeSignature.beatType}`
+    if (timeKey !== prevTime) {
+      events.push({ tick: measureStarts[idx], order: 0, data: timeSignatureEvent(timeSignature) })
+      prevTime = timeKey
+    }
+
+    const keySignature = measure.keySignature || metadata.keySignature
+    if (keySignature) {
+      const keyKey = `${keySignature.fifths}/${keySignature.mode}`
+      if (keyKey !== prevKey) {
+        events.push({ tick: measureStarts[idx], order: 0, data: keySignatureEvent(keySignature) })
+        prevKey = keyKey
+      }
+    }
+  })
+
+  return events
+}
+
+/**
+ * 大谱表按 voicePart 分轨；没有 voicePart 的音符（如保留原样的弱起小节）按谱表归入 Soprano / Bass
+ */
+function splitByVoicePart(part) {
+  const voicePartOf = note => note.voicePart || (note.staff === 2 ? 'bass' : 'soprano')
+
+  return VOICE_PARTS
+    .map(voicePart => ({
+      name: `${part.name || 'Piano'} - ${voicePart.charAt(0).toUpperCase()}${voicePart.slice(1)}`,
+      measures: part.measures.map(measure => ({
+        ...measure,
+        notes: (measure.notes || []).filter(n => voicePartOf(n) === voicePart)
+      }))
+    }))
+    .filter(group => group.measures.some(m => m.notes.length > 0))
+}
+
+function buildNoteTrack(group, channel, program, measureStarts, dynamics) {
+  const events = [
+    { tick: 0, order: 0, data: metaEvent(0x03, textBytes(group.name)) },
+    { tick: 0, order: 1, data: [0xC0 | channel, program & 0x7F] }
+  ]
+
+  // 连线连接的音符合并：终点音符只延长起点音符
+  const sounding = new Map()
+  const notes = []
+  let velocity = DEFAULT_VELOCITY
+  const dynamicStaves = getDynamicStaves(group.measures)
+
+  group.measures.forEach((measure, idx) => {
+    const measureStart = measureStarts[idx] ?? measureStarts[measureStarts.length - 1]
+    const dynamicMarks = dynamics ? getDynamicMarks(measure, dynamicStaves) : []
+    const measureNotes = (measure.notes || [])
+      .filter(n => n.embellishment !== 'grace_note' && n.duration?.ticks > 0)
+      .sort((a, b) => a.startBeat - b.startBeat)
+    let markIdx = 0
+
+    measureNotes.forEach(note => {
+      const start = measureStart + toMidiTicks((note.startBeat - 1) * 1024)
+      const end = start + toMidiTicks(note.duration.ticks)
+
+      const tiedStart = note.tiedFrom ? sounding.get(note.tiedFrom) : null
+      if (tiedStart) {
+        tiedStart.end = Math.max(tiedStart.end, end)
+        sounding.set(note.id, tiedStart)
+        return
+      }
+
+      // 力度记号在其拍位生效（重新附着后与所附音符拍位相同）
+      let noteVelocity = velocity
+      while (markIdx < dynamicMarks.length && dynamicMarks[markIdx].startBeat <= note.startBeat + 0.001) {
+        const mark = dynamicMarks[markIdx++]
+        if (ACCENT_DYNAMICS.includes(mark.value)) {
+          noteVelocity = DYNAMIC_VELOCITIES[mark.value]
+        } else {
+          velocity = DYNAMIC_VELOCITIES[mark.value]
+          noteVelocity = velocity
+        }
+      }
+
+      if (note.articulations?.some(a => a === 'accent' || a === 'strong-accent')) {
+        noteVelocity = Math.min(127, noteVelocity + 15)
+      }
+
+      const event = { pitch: pitchToMidi(note.pitch), start, end, velocity: noteVelocity }
+      notes.push(event)
+      sounding.set(note.id, event)
+    })
+
+    // 小节末尾之后才出现的力度记号改变后续小节的力度
+    dynamicMarks.slice(markIdx)
+      .filter(mark => !ACCENT_DYNAMICS.includes(mark.value))
+      .forEach(mark => {
+        velocity = DYNAMIC_VELOCITIES[mark.value]
+      })
+  })
+
+  notes.forEach(note => {
+    const pitch = Math.max(0, Math.min(127, note.pitch))
+    events.push({ tick: note.start, order: 2, data: [0x90 | channel, pitch, note.velocity] })
+    // 同一时刻先关后开，避免同音重复时被提前截断
+    events.push({ tick: note.end, order: 1, data: [0x80 | channel, pitch, 0] })
+  })
+
+  return events
+}
+
+/**
+ * Staves whose dynamics apply to a track
+ * 钢琴谱的力度记号通常只写在上谱表（两谱表之间），此时对两只手都生效
+ */
+function getDynamicStaves(measures) {
+  const trackStaves = new Set(measures.flatMap(m => (m.notes || []).map(n => n.staff)))
+  const markedStaves = new Set(measures.flatMap(m =>
+    (m.directions || []).filter(d => d.type === 'dynamic').map(d => d.staff)
+  ))
+  const own = [...trackStaves].filter(staff => markedStaves.has(staff))
+  return new Set(own.length > 0 ? own : markedStaves)
+}
+
+/**
+ * Dynamics of a measure in playing order
+ */
+function getDynamicMarks(measure, staves) {
+  return (measure.directions || [])
+    .filter(d => d.type === 'dynamic' && DYNAMIC_VELOCITIES[d.value] && staves.has(d.staff))
+    .sort((a, b) => a.startBeat - b.startBeat)
+}
+
+function getChannel(trackIdx) {
+  const channel = trackIdx % 15
+  return channel >= DRUM_CHANNEL ? channel + 1 : channel
+}
+
+function toMidiTicks(ticks) {
+  return Math.round(ticks * PPQ / 1024)
+}
+
+function encodeTrack(events) {
+  const sorted = [...events].sort((a, b) => a.tick - b.tick || a.order - b.order)
+  const bytes = []
+  let lastTick = 0
+  sorted.forEach(event => {
+    bytes.push(...variableLength(event.tick - lastTick), ...event.data)
+    lastTick = event.tick
+  })
+  bytes.push(...variableLength(0), ...metaEvent(0x2F, []))
+  return bytes
+}
+
+function metaEvent(type, data) {
+  return [0xFF, type, ...variableLength(data.length), ...data]
+}
+
+function tempoEvent(bpm) {
+  const microseconds = Math.round(60000000 / bpm)
+  return metaEvent(0x51, [(microseconds >> 16) & 0xFF, (microseconds >> 8) & 0xFF, microseconds & 0xFF])
+}
+
+function timeSignatureEvent(timeSignature) {
+  const denominator = Math.round(Math.log2(timeSignature.beatType))
+  return metaEvent(0x58, [timeSignature.beats, denominator, 24, 8])
+}
+
+function keySignatureEvent(keySignature) {
+  const fifths = Math.max(-7, Math.min(7, keySignature.fifths || 0))
+  return metaEvent(0x59, [fifths & 0xFF, keySignature.mode === 'minor' ? 1 : 0])
+}
+
+function variableLength(value) {
+  const bytes = [value & 0x7F]
+  let rest = Math.floor(value / 128)
+  while (rest > 0) {
+    bytes.unshift((rest & 0x7F) | 0x80)
+    rest = Math.floor(rest / 128)
+  }
+  return bytes
+}
+
+function textBytes(text) {
+  return Array.from(new TextEncoder().encode(text))
+}
+
+function uint32(value) {
+  return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF]
+}
+
+function uint16(value) {
+  return [(value >> 8) & 0xFF, value & 0xFF]
+}
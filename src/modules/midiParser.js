@@ -0,0 +1,450 @@
+/**
+ * MIDI Parser Module
+ * Standard MIDI File (.mid) import
+ *
+ * 把 MIDI 文件转换为与 parseXmlContent 相同的乐谱结构，分析和简化流程无需区分输入格式：
+ * - 音符起止位置量化到十六分音符网格
+ * - 按拍号事件划分小节，跨小节线的音符拆开并用连线连接
+ * - Type 1 按轨道、Type 0 按通道分组：
+ *   一组时音域跨越中央 C 则拆成大谱表，两组时合成一个大谱表（高音组在上），更多组时每组一个 part
+ */
+
+import { buildNavigationModel } from './navigation.js'
+import { getMeasureTicks, midiToPitch, splitDurationTicks } from '../knowledge/index.js'
+
+// 量化网格：十六分音符（内部时值以四分音符 = 1024 计）
+const GRID = 256
+const DRUM_CHANNEL = 9
+// 单轨拆分大谱表时的分界音高（中央 C 及以上在上谱表）
+const SPLIT_PITCH = 60
+// 上下谱表各自至少占这个比例的音符时才拆成大谱表
+const MIN_STAFF_SHARE = 0.1
+
+const DEFAULT_TIME_SIGNATURE = { beats: 4, beatType: 4 }
+const DEFAULT_KEY_SIGNATURE = { fifths: 0, mode: 'major' }
+
+/**
+ * Parse MIDI file content into score structure
+ * @param {ArrayBuffer} buffer - Raw MIDI bytes
+ * @param {string} fileName - File name, used as title when the file has none
+ * @returns {Object} Parsed score (same shape as parseXmlContent)
+ */
+export function parseMidiContent(buffer, fileName = '') {
+  const { format, division, tracks } = readMidiFile(new Uint8Array(buffer))
+  const toTicks = midiTicks => midiTicks * 1024 / division
+  const quantize = midiTicks => Math.round(toTicks(midiTicks) / GRID) * GRID
+
+  const meta = collectMetaEvents(tracks, quantize)
+  const notes = collectNotes(tracks, quantize)
+  if (notes.length === 0) {
+    throw new Error('PARSE_ERROR')
+  }
+
+  // 音符很多时展开参数会超出调用栈，用 reduce
+  const scoreEnd = notes.reduce((end, n) => Math.max(end, n.end), 0)
+  const measureFrames = buildMeasureFrames(scoreEnd, meta.timeSignatures, meta.keySignatures)
+
+  const nextId = createIdGenerator()
+  const parts = groupNotes(notes, format).map((group, idx) => {
+    const name = group.name || `Part ${idx + 1}`
+    const measures = buildMeasures(group.notes, group.staves, measureFrames, nextId)
+    return {
+      id: `P${idx + 1}`,
+      name,
+      instrument: name,
+      midiProgram: group.program !== null ? group.program + 1 : null,
+      staves: group.staves,
+      measures,
+      slurs: [],
+      navigation: buildNavigationModel(measures)
+    }
+  })
+
+  const firstMeasure = parts[0].measures[0]
+  const metadata = {
+    title: meta.title || fileName.replace(/\.midi?$/i, '') || 'Untitled',
+    composer: 'Unknown',
+    tempo: meta.tempo || 120,
+    timeSignature: firstMeasure.timeSignature,
+    keySignature: firstMeasure.keySignature,
+    clefs: firstMeasure.clefs,
+    textAnnotations: []
+  }
+
+  return {
+    metadata,
+    parts,
+    measures: parts[0].measures,
+    navigation: parts[0].navigation,
+    rawXml: null
+  }
+}
+
+/**
+ * Read header and track chunks
+ */
+function readMidiFile(data) {
+  if (readText(data, 0, 4) !== 'MThd') {
+    throw new Error('PARSE_ERROR')
+  }
+  const headerLength = readUint32(data, 4)
+  const format = readUint16(data, 8)
+  const trackCount = readUint16(data, 10)
+  const division = readUint16(data, 12)
+  // SMPTE 时间码格式不支持
+  if (division & 0x8000 || division === 0) {
+    throw new Error('PARSE_ERROR')
+  }
+
+  const tracks = []
+  let offset = 8 + headerLength
+  for (let i = 0; i < trackCount && offset + 8 <= data.length; i++) {
+    if (readText(data, offset, 4) !== 'MTrk') {
+      throw new Error('PARSE_ERROR')
+    }
+    const length = readUint32(data, offset + 4)
+    tracks.push(readTrack(data, offset + 8, Math.min(offset + 8 + length, data.length)))
+    offset += 8 + length
+  }
+
+  return { format, division, tracks }
+}
+
+/**
+ * Read the events of one track (absolute ticks, running status)
+ */
+function readTrack(data, start, end) {
+  const events = []
+  let pos = start
+  let tick = 0
+  let runningStatus = null
+
+  const readVariableLength = () => {
+    let value = 0
+    let byte
+    do {
+      byte = data[pos++]
+      value = value * 128 + (byte & 0x7F)
+    } while (byte & 0x80 && pos < end)
+    return value
+  }
+
+  while (pos < end) {
+    tick += readVariableLength()
+
+    let status = data[pos]
+    if (status & 0x80) {
+      pos++
+      if (status < 0xF0) runningStatus = status
+    } else if (runningStatus !== null) {
+      status = runningStatus
+    } else {
+      throw new Error('PARSE_ERROR')
+    }
+
+    if (status === 0xFF) {
+      const type = data[pos++]
+      const length = readVariableLength()
+      events.push({ tick, meta: type, data: data.subarray(pos, pos + length) })
+      pos += length
+      if (type === 0x2F) break
+    } else if (status === 0xF0 || status === 0xF7) {
+      pos += readVariableLength()
+    } else {
+      const kind = status & 0xF0
+      const size = kind === 0xC0 || kind === 0xD0 ? 1 : 2
+      events.push({ tick, kind, channel: status & 0x0F, data1: data[pos], data2: size === 2 ? data[pos + 1] : 0 })
+      pos += size
+    }
+  }
+
+  return events
+}
+
+/**
+ * Tempo, time signatures, key signatures and title
+ */
+function collectMetaEvents(tracks, quantize) {
+  const result = { title: null, tempo: null, timeSignatures: [], keySignatures: [] }
+
+  tracks.forEach((events, trackIdx) => {
+    events.filter(e => e.meta !== undefined).forEach(event => {
+      const tick = quantize(event.tick)
+      switch (event.meta) {
+        case 0x03:
+          // 第一轨的轨道名作为曲名（Type 1 的指挥轨）
+          if (trackIdx === 0 && !result.title) result.title = decodeText(event.data)
+          break
+        case 0x51:
+          if (result.tempo === null && event.data.length >= 3) {
+            const microseconds = (event.data[0] << 16) | (event.data[1] << 8) | event.data[2]
+            result.tempo = Math.round(60000000 / microseconds)
+          }
+          break
+        case 0x58:
+          result.timeSignatures.push({ tick, beats: event.data[0], beatType: Math.pow(2, event.data[1]) })
+          break
+        case 0x59: {
+          const fifths = event.data[0] > 127 ? event.data[0] - 256 : event.data[0]
+          result.keySignatures.push({ tick, fifths, mode: event.data[1] === 1 ? 'minor' : 'major' })
+          break
+        }
+      }
+    })
+  })
+
+  result.timeSignatures.sort((a, b) => a.tick - b.tick)
+  result.keySignatures.sort((a, b) => a.tick - b.tick)
+  return result
+}
+
+/**
+ * Pair note-on / note-off events into quantized notes
+ */
+function collectNotes(tracks, quantize) {
+  const notes = []
+
+  tracks.forEach((events, trackIdx) => {
+    const open = new Map()
+    const programs = new Map()
+    let trackName = null
+    let lastTick = 0
+
+    events.forEach(event => {
+      lastTick = event.tick
+      if (event.meta === 0x03 && !trackName) trackName = decodeText(event.data)
+      if (event.kind === 0xC0 && !programs.has(event.channel)) programs.set(event.channel, event.data1)
+
+      const isNoteOn = event.kind === 0x90 && event.data2 > 0
+      const isNoteOff = event.kind === 0x80 || (event.kind === 0x90 && event.data2 === 0)
+      const key = event.channel * 128 + event.data1
+
+      if (isNoteOn) {
+        const stack = open.get(key) || []
+        stack.push(event.tick)
+        open.set(key, stack)
+      } else if (isNoteOff && open.get(key)?.length > 0) {
+        const startTick = open.get(key).shift()
+        notes.push({ track: trackIdx, channel: event.channel, pitch: event.data1, startTick, endTick: event.tick })
+      }
+    })
+
+    // 没有 note-off 的音符延续到轨道结束
+    open.forEach((stack, key) => {
+      stack.forEach(startTick => {
+        notes.push({ track: trackIdx, channel: Math.floor(key / 128), pitch: key % 128, startTick, endTick: lastTick })
+      })
+    })
+
+    notes.filter(n => n.track === trackIdx).forEach(note => {
+      note.trackName = trackName
+      note.program = programs.has(note.channel) ? programs.get(note.channel) : null
+    })
+  })
+
+  return notes
+    .filter(n => n.channel !== DRUM_CHANNEL)
+    .map(n => {
+      const start = quantize(n.startTick)
+      const end = Math.max(quantize(n.endTick), start + GRID)
+      return { ...n, start, end }
+    })
+    .sort((a, b) => a.start - b.start || b.pitch - a.pitch)
+}
+
+/**
+ * Measure boundaries from time signature events
+ * 拍号在小节中途改变时，前一小节在改变处截断
+ */
+function buildMeasureFrames(scoreEnd, timeSignatures, keySignatures) {
+  const frames = []
+  const atOrBefore = (list, tick) => list.filter(e => e.tick <= tick).pop()
+
+  let position = 0
+  while (position < scoreEnd || frames.length === 0) {
+    const timeEvent = atOrBefore(timeSignatures, position)
+    const keyEvent = atOrBefore(keySignatures, position)
+    const timeSignature = timeEvent ? { beats: timeEvent.beats, beatType: timeEvent.beatType } : { ...DEFAULT_TIME_SIGNATURE }
+    const keySignature = keyEvent ? { fifths: keyEvent.fifths, mode: keyEvent.mode } : { ...DEFAULT_KEY_SIGNATURE }
+
+    let length = getMeasureTicks(timeSignature)
+    const nextChange = timeSignatures.find(e => e.tick > position)
+    if (nextChange && nextChange.tick < position + length) {
+      length = nextChange.tick - position
+    }
+
+    frames.push({ start: position, length, timeSignature, keySignature })
+    position += length
+  }
+
+  return frames
+}
+
+/**
+ * Map tracks (Type 1) or channels (Type 0) to parts and staves
+ */
+function groupNotes(notes, format) {
+  const groupKey = note => format === 0 ? note.channel : note.track
+  const byKey = new Map()
+  notes.forEach(note => {
+    const key = groupKey(note)
+    if (!byKey.has(key)) byKey.set(key, [])
+    byKey.get(key).push(note)
+  })
+
+  const groups = [...byKey.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([, groupNotes]) => ({
+      notes: groupNotes,
+      name: groupNotes[0].trackName,
+      program: groupNotes[0].program,
+      averagePitch: groupNotes.reduce((sum, n) => sum + n.pitch, 0) / groupNotes.length
+    }))
+
+  if (groups.length === 1) {
+    const group = groups[0]
+    const upper = group.notes.filter(n => n.pitch >= SPLIT_PITCH).length
+    const lower = group.notes.length - upper
+    const isGrandStaff = Math.min(upper, lower) >= group.notes.length * MIN_STAFF_SHARE
+    return [{
+      ...group,
+      staves: isGrandStaff ? 2 : 1,
+      notes: group.notes.map(n => ({ ...n, staff: isGrandStaff && n.pitch < SPLIT_PITCH ? 2 : 1 }))
+    }]
+  }
+
+  if (groups.length === 2) {
+    const [upper, lower] = [...groups].sort((a, b) => b.averagePitch - a.averagePitch)
+    return [{
+      name: upper.name || lower.name,
+      program: upper.program,
+      averagePitch: upper.averagePitch,
+      staves: 2,
+      notes: [
+        ...upper.notes.map(n => ({ ...n, staff: 1 })),
+        ...lower.notes.map(n => ({ ...n, staff: 2 }))
+      ].sort((a, b) => a.start - b.start || b.pitch - a.pitch)
+    }]
+  }
+
+  return groups.map(group => ({
+    ...group,
+    staves: 1,
+    notes: group.notes.map(n => ({ ...n, staff: 1 }))
+  }))
+}
+
+/**
+ * Build parser-compatible measures for one part
+ * 跨小节线或无法用单个音符表示的时值拆成多个音符并用连线连接
+ */
+function buildMeasures(notes, staves, frames, nextId) {
+  const averagePitch = notes.reduce((sum, n) => sum + n.pitch, 0) / notes.length
+  const clefs = staves === 2 ? ['G2', 'F4'] : [averagePitch < SPLIT_PITCH - 5 ? 'F4' : 'G2']
+
+  const measures = frames.map((frame, idx) => ({
+    number: idx + 1,
+    notes: [],
+    rests: [],
+    timeSignature: frame.timeSignature,
+    keySignature: frame.keySignature,
+    clefs
+  }))
+
+  notes.forEach(note => {
+    let previous = null
+    frames.forEach((frame, idx) => {
+      const frameEnd = frame.start + frame.length
+      const start = Math.max(note.start, frame.start)
+      const end = Math.min(note.end, frameEnd)
+      if (start >= end) return
+
+      withOffsets(splitDurationTicks(end - start)).forEach(({ value, offset }) => {
+        const piece = {
+          id: nextId(),
+          pitch: midiToPitch(note.pitch, frame.keySignature.fifths),
+          duration: { type: value.type, dots: value.dots, ticks: value.ticks },
+          startBeat: 1 + (start + offset - frame.start) / 1024,
+          voice: note.staff,
+          staff: note.staff,
+          tiedTo: null,
+          tiedFrom: previous ? previous.id : null,
+          isLocked: false,
+          embellishment: null
+        }
+        if (previous) previous.tiedTo = piece.id
+        measures[idx].notes.push(piece)
+        previous = piece
+      })
+    })
+  })
+
+  // 每个谱表上没有音符发声的位置补休止符
+  measures.forEach((measure, idx) => {
+    const frame = frames[idx]
+    for (let staff = 1; staff <= staves; staff++) {
+      const spans = measure.notes
+        .filter(n => n.staff === staff)
+        .map(n => ({ start: (n.startBeat - 1) * 1024, end: (n.startBeat - 1) * 1024 + n.duration.ticks }))
+        .sort((a, b) => a.start - b.start)
+
+      let position = 0
+      const gaps = []
+      spans.forEach(span => {
+        if (span.start > position) gaps.push({ start: position, end: span.start })
+        position = Math.max(position, span.end)
+      })
+      if (position < frame.length) gaps.push({ start: position, end: frame.length })
+
+      gaps.forEach(gap => {
+        withOffsets(splitDurationTicks(gap.end - gap.start)).forEach(({ value, offset }) => {
+          measure.rests.push({
+            id: nextId(),
+            duration: { type: value.type, dots: value.dots, ticks: value.ticks },
+            startBeat: 1 + (gap.start + offset) / 1024,
+            voice: staff,
+            staff
+          })
+        })
+      })
+    }
+    measure.notes.sort((a, b) => a.startBeat - b.startBeat || a.staff - b.staff)
+  })
+
+  return measures
+}
+
+/**
+ * Position of each piece of a split length
+ * @param {Array} durations - splitDurationTicks 的结果
+ * @returns {Array} [{ value, offset }]
+ */
+function withOffsets(durations) {
+  let offset = 0
+  return durations.map(value => {
+    const piece = { value, offset }
+    offset += value.ticks
+    return piece
+  })
+}
+
+function createIdGenerator() {
+  let counter = 0
+  return () => `note_${++counter}`
+}
+
+function readText(data, offset, length) {
+  return String.fromCharCode(...data.subarray(offset, offset + length))
+}
+
+function decodeText(data) {
+  return new TextDecoder().decode(data).replace(/\0/g, '').trim() || null
+}
+
+function readUint32(data, offset) {
+  return ((data[offset] << 24) >>> 0) + (data[offset + 1] << 16) + (data[offset + 2] << 8) + data[offset + 3]
+}
+
+function readUint16(data, offset) {
+  return (data[offset] << 8) + data[offset + 1]
+}
@@ -0,0 +1,276 @@
+/**
+ * Navigation Module
+ * Repeat / volta / D.C. / D.S. / Coda structure model
+ *
+ * 解析器把反复记号记录在每个小节上：
+ * - measure.barlines: [{ location, style, repeat, times, ending }]
+ * - measure.navigation: [{ type: 'segno' | 'coda' | 'tocoda' | 'fine' | 'dacapo' | 'dalsegno', text }]
+ *
+ * 本模块据此建立整首乐曲的跳转模型，并可按实际演奏顺序展开（unfold）
+ */
+
+/**
+ * Build the navigation model of a list of measures
+ * 所有位置均为小节在数组中的下标
+ * @param {Array} measures - Measures with barlines/navigation
+ * @returns {Object} { repeats, endings, segno, coda, toCoda, fine, jumps }
+ */
+export function buildNavigationModel(measures) {
+  const model = {
+    repeats: [],
+    endings: [],
+    segno: null,
+    coda: null,
+    toCoda: null,
+    fine: null,
+    jumps: []
+  }
+
+  let repeatStart = 0
+  let openEnding = null
+
+  measures.forEach((measure, idx) => {
+    const barlines = measure.barlines || []
+
+    barlines.forEach(barline => {
+      if (barline.repeat === 'forward') {
+        repeatStart = idx
+      }
+
+      if (barline.ending) {
+        const { type } = barline.ending
+        if (type === 'start') {
+          openEnding = { numbers: parseEndingNumbers(barline.ending.number), start: idx, end: idx }
+          model.endings.push(openEnding)
+        } else if (openEnding) {
+          // stop / discontinue
+          openEnding.end = idx
+          openEnding = null
+        }
+      }
+
+      if (barline.repeat === 'backward') {
+        model.repeats.push({ start: repeatStart, end: idx, times: barline.times || 2 })
+        repeatStart = idx + 1
+      }
+    })
+
+    if (openEnding) openEnding.end = idx
+
+    const marks = measure.navigation || []
+    marks.forEach(mark => {
+      switch (mark.type) {
+        case 'segno':
+          if (model.segno === null) model.segno = idx
+          break
+        case 'coda':
+          if (model.coda === null) model.coda = idx
+          break
+        case 'tocoda':
+          if (model.toCoda === null) model.toCoda = idx
+          break
+        case 'fine':
+          if (model.fine === null) model.fine = idx
+          break
+        case 'dacapo':
+        case 'dalsegno':
+          model.jumps.push({ type: mark.type, at: idx })
+          break
+      }
+    })
+  })
+
+  return model
+}
+
+/**
+ * Parse an ending number attribute ('1', '1, 2', '1-3')
+ * @param {string} number - Ending number attribute
+ * @returns {number[]} Pass numbers
+ */
+function parseEndingNumbers(number) {
+  const result = []
+  String(number || '1').split(/[,\s]+/).filter(Boolean).forEach(token => {
+    const range = token.split('-').map(n => parseInt(n))
+    if (range.length === 2 && !isNaN(range[0]) && !isNaN(range[1])) {
+      for (let n = range[0]; n <= range[1]; n++) result.push(n)
+    } else if (!isNaN(range[0])) {
+      result.push(range[0])
+    }
+  })
+  return result.length > 0 ? result : [1]
+}
+
+/**
+ * Compute the playback order of measures
+ *
+ * 演奏约定：
+ * - 反复记号按 times 次数反复，反复跳房子按遍数选择
+ * - D.C. / D.S. 之后不再反复，跳房子只演奏最后一房
+ * - 跳转之后遇到 Fine 结束，遇到 To Coda 跳到 Coda
+ *
+ * @param {Array} measures - Measures with barlines/navigation
+ * @returns {number[]} Measure indices in playback order
+ */
+export function getPlaybackOrder(measures) {
+  const model = buildNavigationModel(measures)
+  const total = measures.length
+  const order = []
+
+  const repeatAtEnd = new Map(model.repeats.map(r => [r.end, r]))
+  const endingAt = idx => model.endings.find(e => idx >= e.start && idx <= e.end) || null
+  const isFinalEnding = ending => !model.endings.some(e => e.start === ending.end + 1)
+
+  const repeatPasses = new Map()
+  const usedJumps = new Set()
+  let pass = 1
+  let afterJump = false
+  let i = 0
+
+  // 防止错误的反复记号造成死循环
+  const maxSteps = total * 20
+
+  while (i < total && order.length < maxSteps) {
+    const ending = endingAt(i)
+    if (ending) {
+      const skip = afterJump ? !isFinalEnding(ending) : !ending.numbers.includes(pass)
+      if (skip) {
+        i = ending.end + 1
+        continue
+      }
+    }
+
+    order.push(i)
+
+    if (afterJump && model.fine === i) break
+
+    if (afterJump && model.toCoda === i && model.coda !== null && model.coda > i) {
+      i = model.coda
+      continue
+    }
+
+    const repeat = repeatAtEnd.get(i)
+    if (repeat && !afterJump) {
+      const played = repeatPasses.get(i) || 1
+      if (played < repeat.times) {
+        repeatPasses.set(i, played + 1)
+        pass = played + 1
+        i = repeat.start
+        continue
+      }
+    }
+
+    const jump = model.jumps.find(j => j.at === i)
+    if (jump && !usedJumps.has(i)) {
+      usedJumps.add(i)
+      afterJump = true
+      pass = 1
+      i = jump.type === 'dalsegno' && model.segno !== null ? model.segno : 0
+      continue
+    }
+
+    // 离开跳房子或已完成的反复段落后，遍数归一
+    if (!endingAt(i + 1) && (ending || repeat)) {
+      pass = 1
+    }
+    i++
+  }
+
+  return order
+}
+
+const FINAL_BARLINE = { location: 'right', style: 'light-heavy', repeat: null, times: null, ending: null }
+
+/**
+ * 去掉反复和跳房子后剩下的小节线（如双小节线）
+ * @returns {Array|undefined}
+ */
+function getStyleBarlines(barlines) {
+  const kept = (barlines || []).filter(b => !b.repeat && !b.ending && b.style)
+  return kept.length > 0 ? kept : undefined
+}
+
+/**
+ * Expand repeats and jumps into linear playback order
+ *
+ * 展开后的小节按顺序重新编号，移除反复、跳房子和跳转记号（只有样式的小节线保留），
+ * 最后一个小节使用终止线；
+ * 重复出现的小节中的音符 id 加后缀，保证全曲唯一；连线和连奏线随之指向对应的音符
+ *
+ * @param {Object} score - Parsed score (with parts)
+ * @returns {Object} Unfolded score
+ */
+export function unfoldRepeats(score) {
+  const unfoldMeasures = (measures, slurs = []) => {
+    const occurrences = new Map()
+    const steps = getPlaybackOrder(measures).map(sourceIdx => {
+      const occurrence = (occurrences.get(sourceIdx) || 0) + 1
+      occurrences.set(sourceIdx, occurrence)
+      return { source: measures[sourceIdx], suffix: occurrence > 1 ? `_${occurrence}` : '' }
+    })
+
+    // 连线指向本小节或演奏顺序中相邻小节的音符；相邻小节不再是原来的小节时断开
+    const tieTarget = (id, step, neighbour) => {
+      if (!id) return null
+      if (step.source.notes.some(n => n.id === id)) return id + step.suffix
+      if (neighbour && neighbour.source.notes.some(n => n.id === id)) return id + neighbour.suffix
+      return null
+    }
+
+    // 每次演奏到连奏线起点都生成一条新的连奏线，终点取其后最先演奏到的那一次
+    const hasNote = (step, id) => step.source.notes.some(n => n.id === id)
+    const unfoldedSlurs = []
+    steps.forEach((step, idx) => {
+      slurs.filter(slur => hasNote(step, slur.startNoteId)).forEach(slur => {
+        const endStep = steps.slice(idx).find(other => hasNote(other, slur.endNoteId))
+        if (!endStep) return
+        unfoldedSlurs.push({
+          ...slur,
+          startNoteId: slur.startNoteId + step.suffix,
+          endNoteId: slur.endNoteId + endStep.suffix
+        })
+      })
+    })
+
+    const unfolded = steps.map((step, idx) => {
+      const { source, suffix } = step
+
+      return {
+        ...source,
+        number: idx + 1,
+        sourceNumber: source.number,
+        notes: source.notes.map(n => ({
+          ...n,
+          id: n.id + suffix,
+          tiedTo: tieTarget(n.tiedTo, step, steps[idx + 1]),
+          tiedFrom: tieTarget(n.tiedFrom, step, steps[idx - 1])
+        })),
+        rests: (source.rests || []).map(r => ({ ...r, id: r.id + suffix })),
+        directions: (source.directions || []).map(d => ({ ...d, noteId: d.noteId ? d.noteId + suffix : null })),
+        barlines: getStyleBarlines(source.barlines),
+        navigation: undefined
+      }
+    })
+
+    const last = unfolded[unfolded.length - 1]
+    if (last) {
+      last.barlines = [...(last.barlines || []).filter(b => b.location !== 'right'), FINAL_BARLINE]
+    }
+
+    return { measures: unfolded, slurs: unfoldedSlurs }
+  }
+
+  const parts = (score.parts || []).map(part => {
+    const { measures, slurs } = unfoldMeasures(part.measures, part.slurs)
+    return { ...part, measures, slurs, navigation: buildNavigationModel(measures) }
+  })
+  const measures = parts.length > 0 ? parts[0].measures : unfoldMeasures(score.measures).measures
+
+  return {
+    ...score,
+    parts,
+    measures,
+    navigation: buildNavigationModel(measures),
+    unfolded: true
+  }
+}
@@ -5,12 +5,17 @@
 
 import JSZip from 'jszip'
 import { DURATION_DEFINITIONS, pitchToMidi } from '../knowledge/index.js'
+import { buildNavigationModel } from './navigation.js'
+import { linkTies } from './ties.js'
+import { linkSlurs } from './slurs.js'
+import { parseMidiContent } from './midiParser.js'
+import { parseAbcContent } from './abcParser.js'
 
 let noteIdCounter = 0
 const generateNoteId = () => `note_${++noteIdCounter}`
 
 /**
- * Parse a MusicXML file (either .mxl or .musicxml)
+ * Parse a score file (.mxl, .musicxml, .mid or .abc)
  * @param {File} file - The uploaded file
  * @returns {Promise<Object>} Parsed score object
  */
@@ -23,6 +28,10 @@ export async function parseFile(file) {
     xmlContent = await parseMxlFile(file)
   } else if (fileName.endsWith('.musicxml') || fileName.endsWith('.xml')) {
     xmlContent = await file.text()
+  } else if (fileName.endsWith('.mid') || fileName.endsWith('.midi')) {
+    return parseMidiContent(await file.arrayBuffer(), file.name)
+  } else if (fileName.endsWith('.abc')) {
+    return parseAbcContent(await file.text(), file.name)
   } else {
     throw new Error('INVALID_FILE_FORMAT')
   }
@@ -83,15 +92,108 @@ function parseXmlContent(xmlContent) {
   }
   
   const metadata = parseMetadata(doc)
-  const measures = parseMeasures(doc, metadata.timeSignature)
+  const parts = parseParts(doc, metadata)
   
   return {
     metadata,
-    measures,
+    parts,
+    // 主声部（第一个 part）的小节，供只处理单个 part 的调用方使用
+    measures: parts[0]?.measures || [],
+    navigation: parts[0]?.navigation || buildNavigationModel([]),
     rawXml: xmlContent
   }
 }
 
+/**
+ * Parse every <part> together with its <score-part> entry
+ * 
+ * 多声部乐谱（如小提琴+钢琴、弦乐四重奏）每个 part 独立解析，
+ * 不再把所有 part 的小节混在同一个列表里
+ * 
+ * @param {Document} doc - XML document
+ * @param {Object} metadata - Score metadata
+ * @returns {Array} Array of part objects
+ */
+function parseParts(doc, metadata) {
+  const partInfo = parsePartList(doc)
+  const partEls = Array.from(doc.querySelectorAll('part'))
+  
+  return partEls.map((partEl, index) => {
+    const id = partEl.getAttribute('id') || `P${index + 1}`
+    const info = partInfo.get(id) || {}
+    const stavesEl = partEl.querySelector('attributes > staves')
+    const measures = parseMeasures(partEl, metadata)
+    linkTies(measures)
+    const slurs = linkSlurs(measures)
+    
+    return {
+      id,
+      name: info.name || `Part ${index + 1}`,
+      instrument: info.instrument || info.name || null,
+      midiProgram: info.midiProgram || null,
+      staves: parseInt(stavesEl?.textContent || '1'),
+      measures,
+      slurs,
+      navigation: buildNavigationModel(measures)
+    }
+  })
+}
+
+/**
+ * Parse <part-list> into a lookup of part names and instruments
+ * @param {Document} doc - XML document
+ * @returns {Map} Map of part id -> { name, instrument, midiProgram }
+ */
+function parsePartList(doc) {
+  const info = new Map()
+  
+  doc.querySelectorAll('part-list > score-part').forEach(scorePart => {
+    const id = scorePart.getAttribute('id')
+    if (!id) return
+    
+    const midiProgramEl = scorePart.querySelector('midi-instrument > midi-program')
+    info.set(id, {
+      name: scorePart.querySelector('part-name')?.textContent?.trim() || null,
+      instrument: scorePart.querySelector('score-instrument > instrument-name')?.textContent?.trim() || null,
+      midiProgram: midiProgramEl ? parseInt(midiProgramEl.textContent) : null
+    })
+  })
+  
+  return info
+}
+
+/**
+ * Get the parts a pipeline stage should work on
+ * 没有 parts 的乐谱（旧格式或手工构造）视为单个 part
+ * @param {Object} score - Parsed, analyzed or simplified score
+ * @returns {Array} Array of part objects
+ */
+export function getScoreParts(score) {
+  if (score.parts && score.parts.length > 0) return score.parts
+  return [{ id: 'P1', name: 'Part 1', staves: 1, measures: score.measures || [] }]
+}
+
+/**
+ * Restrict a parsed score to one part, or keep all of them
+ * @param {Object} score - Parsed score
+ * @param {string} partId - Part id, or 'all' for every part
+ * @returns {Object} Score whose parts/measures cover the chosen part(s)
+ */
+export function selectPart(score, partId = 'all') {
+  const allParts = getScoreParts(score)
+  const parts = partId === 'all' ? allParts : allParts.filter(p => p.id === partId)
+  if (parts.length === 0) {
+    throw new Error('PART_NOT_FOUND')
+  }
+  
+  return {
+    ...score,
+    parts,
+    measures: parts[0].measures,
+    navigation: parts[0].navigation || score.navigation
+  }
+}
+
 
 /**
  * Parse score metadata
@@ -141,7 +243,28 @@ function parseMetadata(doc) {
   const tempo = soundEl ? parseInt(soundEl.getAttribute('tempo')) : 120
   
   // Time Signature
-  const timeEl = doc.querySelector('time')
+  const timeSignature = parseTimeSignature(doc.querySelector('time'))
+  
+  // Key Signature
+  const keySignature = parseKeySignature(doc.querySelector('key'))
+  
+  // Clefs
+  const clefEls = doc.querySelectorAll('clef')
+  const clefs = Array.from(clefEls).map(parseClef)
+  
+  // Text annotations
+  const textEls = doc.querySelectorAll('words, direction-type > words')
+  const textAnnotations = Array.from(textEls).map(el => el.textContent).filter(Boolean)
+  
+  return { title, composer, tempo, timeSignature, keySignature, clefs, textAnnotations }
+}
+
+/**
+ * Parse a <time> element
+ * @param {Element|null} timeEl - Time XML element
+ * @returns {Object} Time signature object
+ */
+function parseTimeSignature(timeEl) {
   const timeSignature = {
     beats: parseInt(timeEl?.querySelector('beats')?.textContent || '4'),
     beatType: parseInt(timeEl?.querySelector('beat-type')?.textContent || '4'),
@@ -151,46 +274,82 @@ function parseMetadata(doc) {
   if ([6, 9, 12].includes(timeSignature.beats) && timeSignature.beatType === 8) {
     timeSignature.type = 'compound'
   }
-  
-  // Key Signature
-  const keyEl = doc.querySelector('key')
-  const keySignature = {
+  return timeSignature
+}
+
+/**
+ * Parse a <key> element
+ * @param {Element|null} keyEl - Key XML element
+ * @returns {Object} Key signature object
+ */
+function parseKeySignature(keyEl) {
+  return {
     fifths: parseInt(keyEl?.querySelector('fifths')?.textContent || '0'),
     mode: keyEl?.querySelector('mode')?.textContent || 'major'
   }
+}
+
+/**
+ * Parse a <clef> element
+ * @param {Element} clefEl - Clef XML element
+ * @returns {string} Clef as sign + line, e.g. 'G2'
+ */
+function parseClef(clefEl) {
+  const sign = clefEl.querySelector('sign')?.textContent || 'G'
+  const line = clefEl.querySelector('line')?.textContent || '2'
+  return `${sign}${line}`
+}
+
+/**
+ * Apply an <attributes> element to the running attribute state
+ * @param {Element} attributesEl - Attributes XML element
+ * @param {Object} state - { timeSignature, keySignature, clefs }
+ * @returns {Object} New attribute state
+ */
+function applyAttributes(attributesEl, state) {
+  const next = { ...state, clefs: [...state.clefs] }
   
-  // Clefs
-  const clefEls = doc.querySelectorAll('clef')
-  const clefs = Array.from(clefEls).map(clef => {
-    const sign = clef.querySelector('sign')?.textContent || 'G'
-    const line = clef.querySelector('line')?.textContent || '2'
-    return `${sign}${line}`
-  })
+  const timeEl = attributesEl.querySelector('time')
+  if (timeEl) next.timeSignature = parseTimeSignature(timeEl)
   
-  // Text annotations
-  const textEls = doc.querySelectorAll('words, direction-type > words')
-  const textAnnotations = Array.from(textEls).map(el => el.textContent).filter(Boolean)
+  const keyEl = attributesEl.querySelector('key')
+  if (keyEl) next.keySignature = parseKeySignature(keyEl)
   
-  return { title, composer, tempo, timeSignature, keySignature, clefs, textAnnotations }
+  attributesEl.querySelectorAll('clef').forEach(clefEl => {
+    const staff = parseInt(clefEl.getAttribute('number') || '1')
+    next.clefs[staff - 1] = parseClef(clefEl)
+  })
+  
+  return next
 }
 
 /**
- * Parse all measures from the score
+ * Parse all measures of one part
  * 
  * 关键修复：正确处理 MusicXML 的 backup 和 forward 元素
  * - backup: 回退时间位置（用于开始新声部）
  * - forward: 前进时间位置（用于跳过空白）
  * 
- * @param {Document} doc - XML document
- * @param {Object} timeSignature - Time signature for beat calculations
+ * 拍号、调号、谱号可以在乐曲中途改变：每个小节记录自己生效的
+ * timeSignature / keySignature / clefs（小节第一个音符之前的 attributes 生效，
+ * 小节中途的 attributes 从下一小节开始生效）
+ * 
+ * @param {Element} partEl - <part> element
+ * @param {Object} metadata - Score metadata (initial time/key signature)
  * @returns {Array} Array of measure objects
  */
-function parseMeasures(doc, timeSignature) {
-  const measureEls = doc.querySelectorAll('measure')
+function parseMeasures(partEl, metadata) {
+  const measureEls = Array.from(partEl.children).filter(el => el.tagName.toLowerCase() === 'measure')
   const measures = []
   
+  let attributeState = {
+    timeSignature: metadata.timeSignature,
+    keySignature: metadata.keySignature,
+    clefs: []
+  }
+  
   // 获取 divisions（每四分音符的分割数）
-  const divisionsEl = doc.querySelector('divisions')
+  const divisionsEl = partEl.querySelector('divisions')
   let globalDivisions = parseInt(divisionsEl?.textContent || '1')
   
   measureEls.forEach((measureEl, index) => {
@@ -207,13 +366,40 @@ function parseMeasures(doc, timeSignature) {
     
     let currentBeat = 1
     let lastNonChordBeat = 1
+    let measureAttributes = null
+    const barlines = []
+    const navigation = []
+    const directions = []
     
-    // 遍历小节内的所有子元素（按顺序处理 note, backup, forward）
+    // 遍历小节内的所有子元素（按顺序处理 attributes, note, backup, forward）
     const children = measureEl.children
     for (let i = 0; i < children.length; i++) {
       const child = children[i]
       const tagName = child.tagName.toLowerCase()
       
+      if (tagName === 'attributes') {
+        attributeState = applyAttributes(child, attributeState)
+        continue
+      }
+      if (tagName === 'barline') {
+        barlines.push(parseBarline(child))
+        continue
+      }
+      if (tagName === 'direction' || tagName === 'sound') {
+        const marks = parseNavigationMarks(child)
+        marks.forEach(mark => {
+          if (!navigation.some(m => m.type === mark.type)) navigation.push(mark)
+        })
+        // 跳转记号的文字（D.C.、Fine 等）已记入 navigation，不再作为表情文字
+        if (tagName === 'direction') {
+          directions.push(...parseDirection(child, currentBeat, divisions, marks.length > 0))
+        }
+        continue
+      }
+      if (!measureAttributes && ['note', 'backup', 'forward'].includes(tagName)) {
+        measureAttributes = attributeState
+      }
+      
       if (tagName === 'backup') {
         // backup 元素：回退时间位置
         const backupDuration = parseInt(child.querySelector('duration')?.textContent || '0')
@@ -266,13 +452,166 @@ function parseMeasures(doc, timeSignature) {
       }
     }
     
-    measures.push({ number: measureNum, notes, rests })
+    anchorDirections(directions, notes)
+    
+    const { timeSignature, keySignature, clefs } = measureAttributes || attributeState
+    measures.push({
+      number: measureNum,
+      notes,
+      rests,
+      timeSignature,
+      keySignature,
+      clefs,
+      barlines: barlines.length > 0 ? barlines : undefined,
+      navigation: navigation.length > 0 ? navigation : undefined,
+      directions: directions.length > 0 ? directions : undefined
+    })
   })
   
   return measures
 }
 
 
+/**
+ * Parse a <barline> element (repeat signs and volta brackets)
+ * @param {Element} barlineEl - Barline XML element
+ * @returns {Object} { location, style, repeat, times, ending }
+ */
+function parseBarline(barlineEl) {
+  const repeatEl = barlineEl.querySelector('repeat')
+  const endingEl = barlineEl.querySelector('ending')
+  
+  return {
+    location: barlineEl.getAttribute('location') || 'right',
+    style: barlineEl.querySelector('bar-style')?.textContent || null,
+    repeat: repeatEl?.getAttribute('direction') || null,
+    times: repeatEl?.getAttribute('times') ? parseInt(repeatEl.getAttribute('times')) : null,
+    ending: endingEl ? {
+      number: endingEl.getAttribute('number') || '1',
+      type: endingEl.getAttribute('type') || 'start',
+      text: endingEl.textContent?.trim() || null
+    } : null
+  }
+}
+
+/**
+ * Parse segno / coda / fine / D.C. / D.S. marks from a <direction> or <sound>
+ * 优先使用 <sound> 的播放属性，其次是记号符号和文字
+ * @param {Element} el - Direction or sound XML element
+ * @returns {Array} Array of { type, text }
+ */
+function parseNavigationMarks(el) {
+  const marks = []
+  const add = (type, text = null) => {
+    if (!marks.some(m => m.type === type)) marks.push({ type, text })
+  }
+  
+  const soundEl = el.tagName.toLowerCase() === 'sound' ? el : el.querySelector('sound')
+  const words = Array.from(el.querySelectorAll('words'))
+    .map(w => w.textContent?.trim())
+    .filter(Boolean)
+    .join(' ') || null
+  
+  if (soundEl) {
+    if (soundEl.getAttribute('dacapo') === 'yes') add('dacapo', words)
+    if (soundEl.hasAttribute('dalsegno')) add('dalsegno', words)
+    if (soundEl.hasAttribute('tocoda')) add('tocoda', words)
+    if (soundEl.hasAttribute('fine')) add('fine', words)
+    if (soundEl.hasAttribute('segno')) add('segno')
+    if (soundEl.hasAttribute('coda')) add('coda')
+  }
+  
+  if (words) {
+    if (/\bD\.\s*C\./i.test(words) || /da capo/i.test(words)) add('dacapo', words)
+    else if (/\bD\.\s*S\./i.test(words) || /dal segno/i.test(words)) add('dalsegno', words)
+    else if (/to coda/i.test(words)) add('tocoda', words)
+    else if (/^fine\.?$/i.test(words)) add('fine', words)
+  }
+  
+  if (el.querySelector('segno')) add('segno')
+  if (el.querySelector('coda') && !marks.some(m => m.type === 'tocoda')) add('coda')
+  
+  return marks
+}
+
+/**
+ * Parse dynamics, hairpins (wedges) and expression text from a <direction>
+ * 
+ * 记录方向记号所在拍位（考虑 <offset>），稍后由 anchorDirections 关联到音符
+ * 
+ * @param {Element} directionEl - Direction XML element
+ * @param {number} currentBeat - Current beat position in the measure
+ * @param {number} divisions - Divisions per quarter note
+ * @param {boolean} skipWords - Skip <words> (already used as navigation text)
+ * @returns {Array} Array of direction objects
+ */
+function parseDirection(directionEl, currentBeat, divisions, skipWords = false) {
+  const result = []
+  const offsetEl = directionEl.querySelector(':scope > offset')
+  const offset = offsetEl ? parseInt(offsetEl.textContent) / divisions : 0
+  const base = {
+    startBeat: currentBeat + offset,
+    staff: parseInt(directionEl.querySelector(':scope > staff')?.textContent || '1'),
+    placement: directionEl.getAttribute('placement') || null,
+    noteId: null
+  }
+  
+  directionEl.querySelectorAll('direction-type > dynamics').forEach(dynamicsEl => {
+    Array.from(dynamicsEl.children).forEach(markEl => {
+      const tag = markEl.tagName.toLowerCase()
+      result.push({
+        ...base,
+        type: 'dynamic',
+        value: tag === 'other-dynamics' ? markEl.textContent.trim() : tag
+      })
+    })
+  })
+  
+  directionEl.querySelectorAll('direction-type > wedge').forEach(wedgeEl => {
+    result.push({
+      ...base,
+      type: 'wedge',
+      value: wedgeEl.getAttribute('type') || 'crescendo',
+      number: parseInt(wedgeEl.getAttribute('number') || '1')
+    })
+  })
+  
+  if (!skipWords) {
+    const text = Array.from(directionEl.querySelectorAll('direction-type > words'))
+      .map(w => w.textContent?.trim())
+      .filter(Boolean)
+      .join(' ')
+    if (text) {
+      result.push({ ...base, type: 'words', value: text })
+    }
+  }
+  
+  return result
+}
+
+/**
+ * Attach each direction to the note it applies to
+ * 同一谱表中起始拍位相同的音符；没有则取之后最近的音符，再没有则取之前最近的音符
+ * （位于小节末尾的渐强/渐弱结束点除外）
+ * @param {Array} directions - Directions of the measure (modified in place)
+ * @param {Array} notes - Notes of the measure
+ */
+function anchorDirections(directions, notes) {
+  directions.forEach(direction => {
+    const sameStaff = notes.filter(n => n.staff === direction.staff && n.embellishment !== 'grace_note')
+    const candidates = sameStaff.length > 0 ? sameStaff : notes
+    if (candidates.length === 0) return
+    
+    const sorted = [...candidates].sort((a, b) => a.startBeat - b.startBeat)
+    const after = sorted.find(n => n.startBeat >= direction.startBeat - 0.001)
+    // 小节末尾的渐强/渐弱结束点不附着到音符上，保留其拍位
+    if (!after && direction.type === 'wedge' && direction.value === 'stop') return
+    
+    const target = after || sorted[sorted.length - 1]
+    direction.noteId = target.id
+  })
+}
+
 /**
  * Parse a single note element
  * @param {Element} noteEl - Note XML element
@@ -294,15 +633,25 @@ function parseNote(noteEl, startBeat, divisions) {
   const voice = parseInt(noteEl.querySelector('voice')?.textContent || '1')
   const staff = parseInt(noteEl.querySelector('staff')?.textContent || '1')
   
-  // Check for ties
-  const tieEls = noteEl.querySelectorAll('tie')
-  const tiedTo = Array.from(tieEls).some(t => t.getAttribute('type') === 'start') ? 'pending' : null
+  // Check for ties (<tie> 或 <notations><tied>)，由 linkTies 按 id 配对
+  const tieTypes = Array.from(noteEl.querySelectorAll('tie, notations > tied')).map(t => t.getAttribute('type'))
+  const tiedTo = tieTypes.includes('start') ? 'pending' : null
+  const tiedFrom = tieTypes.includes('stop') ? 'pending' : null
+  
+  // Check for slurs（由 linkSlurs 配对成 part.slurs）
+  const slurMarks = Array.from(noteEl.querySelectorAll('notations > slur'))
+    .filter(s => ['start', 'stop'].includes(s.getAttribute('type')))
+    .map(s => ({
+      type: s.getAttribute('type'),
+      number: parseInt(s.getAttribute('number') || '1'),
+      placement: s.getAttribute('placement') || null
+    }))
   
-  // Check for slurs
-  const slurEls = noteEl.querySelectorAll('slur')
-  const slurredWith = Array.from(slurEls)
-    .filter(s => s.getAttribute('type') === 'start')
-    .map(() => 'pending')
+  // Check for articulations and fermata
+  const articulations = parseArticulations(noteEl)
+  
+  // Check for lyrics
+  const lyrics = parseLyrics(noteEl)
   
   // Check for embellishments
   const embellishment = parseEmbellishment(noteEl)
@@ -318,12 +667,75 @@ function parseNote(noteEl, startBeat, divisions) {
     voice,
     staff,
     tiedTo,
-    slurredWith: slurredWith.length > 0 ? slurredWith : undefined,
+    tiedFrom,
+    slurMarks: slurMarks.length > 0 ? slurMarks : undefined,
+    articulations: articulations.length > 0 ? articulations : undefined,
+    lyrics: lyrics.length > 0 ? lyrics : undefined,
     isLocked: false,
     embellishment: isGrace ? 'grace_note' : embellishment
   }
 }
 
+// 支持的演奏法记号（<articulations> 的子元素名）
+const ARTICULATION_TYPES = ['staccato', 'staccatissimo', 'accent', 'strong-accent', 'tenuto', 'detached-legato']
+
+/**
+ * Parse articulations and fermata from note element
+ * @param {Element} noteEl - Note XML element
+ * @returns {string[]} e.g. ['staccato', 'fermata']
+ */
+function parseArticulations(noteEl) {
+  const result = []
+  noteEl.querySelectorAll('notations > articulations > *').forEach(el => {
+    const type = el.tagName.toLowerCase()
+    if (ARTICULATION_TYPES.includes(type) && !result.includes(type)) {
+      result.push(type)
+    }
+  })
+  if (noteEl.querySelector('notations > fermata')) {
+    result.push('fermata')
+  }
+  return result
+}
+
+/**
+ * Parse lyrics from note element
+ * 每段歌词（verse）一个音节；<elision> 连接的多个音节合并为 elisions
+ * @param {Element} noteEl - Note XML element
+ * @returns {Array} [{ verse, syllabic, text, extend, elisions? }]
+ */
+function parseLyrics(noteEl) {
+  const result = []
+  Array.from(noteEl.children)
+    .filter(el => el.tagName.toLowerCase() === 'lyric')
+    .forEach((lyricEl, idx) => {
+      const syllables = []
+      let syllabic = 'single'
+      Array.from(lyricEl.children).forEach(el => {
+        const tag = el.tagName.toLowerCase()
+        if (tag === 'syllabic') {
+          syllabic = el.textContent.trim() || 'single'
+        } else if (tag === 'text') {
+          syllables.push({ syllabic, text: el.textContent })
+          syllabic = 'single'
+        }
+      })
+      if (syllables.length === 0) return
+      
+      const verse = parseInt(lyricEl.getAttribute('number')) || idx + 1
+      const extendEl = lyricEl.querySelector('extend')
+      const [first, ...rest] = syllables
+      result.push({
+        verse,
+        syllabic: first.syllabic,
+        text: first.text,
+        extend: extendEl !== null && extendEl.getAttribute('type') !== 'stop',
+        elisions: rest.length > 0 ? rest : undefined
+      })
+    })
+  return result
+}
+
 /**
  * Parse duration from note element
  * @param {Element} noteEl - Note XML element
@@ -365,14 +777,7 @@ function parseDuration(noteEl, divisions) {
     // So we don't need to adjust ticks here, but we store the tuplet info for export
   }
   
-  // Apply dots to ticks calculation
-  if (dots > 0) {
-    let addition = ticks / 2
-    for (let i = 0; i < dots; i++) {
-      ticks += addition
-      addition /= 2
-    }
-  }
+  // duration 已包含附点，不再按 dot 加长
   
   return { type, dots, tuplet, ticks: Math.round(ticks) }
 }
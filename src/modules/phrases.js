@@ -0,0 +1,206 @@
+/**
+ * Phrase Segmentation Module
+ * Phrase boundaries, lengths and square / non-square structure
+ *
+ * 在 analyzeCadences 之后调用。每个小节末尾作为乐句边界的可能性按以下线索打分：
+ * - 本小节的终止式（measure.cadence）：正格终止最强，半终止次之
+ * - 旋律在小节末尾或下一小节开头休止
+ * - 小节中最后一个旋律音是长音（至少两拍）或有延长记号
+ * - 下一小节起重复前面某个乐句开头的旋律（按音程和节奏比较，允许移位）
+ * 再用动态规划在整首乐曲上选出最优的分句：每个边界有固定代价，避免每小节都分句；
+ * 4、8 小节的乐句加分，过短或过长的乐句扣分
+ * 弱起小节归入第一个乐句，不计入小节数
+ * 乐句都是 2、4、8 或 16 小节时为方整结构（如 4+4），否则为非方整结构
+ */
+
+import { getBeatUnitTicks, getMeasureBeats, pitchToMidi } from '../knowledge/index.js'
+
+const EPSILON = 0.001
+
+const CADENCE_WEIGHTS = { authentic: 3, half: 2.5, plagal: 2, deceptive: 1.5 }
+const REST_WEIGHT = 1.5
+const LONG_NOTE_WEIGHT = 1
+const FERMATA_WEIGHT = 2
+const REPETITION_WEIGHT = 1.5
+// 每个乐句边界的代价（最后一个乐句的结尾除外）
+const BOUNDARY_COST = 2
+
+// 乐句长度（小节数）的加分，未列出的长度扣分
+const LENGTH_PRIOR = { 2: 0.5, 3: 0, 4: 1.5, 5: 0, 6: 0.5, 7: 0, 8: 1.5 }
+const OTHER_LENGTH_PRIOR = -0.5
+const MIN_PHRASE_MEASURES = 2
+const MAX_PHRASE_MEASURES = 16
+
+// 方整结构的乐句长度
+const SQUARE_LENGTHS = [2, 4, 8, 16]
+
+/**
+ * Segment a score into phrases and lock the phrase-final notes
+ * 各 part 按小节下标对齐；乐句末音标记 phraseFinal 并锁定（已锁定的保留原因，否则为 'phrase_ending'）
+ * @param {Array} partMeasures - Measures of each part (Array<Array<Measure>>)
+ * @param {Object} metadata - Score metadata
+ * @param {Object} options - { pickup } 第一个小节是否为弱起小节
+ * @returns {Object} { phrases: [{ index, start, end, startNumber, endNumber, length, cadence, square }],
+ *   lengths, structure: 'square' | 'non-square', label }
+ */
+export function analyzePhrases(partMeasures, metadata, options = {}) {
+  const { pickup = false } = options
+  const count = Math.max(0, ...partMeasures.map(measures => measures.length))
+  if (count === 0) return { phrases: [], lengths: [], structure: 'square', label: '' }
+
+  const columns = Array.from({ length: count }, (_, idx) => partMeasures.map(measures => measures[idx]).filter(Boolean))
+  const timeSignatures = columns.map(measures => measures[0]?.timeSignature || metadata.timeSignature)
+  const topLines = columns.map(getTopLine)
+  const scores = getBoundaryScores(columns, topLines, timeSignatures)
+  const ends = findPhraseEnds(scores, pickup)
+
+  const phrases = ends.map((end, index) => {
+    const start = index === 0 ? 0 : ends[index - 1] + 1
+    const length = end - start + 1 - (start === 0 && pickup && end > 0 ? 1 : 0)
+    const cadence = columns[end][0]?.cadence || null
+    return {
+      index,
+      start,
+      end,
+      startNumber: columns[start][0]?.number ?? start + 1,
+      endNumber: columns[end][0]?.number ?? end + 1,
+      length,
+      cadence: cadence ? cadence.type : null,
+      square: SQUARE_LENGTHS.includes(length)
+    }
+  })
+
+  phrases.forEach(phrase => lockPhraseEnd(columns[phrase.end], topLines[phrase.end]))
+
+  const lengths = phrases.map(p => p.length)
+  return {
+    phrases,
+    lengths,
+    structure: phrases.every(p => p.square) ? 'square' : 'non-square',
+    label: lengths.join('+')
+  }
+}
+
+/**
+ * 旋律线：每个起音位置的最高音
+ * @returns {Array} 按拍位排序的音符
+ */
+function getTopLine(measures) {
+  const onsets = new Map()
+  measures.flatMap(m => m.notes || []).forEach(note => {
+    if (note.embellishment || !note.pitch) return
+    const key = note.startBeat.toFixed(3)
+    const top = onsets.get(key)
+    if (!top || pitchToMidi(note.pitch) > pitchToMidi(top.pitch)) onsets.set(key, note)
+  })
+  return [...onsets.values()].sort((a, b) => a.startBeat - b.startBeat)
+}
+
+/**
+ * 每个小节末尾作为乐句边界的得分
+ * @returns {number[]}
+ */
+function getBoundaryScores(columns, topLines, timeSignatures) {
+  const signatures = topLines.map(getMelodySignature)
+  const evidence = columns.map((measures, idx) => {
+    let score = 0
+    const cadence = measures[0]?.cadence
+    if (cadence) score += CADENCE_WEIGHTS[cadence.type] || 0
+
+    const line = topLines[idx]
+    const last = line[line.length - 1]
+    if (last) {
+      const end = last.startBeat + last.duration.ticks / 1024
+      const measureEnd = getMeasureBeats(timeSignatures[idx]) + 1
+      const nextLine = topLines[idx + 1]
+      const restAfter = end < measureEnd - EPSILON || (nextLine && nextLine.length > 0 && nextLine[0].startBeat > 1 + EPSILON)
+      if (restAfter) score += REST_WEIGHT
+      if ((last.articulations || []).includes('fermata')) score += FERMATA_WEIGHT
+      if (last.duration.ticks >= 2 * getBeatUnitTicks(timeSignatures[idx]) - EPSILON) score += LONG_NOTE_WEIGHT
+    }
+    return score
+  })
+
+  // 重复：下一小节起两个小节的旋律与前面某个乐句开头（乐曲开头或边界线索较强处之后）相同
+  const threshold = BOUNDARY_COST
+  return evidence.map((score, idx) => {
+    const next = pairSignature(signatures, idx + 1)
+    if (!next) return score
+    const repeats = signatures.some((_, k) =>
+      k <= idx - 1 && (k === 0 || evidence[k - 1] >= threshold) && pairSignature(signatures, k) === next
+    )
+    return repeats ? score + REPETITION_WEIGHT : score
+  })
+}
+
+/**
+ * 一个小节旋律的音程和节奏（相对于第一个音），与移位无关
+ * 少于两个音时返回 null
+ */
+function getMelodySignature(line) {
+  if (line.length < 2) return null
+  const first = pitchToMidi(line[0].pitch)
+  return line.map(note => `${note.startBeat.toFixed(2)}:${pitchToMidi(note.pitch) - first}`).join(',')
+}
+
+function pairSignature(signatures, idx) {
+  if (!signatures[idx] || !signatures[idx + 1]) return null
+  return `${signatures[idx]}|${signatures[idx + 1]}`
+}
+
+/**
+ * 动态规划：使「各边界得分 − 边界代价 + 乐句长度加分」之和最大的分句
+ * @returns {number[]} 每个乐句最后一个小节的下标
+ */
+function findPhraseEnds(scores, pickup) {
+  const count = scores.length
+  const best = [{ total: 0, back: null }]
+  for (let end = 0; end < count; end++) {
+    let choice = null
+    for (let start = end; start >= 0; start--) {
+      const length = end - start + 1 - (start === 0 && pickup && end > 0 ? 1 : 0)
+      if (length > MAX_PHRASE_MEASURES) break
+      if (length < MIN_PHRASE_MEASURES && !(start === 0 && end === count - 1)) continue
+      const previous = best[start]
+      if (!previous) continue
+      const boundary = end === count - 1 ? 0 : scores[end] - BOUNDARY_COST
+      const total = previous.total + boundary + (LENGTH_PRIOR[length] ?? OTHER_LENGTH_PRIOR)
+      if (!choice || total > choice.total + EPSILON) choice = { total, back: start }
+    }
+    best[end + 1] = choice
+  }
+
+  // 没有合法分句（乐曲过短）时整首为一个乐句
+  if (!best[count]) return [count - 1]
+  const ends = []
+  for (let end = count; end > 0; end = best[end].back) {
+    ends.unshift(end - 1)
+  }
+  return ends
+}
+
+/**
+ * 乐句末音：有终止式时取终止和弦开始处，否则取最后一个小节中最长的旋律音（相同时取靠后的）；
+ * 每个 part 在该拍开始的最高音与最低音
+ */
+function lockPhraseEnd(measures, line) {
+  if (line.length === 0) return
+  const cadence = measures[0]?.cadence
+  const beat = cadence
+    ? cadence.beat
+    : line.reduce((longest, note) => (note.duration.ticks >= longest.duration.ticks ? note : longest)).startBeat
+
+  measures.forEach(measure => {
+    const notes = (measure.notes || [])
+      .filter(n => !n.embellishment && n.pitch && Math.abs(n.startBeat - beat) < EPSILON)
+      .sort((a, b) => pitchToMidi(a.pitch) - pitchToMidi(b.pitch))
+    if (notes.length === 0) return
+    new Set([notes[0], notes[notes.length - 1]]).forEach(note => {
+      note.phraseFinal = true
+      if (!note.isLocked) {
+        note.isLocked = true
+        note.lockReason = 'phrase_ending'
+      }
+    })
+  })
+}
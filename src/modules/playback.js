@@ -0,0 +1,552 @@
+/**
+ * Playback Module
+ * Web Audio playback of original and simplified scores
+ *
+ * 不需要下载音色：每个音由振荡器加包络合成
+ * - 小节按实际演奏顺序（getPlaybackOrder）排列，弱起小节只占实际时值
+ * - 连线（tiedTo / tiedFrom）连接的音符合并为一个音，与 MIDI 导出相同
+ * - 大谱表按 voicePart（Soprano / Alto / Tenor / Bass）分声部，单谱表每个 part 一个声部，
+ *   每个声部有独立的增益节点，用于静音 / 独奏
+ * - 采用前瞻调度：定时器每隔一小段时间把即将发声的音符交给 AudioContext，
+ *   因此暂停、跳转、静音都能立即生效
+ *
+ * 练习功能：循环一段小节、按百分比放慢速度、开始前预备一小节的节拍器（强拍取自 getStrongBeats），
+ * 以及按谱表（右手 staff 1 / 左手 staff 2）分别静音
+ */
+
+import { getScoreParts } from './parser.js'
+import { getPlaybackOrder } from './navigation.js'
+import { isAnacrusis } from './analyzer.js'
+import { getMeasureTicks, getMeasureBeats, getBeatPositions, getStrongBeats, pitchToMidi } from '../knowledge/index.js'
+
+export const PLAYBACK_VOICE_PARTS = ['soprano', 'alto', 'tenor', 'bass']
+
+const DEFAULT_TEMPO = 120
+const DEFAULT_VELOCITY = 80
+const EPSILON = 0.001
+
+// 调度参数（秒）
+const SCHEDULER_INTERVAL = 25
+const LOOKAHEAD = 0.1
+const START_DELAY = 0.05
+
+// 合成音色包络（秒）
+const ATTACK = 0.01
+const DECAY = 0.25
+const SUSTAIN_LEVEL = 0.5
+const RELEASE = 0.08
+const NOTE_GAIN = 0.15
+
+// 预备拍节拍器：小节第一拍 / 其余强拍 / 弱拍
+const CLICK_SOUNDS = {
+  downbeat: { frequency: 1760, gain: 0.3 },
+  strong: { frequency: 1320, gain: 0.22 },
+  weak: { frequency: 880, gain: 0.15 }
+}
+const CLICK_LENGTH = 0.05
+
+/**
+ * Build the playback timeline of a score
+ * 时间以四分音符为单位，从 0 开始
+ * @param {Object} score - Score (original or simplified)
+ * @returns {Object} { tempo, steps, notes, voices, staves, totalBeats }
+ *   step: { measureIdx, number, start, length, timeSignature }
+ *   note: { start, end, midi, velocity, voice, staff }
+ *   voice: { id, name }
+ */
+export function buildPlaybackTimeline(score) {
+  const { metadata } = score
+  const parts = getScoreParts(score)
+  const measures = parts[0]?.measures || []
+
+  const steps = []
+  let position = 0
+  getPlaybackOrder(measures).forEach(measureIdx => {
+    const measure = measures[measureIdx]
+    const length = getStepLength(parts, measureIdx, metadata)
+    const timeSignature = measure.timeSignature || metadata.timeSignature
+    steps.push({ measureIdx, number: measure.number, start: position, length, timeSignature })
+    position += length
+  })
+
+  const notes = []
+  const voices = []
+  parts.forEach(part => {
+    const grandStaff = (part.scoreType || score.scoreType) === 'grand-staff'
+    // 多个 part 时大谱表的声部 id 带上 part id，避免两个 part 的 Soprano 共用一个 id
+    const prefix = parts.length > 1 ? `${part.id}-` : ''
+    const voiceOf = grandStaff
+      ? note => prefix + (note.voicePart || (note.staff === 2 ? 'bass' : 'soprano'))
+      : () => part.id
+    const partNotes = []
+    collectPartNotes(part, steps, voiceOf, partNotes)
+    notes.push(...partNotes)
+
+    if (grandStaff) {
+      PLAYBACK_VOICE_PARTS
+        .filter(voice => partNotes.some(n => n.voice === prefix + voice))
+        .forEach(voice => {
+          const name = voice.charAt(0).toUpperCase() + voice.slice(1)
+          voices.push({ id: prefix + voice, name: prefix ? `${part.name || part.id} ${name}` : name })
+        })
+    } else if (partNotes.length > 0) {
+      voices.push({ id: part.id, name: part.name || part.id })
+    }
+  })
+  notes.sort((a, b) => a.start - b.start || a.midi - b.midi)
+  const staves = [...new Set(notes.map(n => n.staff))].sort((a, b) => a - b)
+
+  return { tempo: metadata.tempo || DEFAULT_TEMPO, steps, notes, voices, staves, totalBeats: position }
+}
+
+/**
+ * Length of a measure in quarter notes（弱起小节按实际时值计算）
+ */
+function getStepLength(parts, measureIdx, metadata) {
+  const measure = parts[0].measures[measureIdx]
+  const timeSignature = measure.timeSignature || metadata.timeSignature
+  const fullLength = getMeasureTicks(timeSignature) / 1024
+  if (measureIdx !== 0 || !isAnacrusis(measure, timeSignature)) return fullLength
+
+  const ends = parts.flatMap(part => (part.measures[0]?.notes || [])
+    .map(n => n.startBeat - 1 + n.duration.ticks / 1024))
+  return Math.min(fullLength, Math.max(...ends))
+}
+
+/**
+ * Collect the notes of one part along the playback order
+ * 连线只在相邻的两个小节之间连接；反复跳回时重新起音
+ */
+function collectPartNotes(part, steps, voiceOf, notes) {
+  let sounding = new Map()
+  let previousIdx = null
+
+  steps.forEach(step => {
+    if (previousIdx === null || step.measureIdx !== previousIdx + 1) sounding = new Map()
+    previousIdx = step.measureIdx
+
+    const measure = part.measures[step.measureIdx]
+    const measureNotes = (measure?.notes || [])
+      .filter(n => n.embellishment !== 'grace_note' && n.duration?.ticks > 0)
+      .sort((a, b) => a.startBeat - b.startBeat)
+
+    measureNotes.forEach(note => {
+      const start = step.start + note.startBeat - 1
+      const end = Math.min(start + note.duration.ticks / 1024, step.start + step.length)
+
+      const tiedStart = note.tiedFrom ? sounding.get(note.tiedFrom) : null
+      if (tiedStart) {
+        tiedStart.end = Math.max(tiedStart.end, end)
+        sounding.set(note.id, tiedStart)
+        return
+      }
+
+      const accented = note.articulations?.some(a => a === 'accent' || a === 'strong-accent')
+      const event = {
+        start,
+        end,
+        midi: pitchToMidi(note.pitch),
+        velocity: accented ? DEFAULT_VELOCITY + 15 : DEFAULT_VELOCITY,
+        voice: voiceOf(note),
+        staff: note.staff || 1
+      }
+      notes.push(event)
+      sounding.set(note.id, event)
+    })
+  })
+}
+
+/**
+ * Index of the step playing at a position
+ * @param {Array} steps - Timeline steps
+ * @param {number} position - Position in quarter notes
+ * @returns {number} Step index（超出范围时返回最后一个小节）
+ */
+export function getStepAt(steps, position) {
+  for (let i = steps.length - 1; i >= 0; i--) {
+    if (steps[i].start <= position + EPSILON) return i
+  }
+  return 0
+}
+
+/**
+ * Count-in clicks of one measure
+ * 按拍号的计数拍（复合拍子以附点音符为一拍）打拍，落在 getStrongBeats 强拍上的加重
+ * @param {Object} timeSignature - Time signature
+ * @returns {Object} { length, clicks: [{ position, accent: 'downbeat' | 'strong' | 'weak' }] }
+ *   position 以四分音符计，从 0 开始
+ */
+export function getCountInClicks(timeSignature) {
+  const strongBeats = getStrongBeats(timeSignature)
+  const clicks = getBeatPositions(timeSignature).map(beat => ({
+    position: beat - 1,
+    accent: beat === 1 ? 'downbeat' : strongBeats.some(sb => Math.abs(sb - beat) < EPSILON) ? 'strong' : 'weak'
+  }))
+  return { length: getMeasureBeats(timeSignature), clicks }
+}
+
+/**
+ * Create a Web Audio player
+ * AudioContext 在第一次播放时创建（浏览器要求由用户操作触发）
+ * @param {Object} options - { onPosition({ step, measureIdx, number, position }), onStateChange(playing) }
+ * @returns {Object} Player API
+ */
+export function createPlayer(options = {}) {
+  const { onPosition = () => {}, onStateChange = () => {} } = options
+
+  let context = null
+  let master = null
+  const channelGains = new Map()
+  const activeNotes = new Set()
+
+  let timeline = null
+  let playing = false
+  let position = 0
+  let nextNoteIdx = 0
+  let currentStep = -1
+  let timer = null
+
+  // 当前调度段：startTime（AudioContext 时间）对应 startPosition；循环接回起点时开始新的一段，
+  // 上一段在新段开始之前仍用于计算当前位置
+  let startTime = 0
+  let startPosition = 0
+  let previousSegment = null
+
+  const muted = new Set()
+  const soloed = new Set()
+  const mutedStaves = new Set()
+  let tempoScale = 1
+  let loop = null
+
+  function ensureContext() {
+    if (context) return
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext
+    if (!AudioContextClass) throw new Error('WEB_AUDIO_UNSUPPORTED')
+    context = new AudioContextClass()
+
+    const compressor = context.createDynamicsCompressor()
+    compressor.connect(context.destination)
+    master = context.createGain()
+    master.gain.value = 0.8
+    master.connect(compressor)
+  }
+
+  // 每个声部 + 谱表组合一个增益节点，声部静音 / 独奏与左右手静音叠加
+  function getChannelGain(voice, staff) {
+    const key = `${voice}|${staff}`
+    if (!channelGains.has(key)) {
+      const gain = context.createGain()
+      gain.gain.value = isAudible(voice, staff) ? 1 : 0
+      gain.connect(master)
+      channelGains.set(key, { gain, voice, staff })
+    }
+    return channelGains.get(key).gain
+  }
+
+  function isAudible(voice, staff) {
+    if (mutedStaves.has(staff)) return false
+    if (soloed.size > 0) return soloed.has(voice)
+    return !muted.has(voice)
+  }
+
+  function updateChannelGains() {
+    if (!context) return
+    channelGains.forEach(({ gain, voice, staff }) => {
+      gain.gain.setTargetAtTime(isAudible(voice, staff) ? 1 : 0, context.currentTime, 0.01)
+    })
+  }
+
+  function secondsPerBeat() {
+    return 60 / (timeline.tempo * tempoScale)
+  }
+
+  function getCurrentPosition() {
+    if (!playing) return position
+    const now = context.currentTime
+    const segment = now < startTime && previousSegment ? previousSegment : { startTime, startPosition }
+    return segment.startPosition + Math.max(0, now - segment.startTime) / secondsPerBeat()
+  }
+
+  /**
+   * Loop range in quarter notes, or null
+   */
+  function getLoopBounds() {
+    if (!timeline || !loop) return null
+    const first = timeline.steps[loop.start]
+    const last = timeline.steps[loop.end]
+    if (!first || !last) return null
+    return { start: first.start, end: last.start + last.length }
+  }
+
+  function findNoteIndex(from) {
+    const idx = timeline.notes.findIndex(n => n.start >= from - EPSILON)
+    return idx < 0 ? timeline.notes.length : idx
+  }
+
+  function playNote(note, time, endPosition) {
+    const duration = Math.max(0.05, (Math.min(note.end, endPosition) - note.start) * secondsPerBeat())
+    const peak = NOTE_GAIN * note.velocity / 127
+    const frequency = 440 * Math.pow(2, (note.midi - 69) / 12)
+
+    const oscillator = context.createOscillator()
+    oscillator.type = 'triangle'
+    oscillator.frequency.value = frequency
+
+    const envelope = context.createGain()
+    envelope.gain.setValueAtTime(0, time)
+    envelope.gain.linearRampToValueAtTime(peak, time + ATTACK)
+    envelope.gain.setTargetAtTime(peak * SUSTAIN_LEVEL, time + ATTACK, DECAY / 3)
+    envelope.gain.setTargetAtTime(0, time + duration, RELEASE / 3)
+
+    oscillator.connect(envelope)
+    envelope.connect(getChannelGain(note.voice, note.staff))
+    startSound(oscillator, envelope, time, time + duration + RELEASE * 2)
+  }
+
+  function playClick(accent, time) {
+    const sound = CLICK_SOUNDS[accent]
+    const oscillator = context.createOscillator()
+    oscillator.type = 'sine'
+    oscillator.frequency.value = sound.frequency
+
+    const envelope = context.createGain()
+    envelope.gain.setValueAtTime(sound.gain, time)
+    envelope.gain.exponentialRampToValueAtTime(0.001, time + CLICK_LENGTH)
+
+    oscillator.connect(envelope)
+    envelope.connect(master)
+    startSound(oscillator, envelope, time, time + CLICK_LENGTH)
+  }
+
+  function startSound(oscillator, envelope, time, stopTime) {
+    oscillator.start(time)
+    oscillator.stop(stopTime)
+
+    const active = { oscillator, envelope }
+    activeNotes.add(active)
+    oscillator.onended = () => {
+      envelope.disconnect()
+      activeNotes.delete(active)
+    }
+  }
+
+  function silence() {
+    const now = context ? context.currentTime : 0
+    activeNotes.forEach(({ oscillator, envelope }) => {
+      envelope.gain.cancelScheduledValues(now)
+      envelope.gain.setTargetAtTime(0, now, 0.01)
+      oscillator.stop(now + 0.05)
+    })
+    activeNotes.clear()
+  }
+
+  function schedule() {
+    const { notes } = timeline
+    const horizonTime = context.currentTime + LOOKAHEAD
+    const bounds = getLoopBounds()
+    const end = bounds ? bounds.end : timeline.totalBeats
+
+    for (;;) {
+      const horizon = startPosition + (horizonTime - startTime) / secondsPerBeat()
+      while (nextNoteIdx < notes.length && notes[nextNoteIdx].start < Math.min(horizon, end - EPSILON)) {
+        const note = notes[nextNoteIdx++]
+        const time = startTime + (note.start - startPosition) * secondsPerBeat()
+        playNote(note, Math.max(time, context.currentTime), end)
+      }
+      if (!bounds || horizon < bounds.end) break
+
+      // 循环：在循环终点无缝接回起点
+      previousSegment = { startTime, startPosition }
+      startTime += (bounds.end - startPosition) * secondsPerBeat()
+      startPosition = bounds.start
+      nextNoteIdx = findNoteIndex(bounds.start)
+    }
+
+    const now = getCurrentPosition()
+    reportPosition(now)
+    if (!bounds && now >= timeline.totalBeats) {
+      stopPlayback()
+      position = 0
+      reportPosition(0)
+    }
+  }
+
+  function reportPosition(now) {
+    if (!timeline || timeline.steps.length === 0) return
+    const step = getStepAt(timeline.steps, now)
+    if (step === currentStep) return
+    currentStep = step
+    const { measureIdx, number } = timeline.steps[step]
+    onPosition({ step, measureIdx, number, position: now })
+  }
+
+  /**
+   * Start scheduling from the current position
+   * @param {boolean} countIn - 先按起始小节的拍号打一小节预备拍
+   */
+  function startPlayback(countIn = false) {
+    startPosition = position
+    startTime = context.currentTime + START_DELAY
+    previousSegment = null
+
+    if (countIn) {
+      const step = timeline.steps[getStepAt(timeline.steps, position)]
+      const { length, clicks } = getCountInClicks(step.timeSignature)
+      clicks.forEach(click => playClick(click.accent, startTime + click.position * secondsPerBeat()))
+      startTime += length * secondsPerBeat()
+    }
+
+    nextNoteIdx = findNoteIndex(position)
+    playing = true
+    timer = setInterval(schedule, SCHEDULER_INTERVAL)
+    schedule()
+  }
+
+  function haltScheduling() {
+    position = getCurrentPosition()
+    playing = false
+    clearInterval(timer)
+    timer = null
+    silence()
+  }
+
+  function stopPlayback() {
+    if (!playing) return
+    haltScheduling()
+    onStateChange(false)
+  }
+
+  /**
+   * Move to a position, restarting the scheduler when playing
+   */
+  function moveTo(target) {
+    const wasPlaying = playing
+    if (wasPlaying) haltScheduling()
+    position = target
+    reportPosition(position)
+    if (wasPlaying) startPlayback()
+  }
+
+  function isInsideLoop(at) {
+    const bounds = getLoopBounds()
+    return !bounds || (at >= bounds.start - EPSILON && at < bounds.end - EPSILON)
+  }
+
+  return {
+    /**
+     * Load a score; stops playback and rewinds
+     * @returns {Object} Timeline
+     */
+    load(score) {
+      stopPlayback()
+      timeline = buildPlaybackTimeline(score)
+      loop = null
+      position = 0
+      currentStep = -1
+      reportPosition(0)
+      return timeline
+    },
+
+    /**
+     * Start or resume playback
+     * @param {Object} playOptions - { countIn: boolean } 开始前打一小节预备拍
+     */
+    async play(playOptions = {}) {
+      if (!timeline || playing) return
+      ensureContext()
+      if (context.state === 'suspended') await context.resume()
+      if (position >= timeline.totalBeats) position = 0
+      if (!isInsideLoop(position)) position = getLoopBounds().start
+      startPlayback(Boolean(playOptions.countIn))
+      onStateChange(true)
+    },
+
+    pause() {
+      stopPlayback()
+    },
+
+    stop() {
+      stopPlayback()
+      const bounds = getLoopBounds()
+      position = bounds ? bounds.start : 0
+      reportPosition(position)
+    },
+
+    /**
+     * Jump to the start of a step（演奏顺序中的第几个小节）
+     */
+    seek(step) {
+      if (!timeline || !timeline.steps[step]) return
+      moveTo(timeline.steps[step].start)
+    },
+
+    /**
+     * Loop a range of steps, or null to play through
+     * 当前位置不在循环范围内时跳到循环起点
+     */
+    setLoop(range) {
+      if (!timeline) return
+      loop = range && timeline.steps[range.start] && timeline.steps[range.end] && range.start <= range.end
+        ? { start: range.start, end: range.end }
+        : null
+      const now = getCurrentPosition()
+      if (!isInsideLoop(now)) {
+        moveTo(getLoopBounds().start)
+      } else if (playing && previousSegment && context.currentTime < startTime) {
+        // 已按旧的循环范围接回起点，从当前位置重新调度
+        moveTo(now)
+      }
+    },
+
+    /**
+     * Playback speed relative to the score tempo（1 = 原速）
+     */
+    setTempoScale(scale) {
+      if (!(scale > 0)) return
+      // 从当前位置按新速度重新计时，已交给 AudioContext 的音符保持不变；
+      // 预备拍或循环接回起点之前，当前段尚未开始，无需重新计时
+      if (playing && context.currentTime >= startTime) {
+        startPosition = getCurrentPosition()
+        startTime = context.currentTime
+        previousSegment = null
+      }
+      tempoScale = scale
+    },
+
+    setVoiceMuted(voice, value) {
+      if (value) muted.add(voice)
+      else muted.delete(voice)
+      updateChannelGains()
+    },
+
+    setVoiceSolo(voice, value) {
+      if (value) soloed.add(voice)
+      else soloed.delete(voice)
+      updateChannelGains()
+    },
+
+    /**
+     * Mute one hand（staff 1 = 右手，staff 2 = 左手）
+     */
+    setStaffMuted(staff, value) {
+      if (value) mutedStaves.add(staff)
+      else mutedStaves.delete(staff)
+      updateChannelGains()
+    },
+
+    isPlaying() {
+      return playing
+    },
+
+    getPosition() {
+      return getCurrentPosition()
+    },
+
+    dispose() {
+      stopPlayback()
+      if (context) context.close()
+      context = null
+      channelGains.clear()
+    }
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Score Diff Module
+ * Note-by-note comparison of the original and the simplified score
+ *
+ * 按小节号对齐原谱与简化结果，音符按 id 对应：
+ * - removed：原谱中的音符在简化结果中不存在
+ * - moved：起始拍位改变（如 Level 2 把音符移到强拍）
+ * - lengthened / shortened：时值变长或变短
+ * - locked：分析时被锁定（LOCKED）的音符，附带 lockReason
+ *
+ * 拍头简化（Level 3）会把一个长音拆成每拍一个同 id 的音符，比较时按同一 id 的整体跨度计算
+ */
+
+import { getScoreParts } from './parser.js'
+import { RHYTHM_PATTERNS, isStrongBeat, getMeasureTicks, pitchToMidi } from '../knowledge/index.js'
+
+const EPSILON = 0.001
+
+export const DIFF_VOICE_PARTS = ['soprano', 'alto', 'tenor', 'bass']
+
+// 分析器直接设置的锁定原因（节奏型锁定的名称见 RHYTHM_PATTERNS）
+const LOCK_REASON_NAMES = {
+  dotted_rhythm: 'Dotted Rhythm',
+  cross_beat_tie: 'Tie Across Beat',
+  cross_measure_tie: 'Tie Across Barline',
+  off_beat_start: 'Off-beat Start',
+  melodic_turning_point: 'Melodic Turning Point',
+  phrase_ending: 'Phrase Ending',
+  cadence: 'Cadence'
+}
+
+/**
+ * Human-readable name of a lockReason
+ * @param {string} reason - lockReason
+ * @returns {string} Name
+ */
+export function getLockReasonName(reason) {
+  if (!reason) return 'Locked'
+  return LOCK_REASON_NAMES[reason] || RHYTHM_PATTERNS[reason]?.name || reason
+}
+
+/**
+ * Compare the original and the simplified score
+ * @param {Object} originalScore - Score before simplification（分析后的谱子，带 LOCKED 标记）
+ * @param {Object} simplifiedScore - Simplified score
+ * @returns {Array} Per part: { id, name, scoreType, measures: [{ number, measureTicks, original, simplified, changed }] }
+ */
+export function compareScores(originalScore, simplifiedScore) {
+  const { metadata } = simplifiedScore
+  const originalParts = getScoreParts(originalScore)
+
+  return getScoreParts(simplifiedScore).map((part, idx) => {
+    const source = originalParts.find(p => p.id === part.id) || originalParts[idx] || { measures: [] }
+    const simplifiedByNumber = new Map(part.measures.map(m => [String(m.number), m]))
+    const numbers = [...new Set([...source.measures, ...part.measures].map(m => String(m.number)))]
+    const sourceByNumber = new Map(source.measures.map(m => [String(m.number), m]))
+
+    return {
+      id: part.id,
+      name: part.name,
+      scoreType: part.scoreType || simplifiedScore.scoreType,
+      measures: numbers.map(number => {
+        const original = sourceByNumber.get(number) || null
+        const simplified = simplifiedByNumber.get(number) || null
+        const timeSignature = (simplified || original).timeSignature || metadata.timeSignature
+        return { number, ...compareMeasure(original, simplified, timeSignature) }
+      })
+    }
+  })
+}
+
+/**
+ * Compare one measure
+ * @returns {Object} { measureTicks, original: Entry[], simplified: Entry[], changed }
+ *   Entry: { note, changes, locked, lockReason, voicePart, fromBeat, toBeat, strongBeat }
+ */
+function compareMeasure(original, simplified, timeSignature) {
+  const originalNotes = original?.notes || []
+  const simplifiedNotes = simplified?.notes || []
+  const originalById = new Map(originalNotes.map(n => [n.id, n]))
+
+  // 同一 id 的几个音符合并成一个跨度（拍位以四分音符计，从 1 开始）
+  const spans = new Map()
+  simplifiedNotes.forEach(note => {
+    const start = note.startBeat
+    const end = note.startBeat + note.duration.ticks / 1024
+    const span = spans.get(note.id)
+    spans.set(note.id, span
+      ? { ...span, start: Math.min(span.start, start), end: Math.max(span.end, end) }
+      : { start, end, voicePart: note.voicePart || null })
+  })
+
+  const changesOf = (source, span) => {
+    if (!span) return ['removed']
+    if (!source) return ['added']
+    const changes = []
+    if (Math.abs(span.start - source.startBeat) > EPSILON) changes.push('moved')
+    const ticks = (span.end - span.start) * 1024
+    if (ticks > source.duration.ticks + 1) changes.push('lengthened')
+    if (ticks < source.duration.ticks - 1) changes.push('shortened')
+    return changes
+  }
+
+  const entry = (note, source, span) => {
+    const locked = Boolean(note.isLocked || source?.isLocked)
+    const changes = changesOf(source, span)
+    return {
+      note,
+      changes,
+      locked,
+      lockReason: locked ? (note.lockReason || source?.lockReason || null) : null,
+      voicePart: span?.voicePart || note.voicePart || null,
+      fromBeat: source ? source.startBeat : null,
+      toBeat: span ? span.start : null,
+      strongBeat: changes.includes('moved') && isStrongBeat(span.start, timeSignature)
+    }
+  }
+
+  const sortNotes = notes => [...notes].sort((a, b) => a.startBeat - b.startBeat || pitchToMidi(b.pitch) - pitchToMidi(a.pitch))
+  const originalEntries = sortNotes(originalNotes).map(note => entry(note, note, spans.get(note.id)))
+  const simplifiedEntries = sortNotes(simplifiedNotes).map(note => entry(note, originalById.get(note.id), spans.get(note.id)))
+
+  return {
+    measureTicks: getMeasureTicks(timeSignature),
+    original: originalEntries,
+    simplified: simplifiedEntries,
+    changed: originalEntries.some(e => e.changes.length > 0) || simplifiedEntries.some(e => e.changes.length > 0)
+  }
+}
+
+/**
+ * Entries belonging to a voice part
+ * 删除的音符没有 voicePart，按谱表归入上谱表（Soprano / Alto）或下谱表（Tenor / Bass）
+ * @param {Array} entries - Diff entries
+ * @param {string} voicePart - 'all' or a voice part
+ * @returns {Array} Filtered entries
+ */
+export function filterDiffEntries(entries, voicePart) {
+  if (!voicePart || voicePart === 'all') return entries
+  const staff = ['soprano', 'alto'].includes(voicePart) ? 1 : 2
+  return entries.filter(e => e.voicePart ? e.voicePart === voicePart : (e.note.staff || 1) === staff)
+}
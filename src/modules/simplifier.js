@@ -2,14 +2,23 @@
  * Simplification Engine
  * Orchestrates the simplification process
  * 
- * 支持两种模式：
+ * 支持三种模式：
  * 1. 同步模式（simplifyScore）- 使用规则引擎
  * 2. 异步模式（simplifyScoreAsync）- 使用AI增强的声部分离
+ * 3. Worker 模式（simplifyScoreWithWorkers）- 规则引擎分块在 Web Worker 中运行，用于大型乐谱
  */
 
 import { applySingleStaffSimplification } from '../rules/singleStaff.js'
 import { applyGrandStaffSimplification, applyGrandStaffSimplificationAsync } from '../rules/grandStaff.js'
-import { isAnacrusis } from './analyzer.js'
+import { isAnacrusis, getMeasureTimeSignature } from './analyzer.js'
+import { getScoreParts } from './parser.js'
+import { repairTieChains } from './ties.js'
+import { reattachSlurs } from './slurs.js'
+import { splitIntoChunks, mergeChunks, processChunksParallel } from '../utils/chunkProcessor.js'
+import { throwIfAborted, yieldToEventLoop } from '../utils/cancellation.js'
+
+// 主线程异步简化时，每处理这么多小节让出一次主线程（更新进度条、响应取消）
+const YIELD_INTERVAL = 8
 
 /**
  * Simplify an analyzed score (同步版本，使用规则引擎)
@@ -18,36 +27,67 @@ import { isAnacrusis } from './analyzer.js'
  * @returns {Object} Simplified score
  */
 export function simplifyScore(analyzedScore, config) {
-  const { metadata, measures, scoreType } = analyzedScore
-  const { mainLevel, sopranoLevel, bassLevel } = config
-  
-  // Check for anacrusis in first measure
-  const hasAnacrusis = measures.length > 0 && isAnacrusis(measures[0], metadata.timeSignature)
+  const { metadata, scoreType } = analyzedScore
+  const { mainLevel, sopranoLevel, bassLevel, lyricsMode } = config
   
-  const simplifiedMeasures = measures.map((measure, index) => {
-    // Preserve anacrusis (pickup measure) as-is
-    if (hasAnacrusis && index === 0) {
-      return preserveAnacrusis(measure)
-    }
+  const parts = getScoreParts(analyzedScore).map(part => {
+    const partScoreType = part.scoreType || scoreType
+    const { measures } = part
     
-    if (scoreType === 'single-staff') {
-      return applySingleStaffSimplification(measure, mainLevel, metadata.timeSignature)
-    } else {
-      return applyGrandStaffSimplification(measure, mainLevel, metadata.timeSignature, {
-        sopranoLevel: sopranoLevel || getDefaultSopranoLevel(mainLevel),
-        bassLevel: bassLevel || getDefaultBassLevel(mainLevel)
-      })
-    }
+    // Check for anacrusis in first measure
+    const hasAnacrusis = measures.length > 0 &&
+      isAnacrusis(measures[0], getMeasureTimeSignature(measures[0], metadata.timeSignature))
+    
+    const simplifiedMeasures = measures.map((measure, index) => simplifyMeasure(measure, {
+      scoreType: partScoreType,
+      defaultTimeSignature: metadata.timeSignature,
+      isAnacrusis: hasAnacrusis && index === 0,
+      mainLevel,
+      sopranoLevel,
+      bassLevel,
+      lyricsMode
+    }))
+    
+    // 音符被移动、截短或删除后，断开两端不再相接的连线
+    const tiedMeasures = repairTieChains(simplifiedMeasures, metadata.timeSignature)
+    const slurs = reattachSlurs(part.slurs, measures, tiedMeasures)
+    return { ...part, scoreType: partScoreType, measures: tiedMeasures, slurs }
   })
   
   return {
     metadata,
-    measures: simplifiedMeasures,
+    parts,
+    measures: parts[0].measures,
     simplificationLevel: mainLevel,
     scoreType
   }
 }
 
+/**
+ * Simplify one measure with the rule engine
+ * simplifyScore 和 simplifyWorker 共用，保证主线程与 Worker 的结果相同
+ * @param {Object} measure - Analyzed measure
+ * @param {Object} options - { scoreType, defaultTimeSignature, isAnacrusis, mainLevel, sopranoLevel, bassLevel, lyricsMode }
+ * @returns {Object} Simplified measure
+ */
+export function simplifyMeasure(measure, options) {
+  const { scoreType, defaultTimeSignature, isAnacrusis, mainLevel, sopranoLevel, bassLevel, lyricsMode } = options
+  
+  // Preserve anacrusis (pickup measure) as-is
+  if (isAnacrusis) {
+    return reanchorDirections(preserveAnacrusis(measure))
+  }
+  
+  const timeSignature = getMeasureTimeSignature(measure, defaultTimeSignature)
+  if (scoreType === 'single-staff') {
+    return reanchorDirections(applySingleStaffSimplification(measure, mainLevel, timeSignature, { lyricsMode }))
+  }
+  return reanchorDirections(applyGrandStaffSimplification(measure, mainLevel, timeSignature, {
+    sopranoLevel: sopranoLevel || getDefaultSopranoLevel(mainLevel),
+    bassLevel: bassLevel || getDefaultBassLevel(mainLevel)
+  }))
+}
+
 /**
  * Simplify an analyzed score (异步版本，支持AI声部分离)
  * 
@@ -59,49 +99,152 @@ export function simplifyScore(analyzedScore, config) {
  * @param {Object} analyzedScore - Analyzed score from analyzer
  * @param {Object} config - Simplification configuration
  * @param {Function} onProgress - Progress callback (optional)
+ * @param {AbortSignal} signal - 取消时抛出 SIMPLIFICATION_CANCELLED (optional)
  * @returns {Promise<Object>} Simplified score
  */
-export async function simplifyScoreAsync(analyzedScore, config, onProgress = null) {
-  const { metadata, measures, scoreType } = analyzedScore
-  const { mainLevel, sopranoLevel, bassLevel } = config
+export async function simplifyScoreAsync(analyzedScore, config, onProgress = null, signal = null) {
+  const { metadata, scoreType } = analyzedScore
+  const { mainLevel, sopranoLevel, bassLevel, lyricsMode } = config
   
-  // Check for anacrusis in first measure
-  const hasAnacrusis = measures.length > 0 && isAnacrusis(measures[0], metadata.timeSignature)
+  const sourceParts = getScoreParts(analyzedScore)
+  const totalMeasures = sourceParts.reduce((sum, p) => sum + p.measures.length, 0)
+  let processedMeasures = 0
   
-  const simplifiedMeasures = []
-  const totalMeasures = measures.length
-  
-  for (let index = 0; index < measures.length; index++) {
-    const measure = measures[index]
+  const parts = []
+  for (const part of sourceParts) {
+    const partScoreType = part.scoreType || scoreType
+    const { measures } = part
     
-    // Report progress
-    if (onProgress) {
-      onProgress(Math.round((index / totalMeasures) * 100))
-    }
+    // Check for anacrusis in first measure
+    const hasAnacrusis = measures.length > 0 &&
+      isAnacrusis(measures[0], getMeasureTimeSignature(measures[0], metadata.timeSignature))
     
-    // Preserve anacrusis (pickup measure) as-is
-    if (hasAnacrusis && index === 0) {
-      simplifiedMeasures.push(preserveAnacrusis(measure))
-      continue
-    }
+    const simplifiedMeasures = []
     
-    if (scoreType === 'single-staff') {
-      simplifiedMeasures.push(
-        applySingleStaffSimplification(measure, mainLevel, metadata.timeSignature)
-      )
-    } else {
-      // 使用AI增强的异步声部分离
-      const simplified = await applyGrandStaffSimplificationAsync(
-        measure, 
-        mainLevel, 
-        metadata.timeSignature, 
-        {
-          sopranoLevel: sopranoLevel || getDefaultSopranoLevel(mainLevel),
-          bassLevel: bassLevel || getDefaultBassLevel(mainLevel)
-        }
-      )
-      simplifiedMeasures.push(simplified)
+    for (let index = 0; index < measures.length; index++) {
+      const measure = measures[index]
+      
+      throwIfAborted(signal)
+      if (processedMeasures % YIELD_INTERVAL === 0) {
+        await yieldToEventLoop()
+        throwIfAborted(signal)
+      }
+      
+      // Report progress
+      if (onProgress) {
+        onProgress(Math.round((processedMeasures / totalMeasures) * 100))
+      }
+      processedMeasures++
+      
+      // Preserve anacrusis (pickup measure) as-is
+      if (hasAnacrusis && index === 0) {
+        simplifiedMeasures.push(reanchorDirections(preserveAnacrusis(measure)))
+        continue
+      }
+      
+      const timeSignature = getMeasureTimeSignature(measure, metadata.timeSignature)
+      if (partScoreType === 'single-staff') {
+        simplifiedMeasures.push(
+          reanchorDirections(applySingleStaffSimplification(measure, mainLevel, timeSignature, { lyricsMode }))
+        )
+      } else {
+        // 使用AI增强的异步声部分离
+        const simplified = await applyGrandStaffSimplificationAsync(
+          measure, 
+          mainLevel, 
+          timeSignature, 
+          {
+            sopranoLevel: sopranoLevel || getDefaultSopranoLevel(mainLevel),
+            bassLevel: bassLevel || getDefaultBassLevel(mainLevel)
+          }
+        )
+        simplifiedMeasures.push(reanchorDirections(simplified))
+      }
     }
+    
+    const tiedMeasures = repairTieChains(simplifiedMeasures, metadata.timeSignature)
+    const slurs = reattachSlurs(part.slurs, measures, tiedMeasures)
+    parts.push({ ...part, scoreType: partScoreType, measures: tiedMeasures, slurs })
+  }
+  
+  if (onProgress) {
+    onProgress(100)
+  }
+  
+  return {
+    metadata,
+    parts,
+    measures: parts[0].measures,
+    simplificationLevel: mainLevel,
+    scoreType
+  }
+}
+
+/**
+ * Simplify an analyzed score in Web Workers
+ * 
+ * 每个 part 按 chunkProcessor 分块（8 小节 + 前后各 1 小节重叠），交给 Worker 池并行执行规则引擎，
+ * 合并后统一修复连线并重新附着连奏线。结果与 simplifyScore 相同；
+ * AI 声部分离的模型只在主线程加载，因此只在 AI 不可用或单谱表时使用
+ * 
+ * @param {Object} analyzedScore - Analyzed score from analyzer
+ * @param {Object} config - Simplification configuration
+ * @param {Object} pool - Worker pool from createWorkerPool
+ * @param {Function} onProgress - Progress callback (optional)
+ * @param {AbortSignal} signal - 取消时停止 Worker 中的任务并抛出 SIMPLIFICATION_CANCELLED (optional)
+ * @returns {Promise<Object>} Simplified score
+ */
+export async function simplifyScoreWithWorkers(analyzedScore, config, pool, onProgress = null, signal = null) {
+  throwIfAborted(signal)
+  const cancelTasks = () => pool.cancel()
+  if (signal) signal.addEventListener('abort', cancelTasks)
+  try {
+    return await runWorkerSimplification(analyzedScore, config, pool, onProgress, signal)
+  } finally {
+    if (signal) signal.removeEventListener('abort', cancelTasks)
+  }
+}
+
+async function runWorkerSimplification(analyzedScore, config, pool, onProgress, signal) {
+  const { metadata, scoreType } = analyzedScore
+  const { mainLevel } = config
+  
+  const sourceParts = getScoreParts(analyzedScore)
+  const totalMeasures = sourceParts.reduce((sum, p) => sum + p.measures.length, 0)
+  const chunkProgress = new Map()
+  
+  const reportProgress = () => {
+    if (!onProgress || totalMeasures === 0) return
+    const processed = [...chunkProgress.values()].reduce((sum, count) => sum + count, 0)
+    onProgress(Math.round((processed / totalMeasures) * 100))
+  }
+  
+  const parts = []
+  for (const [partIdx, part] of sourceParts.entries()) {
+    const partScoreType = part.scoreType || scoreType
+    const { measures } = part
+    
+    const hasAnacrusis = measures.length > 0 &&
+      isAnacrusis(measures[0], getMeasureTimeSignature(measures[0], metadata.timeSignature))
+    
+    throwIfAborted(signal)
+    const chunks = splitIntoChunks(measures)
+    const processed = await processChunksParallel(chunks, chunk => pool.run({
+      chunk,
+      level: mainLevel,
+      timeSignature: metadata.timeSignature,
+      config,
+      scoreType: partScoreType,
+      hasAnacrusis
+    }, completed => {
+      chunkProgress.set(`${partIdx}-${chunk.id}`, completed)
+      reportProgress()
+    }))
+    
+    // mergeChunks 合并时已修复连线
+    const tiedMeasures = mergeChunks(processed, metadata.timeSignature)
+    const slurs = reattachSlurs(part.slurs, measures, tiedMeasures)
+    parts.push({ ...part, scoreType: partScoreType, measures: tiedMeasures, slurs })
   }
   
   if (onProgress) {
@@ -110,7 +253,8 @@ export async function simplifyScoreAsync(analyzedScore, config, onProgress = nul
   
   return {
     metadata,
-    measures: simplifiedMeasures,
+    parts,
+    measures: parts[0].measures,
     simplificationLevel: mainLevel,
     scoreType
   }
@@ -127,6 +271,57 @@ function preserveAnacrusis(measure) {
   return { ...measure, notes }
 }
 
+/**
+ * Re-anchor dynamics, hairpins and expression text after simplification
+ * 
+ * - 所附音符保留：跟随该音符的新拍位
+ * - 所附音符被删除：移到同一谱表中之前最近的保留音符（没有则取之后最近的）
+ * - 多个力度记号落在同一音符上时，只保留最后一个（即实际生效的力度）
+ * 
+ * @param {Object} measure - Simplified measure
+ * @returns {Object} Measure with re-anchored directions
+ */
+function reanchorDirections(measure) {
+  if (!measure.directions || measure.directions.length === 0) return measure
+  
+  const notes = measure.notes || []
+  const anchored = measure.directions.map(direction => {
+    const kept = notes.find(n => n.id === direction.noteId)
+    if (kept) {
+      return { ...direction, startBeat: kept.startBeat }
+    }
+    
+    const sameStaff = notes.filter(n => n.staff === direction.staff)
+    const candidates = sameStaff.length > 0 ? sameStaff : notes
+    if (candidates.length === 0) {
+      return { ...direction, noteId: null }
+    }
+    
+    const sorted = [...candidates].sort((a, b) => a.startBeat - b.startBeat)
+    
+    // 渐强/渐弱的结束点向后找，找不到就留在原拍位，避免与起点重合
+    if (direction.type === 'wedge' && direction.value === 'stop') {
+      const after = sorted.find(n => n.startBeat >= direction.startBeat - 0.001)
+      return after
+        ? { ...direction, noteId: after.id, startBeat: after.startBeat }
+        : { ...direction, noteId: null }
+    }
+    
+    const before = sorted.filter(n => n.startBeat <= direction.startBeat + 0.001)
+    const target = before.length > 0 ? before[before.length - 1] : sorted[0]
+    return { ...direction, noteId: target.id, startBeat: target.startBeat }
+  })
+  
+  const directions = anchored.filter((direction, idx) => {
+    if (direction.type !== 'dynamic' || !direction.noteId) return true
+    return !anchored.some((other, otherIdx) =>
+      otherIdx > idx && other.type === 'dynamic' && other.noteId === direction.noteId
+    )
+  })
+  
+  return { ...measure, directions }
+}
+
 /**
  * Get default soprano level for grand staff
  * @param {number} mainLevel - Main simplification level
@@ -0,0 +1,128 @@
+/**
+ * Slurs Module
+ * Slur spans (phrasing) linking and re-attachment
+ *
+ * 连奏线记录在 part 上，而不是音符上：
+ * part.slurs: [{ number, startNoteId, endNoteId, placement }]
+ *
+ * 连奏线常常跨越多个小节，简化删除中间或两端的音符后，
+ * 需要把连奏线重新挂到最近的保留音符上
+ */
+
+/**
+ * Pair slur start/stop marks into spans
+ *
+ * 解析器把 <slur> 记录在 note.slurMarks 上（[{ type, number, placement }]），
+ * 这里按演奏顺序以 number 配对，并移除临时字段
+ *
+ * @param {Array} measures - Measures of one part (notes modified in place)
+ * @returns {Array} Slur spans
+ */
+export function linkSlurs(measures) {
+  const spans = []
+  const open = new Map()
+
+  measures.forEach(measure => {
+    const notes = [...(measure.notes || [])].sort((a, b) => a.startBeat - b.startBeat)
+
+    notes.forEach(note => {
+      const marks = note.slurMarks || []
+      delete note.slurMarks
+
+      // 同一音符上先结束旧的连奏线，再开始新的
+      marks.filter(m => m.type === 'stop').forEach(mark => {
+        const start = open.get(mark.number)
+        if (!start) return
+        open.delete(mark.number)
+        if (start.startNoteId !== note.id) {
+          spans.push({ ...start, endNoteId: note.id })
+        }
+      })
+      marks.filter(m => m.type === 'start').forEach(mark => {
+        open.set(mark.number, { number: mark.number, startNoteId: note.id, endNoteId: null, placement: mark.placement })
+      })
+    })
+  })
+
+  return spans
+}
+
+/**
+ * Re-attach slur spans to the notes that survived simplification
+ *
+ * - 起点/终点音符保留：不变
+ * - 起点被删除：改为原连奏线范围内（同一谱表）第一个保留音符
+ * - 终点被删除：改为原连奏线范围内（同一谱表）最后一个保留音符
+ * - 范围内只剩一个音符或没有音符：移除该连奏线
+ *
+ * @param {Array} slurs - Slur spans of the original part
+ * @param {Array} originalMeasures - Measures before simplification
+ * @param {Array} simplifiedMeasures - Measures after simplification
+ * @returns {Array} Re-attached slur spans
+ */
+export function reattachSlurs(slurs, originalMeasures, simplifiedMeasures) {
+  if (!slurs || slurs.length === 0) return []
+
+  const originalPositions = new Map()
+  originalMeasures.forEach((measure, measureIdx) => {
+    (measure.notes || []).forEach(note => {
+      originalPositions.set(note.id, { position: measureIdx * 1000 + note.startBeat, staff: note.staff })
+    })
+  })
+
+  const survivors = []
+  simplifiedMeasures.forEach((measure, measureIdx) => {
+    (measure.notes || []).forEach(note => {
+      if (note.embellishment) return
+      survivors.push({ id: note.id, position: measureIdx * 1000 + note.startBeat, staff: note.staff })
+    })
+  })
+  const survivingIds = new Set(survivors.map(s => s.id))
+
+  const result = []
+  slurs.forEach(slur => {
+    const start = originalPositions.get(slur.startNoteId)
+    const end = originalPositions.get(slur.endNoteId)
+    if (!start || !end) return
+
+    const inSpan = survivors.filter(s =>
+      s.staff === start.staff && s.position >= start.position - 0.001 && s.position <= end.position + 0.001
+    )
+    const startNoteId = survivingIds.has(slur.startNoteId) ? slur.startNoteId : inSpan[0]?.id
+    const endNoteId = survivingIds.has(slur.endNoteId) ? slur.endNoteId : inSpan[inSpan.length - 1]?.id
+    if (!startNoteId || !endNoteId || startNoteId === endNoteId) return
+
+    result.push({ ...slur, startNoteId, endNoteId })
+  })
+
+  return result
+}
+
+/**
+ * Write slur spans back onto their end notes for export
+ *
+ * 把 part 上的连奏线写到两端音符的 slurMarks 上（与解析器的临时字段相同），供各导出格式输出。
+ * 同一 id 出现多次（拍头简化拆分的音符）时，起点写在第一个，终点写在最后一个
+ *
+ * @param {Array} measures - Measures of one part
+ * @param {Array} slurs - Slur spans of the part
+ * @returns {Array} Measures whose end notes carry slurMarks
+ */
+export function attachSlurMarks(measures, slurs) {
+  if (!slurs || slurs.length === 0) return measures
+
+  return measures.map(measure => {
+    const ids = measure.notes.map(n => n.id)
+    const notes = measure.notes.map((note, idx) => {
+      const starts = ids.indexOf(note.id) === idx
+        ? slurs.filter(s => s.startNoteId === note.id).map(s => ({ ...s, type: 'start' }))
+        : []
+      const stops = ids.lastIndexOf(note.id) === idx
+        ? slurs.filter(s => s.endNoteId === note.id).map(s => ({ ...s, type: 'stop' }))
+        : []
+      if (starts.length === 0 && stops.length === 0) return note
+      return { ...note, slurMarks: [...stops, ...starts] }
+    })
+    return { ...measure, notes }
+  })
+}
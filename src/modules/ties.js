@@ -0,0 +1,136 @@
+/**
+ * Ties Module
+ * Tie chain linking and repair
+ *
+ * 每个音符用 id 指向连线的两端：
+ * - note.tiedTo: 连线延续到的音符 id（连线起点）
+ * - note.tiedFrom: 连线来自的音符 id（连线终点）
+ *
+ * 连续的连线（A → B → C）中，B 同时带有 tiedFrom 和 tiedTo
+ */
+
+import { getMeasureBeats } from '../knowledge/index.js'
+
+const EPSILON = 0.001
+
+/**
+ * Link tie starts to their stop notes by id (across barlines)
+ *
+ * 解析器把连线起点和终点标记为 'pending'，这里按演奏顺序配对：
+ * 同一谱表、同一音高，优先同一声部。无法配对的连线被移除
+ *
+ * @param {Array} measures - Measures of one part (modified in place)
+ */
+export function linkTies(measures) {
+  const open = []
+
+  measures.forEach(measure => {
+    const notes = [...(measure.notes || [])]
+      .filter(n => n.embellishment !== 'grace_note')
+      .sort((a, b) => a.startBeat - b.startBeat)
+
+    notes.forEach(note => {
+      if (note.tiedFrom === 'pending') {
+        const candidates = open.filter(o => o.staff === note.staff && samePitch(o, note))
+        const start = candidates.find(o => o.voice === note.voice) || candidates[0]
+        if (start) {
+          start.tiedTo = note.id
+          note.tiedFrom = start.id
+          open.splice(open.indexOf(start), 1)
+        } else {
+          note.tiedFrom = null
+        }
+      }
+      if (note.tiedTo === 'pending') {
+        open.push(note)
+      }
+    })
+  })
+
+  // 没有终点的连线
+  open.forEach(note => {
+    note.tiedTo = null
+  })
+}
+
+/**
+ * Break ties whose ends no longer meet
+ *
+ * 简化、展开反复或分块合并之后调用。连线保留的条件：
+ * - 两端音符都存在且音高相同
+ * - 同一小节内：终点紧接起点结束的位置
+ * - 跨小节：起点是本小节（同一谱表）最后结束的音符，终点是下一小节最先开始的音符
+ *
+ * 同一 id 出现多次（拍头简化拆分的音符）时，起点取最后一个，终点取第一个
+ *
+ * @param {Array} measures - Measures of one part
+ * @param {Object} [defaultTimeSignature] - Fallback time signature (4/4)
+ * @returns {Array} Measures with repaired tie chains
+ */
+export function repairTieChains(measures, defaultTimeSignature = { beats: 4, beatType: 4 }) {
+  const located = new Map()
+  measures.forEach((measure, measureIdx) => {
+    (measure.notes || []).forEach(note => {
+      const entry = located.get(note.id) || { first: null, last: null, measureIdx }
+      if (!entry.first) entry.first = note
+      entry.last = note
+      located.set(note.id, entry)
+    })
+  })
+
+  const staffEnd = (measureIdx, staff) => {
+    const notes = measures[measureIdx].notes.filter(n => n.staff === staff)
+    return Math.max(...notes.map(n => noteEnd(n)))
+  }
+  const staffStart = (measureIdx, staff) => {
+    const notes = measures[measureIdx].notes.filter(n => n.staff === staff)
+    return Math.min(...notes.map(n => n.startBeat))
+  }
+
+  const isValid = (startId, stopId) => {
+    const start = located.get(startId)
+    const stop = located.get(stopId)
+    if (!start || !stop) return false
+
+    const from = start.last
+    const to = stop.first
+    if (!samePitch(from, to) || from.staff !== to.staff) return false
+
+    if (start.measureIdx === stop.measureIdx) {
+      return Math.abs(noteEnd(from) - to.startBeat) < EPSILON
+    }
+    if (stop.measureIdx !== start.measureIdx + 1) return false
+
+    const measure = measures[start.measureIdx]
+    const measureEnd = Math.min(
+      staffEnd(start.measureIdx, from.staff),
+      getMeasureBeats(measure.timeSignature || defaultTimeSignature) + 1
+    )
+    return noteEnd(from) >= measureEnd - EPSILON &&
+      to.startBeat <= staffStart(stop.measureIdx, to.staff) + EPSILON
+  }
+
+  return measures.map(measure => ({
+    ...measure,
+    notes: (measure.notes || []).map(note => {
+      const tiedTo = note.tiedTo && isValid(note.id, note.tiedTo)
+        ? note.tiedTo
+        : null
+      const tiedFrom = note.tiedFrom && isValid(note.tiedFrom, note.id)
+        ? note.tiedFrom
+        : null
+      if (tiedTo === (note.tiedTo || null) && tiedFrom === (note.tiedFrom || null)) return note
+      return { ...note, tiedTo, tiedFrom }
+    })
+  }))
+}
+
+function noteEnd(note) {
+  return note.startBeat + (note.duration?.ticks || 0) / 1024
+}
+
+function samePitch(a, b) {
+  return a.pitch.step === b.pitch.step &&
+    a.pitch.octave === b.pitch.octave &&
+    (a.pitch.alter || 0) === (b.pitch.alter || 0)
+}
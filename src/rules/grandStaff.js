@@ -20,9 +20,16 @@
  * 3. K-means 验证（质量检查）
  */
 
-import { getStrongBeats, pitchToMidi, DURATION_DEFINITIONS } from '../knowledge/index.js'
-import { applySingleStaffSimplification } from './singleStaff.js'
+import {
+  getStrongBeats,
+  getMeasureBeats,
+  getDurationFromTicks,
+  pitchToMidi,
+  DURATION_DEFINITIONS
+} from '../knowledge/index.js'
+import { applySingleStaffSimplification, carryArticulations } from './singleStaff.js'
 import { separateVoicesWithAI, isVoiceAIAvailable } from '../ai/voiceSeparation.js'
+import { getChordAt } from '../modules/harmony.js'
 
 /**
  * 按拍位分组音符（处理和弦）
@@ -158,11 +165,15 @@ function extractVoicesByPitch(notes, bassFirst = false) {
  * 2. 其他音符移动到强拍位置
  * 3. 时值延长到下一个强拍
  * 
+ * 有和声分析（measure.harmony）时优先保留该拍和弦的和弦音：同一位置有多个候选音时取和弦音；
+ * 强拍上是非和弦音时，改用到下一个强拍之前出现的和弦音
+ * 
  * @param {Array} notes - 音符数组
  * @param {Object} timeSignature - 拍号
+ * @param {Array} harmony - measure.harmony (optional)
  * @returns {Array} 简化后的音符
  */
-function applyStrongBeatOnly(notes, timeSignature) {
+function applyStrongBeatOnly(notes, timeSignature, harmony = null) {
   if (!notes || notes.length === 0) return []
   
   const mainNotes = notes.filter(n => !n.embellishment)
@@ -180,29 +191,39 @@ function applyStrongBeatOnly(notes, timeSignature) {
   const isFirstNoteAnacrusis = firstNote && firstNote.startBeat < 1
   
   strongBeats.forEach((strongBeat, idx) => {
+    // 强拍所在拍的和弦音（音级），没有和声分析或该拍没有和弦时为 null
+    const chordTones = getChordAt({ harmony }, strongBeat)?.pitchClasses || null
+    const nextStrongBeat = strongBeats[idx + 1] || (getMeasureBeats(timeSignature) + 1)
+    
     // 查找该强拍位置或之前最近的音符
-    let noteAtBeat = sortedNotes.find(n => !usedNotes.has(n.id) && Math.abs(n.startBeat - strongBeat) < 0.25)
+    let noteAtBeat = preferChordTone(
+      sortedNotes.filter(n => !usedNotes.has(n.id) && Math.abs(n.startBeat - strongBeat) < 0.25),
+      chordTones
+    )
     
     // 如果没找到，找覆盖该强拍的音符
     if (!noteAtBeat) {
-      noteAtBeat = sortedNotes.find(n => {
+      noteAtBeat = preferChordTone(sortedNotes.filter(n => {
         if (usedNotes.has(n.id)) return false
         const endBeat = n.startBeat + (n.duration.ticks / 1024)
         return n.startBeat <= strongBeat && endBeat > strongBeat
-      })
+      }), chordTones)
     }
     
-    // 如果还没找到，找最近的音符
+    // 如果还没找到，找最近的音符（距离相同时取靠前的）
     if (!noteAtBeat) {
-      let minDistance = Infinity
-      sortedNotes.forEach(n => {
-        if (usedNotes.has(n.id)) return
-        const distance = Math.abs(n.startBeat - strongBeat)
-        if (distance < minDistance && distance < 2) {
-          minDistance = distance
-          noteAtBeat = n
-        }
-      })
+      const nearby = sortedNotes
+        .filter(n => !usedNotes.has(n.id) && Math.abs(n.startBeat - strongBeat) < 2)
+        .sort((a, b) => Math.abs(a.startBeat - strongBeat) - Math.abs(b.startBeat - strongBeat))
+      noteAtBeat = preferChordTone(nearby, chordTones)
+    }
+    
+    // 强拍上是非和弦音（倚音、经过音等）时，改用到下一个强拍之前出现的和弦音
+    if (noteAtBeat && chordTones && !isChordTone(noteAtBeat, chordTones)) {
+      const chordTone = sortedNotes.find(n =>
+        !usedNotes.has(n.id) && n.startBeat > strongBeat && n.startBeat < nextStrongBeat - 0.001 && isChordTone(n, chordTones)
+      )
+      if (chordTone) noteAtBeat = chordTone
     }
     
     if (!noteAtBeat) return
@@ -210,9 +231,8 @@ function applyStrongBeatOnly(notes, timeSignature) {
     usedNotes.add(noteAtBeat.id)
     
     // 计算到下一个强拍的时值
-    const nextStrongBeat = strongBeats[idx + 1] || (timeSignature.beats + 1)
     const durationBeats = nextStrongBeat - strongBeat
-    const durationTicks = durationBeats * 1024
+    const durationTicks = Math.round(durationBeats * 1024)
     
     // 【关键】音符移动到强拍位置，确保时值正确
     // 只有弱起小节的第一个音符保持原位
@@ -221,27 +241,29 @@ function applyStrongBeatOnly(notes, timeSignature) {
     result.push({
       ...noteAtBeat,
       startBeat: shouldKeepOriginalPosition ? noteAtBeat.startBeat : strongBeat,
-      duration: {
-        type: getDurationTypeFromTicks(durationTicks),
-        dots: 0,
-        ticks: durationTicks
-      }
+      duration: getDurationFromTicks(durationTicks)
     })
   })
   
-  return result
+  return carryArticulations(result, mainNotes)
 }
 
 /**
- * 根据 ticks 获取时值类型
+ * 候选音中优先取和弦音，没有和弦音时取第一个
+ * @param {Array} candidates - 按优先顺序排列的候选音
+ * @param {number[]|null} chordTones - 和弦音级
+ * @returns {Object|undefined}
  */
-function getDurationTypeFromTicks(ticks) {
-  if (ticks >= 4096) return 'whole'
-  if (ticks >= 2048) return 'half'
-  if (ticks >= 1024) return 'quarter'
-  if (ticks >= 512) return 'eighth'
-  if (ticks >= 256) return 'sixteenth'
-  return '32nd'
+function preferChordTone(candidates, chordTones) {
+  if (chordTones) {
+    const chordTone = candidates.find(n => isChordTone(n, chordTones))
+    if (chordTone) return chordTone
+  }
+  return candidates[0]
+}
+
+function isChordTone(note, chordTones) {
+  return chordTones.includes(((pitchToMidi(note.pitch) % 12) + 12) % 12)
 }
 
 /**
@@ -294,7 +316,7 @@ export function applyGrandStaffLevel2(measure, timeSignature, config = {}) {
     : { notes: [] }
   
   const simplifiedAlto = alto.length > 0 
-    ? applyStrongBeatOnly(alto, timeSignature)
+    ? applyStrongBeatOnly(alto, timeSignature, measure.harmony)
     : []
   
   const simplifiedBass = bass.length > 0
@@ -329,7 +351,7 @@ export function applyGrandStaffLevel3(measure, timeSignature, config = {}) {
     : { notes: [] }
   
   const simplifiedTenor = tenor.length > 0
-    ? applyStrongBeatOnly(tenor, timeSignature)
+    ? applyStrongBeatOnly(tenor, timeSignature, measure.harmony)
     : []
   
   const simplifiedBass = bass.length > 0
@@ -364,11 +386,11 @@ export function applyGrandStaffLevel4(measure, timeSignature, config = {}) {
     : { notes: [] }
   
   const simplifiedAlto = alto.length > 0
-    ? applyStrongBeatOnly(alto, timeSignature)
+    ? applyStrongBeatOnly(alto, timeSignature, measure.harmony)
     : []
   
   const simplifiedTenor = tenor.length > 0
-    ? applyStrongBeatOnly(tenor, timeSignature)
+    ? applyStrongBeatOnly(tenor, timeSignature, measure.harmony)
     : []
   
   const simplifiedBass = bass.length > 0
@@ -489,7 +511,7 @@ function applySimplificationWithVoices(measure, level, timeSignature, voices, co
         ? applySingleStaffSimplification({ ...measure, notes: soprano }, sopranoLevel, timeSignature)
         : { notes: [] }
       const simplifiedAlto = alto.length > 0 
-        ? applyStrongBeatOnly(alto, timeSignature)
+        ? applyStrongBeatOnly(alto, timeSignature, measure.harmony)
         : []
       const simplifiedBass = bass.length > 0
         ? applySingleStaffSimplification({ ...measure, notes: bass }, bassLevel, timeSignature)
@@ -507,7 +529,7 @@ function applySimplificationWithVoices(measure, level, timeSignature, voices, co
         ? applySingleStaffSimplification({ ...measure, notes: soprano }, sopranoLevel, timeSignature)
         : { notes: [] }
       const simplifiedTenor = tenor.length > 0
-        ? applyStrongBeatOnly(tenor, timeSignature)
+        ? applyStrongBeatOnly(tenor, timeSignature, measure.harmony)
         : []
       const simplifiedBass = bass.length > 0
         ? applySingleStaffSimplification({ ...measure, notes: bass }, bassLevel, timeSignature)
@@ -525,10 +547,10 @@ function applySimplificationWithVoices(measure, level, timeSignature, voices, co
         ? applySingleStaffSimplification({ ...measure, notes: soprano }, sopranoLevel, timeSignature)
         : { notes: [] }
       const simplifiedAlto = alto.length > 0
-        ? applyStrongBeatOnly(alto, timeSignature)
+        ? applyStrongBeatOnly(alto, timeSignature, measure.harmony)
         : []
       const simplifiedTenor = tenor.length > 0
-        ? applyStrongBeatOnly(tenor, timeSignature)
+        ? applyStrongBeatOnly(tenor, timeSignature, measure.harmony)
         : []
       const simplifiedBass = bass.length > 0
         ? applySingleStaffSimplification({ ...measure, notes: bass }, bassLevel, timeSignature)
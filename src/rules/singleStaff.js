@@ -1,18 +1,27 @@
-import { getStrongBeats } from '../knowledge/index.js'
+import {
+  getStrongBeats,
+  getMeasureTicks,
+  getMeasureBeats,
+  getBeatPositions,
+  getBeatUnitTicks,
+  getDurationFromTicks,
+  pitchToMidi
+} from '../knowledge/index.js'
 
 export function applyLevel1(measure, timeSignature) {
   const notes = measure.notes.filter(n => !n.embellishment)
   if (notes.length === 0) return { ...measure, notes: [] }
   const sortedNotes = [...notes].sort((a, b) => a.startBeat - b.startBeat)
   const firstNote = sortedNotes[0]
-  const measureDuration = timeSignature.beats * 1024
+  const measureDuration = getMeasureTicks(timeSignature)
+  const skeleton = [{
+    ...firstNote,
+    startBeat: 1,
+    duration: getDurationFromTicks(measureDuration)
+  }]
   return {
     ...measure,
-    notes: [{
-      ...firstNote,
-      startBeat: 1,
-      duration: { type: getDurationTypeFromTicks(measureDuration), ticks: measureDuration, dots: 0 }
-    }],
+    notes: keepStructuralNotes(skeleton, notes, timeSignature),
     rests: []
   }
 }
@@ -46,8 +55,8 @@ export function applyLevel2(measure, timeSignature) {
     
     usedNotes.add(noteAtBeat.id)
     
-    const nextStrongBeat = strongBeats[idx + 1] || (timeSignature.beats + 1)
-    const durationTicks = (nextStrongBeat - strongBeat) * 1024
+    const nextStrongBeat = strongBeats[idx + 1] || (getMeasureBeats(timeSignature) + 1)
+    const durationTicks = Math.round((nextStrongBeat - strongBeat) * 1024)
     
     // 【关键】音符移动到强拍位置，确保时值正确
     // 只有弱起小节的第一个音符保持原位
@@ -56,25 +65,80 @@ export function applyLevel2(measure, timeSignature) {
     result.push({
       ...noteAtBeat,
       startBeat: shouldKeepOriginalPosition ? noteAtBeat.startBeat : strongBeat,
-      duration: { type: getDurationTypeFromTicks(durationTicks), ticks: durationTicks, dots: 0 }
+      duration: getDurationFromTicks(durationTicks)
     })
   })
-  return { ...measure, notes: result, rests: [] }
+  return { ...measure, notes: keepStructuralNotes(result, notes, timeSignature), rests: [] }
+}
+
+/**
+ * 终止式与乐句末音保护（Level 1–2）
+ * 骨架中缺少的终止式外声部音（cadence，见 modules/cadence.js）和乐句末音
+ * （phraseFinal，见 modules/phrases.js）补回到所在拍的拍头；每个拍位只保留一个音，
+ * 依次优先终止和弦的音、乐句末音、终止前和弦的音，再取最高音（低音声部取最低音）；
+ * 每个音延续到下一个保留音或小节末
+ * @param {Array} skeleton - 简化后的音符
+ * @param {Array} notes - 简化前的主音
+ * @param {Object} timeSignature - 拍号
+ * @returns {Array} 音符
+ */
+function keepStructuralNotes(skeleton, notes, timeSignature) {
+  const kept = new Set(skeleton.map(n => n.id))
+  const beats = getBeatPositions(timeSignature)
+  const structuralNotes = notes
+    .filter(n => getStructuralRank(n) > 0 && !kept.has(n.id))
+    .map(note => {
+      const beat = beats.filter(b => b <= note.startBeat + 0.001).pop()
+      return { ...note, startBeat: beat ?? note.startBeat }
+    })
+  if (structuralNotes.length === 0) return skeleton
+
+  const lowest = notes.every(n => n.voicePart === 'bass')
+  const pitchOrder = (a, b) => (lowest ? -1 : 1) * (pitchToMidi(a.pitch) - pitchToMidi(b.pitch))
+  const byBeat = new Map()
+  ;[...skeleton, ...structuralNotes].forEach(note => {
+    const key = note.startBeat.toFixed(3)
+    const current = byBeat.get(key)
+    const better = !current ||
+      getStructuralRank(note) - getStructuralRank(current) > 0 ||
+      (getStructuralRank(note) === getStructuralRank(current) && pitchOrder(note, current) > 0)
+    if (better) byBeat.set(key, note)
+  })
+
+  const merged = [...byBeat.values()].sort((a, b) => a.startBeat - b.startBeat)
+  const measureEnd = getMeasureBeats(timeSignature) + 1
+  return merged.map(note => {
+    const next = merged.find(n => n.startBeat > note.startBeat + 0.001)
+    const end = next ? next.startBeat : measureEnd
+    return { ...note, duration: getDurationFromTicks(Math.round((end - note.startBeat) * 1024)) }
+  })
+}
+
+// 结构音的优先级：终止和弦 > 乐句末音 > 终止前的和弦 > 其他音（0）
+function getStructuralRank(note) {
+  if (note.cadence === 'arrival') return 3
+  if (note.phraseFinal) return 2
+  return note.cadence ? 1 : 0
 }
 
+/**
+ * Level 3: 拍头简化
+ * 每拍保留第一个音，时值为一拍（复合拍子为附点四分音符，2/2 为二分音符）
+ */
 export function applyLevel3(measure, timeSignature) {
   const notes = measure.notes.filter(n => !n.embellishment)
   if (notes.length === 0) return { ...measure, notes: [] }
   const result = []
-  for (let beat = 1; beat <= timeSignature.beats; beat++) {
+  const beatDuration = getDurationFromTicks(getBeatUnitTicks(timeSignature))
+  getBeatPositions(timeSignature).forEach(beat => {
     const noteAtBeat = findNoteAtBeat(notes, beat)
-    if (!noteAtBeat) continue
+    if (!noteAtBeat) return
     result.push({
       ...noteAtBeat,
       startBeat: beat,
-      duration: { type: 'quarter', ticks: 1024, dots: 0 }
+      duration: { ...beatDuration }
     })
-  }
+  })
   return { ...measure, notes: result, rests: [] }
 }
 
@@ -229,22 +293,185 @@ function findNoteAtBeatExcluding(notes, beat, usedNotes) {
   return note
 }
 
-function getDurationTypeFromTicks(ticks) {
-  if (ticks >= 4096) return 'whole'
-  if (ticks >= 2048) return 'half'
-  if (ticks >= 1024) return 'quarter'
-  if (ticks >= 512) return 'eighth'
-  if (ticks >= 256) return 'sixteenth'
-  return '32nd'
+// 音符被删除时需要转移到保留音符上的记号
+const CARRIED_ARTICULATIONS = ['fermata', 'accent', 'strong-accent']
+
+/**
+ * 演奏法记号的保留策略
+ * 
+ * 1. 保留下来的音符带着自己的记号（随音符移动、延长）
+ * 2. 被删除音符上的延长记号（fermata）和重音（accent / strong-accent）
+ *    转移到时值覆盖其位置的保留音符上，没有则转移到最近的保留音符
+ * 3. 被删除音符上的断奏、保持音等与时值相关的记号随音符一起删除
+ * 4. 同一音符被拆成多个拍头音时，延长记号只留在最后一个，其余记号只留在第一个
+ * 
+ * @param {Array} notes - 简化后的音符
+ * @param {Array} originalNotes - 简化前的音符
+ * @returns {Array} 带有转移记号的音符
+ */
+export function carryArticulations(notes, originalNotes) {
+  if (!notes || notes.length === 0) return notes
+  
+  const ids = notes.map(n => n.id)
+  const keptIds = new Set(ids)
+  const result = notes.map((n, idx) => {
+    if (!n.articulations) return { ...n }
+    const isFirst = ids.indexOf(n.id) === idx
+    const isLast = ids.lastIndexOf(n.id) === idx
+    const articulations = n.articulations.filter(a => a === 'fermata' ? isLast : isFirst)
+    return { ...n, articulations: articulations.length > 0 ? articulations : undefined }
+  })
+  
+  const originals = originalNotes || []
+  originals.forEach(original => {
+    if (keptIds.has(original.id) || !original.articulations) return
+    const carried = original.articulations.filter(a => CARRIED_ARTICULATIONS.includes(a))
+    if (carried.length === 0) return
+    
+    const target = findCoveringNote(result, original.startBeat)
+    carried.forEach(a => {
+      const current = target.articulations || []
+      if (!current.includes(a)) {
+        target.articulations = [...current, a]
+      }
+    })
+  })
+  
+  return result
+}
+
+function findCoveringNote(notes, beat) {
+  const covering = notes.find(n => {
+    const endBeat = n.startBeat + (n.duration.ticks / 1024)
+    return n.startBeat <= beat + 0.001 && endBeat > beat + 0.001
+  })
+  if (covering) return covering
+  return notes.reduce((nearest, n) =>
+    Math.abs(n.startBeat - beat) < Math.abs(nearest.startBeat - beat) ? n : nearest
+  )
+}
+
+/**
+ * 歌词对齐：保证简化后的旋律仍然可以演唱
+ * 
+ * - 'syllable'（默认）：每个音节保留一个音符。带歌词的音符被删除时恢复原位，
+ *   前一个音符截短到该音符之前，恢复的音符延长到下一个音符（吸收被删除的拖腔音）
+ * - 'melisma'：不恢复音符，被删除的音节合并到覆盖其位置的保留音符上（用 elision 连接）
+ * 
+ * 同一音符被拆成多个拍头音时，歌词只留在第一个
+ * 
+ * @param {Array} notes - 简化后的音符
+ * @param {Array} originalNotes - 简化前的音符
+ * @param {'syllable' | 'melisma'} mode - 歌词处理方式
+ * @returns {Array} 对齐歌词后的音符
+ */
+export function alignLyrics(notes, originalNotes, mode = 'syllable') {
+  const originals = (originalNotes || []).filter(n => !n.embellishment)
+  if (!originals.some(n => n.lyrics)) return notes
+  
+  const ids = (notes || []).map(n => n.id)
+  const kept = (notes || []).map((n, idx) =>
+    n.lyrics && ids.indexOf(n.id) !== idx ? { ...n, lyrics: undefined } : { ...n }
+  )
+  const dropped = originals
+    .filter(n => n.lyrics && !ids.includes(n.id))
+    .sort((a, b) => a.startBeat - b.startBeat)
+  if (dropped.length === 0) return kept
+  
+  const result = mode === 'melisma'
+    ? mergeSyllables(kept, dropped)
+    : restoreSyllables(kept, dropped)
+  return clearStaleExtends(result)
+}
+
+function restoreSyllables(notes, dropped) {
+  const spans = notes.map(n => ({ start: n.startBeat, end: n.startBeat + n.duration.ticks / 1024 }))
+  const sameBeat = (a, b) => Math.abs(a.startBeat - b.startBeat) < 0.001
+  
+  // 与带歌词的保留音符同拍的音节无法恢复，改为合并到该音符上
+  const blocked = dropped.filter(d => notes.some(n => n.lyrics && sameBeat(n, d)))
+  const restored = dropped.filter(d => !blocked.includes(d))
+  mergeSyllables(notes, blocked)
+  
+  // 恢复的音节替换同拍上不带歌词的保留音符
+  const remaining = notes.filter(n => n.lyrics || !restored.some(d => sameBeat(n, d)))
+  const all = [
+    ...remaining.map(n => ({ note: n, restored: false })),
+    ...restored.map(n => ({ note: { ...n }, restored: true }))
+  ].sort((a, b) => a.note.startBeat - b.note.startBeat)
+  
+  return all.map(({ note, restored }, idx) => {
+    const start = note.startBeat
+    let end = start + note.duration.ticks / 1024
+    if (restored) {
+      // 延长到原来覆盖该位置的保留音符的结束处
+      const cover = spans.find(span => span.start <= start + 0.001 && span.end > start + 0.001)
+      if (cover) end = Math.max(end, cover.end)
+    }
+    const next = all.slice(idx + 1).find(other => other.note.startBeat > start + 0.001)
+    if (next) end = Math.min(end, next.note.startBeat)
+    
+    const ticks = Math.round((end - start) * 1024)
+    if (ticks === note.duration.ticks) return note
+    return { ...note, duration: getDurationFromTicks(ticks) }
+  })
+}
+
+function mergeSyllables(notes, dropped) {
+  if (notes.length === 0) return notes
+  
+  dropped.forEach(original => {
+    const target = findCoveringNote(notes, original.startBeat)
+    original.lyrics.forEach(lyric => {
+      const current = target.lyrics || []
+      const existing = current.find(l => l.verse === lyric.verse)
+      if (!existing) {
+        target.lyrics = [...current, { ...lyric }]
+        return
+      }
+      const merged = {
+        ...existing,
+        extend: lyric.extend,
+        elisions: [
+          ...(existing.elisions || []),
+          { syllabic: lyric.syllabic, text: lyric.text },
+          ...(lyric.elisions || [])
+        ]
+      }
+      target.lyrics = current.map(l => l === existing ? merged : l)
+    })
+  })
+  
+  return notes
+}
+
+/**
+ * 后面紧跟新音节的歌词不再需要延长线
+ */
+function clearStaleExtends(notes) {
+  const sorted = [...notes].sort((a, b) => a.startBeat - b.startBeat)
+  return notes.map(note => {
+    if (!note.lyrics || !note.lyrics.some(l => l.extend)) return note
+    const next = sorted.find(n => n.startBeat > note.startBeat + 0.001)
+    const lyrics = note.lyrics.map(lyric => {
+      if (!lyric.extend) return lyric
+      const continues = next && !(next.lyrics || []).some(l => l.verse === lyric.verse)
+      return continues ? lyric : { ...lyric, extend: false }
+    })
+    return { ...note, lyrics }
+  })
 }
 
-export function applySingleStaffSimplification(measure, level, timeSignature) {
+export function applySingleStaffSimplification(measure, level, timeSignature, options = {}) {
+  let result
   switch (level) {
-    case 1: return applyLevel1(measure, timeSignature)
-    case 2: return applyLevel2(measure, timeSignature)
-    case 3: return applyLevel3(measure, timeSignature)
-    case 4: return applyLevel4(measure, timeSignature)
-    case 5: return applyLevel5(measure, timeSignature)
+    case 1: result = applyLevel1(measure, timeSignature); break
+    case 2: result = applyLevel2(measure, timeSignature); break
+    case 3: result = applyLevel3(measure, timeSignature); break
+    case 4: result = applyLevel4(measure, timeSignature); break
+    case 5: result = applyLevel5(measure, timeSignature); break
     default: return measure
   }
+  const notes = carryArticulations(result.notes, measure.notes)
+  return { ...result, notes: alignLyrics(notes, measure.notes, options.lyricsMode) }
 }
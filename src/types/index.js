@@ -11,6 +11,7 @@
  * @property {SimplificationLevel} mainLevel
  * @property {SimplificationLevel} [sopranoLevel]
  * @property {SimplificationLevel} [bassLevel]
+ * @property {'syllable' | 'melisma'} [lyricsMode] - Keep one note per syllable (default) or merge syllables onto remaining notes
  */
 
 /**
@@ -46,7 +47,11 @@
  */
 
 /**
- * @typedef {'syncopation' | 'dotted_rhythm' | 'cross_beat_tie' | 'cross_measure_tie' | 'melodic_turning_point' | 'phrase_ending' | 'off_beat_start'} LockReason
+ * @typedef {'staccato' | 'staccatissimo' | 'accent' | 'strong-accent' | 'tenuto' | 'detached-legato' | 'fermata'} ArticulationType
+ */
+
+/**
+ * @typedef {'syncopation' | 'dotted_rhythm' | 'cross_beat_tie' | 'cross_measure_tie' | 'melodic_turning_point' | 'phrase_ending' | 'off_beat_start' | 'cadence'} LockReason
  */
 
 /**
@@ -57,14 +62,35 @@
  * @property {number} startBeat
  * @property {number} voice
  * @property {1 | 2} staff
- * @property {string} [tiedTo]
- * @property {string[]} [slurredWith]
+ * @property {string|null} [tiedTo] - Id of the note this note is tied into
+ * @property {string|null} [tiedFrom] - Id of the note tied into this one
+ * @property {ArticulationType[]} [articulations]
+ * @property {Lyric[]} [lyrics]
  * @property {boolean} isLocked
  * @property {LockReason} [lockReason]
+ * @property {'approach' | 'arrival'} [cadence] - Outer-voice note of the chord before / of the final chord of a cadence, kept by Level 1–2
+ * @property {boolean} [phraseFinal] - Outer-voice note ending a phrase, kept by Level 1–2
  * @property {EmbellishmentType} [embellishment]
  * @property {'soprano' | 'alto' | 'tenor' | 'bass'} [voicePart]
  */
 
+/**
+ * @typedef {Object} Lyric
+ * @property {number} verse
+ * @property {'single' | 'begin' | 'middle' | 'end'} syllabic
+ * @property {string} text
+ * @property {boolean} extend - Melisma extension line follows
+ * @property {{ syllabic: string, text: string }[]} [elisions] - Further syllables sung on the same note
+ */
+
+/**
+ * @typedef {Object} Slur
+ * @property {number} number - MusicXML slur number
+ * @property {string} startNoteId
+ * @property {string} endNoteId
+ * @property {'above' | 'below' | null} placement
+ */
+
 /**
  * @typedef {Object} Rest
  * @property {string} id
@@ -79,6 +105,120 @@
  * @property {number} number
  * @property {Note[]} notes
  * @property {Rest[]} rests
+ * @property {TimeSignature} [timeSignature] - Time signature in effect for this measure
+ * @property {KeySignature} [keySignature] - Key signature in effect for this measure
+ * @property {string[]} [clefs] - Clef per staff in effect for this measure, e.g. ['G2', 'F4']
+ * @property {Barline[]} [barlines] - Repeat signs and volta brackets
+ * @property {NavigationMark[]} [navigation] - Segno, coda, fine and jump marks
+ * @property {Direction[]} [directions] - Dynamics, hairpins and expression text
+ * @property {LocalKey} [localKey] - Key found by the analyzer for this measure
+ * @property {HarmonySlot[]} [harmony] - Chord of each beat, found by the analyzer
+ * @property {Cadence} [cadence] - Cadence ending in this measure, found by the analyzer
+ */
+
+/**
+ * @typedef {Object} HarmonySlot
+ * @property {number} beat - Start of the beat (1-indexed, quarter-note based)
+ * @property {number} duration - Length in quarter notes
+ * @property {Chord|null} chord
+ */
+
+/**
+ * @typedef {Object} Chord
+ * @property {{ step: string, alter: number }} root
+ * @property {'major' | 'minor' | 'diminished' | 'augmented' | 'dominant7' | 'major7' | 'minor7' | 'halfDiminished7' | 'diminished7'} quality
+ * @property {0 | 1 | 2 | 3} inversion - 0 = root position
+ * @property {{ step: string, alter: number }} bass
+ * @property {string} symbol - e.g. 'G7/B'
+ * @property {string} roman - Roman numeral in the local key, e.g. 'V65'
+ * @property {number[]} pitchClasses - Chord tones (0 = C … 11 = B)
+ * @property {number} confidence - 0 to 1
+ */
+
+/**
+ * @typedef {Object} Cadence
+ * @property {'authentic' | 'half' | 'plagal' | 'deceptive'} type
+ * @property {boolean} perfect - Authentic cadence with both chords in root position and the tonic on top
+ * @property {number} measure - Measure index of the arrival
+ * @property {number|string} number - Measure number of the arrival
+ * @property {number} beat - Beat of the arrival chord
+ * @property {string} key - Local key name, e.g. 'G major'
+ * @property {string[]} chords - Roman numerals of the two chords, e.g. ['V7', 'I']
+ * @property {string[]} noteIds - Locked outer-voice notes of both chords
+ */
+
+/**
+ * @typedef {Object} Phrase
+ * @property {number} index
+ * @property {number} start - First measure index (including a pickup measure)
+ * @property {number} end - Last measure index
+ * @property {number|string} startNumber
+ * @property {number|string} endNumber
+ * @property {number} length - Measures, not counting a pickup measure
+ * @property {'authentic' | 'half' | 'plagal' | 'deceptive' | null} cadence - Cadence in the last measure
+ * @property {boolean} square - 2, 4, 8 or 16 measures long
+ */
+
+/**
+ * @typedef {Object} PhraseAnalysis
+ * @property {Phrase[]} phrases
+ * @property {number[]} lengths
+ * @property {'square' | 'non-square'} structure
+ * @property {string} label - Phrase lengths, e.g. '4+4+4+4'
+ */
+
+/**
+ * @typedef {Object} Difficulty
+ * @property {number} grade - 1 (easiest) to 8
+ * @property {number} score - 0 to 100
+ * @property {Object<string, number>} factors - density, rhythm, range, leaps, accidentals, keySignature,
+ *   and for grand staff handIndependence and chordSize, each 0 to 1
+ * @property {{ id: string, name: string, grade: number, score: number, factors: Object<string, number> }[]} parts
+ * @property {number} measures - Measures scored
+ */
+
+/**
+ * @typedef {Object} LocalKey
+ * @property {{ step: string, alter: number }} tonic
+ * @property {'major' | 'minor'} mode
+ * @property {number} fifths - Key signature of this key (-7 to 7)
+ * @property {string} name - e.g. 'F# minor'
+ * @property {number} confidence - 0 to 1
+ */
+
+/**
+ * @typedef {Object} KeyRegion
+ * @property {number} start - First measure index
+ * @property {number} end - Last measure index
+ * @property {number|string} startNumber
+ * @property {number|string} endNumber
+ * @property {LocalKey} key - confidence is the average over the region
+ */
+
+/**
+ * @typedef {Object} Barline
+ * @property {'left' | 'right' | 'middle'} location
+ * @property {string|null} style - bar-style, e.g. 'light-heavy'
+ * @property {'forward' | 'backward' | null} repeat
+ * @property {number|null} times
+ * @property {{ number: string, type: 'start' | 'stop' | 'discontinue', text: string|null }|null} ending
+ */
+
+/**
+ * @typedef {Object} NavigationMark
+ * @property {'segno' | 'coda' | 'tocoda' | 'fine' | 'dacapo' | 'dalsegno'} type
+ * @property {string|null} text
+ */
+
+/**
+ * @typedef {Object} Direction
+ * @property {'dynamic' | 'wedge' | 'words'} type
+ * @property {string} value - e.g. 'mf', 'crescendo' / 'diminuendo' / 'stop', 'dolce'
+ * @property {number} startBeat
+ * @property {1 | 2} staff
+ * @property {'above' | 'below' | null} placement
+ * @property {string|null} noteId - Note the direction is attached to
+ * @property {number} [number] - Wedge number, pairs start and stop
  */
 
 /**
@@ -92,25 +232,45 @@
  * @property {string[]} textAnnotations
  */
 
+/**
+ * @typedef {Object} Part
+ * @property {string} id - <score-part> id
+ * @property {string} name
+ * @property {string|null} instrument
+ * @property {number|null} midiProgram
+ * @property {number} staves
+ * @property {Measure[]} measures
+ * @property {Slur[]} [slurs] - Slur spans (see modules/slurs.js)
+ * @property {ScoreType} [scoreType] - Set by the analyzer per part
+ */
+
 /**
  * @typedef {Object} ParsedScore
  * @property {ScoreMetadata} metadata
- * @property {Measure[]} measures
- * @property {string} rawXml
+ * @property {Part[]} parts
+ * @property {Measure[]} measures - Measures of the first part
+ * @property {Object} navigation - Repeat/jump model of the first part (see modules/navigation.js)
+ * @property {string|null} rawXml - Source MusicXML (null for MIDI imports)
  */
 
 /**
  * @typedef {Object} AnalyzedScore
  * @property {ScoreMetadata} metadata
+ * @property {Part[]} parts
  * @property {Measure[]} measures
  * @property {Object} voices
  * @property {Note[]} lockedNotes
  * @property {number[]} strongBeats
+ * @property {{ key: LocalKey|null, regions: KeyRegion[], measures: LocalKey[] }} keyAnalysis
+ * @property {Cadence[]} cadences
+ * @property {PhraseAnalysis} phraseAnalysis
+ * @property {Difficulty} difficulty - Difficulty of the original score
  */
 
 /**
  * @typedef {Object} SimplifiedScore
  * @property {ScoreMetadata} metadata
+ * @property {Part[]} parts
  * @property {Measure[]} measures
  * @property {SimplificationLevel} simplificationLevel
  * @property {ScoreType} scoreType
@@ -0,0 +1,37 @@
+/**
+ * Cancellation Module
+ * 长时间任务（分析、简化、导出）的取消与让出主线程
+ *
+ * 任务接收 AbortSignal；被取消时统一抛出 SIMPLIFICATION_CANCELLED 错误，
+ * 与 Worker 池取消任务时的错误相同
+ */
+
+export const CANCELLED_ERROR = 'SIMPLIFICATION_CANCELLED'
+
+/**
+ * Throw SIMPLIFICATION_CANCELLED when the signal has been aborted
+ * @param {AbortSignal} [signal] - Abort signal
+ */
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new Error(CANCELLED_ERROR)
+  }
+}
+
+/**
+ * Whether an error comes from a cancelled task
+ * @param {Error} error - Error
+ * @returns {boolean}
+ */
+export function isCancelledError(error) {
+  return error?.message === CANCELLED_ERROR
+}
+
+/**
+ * Let the browser handle input and repaint before continuing
+ * 微任务（await）不会让出主线程，这里用宏任务
+ * @returns {Promise<void>}
+ */
+export function yieldToEventLoop() {
+  return new Promise(resolve => setTimeout(resolve, 0))
+}
@@ -8,6 +8,8 @@
  * - maxConcurrency: 4（最多并行Worker数量）
  */
 
+import { repairTieChains } from '../modules/ties.js'
+
 const CONFIG = {
   CHUNK_SIZE: 8,        // 每次处理的小节数
   OVERLAP_SIZE: 1,      // 重叠区域避免边界问题
@@ -16,6 +18,8 @@ const CONFIG = {
 
 /**
  * 将小节数组分割成块
+ * 每块的 measures 含前后重叠的小节（originalStartIndex ~ originalEndIndex），
+ * 只有 startIndex ~ endIndex 之间的小节属于本块
  * @param {Array} measures - 小节数组
  * @returns {Array} 分块后的数组
  */
@@ -30,6 +34,7 @@ export function splitIntoChunks(measures) {
       id: Math.floor(i / CONFIG.CHUNK_SIZE),
       measures: measures.slice(startIdx, endIdx),
       startIndex: i,
+      endIndex: Math.min(measures.length, i + CONFIG.CHUNK_SIZE),
       originalStartIndex: startIdx,
       originalEndIndex: endIdx,
       isFirst: i === 0,
@@ -43,60 +48,39 @@ export function splitIntoChunks(measures) {
 /**
  * 合并处理后的块
  * @param {Array} processedChunks - 处理后的块数组
+ * @param {Object} defaultTimeSignature - 乐谱的拍号（小节没有拍号时使用）
  * @returns {Array} 合并后的小节数组
  */
-export function mergeChunks(processedChunks) {
+export function mergeChunks(processedChunks, defaultTimeSignature) {
   const merged = []
   
   // 按ID排序
   processedChunks.sort((a, b) => a.id - b.id)
   
-  processedChunks.forEach((chunk, index) => {
-    if (index === 0) {
-      // 第一个chunk完整保留
-      merged.push(...chunk.measures)
-    } else {
-      // 后续chunk跳过重叠部分
-      const skipCount = CONFIG.OVERLAP_SIZE
-      merged.push(...chunk.measures.slice(skipCount))
-    }
+  processedChunks.forEach(chunk => {
+    // 跳过前后重叠部分，只保留属于本块的小节
+    const offset = chunk.startIndex - chunk.originalStartIndex
+    merged.push(...chunk.measures.slice(offset, offset + chunk.endIndex - chunk.startIndex))
   })
   
   // 边界平滑处理
-  smoothChunkBoundaries(merged)
+  smoothChunkBoundaries(merged, defaultTimeSignature)
   
   return merged
 }
 
 /**
  * 边界平滑处理
- * 检查chunk交界处的连线和声部连续性
- * @param {Array} measures - 合并后的小节数组
+ * 连线在解析时已按 id 配对；各块独立简化后，检查连线两端（尤其是块交界处）是否仍然相接，
+ * 不再相接的连线被断开
+ * @param {Array} measures - 合并后的小节数组（原地修改）
+ * @param {Object} defaultTimeSignature - 乐谱的拍号
  */
-function smoothChunkBoundaries(measures) {
-  for (let i = CONFIG.CHUNK_SIZE - 1; i < measures.length; i += CONFIG.CHUNK_SIZE) {
-    if (i >= measures.length - 1) continue
-    
-    const prevMeasure = measures[i]
-    const nextMeasure = measures[i + 1]
-    
-    if (!prevMeasure?.notes || !nextMeasure?.notes) continue
-    
-    // 检查跨小节连线
-    prevMeasure.notes.forEach(note => {
-      if (note.tiedTo === 'pending') {
-        // 查找下一小节中匹配的音符
-        const matchingNote = nextMeasure.notes.find(n => 
-          n.pitch?.step === note.pitch?.step &&
-          n.pitch?.octave === note.pitch?.octave &&
-          n.staff === note.staff
-        )
-        if (matchingNote) {
-          note.tiedTo = matchingNote.id
-        }
-      }
-    })
-  }
+function smoothChunkBoundaries(measures, defaultTimeSignature) {
+  const repaired = repairTieChains(measures, defaultTimeSignature)
+  repaired.forEach((measure, idx) => {
+    measures[idx] = measure
+  })
 }
 
 /**
@@ -4,4 +4,5 @@
  */
 
 export * from './chunkProcessor.js'
+export * from './cancellation.js'
 export { default as memoryManager, MemoryManager } from './memoryManager.js'
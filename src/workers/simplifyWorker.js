@@ -1,31 +1,55 @@
 /**
  * Simplify Worker
  * Web Worker 用于后台简化处理
- * 
+ *
  * 根据 MSS模型组合架构方案：
  * - 分块并行处理
  * - 后台异步运算
  * - 避免阻塞主线程
+ *
+ * 每个块用与主线程相同的规则引擎（simplifyMeasure → applySingleStaffSimplification /
+ * applyGrandStaffSimplification）简化；AI 声部分离的模型只在主线程加载
+ *
+ * 消息：
+ * - SIMPLIFY_CHUNK { taskId, chunk, ... } → CHUNK_PROGRESS / CHUNK_COMPLETE / CHUNK_ERROR / CHUNK_CANCELLED
+ * - CANCEL { taskId } 在下一个小节之前停止该任务
  */
 
+import { simplifyMeasure } from '../modules/simplifier.js'
+
+// 每处理这么多小节让出一次事件循环，以便收到 CANCEL 消息
+const YIELD_INTERVAL = 4
+
+const cancelledTasks = new Set()
+
 // Worker 消息处理
 self.onmessage = async function(e) {
   const { type, payload } = e.data
-  
+
   switch (type) {
     case 'SIMPLIFY_CHUNK':
       try {
         const result = await processChunk(payload)
-        self.postMessage({ type: 'CHUNK_COMPLETE', payload: result })
+        if (result) {
+          self.postMessage({ type: 'CHUNK_COMPLETE', payload: result })
+        } else {
+          self.postMessage({ type: 'CHUNK_CANCELLED', payload: { taskId: payload.taskId } })
+        }
       } catch (error) {
-        self.postMessage({ type: 'CHUNK_ERROR', payload: { error: error.message } })
+        self.postMessage({ type: 'CHUNK_ERROR', payload: { taskId: payload.taskId, error: error.message } })
+      } finally {
+        cancelledTasks.delete(payload.taskId)
       }
       break
-      
+
+    case 'CANCEL':
+      cancelledTasks.add(payload.taskId)
+      break
+
     case 'PING':
       self.postMessage({ type: 'PONG' })
       break
-      
+
     default:
       console.warn('Unknown message type:', type)
   }
@@ -33,23 +57,49 @@ self.onmessage = async function(e) {
 
 /**
  * 处理单个块
- * @param {Object} payload - 包含 chunk, level, timeSignature, config
- * @returns {Object} 处理后的块
+ * 只简化属于本块的小节（startIndex ~ endIndex），重叠的小节原样返回，由 mergeChunks 丢弃
+ * @param {Object} payload - 包含 taskId, chunk, level, timeSignature, config, scoreType, hasAnacrusis
+ * @returns {Object|null} 处理后的块；任务被取消时返回 null
  */
 async function processChunk(payload) {
-  const { chunk, level, timeSignature, config, scoreType } = payload
-  
-  // 简化处理逻辑（简化版，完整版需要导入规则模块）
-  const simplifiedMeasures = chunk.measures.map(measure => {
-    // 这里应该调用实际的简化函数
-    // 由于 Worker 环境限制，复杂的 AI 处理仍在主线程
-    return measure
-  })
-  
+  const { taskId, chunk, level, timeSignature, config, scoreType, hasAnacrusis } = payload
+  const total = chunk.endIndex - chunk.startIndex
+
+  const simplifiedMeasures = []
+  let completed = 0
+
+  for (let i = 0; i < chunk.measures.length; i++) {
+    const index = chunk.originalStartIndex + i
+    const measure = chunk.measures[i]
+
+    if (index < chunk.startIndex || index >= chunk.endIndex) {
+      simplifiedMeasures.push(measure)
+      continue
+    }
+
+    if (completed % YIELD_INTERVAL === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0))
+      if (cancelledTasks.has(taskId)) return null
+    }
+
+    simplifiedMeasures.push(simplifyMeasure(measure, {
+      scoreType,
+      defaultTimeSignature: timeSignature,
+      isAnacrusis: hasAnacrusis && index === 0,
+      mainLevel: level,
+      sopranoLevel: config.sopranoLevel,
+      bassLevel: config.bassLevel,
+      lyricsMode: config.lyricsMode
+    }))
+
+    completed++
+    self.postMessage({ type: 'CHUNK_PROGRESS', payload: { taskId, completed, total } })
+  }
+
   return {
-    id: chunk.id,
-    measures: simplifiedMeasures,
-    startIndex: chunk.startIndex
+    ...chunk,
+    taskId,
+    measures: simplifiedMeasures
   }
 }
 
@@ -0,0 +1,135 @@
+/**
+ * Worker Pool
+ * simplifyWorker 线程池
+ *
+ * - Worker 按需创建，数量不超过 size；任务多于空闲 Worker 时排队
+ * - run() 把一个块交给空闲 Worker，CHUNK_PROGRESS 转给 onProgress
+ * - cancel() 取消排队和进行中的任务，它们以 SIMPLIFICATION_CANCELLED 错误结束
+ */
+
+import { getChunkConfig } from '../utils/chunkProcessor.js'
+import { CANCELLED_ERROR } from '../utils/cancellation.js'
+
+/**
+ * Whether Web Workers can be used
+ * @returns {boolean}
+ */
+export function isWorkerSupported() {
+  return typeof Worker !== 'undefined'
+}
+
+/**
+ * Create a pool of simplify workers
+ * @param {number} size - Maximum number of workers（默认取 MAX_CONCURRENCY 与 CPU 核数的较小值）
+ * @returns {Object} { run(payload, onProgress), cancel(), terminate() }
+ */
+export function createWorkerPool(size = getDefaultPoolSize()) {
+  const workers = []
+  const idle = []
+  const queue = []
+  const running = new Map()
+  let nextTaskId = 1
+
+  function createWorker() {
+    const worker = new Worker(new URL('./simplifyWorker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = e => handleMessage(worker, e.data)
+    worker.onerror = e => {
+      e.preventDefault()
+      failWorker(worker, new Error(e.message || 'WORKER_ERROR'))
+    }
+    workers.push(worker)
+    return worker
+  }
+
+  function handleMessage(worker, { type, payload }) {
+    const task = payload && running.get(payload.taskId)
+    if (!task) return
+
+    switch (type) {
+      case 'CHUNK_PROGRESS':
+        if (task.onProgress) task.onProgress(payload.completed, payload.total)
+        break
+      case 'CHUNK_COMPLETE':
+        finish(worker, task)
+        task.resolve(payload)
+        break
+      case 'CHUNK_CANCELLED':
+        finish(worker, task)
+        task.reject(new Error(CANCELLED_ERROR))
+        break
+      case 'CHUNK_ERROR':
+        finish(worker, task)
+        task.reject(new Error(payload.error))
+        break
+    }
+  }
+
+  function finish(worker, task) {
+    running.delete(task.id)
+    idle.push(worker)
+    dispatch()
+  }
+
+  // Worker 脚本本身出错（如加载失败）时，结束它正在执行的任务并丢弃该 Worker
+  function failWorker(worker, error) {
+    const task = [...running.values()].find(t => t.worker === worker)
+    workers.splice(workers.indexOf(worker), 1)
+    if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1)
+    worker.terminate()
+    if (task) {
+      running.delete(task.id)
+      task.reject(error)
+    }
+    dispatch()
+  }
+
+  function dispatch() {
+    while (queue.length > 0) {
+      const worker = idle.pop() || (workers.length < size ? createWorker() : null)
+      if (!worker) return
+      const task = queue.shift()
+      task.worker = worker
+      running.set(task.id, task)
+      worker.postMessage({ type: 'SIMPLIFY_CHUNK', payload: { ...task.payload, taskId: task.id } })
+    }
+  }
+
+  function cancel() {
+    queue.splice(0).forEach(task => task.reject(new Error(CANCELLED_ERROR)))
+    running.forEach(task => {
+      task.worker.postMessage({ type: 'CANCEL', payload: { taskId: task.id } })
+    })
+  }
+
+  return {
+    /**
+     * Simplify one chunk in a worker
+     * @param {Object} payload - { chunk, level, timeSignature, config, scoreType, hasAnacrusis }
+     * @param {Function} onProgress - (completed, total) 本块已处理的小节数
+     * @returns {Promise<Object>} Processed chunk
+     */
+    run(payload, onProgress = null) {
+      return new Promise((resolve, reject) => {
+        // 小节数据经结构化克隆传给 Worker，先去掉 Vue 的响应式代理
+        const data = JSON.parse(JSON.stringify(payload))
+        queue.push({ id: nextTaskId++, payload: data, onProgress, resolve, reject, worker: null })
+        dispatch()
+      })
+    },
+
+    cancel,
+
+    terminate() {
+      cancel()
+      running.forEach(task => task.reject(new Error(CANCELLED_ERROR)))
+      running.clear()
+      workers.splice(0).forEach(worker => worker.terminate())
+      idle.length = 0
+    }
+  }
+}
+
+function getDefaultPoolSize() {
+  const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2
+  return Math.max(1, Math.min(getChunkConfig().MAX_CONCURRENCY, cores - 1))
+}
@@ -0,0 +1,140 @@
+/**
+ * ABC 导入与导出测试
+ * 验证文件头、调号与临时记号、连音与附点节奏、反复与跳房子、连线与连奏线、歌词，
+ * 以及 ABC 导出再导入
+ */
+
+import { JSDOM } from 'jsdom'
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>')
+global.DOMParser = dom.window.DOMParser
+
+const { parseAbcContent } = await import('./src/modules/abcParser.js')
+const { generateAbc } = await import('./src/modules/abc.js')
+const { analyzeScore } = await import('./src/modules/analyzer.js')
+const { simplifyScore } = await import('./src/modules/simplifier.js')
+const { exportScore } = await import('./src/modules/exporter.js')
+
+const testResults = { passed: 0, failed: 0, errors: [] }
+
+function assert(condition, message) {
+  if (condition) {
+    testResults.passed++
+    console.log(`✅ ${message}`)
+  } else {
+    testResults.failed++
+    testResults.errors.push(message)
+    console.log(`❌ ${message}`)
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual)
+  const e = JSON.stringify(expected)
+  assert(a === e, `${message}: ${a}${a === e ? '' : ` (期望: ${e})`}`)
+}
+
+const TUNE = `X:1
+T:Little Tune
+C:Trad.
+M:6/8
+L:1/8
+Q:3/8=80
+K:D
+|: d2 e f2 =f | (3ABc a>b c'2 C, |1 g3- g3 :|2 g6 |]
+w: one two three four five
+[K:G] !p! (B2 c) d3 | [M:2/4] !fermata!G4 |]
+`
+
+const ALTER_SIGNS = { '-1': 'b', 0: '', 1: '#' }
+const describe = n => `${n.pitch.step}${ALTER_SIGNS[n.pitch.alter || 0]}${n.pitch.octave}@${Math.round(n.startBeat * 1000) / 1000}/${n.duration.ticks}`
+const measureNotes = score => score.measures.map(m => m.notes.map(describe))
+
+// ============ ABC 导入 ============
+function testParseAbc() {
+  console.log('\n' + '='.repeat(60))
+  console.log('ABC 导入测试')
+  console.log('='.repeat(60))
+
+  const score = parseAbcContent(TUNE, 'tune.abc')
+  const { metadata, measures } = score
+
+  assertEqual([metadata.title, metadata.composer], ['Little Tune', 'Trad.'], '曲名和作曲')
+  assertEqual(metadata.tempo, 120, 'Q:3/8=80 换算为每分钟 120 个四分音符')
+  assertEqual(metadata.timeSignature, { beats: 6, beatType: 8, type: 'compound' }, 'M:6/8')
+  assertEqual(metadata.keySignature, { fifths: 2, mode: 'major' }, 'K:D')
+
+  // 调号中的 F#、还原号、八度记号、连音和附点节奏（a>b）
+  assertEqual(measureNotes(score).slice(0, 2), [
+    ['D5@1/1024', 'E5@2/512', 'F#5@2.5/1024', 'F5@3.5/512'],
+    ['A4@1/341', 'B4@1.333/341', 'C#5@1.667/341', 'A5@2/768', 'B5@2.75/256', 'C#6@3/1024', 'C#3@4/512']
+  ], '音高、位置和时值')
+  assertEqual(measures[1].notes[0].duration.tuplet, { actual: 3, normal: 2 }, '(3 三连音')
+
+  // 反复与跳房子
+  assertEqual(measures[0].barlines.map(b => b.repeat), ['forward'], '|: 开始反复')
+  assertEqual(measures[2].barlines.map(b => [b.location, b.repeat, b.ending?.number, b.ending?.type]),
+    [['left', null, '1', 'start'], ['right', 'backward', '1', 'stop']], '|1 第一房，:| 结束反复')
+  assertEqual(measures[3].barlines.map(b => [b.ending?.number, b.ending?.type, b.style]),
+    [['2', 'start', null], ['2', 'discontinue', 'light-heavy']], ':|2 第二房')
+  assertEqual(score.navigation.repeats, [{ start: 0, end: 2, times: 2 }], '跳转模型中的反复')
+
+  // 连线、连奏线、歌词、力度和演奏法
+  const [tieStart, tieStop] = measures[2].notes
+  assertEqual([tieStart.tiedTo, tieStop.tiedFrom], [tieStop.id, tieStart.id], 'g3- g3 连线')
+  const slurs = score.parts[0].slurs
+  assertEqual(slurs.map(s => [s.startNoteId, s.endNoteId]), [[measures[4].notes[0].id, measures[4].notes[1].id]], '(B2 c) 连奏线')
+  assertEqual(measures.flatMap(m => m.notes).filter(n => n.lyrics?.length).map(n => n.lyrics[0].text),
+    ['one', 'two', 'three', 'four', 'five'], 'w: 歌词依次对应音符')
+  assertEqual(measures[4].directions.map(d => [d.type, d.value, d.noteId]), [['dynamic', 'p', measures[4].notes[0].id]], '!p! 力度')
+  assertEqual(measures[5].notes[0].articulations, ['fermata'], '!fermata! 延长记号')
+
+  // 内联字段改变调号和拍号
+  assertEqual(measures.map(m => m.keySignature.fifths), [2, 2, 2, 2, 1, 1], '[K:G] 改变调号')
+  assertEqual(measures[5].timeSignature, { beats: 2, beatType: 4, type: 'simple' }, '[M:2/4] 改变拍号')
+}
+
+// ============ ABC 导出再导入 ============
+async function testRoundTrip() {
+  console.log('\n' + '='.repeat(60))
+  console.log('ABC 导出再导入测试')
+  console.log('='.repeat(60))
+
+  const score = parseAbcContent(TUNE, 'tune.abc')
+  const abc = generateAbc(score)
+  assert(abc.startsWith('X:1\nT:Little Tune\nC:Trad.\nM:6/8\nL:1/8\nQ:1/4=120\nK:D\n'), '文件头')
+
+  const reparsed = parseAbcContent(abc, 'tune.abc')
+  assertEqual(measureNotes(reparsed), measureNotes(score), '导入原谱再导出，音符不变')
+  assertEqual(reparsed.measures.map(m => m.barlines), score.measures.map(m => m.barlines), '反复和跳房子不变')
+  assertEqual(reparsed.parts[0].slurs.length, 1, '连奏线不变')
+  assertEqual(reparsed.measures.flatMap(m => m.notes).filter(n => n.lyrics?.length).map(n => n.lyrics[0].text),
+    ['one', 'two', 'three', 'four', 'five'], '歌词不变')
+
+  // 简化结果经 exportScore 导出
+  const analyzed = await analyzeScore(score, 'single-staff')
+  for (const level of [1, 3, 5]) {
+    const simplified = simplifyScore(analyzed, { mainLevel: level })
+    const blob = await exportScore(simplified, 'abc')
+    const imported = parseAbcContent(await blob.text(), 'simplified.abc')
+    assertEqual(measureNotes(imported), measureNotes(simplified), `Level ${level}: 音符不变`)
+    assertEqual(imported.measures.map(m => m.keySignature.fifths), [2, 2, 2, 2, 1, 1], `Level ${level}: 调号不变`)
+  }
+}
+
+// ============ 主测试函数 ============
+async function runAllTests() {
+  testParseAbc()
+  await testRoundTrip()
+
+  console.log('\n' + '═'.repeat(60))
+  console.log(`✅ 通过: ${testResults.passed}`)
+  console.log(`❌ 失败: ${testResults.failed}`)
+  if (testResults.errors.length > 0) {
+    console.log('\n失败详情:')
+    testResults.errors.forEach((err, idx) => console.log(`  ${idx + 1}. ${err}`))
+  }
+  process.exit(testResults.failed > 0 ? 1 : 0)
+}
+
+runAllTests()
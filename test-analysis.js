@@ -0,0 +1,388 @@
+/**
+ * 乐曲分析测试
+ * 用小型大谱表乐谱验证调性与转调分析、和弦与级数标记、终止式及其外声部锁定、乐句划分和难度分级
+ */
+
+import { JSDOM } from 'jsdom'
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>')
+global.DOMParser = dom.window.DOMParser
+
+const { parseXmlContent } = await import('./src/modules/parser.js')
+const { analyzeScore } = await import('./src/modules/analyzer.js')
+const { getChordAt } = await import('./src/modules/harmony.js')
+const { applyGrandStaffLevel2 } = await import('./src/rules/grandStaff.js')
+const { simplifyScore } = await import('./src/modules/simplifier.js')
+const { estimateDifficulty } = await import('./src/modules/difficulty.js')
+
+const testResults = { passed: 0, failed: 0, errors: [] }
+
+function assert(condition, message) {
+  if (condition) {
+    testResults.passed++
+    console.log(`✅ ${message}`)
+  } else {
+    testResults.failed++
+    testResults.errors.push(message)
+    console.log(`❌ ${message}`)
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual)
+  const e = JSON.stringify(expected)
+  assert(a === e, `${message}: ${a}${a === e ? '' : ` (期望: ${e})`}`)
+}
+
+// ============ 测试乐谱 ============
+
+// 每个四分音符的 divisions
+const DIVISIONS = 2
+const DURATION_TYPES = { 0.5: 'eighth', 1: 'quarter', 1.5: 'quarter', 2: 'half', 3: 'half', 4: 'whole' }
+
+/**
+ * 音符 XML
+ * @param {string} pitch - 如 'C5'、'F#4'、'Bb3'
+ * @param {number} beats - 以四分音符为 1
+ */
+function note(pitch, beats, staff, chord) {
+  const [, step, accidental, octave] = /^([A-G])(#|b)?(\d)$/.exec(pitch)
+  const alter = { '#': 1, b: -1 }[accidental]
+  return `<note>${chord ? '<chord/>' : ''}<pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>` +
+    `<duration>${beats * DIVISIONS}</duration><voice>${staff === 2 ? 5 : 1}</voice><type>${DURATION_TYPES[beats]}</type>${beats === 3 || beats === 1.5 ? '<dot/>' : ''}<staff>${staff}</staff></note>`
+}
+
+/**
+ * 一个小节：每个和弦写成 '低音/上谱表各音[:拍数]'，如 'C3/E4 G4 C5:2'、'C3/E4 G4 C5:0.5'
+ * 低音在下谱表，其余音在上谱表组成和弦；拍数默认为 1
+ */
+function measure(...chords) {
+  const parsed = chords.map(chord => {
+    const [pitches, beats = '1'] = chord.split(':')
+    const [bass, upper] = pitches.split('/')
+    return { bass, upper: upper.split(' '), beats: parseFloat(beats) }
+  })
+  const total = parsed.reduce((sum, c) => sum + c.beats, 0)
+  const upper = parsed.map(c => c.upper.map((pitch, idx) => note(pitch, c.beats, 1, idx > 0)).join('')).join('')
+  const lower = parsed.map(c => note(c.bass, c.beats, 2, false)).join('')
+  return `${upper}<backup><duration>${total * DIVISIONS}</duration></backup>${lower}`
+}
+
+function buildScore(measures) {
+  const body = measures.map((content, idx) => {
+    const attributes = idx === 0
+      ? `<attributes><divisions>${DIVISIONS}</divisions><key><fifths>0</fifths></key><time><beats>4</beats><beat-type>4</beat-type></time>` +
+        '<staves>2</staves><clef number="1"><sign>G</sign><line>2</line></clef><clef number="2"><sign>F</sign><line>4</line></clef></attributes>'
+      : ''
+    return `<measure number="${idx + 1}">${attributes}${content}</measure>`
+  }).join('\n')
+  return parseXmlContent(`<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>Piano</part-name></score-part></part-list>
+  <part id="P1">
+${body}
+  </part>
+</score-partwise>`)
+}
+
+/**
+ * 单行旋律：每个小节写成 '音高:拍数 …'，同时发声的音用 '+' 连接（如 'C5+E5:2'）；
+ * time 为 [beats, beatType]，只在拍号改变的小节写出
+ * @param {Array} measures - [{ time, notes }]
+ */
+function buildMelody(measures) {
+  const body = measures.map(({ time, notes }, idx) => {
+    const divisions = idx === 0 ? `<divisions>${DIVISIONS}</divisions><key><fifths>0</fifths></key>` : ''
+    const clef = idx === 0 ? '<clef><sign>G</sign><line>2</line></clef>' : ''
+    const attributes = divisions || time
+      ? `<attributes>${divisions}${time ? `<time><beats>${time[0]}</beats><beat-type>${time[1]}</beat-type></time>` : ''}${clef}</attributes>`
+      : ''
+    const content = notes.split(' ').map(token => {
+      const [pitches, beats] = token.split(':')
+      return pitches.split('+').map((pitch, i) => note(pitch, parseFloat(beats), 1, i > 0).replace('<staff>1</staff>', '')).join('')
+    }).join('')
+    return `<measure number="${idx + 1}">${attributes}${content}</measure>`
+  }).join('\n')
+  return parseXmlContent(`<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>Flute</part-name></score-part></part-list>
+  <part id="P1">
+${body}
+  </part>
+</score-partwise>`)
+}
+
+// C 大调八小节，转到 G 大调（F#）八小节
+const MODULATING = [
+  measure('C3/E4 G4 C5', 'C3/E4 G4 E5', 'F3/F4 A4 C5', 'F3/F4 A4 A5'),
+  measure('G3/D4 G4 B4', 'G3/D4 G4 D5', 'C3/E4 G4 C5:2'),
+  measure('A3/E4 A4 C5', 'F3/F4 A4 C5', 'G3/D4 G4 B4', 'G3/F4 G4 B4'),
+  measure('C3/E4 G4 C5', 'F3/F4 A4 C5', 'C3/E4 G4 C5:2'),
+  measure('C3/E4 G4 E5', 'F3/F4 A4 F5', 'G3/D4 G4 G5', 'C3/E4 G4 E5'),
+  measure('F3/F4 A4 D5', 'G3/D4 G4 B4', 'C3/E4 G4 C5:2'),
+  measure('A3/E4 A4 C5', 'D3/F4 A4 D5', 'G3/D4 G4 B4', 'G3/F4 G4 B4'),
+  measure('C3/E4 G4 C5:4'),
+  measure('G3/D4 G4 B4', 'D3/D4 F#4 A4', 'G3/D4 G4 B4', 'C3/E4 G4 C5'),
+  measure('D3/D4 F#4 A4', 'D3/C4 F#4 A4', 'G3/D4 G4 B4:2'),
+  measure('E3/E4 G4 B4', 'C3/E4 G4 C5', 'D3/D4 F#4 A4', 'D3/C4 F#4 A4'),
+  measure('G3/D4 G4 B4', 'C3/E4 G4 C5', 'G3/D4 G4 B4:2'),
+  measure('G3/D4 G4 D5', 'D3/D4 F#4 A4', 'E3/E4 G4 B4', 'B2/D4 F#4 B4'),
+  measure('C3/E4 G4 C5', 'D3/D4 F#4 A4', 'G3/D4 G4 B4:2'),
+  measure('C3/E4 G4 E5', 'D3/D4 F#4 F#5', 'D3/C4 F#4 A4:2'),
+  measure('G3/D4 G4 B4:4')
+]
+
+// 八小节：第 4 小节 IV–I 变格终止，第 7–8 小节 V7–I 正格终止
+const CADENCES = [
+  measure('C3/E4 G4 C5', 'C3/E4 G4 E5', 'F3/F4 A4 C5', 'F3/F4 A4 A5'),
+  measure('G3/D4 G4 B4', 'G3/D4 G4 D5', 'C3/E4 G4 C5:2'),
+  measure('A3/E4 A4 C5', 'F3/F4 A4 C5', 'G3/D4 G4 B4', 'G3/F4 G4 B4'),
+  measure('C3/E4 G4 E5', 'F3/F4 A4 F5', 'C3/E4 G4 E5:2'),
+  measure('C3/E4 G4 C5', 'C3/E4 G4 E5', 'F3/F4 A4 C5', 'F3/F4 A4 A5'),
+  measure('G3/D4 G4 B4', 'G3/D4 G4 D5', 'A3/E4 A4 C5', 'F3/F4 A4 C5'),
+  measure('C3/E4 G4 C5', 'D3/F4 A4 D5', 'G3/F4 G4 B4:2'),
+  measure('C3/E4 G4 C5:4')
+]
+
+// 4+4：第 2 小节不再终止，只剩第 4 小节的 IV–I 和第 8 小节的 V7–I
+const SQUARE_PHRASES = [CADENCES[0], CADENCES[5], ...CADENCES.slice(2)]
+
+// 3+5：第 3 小节全音符上正格终止，第 4 小节重复开头的旋律
+const NON_SQUARE_PHRASES = [
+  measure('C3/E4 G4 C5', 'C3/E4 G4 E5', 'F3/F4 A4 C5', 'F3/F4 A4 A5'),
+  measure('A3/E4 A4 C5', 'F3/F4 A4 C5', 'G3/D4 G4 B4', 'G3/F4 G4 B4'),
+  measure('C3/E4 G4 C5:4'),
+  measure('C3/E4 G4 C5', 'C3/E4 G4 E5', 'F3/F4 A4 C5', 'F3/F4 A4 A5'),
+  measure('G3/D4 G4 B4', 'G3/D4 G4 D5', 'A3/E4 A4 C5', 'F3/F4 A4 C5'),
+  measure('C3/E4 G4 E5', 'F3/F4 A4 F5', 'G3/D4 G4 G5', 'C3/E4 G4 E5'),
+  measure('C3/E4 G4 C5', 'D3/F4 A4 D5', 'G3/F4 G4 B4:2'),
+  measure('C3/E4 G4 C5:4')
+]
+
+// 同一和声进行，每小节一个和弦：全音符、四分音符、八分音符三种密度
+const PROGRESSION = ['C3/E4 G4 C5', 'F3/F4 A4 C5', 'G3/D4 G4 B4', 'C3/E4 G4 C5', 'A3/E4 A4 C5', 'D3/F4 A4 D5', 'G3/F4 G4 B4', 'C3/E4 G4 C5']
+const WHOLE_NOTES = PROGRESSION.map(chord => measure(`${chord}:4`))
+const QUARTER_NOTES = PROGRESSION.map(chord => measure(chord, chord, chord, chord))
+const EIGHTH_NOTES = PROGRESSION.map(chord => measure(...new Array(8).fill(`${chord}:0.5`)))
+
+// 单行旋律：3/4 转 6/8，第 2 小节 ii → V 分解和弦，第 3 小节落在主音上
+const MELODY = [
+  { time: [3, 4], notes: 'C5:0.5 E5:0.5 G5:0.5 E5:0.5 C5:1' },
+  { time: [6, 8], notes: 'D5:0.5 F5:0.5 A5:0.5 G5:0.5 B5:0.5 D6:0.5' },
+  { notes: 'C5:0.5 E5:0.5 G5:0.5 C6:1.5' }
+]
+
+// 单行旋律，没有终止式，以双音结束
+const DOUBLE_STOP_ENDING = [
+  { time: [4, 4], notes: 'E5:1 D5:1 C5:1 D5:1' },
+  { notes: 'E5:1 E5:1 E5:2' },
+  { notes: 'D5:1 D5:1 D5:2' },
+  { notes: 'C5+E5:4' }
+]
+
+// ============ 调性与转调 ============
+async function testKeyAnalysis() {
+  console.log('\n' + '='.repeat(60))
+  console.log('调性与转调测试')
+  console.log('='.repeat(60))
+
+  const analyzed = await analyzeScore(buildScore(MODULATING), 'grand-staff')
+  const { regions } = analyzed.keyAnalysis
+  assertEqual(regions.map(r => [r.startNumber, r.endNumber, r.key.name]), [[1, 8, 'C major'], [9, 16, 'G major']], 'C 大调转到 G 大调')
+  assert(regions.every(r => r.key.confidence > 0.8), `调区置信度 (${regions.map(r => r.key.confidence).join(', ')})`)
+  assertEqual([analyzed.measures[7].localKey.name, analyzed.measures[8].localKey.name], ['C major', 'G major'], '每个小节的 localKey')
+  assertEqual(analyzed.measures[8].localKey.fifths, 1, 'G 大调的调号五度数')
+
+  // 前八小节单独成曲：不转调
+  const tonal = await analyzeScore(buildScore(MODULATING.slice(0, 8)), 'grand-staff')
+  assertEqual(tonal.keyAnalysis.regions.map(r => r.key.name), ['C major'], '不转调时只有一个调区')
+  assertEqual(tonal.keyAnalysis.key.name, 'C major', '全曲调性')
+
+  // 一个小节的副属和弦（D7 → G）不算转调
+  const secondary = MODULATING.slice(0, 8)
+  secondary[5] = measure('D3/D4 F#4 A4', 'D3/C4 F#4 A4', 'G3/D4 G4 B4:2')
+  const tonicized = await analyzeScore(buildScore(secondary), 'grand-staff')
+  assertEqual(tonicized.keyAnalysis.regions.map(r => r.key.name), ['C major'], '副属和弦不算转调')
+}
+
+// ============ 和声 ============
+async function testHarmony() {
+  console.log('\n' + '='.repeat(60))
+  console.log('和弦与级数测试')
+  console.log('='.repeat(60))
+
+  const analyzed = await analyzeScore(buildScore(MODULATING), 'grand-staff')
+  const romans = number => analyzed.measures[number - 1].harmony.map(h => h.chord?.roman)
+
+  assertEqual(romans(3), ['vi', 'IV', 'V', 'V7'], 'C 大调：vi IV V V7')
+  assertEqual(romans(6), ['ii6', 'V', 'I', 'I'], '转位：ii6')
+  assertEqual(romans(10), ['V', 'V7', 'I', 'I'], '转调后按 G 大调标级数')
+  assertEqual(analyzed.measures[9].harmony[1].chord.symbol, 'D7', '和弦名称')
+
+  // getChordAt：按拍位取和弦
+  const measure3 = analyzed.measures[2]
+  assertEqual(getChordAt(measure3, 4.5)?.pitchClasses, [7, 11, 2, 5], '第 4 拍后半拍仍是 V7')
+  assertEqual(getChordAt(measure3, 5), null, '小节之外没有和弦')
+  assertEqual(getChordAt({}, 1), null, '没有和声分析时返回 null')
+
+  // 内声部在强拍上优先保留和弦音：第 3 拍的 F4 不是 I 级和弦音，保留 E4
+  const make = (id, pitch, startBeat, staff) => ({
+    id, staff, startBeat, duration: { type: 'quarter', dots: 0, ticks: 1024 },
+    pitch: { step: pitch[0], octave: parseInt(pitch[1]) }
+  })
+  const notes = [
+    make('s1', 'C5', 1, 1), make('a1', 'G4', 1, 1), make('s3', 'C5', 3, 1), make('a3', 'F4', 3, 1), make('b3', 'E4', 3, 1),
+    make('l1', 'C3', 1, 2), make('l3', 'C3', 3, 2)
+  ]
+  const tonic = { pitchClasses: [0, 4, 7] }
+  const harmony = [1, 2, 3, 4].map(beat => ({ beat, duration: 1, chord: tonic }))
+  const timeSignature = { beats: 4, beatType: 4 }
+  const altoAt3 = result => result.notes.find(n => n.voicePart === 'alto' && n.startBeat === 3)?.id
+  assertEqual(altoAt3(applyGrandStaffLevel2({ notes, harmony }, timeSignature)), 'b3', '有和声分析时取和弦音')
+  assertEqual(altoAt3(applyGrandStaffLevel2({ notes }, timeSignature)), 'a3', '没有和声分析时取最高的内声部音')
+}
+
+// ============ 终止式 ============
+async function testCadences() {
+  console.log('\n' + '='.repeat(60))
+  console.log('终止式测试')
+  console.log('='.repeat(60))
+
+  const analyzed = await analyzeScore(buildScore(CADENCES), 'grand-staff')
+  const { cadences, measures } = analyzed
+  const notes = measures.flatMap(m => m.notes)
+  const byId = new Map(notes.map(n => [n.id, n]))
+  const describe = id => {
+    const n = byId.get(id)
+    return `${n.pitch.step}${n.pitch.octave}@${measures.find(m => m.notes.includes(n)).number}:${n.startBeat}`
+  }
+
+  assertEqual(cadences.map(c => [c.type, c.perfect, c.number, c.chords]), [
+    ['authentic', true, 2, ['V', 'I']],
+    ['plagal', false, 4, ['IV', 'I']],
+    ['authentic', true, 8, ['V7', 'I']]
+  ], '终止式的类型、位置和级数')
+
+  // 两个和弦开始处的最高音和最低音
+  const [, plagal, authentic] = cadences
+  assertEqual(authentic.noteIds.map(describe), ['B4@7:3', 'G3@7:3', 'C5@8:1', 'C3@8:1'], 'V7–I 锁定的外声部')
+  assertEqual(plagal.noteIds.map(describe), ['F5@4:2', 'F3@4:2', 'E5@4:3', 'C3@4:3'], 'IV–I 锁定的外声部')
+  assertEqual(measures[7].cadence?.type, 'authentic', 'measure.cadence')
+
+  const cadenceNotes = cadences.flatMap(c => c.noteIds).map(id => byId.get(id))
+  assert(cadenceNotes.every(n => n.cadence && n.isLocked), '外声部音标记 cadence 并锁定')
+  assertEqual(authentic.noteIds.map(id => byId.get(id).cadence), ['approach', 'approach', 'arrival', 'arrival'], '终止前的和弦为 approach，终止和弦为 arrival')
+  assertEqual(notes.filter(n => n.cadence).length, cadenceNotes.length, '只有终止式的外声部音标记 cadence')
+
+  // 已锁定的音保留原来的锁定原因
+  const [finalSoprano, finalBass] = authentic.noteIds.slice(2).map(id => byId.get(id))
+  assertEqual([finalSoprano.lockReason, finalBass.lockReason], ['cadence', 'phrase_ending'], '未锁定的音为 cadence，已锁定的保留原因')
+
+  // Level 1–2 保留终止式的外声部
+  for (const level of [1, 2]) {
+    const simplified = simplifyScore(analyzed, { mainLevel: level })
+    const kept = new Set(simplified.measures.flatMap(m => m.notes).map(n => n.id))
+    const missing = authentic.noteIds.filter(id => !kept.has(id)).map(describe)
+    assertEqual(missing, [], `Level ${level}: V7–I 的外声部都保留`)
+  }
+
+  // 单行旋律的终止式：每个拍位只保留一个音，不会叠成和弦
+  const melody = await analyzeScore(buildMelody(MELODY), 'single-staff')
+  assertEqual(melody.cadences.map(c => [c.type, c.number, c.chords]), [['authentic', 3, ['V', 'I']]], '单行旋律的 V–I 终止')
+  for (const level of [1, 2]) {
+    const simplified = simplifyScore(melody, { mainLevel: level })
+    assertEqual(findStackedBeats(simplified), [], `Level ${level}: 单行旋律没有同一拍位的两个音`)
+  }
+}
+
+// 同一小节中 startBeat 相同的音（单行谱不应出现）
+function findStackedBeats(score) {
+  return score.measures.flatMap(m => {
+    const beats = m.notes.map(n => n.startBeat)
+    return beats.filter((beat, idx) => beats.indexOf(beat) !== idx).map(beat => `${m.number}:${beat}`)
+  })
+}
+
+// ============ 乐句 ============
+async function testPhrases() {
+  console.log('\n' + '='.repeat(60))
+  console.log('乐句划分测试')
+  console.log('='.repeat(60))
+
+  const square = (await analyzeScore(buildScore(SQUARE_PHRASES), 'grand-staff')).phraseAnalysis
+  assertEqual([square.label, square.structure], ['4+4', 'square'], '方整结构 4+4')
+  assertEqual(square.phrases.map(p => [p.startNumber, p.endNumber, p.cadence]), [[1, 4, 'plagal'], [5, 8, 'authentic']], '乐句的范围和终止式')
+
+  const analyzed = await analyzeScore(buildScore(NON_SQUARE_PHRASES), 'grand-staff')
+  const { phraseAnalysis } = analyzed
+  assertEqual([phraseAnalysis.label, phraseAnalysis.structure], ['3+5', 'non-square'], '非方整结构 3+5')
+  assertEqual(phraseAnalysis.phrases.map(p => [p.startNumber, p.endNumber, p.length, p.square]), [[1, 3, 3, false], [4, 8, 5, false]], '乐句的范围和长度')
+
+  // 乐句末音：第 3 小节的外声部
+  const finals = analyzed.measures[2].notes.filter(n => n.phraseFinal).map(n => `${n.pitch.step}${n.pitch.octave}`)
+  assertEqual(finals.sort(), ['C3', 'C5'], '第一个乐句的末音（外声部）标记 phraseFinal')
+  assert(analyzed.measures.slice(3, 7).every(m => m.notes.every(n => !n.phraseFinal)), '乐句中间没有 phraseFinal')
+
+  // 单行谱以双音结束：两个音都是 phraseFinal，Level 1–2 同一拍位只保留一个
+  const melody = await analyzeScore(buildMelody(DOUBLE_STOP_ENDING), 'single-staff')
+  const melodyFinals = melody.measures[3].notes.filter(n => n.phraseFinal).map(n => `${n.pitch.step}${n.pitch.octave}`)
+  assertEqual([melody.cadences.length, melodyFinals.sort()], [0, ['C5', 'E5']], '双音的两个音都标记 phraseFinal')
+  for (const level of [1, 2]) {
+    const simplified = simplifyScore(melody, { mainLevel: level })
+    assertEqual(findStackedBeats(simplified), [], `Level ${level}: 乐句末的双音只保留一个音`)
+  }
+  const level1 = simplifyScore(melody, { mainLevel: 1 })
+  assertEqual(level1.measures[3].notes.map(n => `${n.pitch.step}${n.pitch.octave}`), ['E5'], 'Level 1: 双音保留最高音')
+}
+
+// ============ 难度 ============
+async function testDifficulty() {
+  console.log('\n' + '='.repeat(60))
+  console.log('难度分级测试')
+  console.log('='.repeat(60))
+
+  const results = []
+  for (const measures of [WHOLE_NOTES, QUARTER_NOTES, EIGHTH_NOTES]) {
+    results.push((await analyzeScore(buildScore(measures), 'grand-staff')).difficulty)
+  }
+  const densities = results.map(d => d.factors.density)
+  const grades = results.map(d => d.grade)
+  assert(densities[0] < densities[1] && densities[1] < densities[2], `density 随音符密度增加 (${densities.join(' < ')})`)
+  assert(grades[0] < grades[1] && grades[1] < grades[2], `等级随音符密度升高 (${grades.join(' < ')})`)
+  assert(grades.every(g => g >= 1 && g <= 8), '等级在 1~8 之间')
+
+  // 简化谱不比原谱难
+  const analyzed = await analyzeScore(buildScore(EIGHTH_NOTES), 'grand-staff')
+  const simplifiedGrades = [1, 3, 5].map(level => estimateDifficulty(simplifyScore(analyzed, { mainLevel: level })).grade)
+  assert(simplifiedGrades.every((grade, idx) => grade <= (simplifiedGrades[idx + 1] ?? analyzed.difficulty.grade)),
+    `Level 1 ≤ Level 3 ≤ Level 5 ≤ 原谱 (${[...simplifiedGrades, analyzed.difficulty.grade].join(' ≤ ')})`)
+
+  // 很长的乐谱：音符数超过函数参数个数的上限；音域 C4–B5 为 23 个半音
+  const notes = Array.from({ length: 200000 }, (_, idx) => ({
+    id: `n${idx}`, staff: 1, startBeat: 1 + (idx % 4), duration: { type: 'quarter', dots: 0, ticks: 1024 },
+    pitch: { step: 'CDEFGAB'[idx % 7], octave: 4 + (idx % 2) }
+  }))
+  const measures = Array.from({ length: notes.length / 4 }, (_, idx) => ({ number: idx + 1, notes: notes.slice(idx * 4, idx * 4 + 4) }))
+  const long = estimateDifficulty({ metadata: { tempo: 120, timeSignature: { beats: 4, beatType: 4 }, keySignature: { fifths: 0 } }, measures })
+  assertEqual([long.measures, long.factors.range], [50000, Math.round((23 - 12) / 24 * 100) / 100], '20 万个音符的乐谱也能评分')
+}
+
+// ============ 主测试函数 ============
+async function runAllTests() {
+  await testKeyAnalysis()
+  await testHarmony()
+  await testCadences()
+  await testPhrases()
+  await testDifficulty()
+
+  console.log('\n' + '═'.repeat(60))
+  console.log(`✅ 通过: ${testResults.passed}`)
+  console.log(`❌ 失败: ${testResults.failed}`)
+  if (testResults.errors.length > 0) {
+    console.log('\n失败详情:')
+    testResults.errors.forEach((err, idx) => console.log(`  ${idx + 1}. ${err}`))
+  }
+  process.exit(testResults.failed > 0 ? 1 : 0)
+}
+
+runAllTests()
@@ -27,7 +27,7 @@ import JSZip from 'jszip'
 const { parseXmlContent } = await import('./src/modules/parser.js')
 const { analyzeScore } = await import('./src/modules/analyzer.js')
 const { simplifyScore } = await import('./src/modules/simplifier.js')
-const { exportScore } = await import('./src/modules/exporter.js')
+const { exportScore, generateMusicXML } = await import('./src/modules/exporter.js')
 const { getStrongBeats, pitchToMidi } = await import('./src/knowledge/index.js')
 
 // 测试结果收集
@@ -563,12 +563,16 @@ async function testStrongBeats() {
   console.log('强拍位置测试')
   console.log('='.repeat(60))
   
-  // 测试不同拍号的强拍位置
+  // 测试不同拍号的强拍位置（以四分音符为一拍，从 1 开始）
   const testCases = [
     { beats: 2, beatType: 4, expected: [1] },
     { beats: 3, beatType: 4, expected: [1] },
     { beats: 4, beatType: 4, expected: [1, 3] },
-    { beats: 6, beatType: 8, expected: [1, 4] },
+    { beats: 2, beatType: 2, expected: [1] },
+    { beats: 3, beatType: 8, expected: [1] },
+    { beats: 6, beatType: 8, expected: [1, 2.5] },
+    { beats: 9, beatType: 8, expected: [1, 2.5, 4] },
+    { beats: 12, beatType: 8, expected: [1, 2.5, 4, 5.5] },
   ]
   
   testCases.forEach(tc => {
@@ -578,6 +582,40 @@ async function testStrongBeats() {
   })
 }
 
+// ============ 无法用单个音符记写的时值 ============
+async function testUnwritableDurations() {
+  console.log('\n' + '='.repeat(60))
+  console.log('5/4 整小节音符导出测试')
+  console.log('='.repeat(60))
+  
+  const note = (step, type, duration) =>
+    `<note><pitch><step>${step}</step><octave>4</octave></pitch><duration>${duration}</duration><voice>1</voice><type>${type}</type></note>`
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>Melody</part-name></score-part></part-list>
+  <part id="P1">
+    <measure number="1">
+      <attributes><divisions>1</divisions><key><fifths>0</fifths></key><time><beats>5</beats><beat-type>4</beat-type></time><clef><sign>G</sign><line>2</line></clef></attributes>
+      ${note('C', 'quarter', 1)}${note('D', 'quarter', 1)}${note('E', 'quarter', 1)}${note('F', 'quarter', 1)}${note('G', 'quarter', 1)}
+    </measure>
+    <measure number="2">
+      ${note('C', 'quarter', 1)}${note('E', 'quarter', 1)}${note('G', 'quarter', 1)}${note('E', 'quarter', 1)}${note('C', 'quarter', 1)}
+    </measure>
+  </part>
+</score-partwise>`
+  
+  const analyzed = await analyzeScore(parseXmlContent(xml), 'single-staff')
+  const simplified = simplifyScore(analyzed, { mainLevel: 1 })
+  const [first] = simplified.measures[0].notes
+  assert(first?.duration.ticks === 5120, `Level 1 整小节音符时值: ${first?.duration.ticks} (期望: 5120)`)
+  
+  const exported = new DOMParser().parseFromString(generateMusicXML(simplified), 'text/xml')
+  const notes = [...exported.querySelectorAll('measure')[0].querySelectorAll('note')]
+  const types = notes.map(n => n.querySelector('type').textContent)
+  assert(JSON.stringify(types) === JSON.stringify(['whole', 'quarter']), `拆成连线连接的音符: ${JSON.stringify(types)} (期望: ["whole","quarter"])`)
+  assert(notes[0]?.querySelector('tied[type="start"]') && notes[1]?.querySelector('tied[type="stop"]'), '两个音符之间有连线')
+}
+
 // ============ 所有乐曲完整流程测试 ============
 async function testAllCompositions() {
   console.log('\n' + '='.repeat(60))
@@ -686,6 +724,7 @@ async function runAllTests() {
   
   try {
     await testStrongBeats()
+    await testUnwritableDurations()
     await testSingleStaffLevels()
     await testGrandStaffLevels()
     await testLevelCombinations()
@@ -0,0 +1,146 @@
+/**
+ * 原谱与简化谱对比测试
+ * 验证删除、移动（是否落在强拍）、变长、变短的判定，拍头简化拆分音符的合并，以及按声部筛选
+ */
+
+import { JSDOM } from 'jsdom'
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>')
+global.DOMParser = dom.window.DOMParser
+
+const { parseXmlContent } = await import('./src/modules/parser.js')
+const { analyzeScore } = await import('./src/modules/analyzer.js')
+const { simplifyScore } = await import('./src/modules/simplifier.js')
+const { compareScores, filterDiffEntries } = await import('./src/modules/scoreDiff.js')
+
+const testResults = { passed: 0, failed: 0, errors: [] }
+
+function assert(condition, message) {
+  if (condition) {
+    testResults.passed++
+    console.log(`✅ ${message}`)
+  } else {
+    testResults.failed++
+    testResults.errors.push(message)
+    console.log(`❌ ${message}`)
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected)
+  assert(ok, ok ? message : `${message}: ${JSON.stringify(actual)} (期望: ${JSON.stringify(expected)})`)
+}
+
+// 音符：divisions 为 2，拍数以四分音符为 1
+const TYPES = { 0.5: 'eighth', 1: 'quarter', 1.5: 'quarter', 2: 'half', 4: 'whole' }
+const note = (pitch, beats, staff = null) => {
+  const [, step, octave] = /^([A-G])(\d)$/.exec(pitch)
+  return `<note><pitch><step>${step}</step><octave>${octave}</octave></pitch><duration>${beats * 2}</duration>` +
+    `<voice>${staff === 2 ? 5 : 1}</voice><type>${TYPES[beats]}</type>${beats === 1.5 ? '<dot/>' : ''}${staff ? `<staff>${staff}</staff>` : ''}</note>`
+}
+
+function buildScore(measures, staves = 1) {
+  const clefs = staves === 2
+    ? '<staves>2</staves><clef number="1"><sign>G</sign><line>2</line></clef><clef number="2"><sign>F</sign><line>4</line></clef>'
+    : '<clef><sign>G</sign><line>2</line></clef>'
+  const body = measures.map((content, idx) => {
+    const attributes = idx === 0
+      ? `<attributes><divisions>2</divisions><key><fifths>0</fifths></key><time><beats>4</beats><beat-type>4</beat-type></time>${clefs}</attributes>`
+      : ''
+    return `<measure number="${idx + 1}">${attributes}${content}</measure>`
+  }).join('\n')
+  return parseXmlContent(`<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>${staves === 2 ? 'Piano' : 'Flute'}</part-name></score-part></part-list>
+  <part id="P1">
+${body}
+  </part>
+</score-partwise>`)
+}
+
+// 第 1 小节的 D 为附点四分音符，跨过第 3 拍；第 2 小节的 G 从反拍开始
+const MELODY = [
+  note('C5', 1) + note('D5', 1.5) + note('E5', 0.5) + note('F5', 1),
+  note('F5', 0.5) + note('G5', 1.5) + note('A5', 2),
+  note('C6', 4)
+]
+
+const backup = '<backup><duration>8</duration></backup>'
+const PIANO = [
+  note('E5', 1, 1) + note('D5', 1, 1) + note('C5', 2, 1) + backup + note('C3', 2, 2) + note('G2', 2, 2),
+  note('C5', 4, 1) + backup + note('C3', 4, 2)
+]
+
+// 原谱音符的音名、变化、原拍位 → 新拍位，移动到强拍时加 !
+function describe(measure) {
+  return measure.original.map(e => {
+    const move = e.changes.includes('moved') ? ` ${e.fromBeat}→${e.toBeat}${e.strongBeat ? '!' : ''}` : ''
+    return `${e.note.pitch.step}[${e.changes.join(',')}]${move}`
+  })
+}
+
+// ============ 音符变化 ============
+async function testChanges() {
+  console.log('\n' + '='.repeat(60))
+  console.log('音符变化测试')
+  console.log('='.repeat(60))
+
+  const analyzed = await analyzeScore(buildScore(MELODY), 'single-staff')
+
+  // Level 2：D 移到第 3 拍（强拍）并延长，E、F 删除
+  const level2 = compareScores(analyzed, simplifyScore(analyzed, { mainLevel: 2 }))
+  assertEqual(level2.map(p => [p.id, p.name, p.scoreType, p.measures.map(m => m.number)]), [['P1', 'Flute', 'single-staff', ['1', '2', '3']]], '按 part 和小节号对齐')
+  const [m1, m2, m3] = level2[0].measures
+  assertEqual(describe(m1), ['C[lengthened]', 'D[moved,lengthened] 2→3!', 'E[removed]', 'F[removed]'], 'Level 2 第 1 小节：移到强拍、变长、删除')
+  assertEqual(describe(m3), ['C[shortened]'], 'Level 2 第 3 小节：变短')
+  assert(m1.changed && m2.changed && m3.changed, 'changed')
+  assertEqual(m1.simplified.map(e => [e.note.pitch.step, e.fromBeat, e.toBeat]), [['C', 1, 1], ['D', 2, 3]], '简化谱的音符记录原拍位和新拍位')
+  assertEqual(m1.measureTicks, 4096, 'measureTicks')
+
+  // 锁定的音符带锁定原因
+  const locked = m1.original.find(e => e.note.pitch.step === 'D')
+  assert(locked.locked && locked.lockReason === locked.note.lockReason, `锁定的音符带 lockReason (${locked.lockReason})`)
+
+  // Level 3：G 移到第 2 拍（弱拍）；拆成拍头音的同 id 音符合并成一个跨度
+  const level3 = compareScores(analyzed, simplifyScore(analyzed, { mainLevel: 3 }))
+  const [l3m1, l3m2, l3m3] = level3[0].measures
+  assertEqual(describe(l3m2), ['F[lengthened]', 'G[moved,shortened] 1.5→2', 'A[]'], 'Level 3 第 2 小节：移到弱拍并变短')
+  assertEqual(l3m1.simplified.filter(e => e.note.pitch.step === 'D').map(e => [e.note.startBeat, e.changes]), [[2, ['lengthened']], [3, ['lengthened']]],
+    'Level 3: D 拆成两个拍头音，按合并后的跨度（第 2–4 拍）判定为变长，不算移动')
+  assertEqual([l3m3.simplified.length, describe(l3m3), l3m3.changed], [4, ['C[]'], false], 'Level 3: 全音符拆成四个拍头音，合并后没有变化')
+}
+
+// ============ 按声部筛选 ============
+async function testFilter() {
+  console.log('\n' + '='.repeat(60))
+  console.log('按声部筛选测试')
+  console.log('='.repeat(60))
+
+  const analyzed = await analyzeScore(buildScore(PIANO, 2), 'grand-staff')
+  const diff = compareScores(analyzed, simplifyScore(analyzed, { mainLevel: 1 }))
+  const { original, simplified } = diff[0].measures[0]
+  const names = entries => entries.map(e => `${e.note.pitch.step}${e.note.pitch.octave}`).sort()
+
+  assertEqual(filterDiffEntries(original, 'all'), original, "'all' 返回全部")
+  assert(simplified.every(e => e.voicePart), `简化谱的音符都有 voicePart (${simplified.map(e => e.voicePart).join(', ')})`)
+  assertEqual(names(filterDiffEntries(original, 'soprano').concat(filterDiffEntries(original, 'alto'))), ['C5', 'D5', 'E5'], '上谱表的音归入 Soprano / Alto（删除的音按谱表）')
+  assertEqual(names(filterDiffEntries(original, 'tenor').concat(filterDiffEntries(original, 'bass'))), ['C3', 'G2'], '下谱表的音归入 Tenor / Bass（删除的音按谱表）')
+  assert(filterDiffEntries(original, 'bass').filter(e => e.changes.includes('removed')).every(e => e.note.staff === 2), '删除的低音只出现在 Bass')
+}
+
+// ============ 主测试函数 ============
+async function runAllTests() {
+  await testChanges()
+  await testFilter()
+
+  console.log('\n' + '═'.repeat(60))
+  console.log(`✅ 通过: ${testResults.passed}`)
+  console.log(`❌ 失败: ${testResults.failed}`)
+  if (testResults.errors.length > 0) {
+    console.log('\n失败详情:')
+    testResults.errors.forEach((err, idx) => console.log(`  ${idx + 1}. ${err}`))
+  }
+  process.exit(testResults.failed > 0 ? 1 : 0)
+}
+
+runAllTests()
@@ -0,0 +1,112 @@
+/**
+ * LilyPond 导出测试
+ * 验证调号、拍号、绝对音高、连线与连奏线、无法用单个音符记写的时值，以及大谱表的 PianoStaff
+ */
+
+import { JSDOM } from 'jsdom'
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>')
+global.DOMParser = dom.window.DOMParser
+
+const { parseXmlContent } = await import('./src/modules/parser.js')
+const { parseAbcContent } = await import('./src/modules/abcParser.js')
+const { analyzeScore } = await import('./src/modules/analyzer.js')
+const { simplifyScore } = await import('./src/modules/simplifier.js')
+const { exportScore } = await import('./src/modules/exporter.js')
+
+const testResults = { passed: 0, failed: 0, errors: [] }
+
+function assert(condition, message) {
+  if (condition) {
+    testResults.passed++
+    console.log(`✅ ${message}`)
+  } else {
+    testResults.failed++
+    testResults.errors.push(message)
+    console.log(`❌ ${message}`)
+  }
+}
+
+async function exportLilyPond(score, scoreType, level) {
+  const analyzed = await analyzeScore(score, scoreType)
+  const blob = await exportScore(simplifyScore(analyzed, { mainLevel: level }), 'ly')
+  return blob.text()
+}
+
+// ============ 单行谱 ============
+async function testSingleStaff() {
+  console.log('\n' + '='.repeat(60))
+  console.log('单行谱 LilyPond 导出测试')
+  console.log('='.repeat(60))
+
+  const score = parseAbcContent(`X:1
+T:Little Tune
+M:5/4
+L:1/4
+K:Bb
+(B c d) e f- | f5 |]
+`, 'tune.abc')
+  const ly = await exportLilyPond(score, 'single-staff', 5)
+
+  assert(ly.startsWith('\\version "2.24.0"'), '\\version')
+  assert(ly.includes('title = "Little Tune"'), '曲名')
+  assert(ly.includes('\\key bes \\major \\time 5/4'), '调号和拍号')
+  assert(ly.includes("bes'4( c''4 d''4) es''4 f''4~ |"), '绝对音高、连奏线和连线')
+  assert(ly.includes("f''1~ f''4 \\bar \"|.\""), '五拍的音符拆成用连线连接的全音符和四分音符，结尾终止线')
+}
+
+// ============ 大谱表 ============
+async function testGrandStaff() {
+  console.log('\n' + '='.repeat(60))
+  console.log('大谱表 LilyPond 导出测试')
+  console.log('='.repeat(60))
+
+  const note = (step, octave, duration, type, staff) =>
+    `<note><pitch><step>${step}</step><octave>${octave}</octave></pitch><duration>${duration}</duration><voice>${staff === 2 ? 5 : 1}</voice><type>${type}</type><staff>${staff}</staff></note>`
+  const backup = '<backup><duration>4</duration></backup>'
+  const score = parseXmlContent(`<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>Piano</part-name></score-part></part-list>
+  <part id="P1">
+    <measure number="1">
+      <attributes><divisions>1</divisions><key><fifths>0</fifths></key><time><beats>4</beats><beat-type>4</beat-type></time>
+        <staves>2</staves><clef number="1"><sign>G</sign><line>2</line></clef><clef number="2"><sign>F</sign><line>4</line></clef></attributes>
+      ${note('E', 5, 1, 'quarter', 1)}${note('D', 5, 1, 'quarter', 1)}${note('C', 5, 2, 'half', 1)}${backup}
+      ${note('C', 3, 2, 'half', 2)}${note('G', 2, 2, 'half', 2)}
+    </measure>
+    <measure number="2">
+      ${note('D', 5, 2, 'half', 1)}${note('B', 4, 2, 'half', 1)}${backup}
+      ${note('G', 2, 4, 'whole', 2)}
+    </measure>
+    <measure number="3">
+      ${note('C', 5, 4, 'whole', 1)}${backup}
+      ${note('C', 3, 4, 'whole', 2)}
+    </measure>
+  </part>
+</score-partwise>`)
+  const ly = await exportLilyPond(score, 'grand-staff', 5)
+
+  assert(ly.includes('\\new PianoStaff'), 'PianoStaff')
+  const staves = ly.split('\\new Staff').slice(1)
+  assert(staves.length === 2, `两个谱表 (${staves.length})`)
+  assert(staves[0]?.includes('\\clef treble') && staves[0].includes("e''4") && staves[0].includes("c''1"), '上谱表：高音谱号和右手的音')
+  assert(staves[1]?.includes('\\clef bass') && staves[1].includes('c2') && staves[1].includes('g,1'), '下谱表：低音谱号和左手的音')
+  assert(/c2 g,2 \|\s+g,1 \|\s+c1 \|/.test(staves[1] || ''), '下谱表每个小节各自成行')
+}
+
+// ============ 主测试函数 ============
+async function runAllTests() {
+  await testSingleStaff()
+  await testGrandStaff()
+
+  console.log('\n' + '═'.repeat(60))
+  console.log(`✅ 通过: ${testResults.passed}`)
+  console.log(`❌ 失败: ${testResults.failed}`)
+  if (testResults.errors.length > 0) {
+    console.log('\n失败详情:')
+    testResults.errors.forEach((err, idx) => console.log(`  ${idx + 1}. ${err}`))
+  }
+  process.exit(testResults.failed > 0 ? 1 : 0)
+}
+
+runAllTests()
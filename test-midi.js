@@ -0,0 +1,241 @@
+/**
+ * MIDI 导入测试
+ * 验证量化、按拍号划分小节、跨小节音符的连线、谱表拆分，以及 MIDI 导出再导入（含弱起小节）
+ */
+
+import { JSDOM } from 'jsdom'
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>')
+global.DOMParser = dom.window.DOMParser
+
+const { parseXmlContent } = await import('./src/modules/parser.js')
+const { parseMidiContent } = await import('./src/modules/midiParser.js')
+const { analyzeScore } = await import('./src/modules/analyzer.js')
+const { simplifyScore } = await import('./src/modules/simplifier.js')
+const { exportScore } = await import('./src/modules/exporter.js')
+
+const testResults = { passed: 0, failed: 0, errors: [] }
+
+function assert(condition, message) {
+  if (condition) {
+    testResults.passed++
+    console.log(`✅ ${message}`)
+  } else {
+    testResults.failed++
+    testResults.errors.push(message)
+    console.log(`❌ ${message}`)
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual)
+  const e = JSON.stringify(expected)
+  assert(a === e, `${message}: ${a}${a === e ? '' : ` (期望: ${e})`}`)
+}
+
+// ============ 生成 MIDI 文件 ============
+
+const DIVISION = 480
+
+function variableLength(value) {
+  const bytes = [value & 0x7F]
+  while ((value >>= 7) > 0) bytes.unshift((value & 0x7F) | 0x80)
+  return bytes
+}
+
+/**
+ * 一个 MTrk 块
+ * @param {Array} events - [{ tick, bytes }]（绝对时间，按时间排序后写出）
+ */
+function track(events) {
+  const body = []
+  let last = 0
+  ;[...events].sort((a, b) => a.tick - b.tick).forEach(event => {
+    body.push(...variableLength(event.tick - last), ...event.bytes)
+    last = event.tick
+  })
+  body.push(0, 0xFF, 0x2F, 0)
+  const length = body.length
+  return [0x4D, 0x54, 0x72, 0x6B, length >>> 24, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF, ...body]
+}
+
+function midiFile(format, tracks) {
+  const header = [0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, format, 0, tracks.length, DIVISION >> 8, DIVISION & 0xFF]
+  return new Uint8Array([...header, ...tracks.flat()]).buffer
+}
+
+// 音符：起止以四分音符为单位（可以是小数）
+const midiNote = (pitch, start, end, channel = 0) => [
+  { tick: Math.round(start * DIVISION), bytes: [0x90 | channel, pitch, 80] },
+  { tick: Math.round(end * DIVISION), bytes: [0x80 | channel, pitch, 0] }
+]
+const timeSignature = (at, beats, beatType) => ({ tick: at * DIVISION, bytes: [0xFF, 0x58, 4, beats, Math.log2(beatType), 24, 8] })
+const keySignature = (fifths, minor = false) => ({ tick: 0, bytes: [0xFF, 0x59, 2, fifths & 0xFF, minor ? 1 : 0] })
+const tempo = bpm => {
+  const microseconds = Math.round(60000000 / bpm)
+  return { tick: 0, bytes: [0xFF, 0x51, 3, microseconds >> 16, (microseconds >> 8) & 0xFF, microseconds & 0xFF] }
+}
+const trackName = name => ({ tick: 0, bytes: [0xFF, 0x03, name.length, ...[...name].map(c => c.charCodeAt(0))] })
+
+const describe = n => `${n.pitch.step}${n.pitch.alter === 1 ? '#' : n.pitch.alter === -1 ? 'b' : ''}${n.pitch.octave}@${n.startBeat}/${n.duration.ticks}`
+
+// ============ 量化与小节 ============
+function testQuantization() {
+  console.log('\n' + '='.repeat(60))
+  console.log('量化与小节划分测试')
+  console.log('='.repeat(60))
+
+  // 演奏得不准的起止位置对齐到十六分音符网格
+  const score = parseMidiContent(midiFile(0, [track([
+    trackName('Etude'), tempo(90), keySignature(-1),
+    ...midiNote(65, 0.02, 0.96),
+    ...midiNote(69, 0.98, 1.49),
+    ...midiNote(72, 1.53, 2.02),
+    ...midiNote(70, 2.26, 3.02),
+    ...midiNote(67, 3.97, 5.04)
+  ])]), 'etude.mid')
+
+  assertEqual(score.metadata.title, 'Etude', '曲名取第一轨的轨道名')
+  assertEqual(score.metadata.tempo, 90, '速度')
+  assertEqual(score.metadata.keySignature, { fifths: -1, mode: 'major' }, '调号')
+  assertEqual(score.measures.map(m => m.notes.map(describe)), [['F4@1/1024', 'A4@2/512', 'C5@2.5/512', 'Bb4@3.25/768'], ['G4@1/1024']], '起止量化到十六分音符')
+  assertEqual(score.measures[0].notes[3].duration, { type: 'eighth', dots: 1, ticks: 768 }, '附点八分音符')
+  assertEqual(score.measures[0].rests.map(r => [r.startBeat, r.duration.ticks]), [[3, 256], [4, 1024]], '空白处补休止符')
+
+  // 拍号改变：3/4 两个小节后改为 2/4
+  const changing = parseMidiContent(midiFile(0, [track([
+    timeSignature(0, 3, 4), timeSignature(6, 2, 4),
+    ...midiNote(60, 0, 3), ...midiNote(62, 3, 6), ...midiNote(64, 6, 8), ...midiNote(65, 8, 10)
+  ])]))
+  assertEqual(changing.measures.map(m => `${m.timeSignature.beats}/${m.timeSignature.beatType}`), ['3/4', '3/4', '2/4', '2/4'], '按拍号事件划分小节')
+  assertEqual(changing.measures.map(m => m.notes.map(describe)), [['C4@1/3072'], ['D4@1/3072'], ['E4@1/2048'], ['F4@1/2048']], '每个小节一个整小节音符')
+
+  // 跨小节线的音符拆开并用连线连接
+  const tied = parseMidiContent(midiFile(0, [track([...midiNote(67, 3, 6)])]))
+  const [first] = tied.measures[0].notes
+  const [second] = tied.measures[1].notes
+  assertEqual([describe(first), describe(second)], ['G4@4/1024', 'G4@1/2048'], '跨小节的音符拆成两段')
+  assertEqual([first.tiedTo, second.tiedFrom], [second.id, first.id], '两段之间有连线')
+}
+
+// ============ 谱表拆分 ============
+function testStaffSplit() {
+  console.log('\n' + '='.repeat(60))
+  console.log('谱表拆分测试')
+  console.log('='.repeat(60))
+
+  // 一个轨道的音域跨越中央 C：拆成大谱表
+  const piano = parseMidiContent(midiFile(0, [track([
+    ...midiNote(72, 0, 1), ...midiNote(76, 1, 2), ...midiNote(79, 2, 4),
+    ...midiNote(48, 0, 2), ...midiNote(43, 2, 4)
+  ])]))
+  assertEqual(piano.parts.length, 1, '单轨：一个 part')
+  assertEqual(piano.parts[0].staves, 2, '音域跨越中央 C 时拆成大谱表')
+  assertEqual(piano.measures[0].notes.filter(n => n.staff === 2).map(describe), ['C3@1/2048', 'G2@3/2048'], '中央 C 以下在下谱表')
+  assertEqual(piano.measures[0].clefs, ['G2', 'F4'], '大谱表谱号')
+
+  // 中央 C 以下的音不到一成：单行谱
+  const melody = Array.from({ length: 12 }, (_, idx) => midiNote(72 + (idx % 3) * 2, idx / 2, idx / 2 + 0.5)).flat()
+  const flute = parseMidiContent(midiFile(0, [track([...melody, ...midiNote(59, 6, 8)])]))
+  assertEqual([flute.parts[0].staves, flute.measures[0].clefs], [1, ['G2']], '少量低音不拆谱表')
+
+  // Type 1：两个轨道合成一个大谱表，高音轨在上；鼓（通道 10）忽略
+  const duet = parseMidiContent(midiFile(1, [
+    track([timeSignature(0, 4, 4)]),
+    track([trackName('Left'), ...midiNote(40, 0, 4, 1)]),
+    track([trackName('Right'), ...midiNote(76, 0, 4, 2)]),
+    track([...midiNote(36, 0, 1, 9)])
+  ]))
+  assertEqual(duet.parts.map(p => [p.name, p.staves]), [['Right', 2]], '两个轨道合成大谱表，名称取高音轨')
+  assertEqual(duet.measures[0].notes.map(n => `${describe(n)}:${n.staff}`), ['E5@1/4096:1', 'E2@1/4096:2'], '高音轨在上谱表')
+
+  // 三个轨道：每个轨道一个 part
+  const trio = parseMidiContent(midiFile(1, [
+    track([...midiNote(76, 0, 4, 0)]),
+    track([...midiNote(67, 0, 4, 1)]),
+    track([...midiNote(48, 0, 4, 2)])
+  ]))
+  assertEqual(trio.parts.map(p => p.measures[0].notes.map(describe)), [['E5@1/4096'], ['G4@1/4096'], ['C3@1/4096']], '三个轨道三个 part')
+}
+
+// ============ 导出再导入 ============
+async function testRoundTrip() {
+  console.log('\n' + '='.repeat(60))
+  console.log('MIDI 导出再导入测试')
+  console.log('='.repeat(60))
+
+  const note = (step, octave, duration, type, alter = 0) =>
+    `<note><pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch><duration>${duration}</duration><voice>1</voice><type>${type}</type>${duration === 3 ? '<dot/>' : ''}</note>`
+  const score = parseXmlContent(`<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>Flute</part-name></score-part></part-list>
+  <part id="P1">
+    <measure number="1">
+      <attributes><divisions>2</divisions><key><fifths>1</fifths></key><time><beats>3</beats><beat-type>4</beat-type></time><clef><sign>G</sign><line>2</line></clef></attributes>
+      <direction><sound tempo="100"/></direction>
+      ${note('G', 5, 3, 'quarter')}${note('A', 5, 1, 'eighth')}${note('B', 5, 2, 'quarter')}
+    </measure>
+    <measure number="2">
+      ${note('F', 5, 2, 'quarter', 1)}${note('E', 5, 2, 'quarter')}${note('D', 5, 2, 'quarter')}
+    </measure>
+    <measure number="3">
+      ${note('G', 5, 6, 'half')}
+    </measure>
+  </part>
+</score-partwise>`)
+  const analyzed = await analyzeScore(score, 'single-staff')
+
+  for (const level of [1, 5]) {
+    const simplified = simplifyScore(analyzed, { mainLevel: level })
+    const blob = await exportScore(simplified, 'mid')
+    const imported = parseMidiContent(await blob.arrayBuffer(), 'roundtrip.mid')
+
+    const expected = simplified.measures.map(m => m.notes.map(describe))
+    assertEqual(imported.measures.map(m => m.notes.map(describe)), expected, `Level ${level}: 音高、位置和时值不变`)
+    assertEqual(imported.measures.map(m => m.timeSignature), simplified.measures.map(() => ({ beats: 3, beatType: 4 })), `Level ${level}: 拍号不变`)
+    assertEqual([imported.metadata.keySignature.fifths, imported.metadata.tempo], [1, 100], `Level ${level}: 调号和速度不变`)
+  }
+
+  // 弱起小节只占一拍：之后的小节紧接着弱起的音开始（与播放、LilyPond 的 \partial 相同）
+  const pickup = parseXmlContent(`<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>Flute</part-name></score-part></part-list>
+  <part id="P1">
+    <measure number="0" implicit="yes">
+      <attributes><divisions>2</divisions><key><fifths>1</fifths></key><time><beats>3</beats><beat-type>4</beat-type></time><clef><sign>G</sign><line>2</line></clef></attributes>
+      ${note('D', 5, 2, 'quarter')}
+    </measure>
+    <measure number="1">
+      ${note('G', 5, 2, 'quarter')}${note('A', 5, 2, 'quarter')}${note('B', 5, 2, 'quarter')}
+    </measure>
+    <measure number="2">
+      ${note('G', 5, 6, 'half')}
+    </measure>
+  </part>
+</score-partwise>`)
+  const blob = await exportScore(simplifyScore(await analyzeScore(pickup, 'single-staff'), { mainLevel: 5 }), 'mid')
+  const imported = parseMidiContent(await blob.arrayBuffer(), 'pickup.mid')
+  // 以四分音符为单位的起音位置（导入时没有弱起，跨小节的音符拆成连线的两个音）
+  const onsets = imported.measures.flatMap((m, idx) => m.notes
+    .filter(n => !n.tiedFrom)
+    .map(n => `${n.pitch.step}${n.pitch.octave}@${idx * 3 + n.startBeat - 1}`))
+  assertEqual(onsets, ['D5@0', 'G5@1', 'A5@2', 'B5@3', 'G5@4'], '弱起小节按实际长度（一拍）计算')
+}
+
+// ============ 主测试函数 ============
+async function runAllTests() {
+  testQuantization()
+  testStaffSplit()
+  await testRoundTrip()
+
+  console.log('\n' + '═'.repeat(60))
+  console.log(`✅ 通过: ${testResults.passed}`)
+  console.log(`❌ 失败: ${testResults.failed}`)
+  if (testResults.errors.length > 0) {
+    console.log('\n失败详情:')
+    testResults.errors.forEach((err, idx) => console.log(`  ${idx + 1}. ${err}`))
+  }
+  process.exit(testResults.failed > 0 ? 1 : 0)
+}
+
+runAllTests()
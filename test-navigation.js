@@ -0,0 +1,236 @@
+/**
+ * 反复与跳转测试
+ * 验证演奏顺序（反复、跳房子、D.C./D.S./Coda/Fine）、展开后的小节、音符 id、小节线，以及播放的声部和预备拍
+ */
+
+import { JSDOM } from 'jsdom'
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>')
+global.DOMParser = dom.window.DOMParser
+
+const { parseXmlContent } = await import('./src/modules/parser.js')
+const { buildNavigationModel, getPlaybackOrder, unfoldRepeats } = await import('./src/modules/navigation.js')
+const { generateMusicXML } = await import('./src/modules/exporter.js')
+const { buildPlaybackTimeline, getCountInClicks } = await import('./src/modules/playback.js')
+const { getStrongBeats } = await import('./src/knowledge/index.js')
+
+const testResults = { passed: 0, failed: 0, errors: [] }
+
+function assert(condition, message) {
+  if (condition) {
+    testResults.passed++
+    console.log(`✅ ${message}`)
+  } else {
+    testResults.failed++
+    testResults.errors.push(message)
+    console.log(`❌ ${message}`)
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual)
+  const e = JSON.stringify(expected)
+  assert(a === e, `${message}: ${a}${a === e ? '' : ` (期望: ${e})`}`)
+}
+
+// ============ 测试乐谱 ============
+
+const note = (step, { tie, slur } = {}) => {
+  const ties = (tie || []).map(type => `<tie type="${type}"/>`).join('')
+  const notations = [
+    ...(tie || []).map(type => `<tied type="${type}"/>`),
+    ...(slur || []).map(type => `<slur type="${type}" number="1"/>`)
+  ].join('')
+  return `<note><pitch><step>${step}</step><octave>5</octave></pitch><duration>2</duration>${ties}<voice>1</voice><type>half</type>${notations ? `<notations>${notations}</notations>` : ''}</note>`
+}
+
+const words = (text, sound = '') =>
+  `<direction><direction-type><words>${text}</words></direction-type>${sound ? `<sound ${sound}/>` : ''}</direction>`
+
+/**
+ * 生成单声部乐谱：每个小节一个二分音符
+ * @param {Array} measures - [{ content, left, right }]，left/right 为 <barline> 内部的 XML
+ */
+function buildScore(measures) {
+  const body = measures.map((m, idx) => {
+    const attributes = idx === 0
+      ? '<attributes><divisions>1</divisions><key><fifths>0</fifths></key><time><beats>2</beats><beat-type>4</beat-type></time><clef><sign>G</sign><line>2</line></clef></attributes>'
+      : ''
+    const left = m.left ? `<barline location="left">${m.left}</barline>` : ''
+    const right = m.right ? `<barline location="right">${m.right}</barline>` : ''
+    return `<measure number="${idx + 1}">${attributes}${left}${m.content}${right}</measure>`
+  }).join('\n')
+  return parseXmlContent(`<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>Melody</part-name></score-part></part-list>
+  <part id="P1">
+${body}
+  </part>
+</score-partwise>`)
+}
+
+const orderNumbers = score => getPlaybackOrder(score.measures).map(idx => score.measures[idx].number)
+
+// ============ 演奏顺序 ============
+function testPlaybackOrder() {
+  console.log('\n' + '='.repeat(60))
+  console.log('演奏顺序测试')
+  console.log('='.repeat(60))
+
+  const simpleRepeat = buildScore([
+    { content: note('C') },
+    { content: note('D'), left: '<repeat direction="forward"/>' },
+    { content: note('E'), right: '<bar-style>light-heavy</bar-style><repeat direction="backward"/>' },
+    { content: note('F') }
+  ])
+  assertEqual(orderNumbers(simpleRepeat), [1, 2, 3, 2, 3, 4], '简单反复')
+
+  const threeTimes = buildScore([
+    { content: note('C'), left: '<repeat direction="forward"/>' },
+    { content: note('D'), right: '<repeat direction="backward" times="3"/>' },
+    { content: note('E') }
+  ])
+  assertEqual(orderNumbers(threeTimes), [1, 2, 1, 2, 1, 2, 3], '反复三次 (times="3")')
+
+  const endings = buildScore([
+    { content: note('C'), left: '<repeat direction="forward"/>' },
+    { content: note('D') },
+    { content: note('E'), left: '<ending number="1" type="start">1.</ending>', right: '<ending number="1" type="stop"/><repeat direction="backward"/>' },
+    { content: note('F'), left: '<ending number="2" type="start">2.</ending>', right: '<ending number="2" type="discontinue"/>' },
+    { content: note('G') }
+  ])
+  const model = buildNavigationModel(endings.measures)
+  assertEqual(model.endings.map(e => [e.numbers, e.start, e.end]), [[[1], 2, 2], [[2], 3, 3]], '跳房子的遍数与范围')
+  assertEqual(orderNumbers(endings), [1, 2, 3, 1, 2, 4, 5], '第一房、第二房')
+
+  const dalSegno = buildScore([
+    { content: `<direction><direction-type><segno/></direction-type><sound segno="s"/></direction>${note('C')}` },
+    { content: note('D'), left: '<repeat direction="forward"/>' },
+    { content: note('E') + words('Fine') },
+    { content: note('F'), left: '<ending number="1" type="start">1.</ending>', right: '<ending number="1" type="stop"/><repeat direction="backward"/>' },
+    { content: note('G'), left: '<ending number="2" type="start">2.</ending>', right: '<ending number="2" type="discontinue"/>' },
+    { content: note('A') + words('D.S. al Fine', 'dalsegno="s"') }
+  ])
+  // D.S. 之后不再反复，到 Fine 结束
+  assertEqual(orderNumbers(dalSegno), [1, 2, 3, 4, 2, 3, 5, 6, 1, 2, 3], 'D.S. al Fine')
+
+  const daCapoAlCoda = buildScore([
+    { content: note('C') },
+    { content: note('D') + words('To Coda', 'tocoda="coda"') },
+    { content: note('E') + words('D.C. al Coda', 'dacapo="yes"'), right: '<bar-style>light-light</bar-style>' },
+    { content: `<direction><direction-type><coda/></direction-type><sound coda="coda"/></direction>${note('F')}` },
+    { content: note('G') }
+  ])
+  assertEqual(orderNumbers(daCapoAlCoda), [1, 2, 3, 1, 2, 4, 5], 'D.C. al Coda')
+}
+
+// ============ 展开反复 ============
+function testUnfold() {
+  console.log('\n' + '='.repeat(60))
+  console.log('展开反复测试')
+  console.log('='.repeat(60))
+
+  const score = buildScore([
+    { content: note('C', { tie: ['start'] }), left: '<repeat direction="forward"/>' },
+    { content: note('C', { tie: ['stop'], slur: ['start'] }) },
+    { content: note('E', { slur: ['stop'] }), right: '<bar-style>light-heavy</bar-style><repeat direction="backward"/>' },
+    { content: note('F'), right: '<bar-style>light-light</bar-style>' },
+    { content: note('G') }
+  ])
+  const source = score.measures.map(m => m.notes[0].id)
+  const unfolded = unfoldRepeats(score)
+  const measures = unfolded.measures
+  const ids = measures.map(m => m.notes[0].id)
+
+  assertEqual(measures.map(m => m.sourceNumber), [1, 2, 3, 1, 2, 3, 4, 5], '展开后的小节来源')
+  assertEqual(measures.map(m => m.number), [1, 2, 3, 4, 5, 6, 7, 8], '展开后重新编号')
+  assert(new Set(ids).size === ids.length, '展开后音符 id 唯一')
+  assertEqual(ids.slice(0, 3), source.slice(0, 3), '第一遍保留原 id')
+  assertEqual(ids.slice(3, 6), source.slice(0, 3).map(id => `${id}_2`), '第二遍 id 加后缀 _2')
+
+  // 连线指向同一遍中的音符
+  assertEqual([measures[0].notes[0].tiedTo, measures[1].notes[0].tiedFrom], [ids[1], ids[0]], '第一遍的连线')
+  assertEqual([measures[3].notes[0].tiedTo, measures[4].notes[0].tiedFrom], [ids[4], ids[3]], '第二遍的连线')
+
+  // 每一遍生成一条连奏线
+  assertEqual(unfolded.parts[0].slurs.map(s => [s.startNoteId, s.endNoteId]), [[ids[1], ids[2]], [ids[4], ids[5]]], '每一遍的连奏线')
+
+  // 小节线：去掉反复，保留双小节线，最后一个小节为终止线
+  assert(measures.every(m => (m.barlines || []).every(b => !b.repeat && !b.ending)), '展开后没有反复和跳房子')
+  assertEqual(measures[6].barlines, [{ location: 'right', style: 'light-light', repeat: null, times: null, ending: null }], '保留只有样式的小节线')
+  assertEqual(measures[7].barlines?.map(b => [b.location, b.style]), [['right', 'light-heavy']], '最后一个小节为终止线')
+  assertEqual(measures[2].barlines, undefined, '反复记号所在的小节线被移除')
+  assertEqual(unfolded.navigation.repeats, [], '展开后的跳转模型没有反复')
+
+  const exported = new DOMParser().parseFromString(generateMusicXML(unfolded), 'text/xml')
+  const styles = [...exported.querySelectorAll('barline bar-style')].map(el => el.textContent)
+  assertEqual(styles, ['light-light', 'light-heavy'], '导出的小节线')
+  assert(exported.querySelectorAll('repeat, ending').length === 0, '导出中没有反复记号')
+}
+
+// ============ 播放声部 ============
+function testPlaybackVoices() {
+  console.log('\n' + '='.repeat(60))
+  console.log('播放声部测试')
+  console.log('='.repeat(60))
+
+  const make = (id, staff, voicePart) => ({
+    id, staff, voicePart, startBeat: 1, duration: { ticks: 2048 }, pitch: { step: 'C', octave: staff === 2 ? 3 : 5 }
+  })
+  const part = (id, name, notes) => ({
+    id, name, staves: 2, scoreType: 'grand-staff',
+    measures: [{ number: 1, timeSignature: { beats: 2, beatType: 4 }, notes }]
+  })
+  const piano = part('P1', 'Piano', [make('a', 1, 'soprano'), make('b', 2, 'bass')])
+  const metadata = { timeSignature: { beats: 2, beatType: 4 }, tempo: 100 }
+
+  const solo = buildPlaybackTimeline({ metadata, parts: [piano], measures: piano.measures })
+  assertEqual(solo.voices, [{ id: 'soprano', name: 'Soprano' }, { id: 'bass', name: 'Bass' }], '一个大谱表：按 voicePart 分声部')
+
+  // 两个大谱表：各自的声部，id 不重复
+  const organ = part('P2', 'Organ', [make('c', 1, 'soprano'), make('d', 1, 'alto')])
+  const duet = buildPlaybackTimeline({ metadata, parts: [piano, organ], measures: piano.measures })
+  assertEqual(duet.voices.map(v => [v.id, v.name]), [
+    ['P1-soprano', 'Piano Soprano'], ['P1-bass', 'Piano Bass'], ['P2-soprano', 'Organ Soprano'], ['P2-alto', 'Organ Alto']
+  ], '两个大谱表：声部 id 带 part id')
+  assertEqual(duet.notes.map(n => n.voice).sort(), ['P1-bass', 'P1-soprano', 'P2-alto', 'P2-soprano'], '音符的声部与声部列表一致')
+}
+
+// ============ 预备拍 ============
+function testCountIn() {
+  console.log('\n' + '='.repeat(60))
+  console.log('预备拍测试')
+  console.log('='.repeat(60))
+
+  const describe = ({ length, clicks }) => [length, clicks.map(c => `${c.position}:${c.accent}`)]
+  const time = (beats, beatType) => ({ beats, beatType, type: [6, 9, 12].includes(beats) && beatType === 8 ? 'compound' : 'simple' })
+
+  assertEqual(describe(getCountInClicks(time(4, 4))), [4, ['0:downbeat', '1:weak', '2:strong', '3:weak']], '4/4：四拍，第 3 拍为强拍')
+  assertEqual(describe(getCountInClicks(time(6, 8))), [3, ['0:downbeat', '1.5:strong']], '6/8：以附点四分音符为一拍，两拍')
+  assertEqual(describe(getCountInClicks(time(3, 4))), [3, ['0:downbeat', '1:weak', '2:weak']], '3/4：三拍，只有第一拍为强拍')
+
+  // 强拍与 getStrongBeats 一致
+  ;[time(4, 4), time(6, 8), time(3, 4), time(2, 2), time(12, 8)].forEach(timeSignature => {
+    const accented = getCountInClicks(timeSignature).clicks.filter(c => c.accent !== 'weak').map(c => c.position + 1)
+    assertEqual(accented, getStrongBeats(timeSignature), `${timeSignature.beats}/${timeSignature.beatType}：重音落在 getStrongBeats 的强拍上`)
+  })
+}
+
+// ============ 主测试函数 ============
+function runAllTests() {
+  testPlaybackOrder()
+  testUnfold()
+  testPlaybackVoices()
+  testCountIn()
+
+  console.log('\n' + '═'.repeat(60))
+  console.log(`✅ 通过: ${testResults.passed}`)
+  console.log(`❌ 失败: ${testResults.failed}`)
+  if (testResults.errors.length > 0) {
+    console.log('\n失败详情:')
+    testResults.errors.forEach((err, idx) => console.log(`  ${idx + 1}. ${err}`))
+  }
+  process.exit(testResults.failed > 0 ? 1 : 0)
+}
+
+runAllTests()
@@ -0,0 +1,245 @@
+/**
+ * 记号测试
+ * 验证力度、渐强渐弱和表情文字的解析、简化后的重新附着与 MusicXML 导出，
+ * 演奏法记号在简化时的转移与导出，以及歌词的对齐（音节 / 拖腔两种方式）与导出
+ */
+
+import { JSDOM } from 'jsdom'
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>')
+global.DOMParser = dom.window.DOMParser
+
+const { parseXmlContent } = await import('./src/modules/parser.js')
+const { analyzeScore } = await import('./src/modules/analyzer.js')
+const { simplifyScore } = await import('./src/modules/simplifier.js')
+const { generateMusicXML } = await import('./src/modules/exporter.js')
+
+const testResults = { passed: 0, failed: 0, errors: [] }
+
+function assert(condition, message) {
+  if (condition) {
+    testResults.passed++
+    console.log(`✅ ${message}`)
+  } else {
+    testResults.failed++
+    testResults.errors.push(message)
+    console.log(`❌ ${message}`)
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected)
+  assert(ok, ok ? message : `${message}: ${JSON.stringify(actual)} (期望: ${JSON.stringify(expected)})`)
+}
+
+/**
+ * 单行谱：每个小节的内容直接写成 MusicXML 元素
+ * @param {string[]} measures - 每个小节的内容
+ * @param {number} divisions - 每四分音符的分割数
+ */
+function buildScore(measures, divisions = 1) {
+  const body = measures.map((content, idx) => {
+    const attributes = idx === 0
+      ? `<attributes><divisions>${divisions}</divisions><key><fifths>0</fifths></key><time><beats>4</beats><beat-type>4</beat-type></time><clef><sign>G</sign><line>2</line></clef></attributes>`
+      : ''
+    return `<measure number="${idx + 1}">${attributes}${content}</measure>`
+  }).join('\n')
+  return parseXmlContent(`<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>Flute</part-name></score-part></part-list>
+  <part id="P1">
+${body}
+  </part>
+</score-partwise>`)
+}
+
+const quarter = (step, octave) =>
+  `<note><pitch><step>${step}</step><octave>${octave}</octave></pitch><duration>1</duration><type>quarter</type></note>`
+const whole = (step, octave) =>
+  `<note><pitch><step>${step}</step><octave>${octave}</octave></pitch><duration>4</duration><type>whole</type></note>`
+const direction = (placement, type) =>
+  `<direction placement="${placement}"><direction-type>${type}</direction-type></direction>`
+
+// 力度 p 在第 1 拍，渐强和 dolce 在第 2 拍，渐强结束和 f 在第 4 拍
+const DIRECTIONS = [
+  direction('below', '<dynamics><p/></dynamics>') + quarter('C', 5) +
+    direction('below', '<wedge type="crescendo"/>') + direction('above', '<words>dolce</words>') + quarter('D', 5) +
+    quarter('E', 5) +
+    direction('below', '<wedge type="stop"/>') + direction('below', '<dynamics><f/></dynamics>') + quarter('F', 5),
+  whole('G', 5)
+]
+
+const eighth = (step, octave, notations = '') =>
+  `<note><pitch><step>${step}</step><octave>${octave}</octave></pitch><duration>1</duration><type>eighth</type>` +
+  `${notations ? `<notations>${notations}</notations>` : ''}</note>`
+
+// 带重音、保持音和延长记号的二分音符，之后的八分音符带断奏、延长记号和重音
+const ARTICULATIONS = [
+  '<note><pitch><step>C</step><octave>5</octave></pitch><duration>4</duration><type>half</type>' +
+    '<notations><articulations><accent/><tenuto/></articulations><fermata/></notations></note>' +
+    eighth('D', 5, '<articulations><staccato/></articulations>') + eighth('E', 5, '<fermata/>') +
+    eighth('F', 5, '<articulations><accent/></articulations>') + eighth('G', 5),
+  '<note><pitch><step>C</step><octave>6</octave></pitch><duration>8</duration><type>whole</type></note>'
+]
+
+const sung = (step, beats, lyric = '') =>
+  `<note><pitch><step>${step}</step><octave>5</octave></pitch><duration>${beats * 2}</duration>` +
+  `<type>${beats === 1 ? 'quarter' : beats === 4 ? 'whole' : 'eighth'}</type>${lyric}</note>`
+const lyric = (syllabic, text, extend = '') =>
+  `<lyric number="1"><syllabic>${syllabic}</syllabic><text>${text}</text>${extend}</lyric>`
+
+// Twin-kle lit-tle_ (拖腔) star | how
+const LYRICS = [
+  sung('C', 1, lyric('begin', 'Twin')) + sung('C', 1, lyric('end', 'kle')) +
+    sung('G', 0.5, lyric('begin', 'lit')) + sung('G', 0.5, lyric('end', 'tle', '<extend/>')) + sung('A', 0.5) + sung('A', 0.5, lyric('single', 'star')),
+  sung('G', 4, lyric('single', 'how'))
+]
+
+// 记号的类型、值、拍位和所附音符的音名
+function describeDirections(measure) {
+  return measure.directions.map(d => {
+    const note = measure.notes.find(n => n.id === d.noteId)
+    return `${d.type}:${d.value}@${d.startBeat}${note ? `→${note.pitch.step}` : ''}`
+  })
+}
+
+// ============ 力度与表情记号 ============
+async function testDirections() {
+  console.log('\n' + '='.repeat(60))
+  console.log('力度与表情记号测试')
+  console.log('='.repeat(60))
+
+  const score = buildScore(DIRECTIONS)
+  assertEqual(describeDirections(score.measures[0]), ['dynamic:p@1→C', 'wedge:crescendo@2→D', 'words:dolce@2→D', 'wedge:stop@4→F', 'dynamic:f@4→F'],
+    '解析力度、渐强渐弱和文字，附着到同一拍位的音符')
+  assertEqual(score.measures[0].directions.map(d => d.placement), ['below', 'below', 'above', 'below', 'below'], 'placement')
+
+  const analyzed = await analyzeScore(score, 'single-staff')
+
+  // Level 5 保留全部音符，记号不变
+  const full = simplifyScore(analyzed, { mainLevel: 5 })
+  assertEqual(describeDirections(full.measures[0]), describeDirections(score.measures[0]), 'Level 5: 记号保持原位')
+
+  // Level 2 只保留第 1、3 拍：所附音符被删除的记号移到之前最近的保留音符
+  const level2 = simplifyScore(analyzed, { mainLevel: 2 })
+  assertEqual(level2.measures[0].notes.map(n => `${n.pitch.step}@${n.startBeat}`), ['C@1', 'E@3'], 'Level 2 保留第 1、3 拍')
+  assertEqual(describeDirections(level2.measures[0]), ['dynamic:p@1→C', 'wedge:crescendo@1→C', 'words:dolce@1→C', 'wedge:stop@4', 'dynamic:f@3→E'],
+    'Level 2: 渐强和 dolce 移到 C，f 移到 E，渐强结束点之后没有音符时留在原拍位')
+
+  // 同一音符上的多个力度只保留最后一个
+  const level1 = simplifyScore(analyzed, { mainLevel: 1 })
+  assertEqual(level1.measures[0].directions.filter(d => d.type === 'dynamic').map(d => d.value), ['f'], 'Level 1: 同一音符上只保留最后一个力度')
+
+  // 导出后重新解析，记号不变
+  for (const [label, simplified] of [['Level 5', full], ['Level 2', level2]]) {
+    const xml = generateMusicXML(simplified)
+    const reparsed = parseXmlContent(xml).measures[0]
+    const sorted = measure => describeDirections(measure).sort()
+    assertEqual(sorted(reparsed), sorted(simplified.measures[0]), `${label}: 导出的 <direction> 重新解析后不变`)
+  }
+  const xml = generateMusicXML(level2)
+  assert(xml.includes('<dynamics><p/></dynamics>') && xml.includes('<wedge type="crescendo" number="1"/>') && xml.includes('<words>dolce</words>'),
+    '导出力度、渐强和文字')
+  assert(/<wedge type="stop" number="1"\/><\/direction-type>\s*<offset>768<\/offset>/.test(xml), '没有附着音符的渐强结束点用 offset 定位')
+}
+
+// ============ 演奏法记号 ============
+async function testArticulations() {
+  console.log('\n' + '='.repeat(60))
+  console.log('演奏法记号测试')
+  console.log('='.repeat(60))
+
+  const score = buildScore(ARTICULATIONS, 2)
+  const describe = measure => measure.notes.map(n => `${n.pitch.step}@${n.startBeat}[${(n.articulations || []).join(',')}]`)
+  assertEqual(describe(score.measures[0]), ['C@1[accent,tenuto,fermata]', 'D@3[staccato]', 'E@3.5[fermata]', 'F@4[accent]', 'G@4.5[]'], '解析演奏法记号和延长记号')
+
+  const analyzed = await analyzeScore(score, 'single-staff')
+
+  // Level 3 把二分音符拆成两个拍头音：延长记号只在最后一个，其余记号只在第一个
+  const level3 = simplifyScore(analyzed, { mainLevel: 3 })
+  const [first, second] = level3.measures[0].notes
+  assert(first.id === second.id, 'Level 3: 二分音符拆成两个同 id 的拍头音')
+  assertEqual(describe(level3.measures[0]).slice(0, 2), ['C@1[accent,tenuto]', 'C@2[fermata]'], 'Level 3: 延长记号在最后一个拆分音，其余记号在第一个')
+
+  // 被删除音符的延长记号和重音转移到覆盖其位置的保留音符
+  assertEqual(describe(level3.measures[0]).slice(2), ['D@3[staccato,fermata]', 'F@4[accent]'], 'Level 3: E 的延长记号转移到覆盖它的 D')
+  const level2 = simplifyScore(analyzed, { mainLevel: 2 })
+  assertEqual(describe(level2.measures[0]), ['C@1[accent,tenuto,fermata]', 'D@3[staccato,fermata,accent]'], 'Level 2: E 的延长记号和 F 的重音转移到 D')
+
+  // 导出 <articulations> 和 <fermata>
+  const xml = generateMusicXML(level3)
+  const notations = [...xml.split('<measure number="2"')[0].matchAll(/<notations>(.*?)<\/notations>/g)]
+    .map(([, content]) => content.replace(/<tied type="\w+"\/>/g, ''))
+  assertEqual(notations, [
+    '<articulations><accent/><tenuto/></articulations>',
+    '<fermata type="upright"/>',
+    '<articulations><staccato/></articulations><fermata type="upright"/>',
+    '<articulations><accent/></articulations>'
+  ], '导出 <articulations> 和 <fermata>')
+  assertEqual(describe(parseXmlContent(xml).measures[0]), describe(level3.measures[0]), '导出后重新解析，记号不变')
+}
+
+// ============ 歌词 ============
+async function testLyrics() {
+  console.log('\n' + '='.repeat(60))
+  console.log('歌词测试')
+  console.log('='.repeat(60))
+
+  // 音符的音名、拍位、时值（拍）和歌词（音节，elision 连接的音节用 ~，延长线为 _）
+  const describe = measure => measure.notes.map(n => {
+    const text = (n.lyrics || []).map(l => [l.text, ...(l.elisions || []).map(e => e.text)].join('~') + (l.extend ? '_' : '')).join('')
+    return `${n.pitch.step}@${n.startBeat}:${n.duration.ticks / 1024}${text ? ` ${text}` : ''}`
+  })
+
+  const score = buildScore(LYRICS, 2)
+  const [twin, , , tle] = score.measures[0].notes
+  assertEqual([twin.lyrics[0].verse, twin.lyrics[0].syllabic, twin.lyrics[0].text], [1, 'begin', 'Twin'], '解析歌词的段落、音节位置和文字')
+  assertEqual(describe(score.measures[0]), ['C@1:1 Twin', 'C@2:1 kle', 'G@3:0.5 lit', 'G@3.5:0.5 tle_', 'A@4:0.5', 'A@4.5:0.5 star'], '解析延长线')
+  assert(tle.lyrics[0].extend === true, 'extend')
+
+  const analyzed = await analyzeScore(score, 'single-staff')
+
+  // 音节方式：每个音节保留一个音符，被删除的音节恢复原位
+  const syllable = simplifyScore(analyzed, { mainLevel: 2, lyricsMode: 'syllable' })
+  assertEqual(describe(syllable.measures[0]), ['C@1:1 Twin', 'C@2:1 kle', 'G@3:0.5 lit', 'G@3.5:1 tle', 'A@4.5:0.5 star'],
+    'Level 2 音节方式：恢复被删除的音节，tle 吸收被删除的拖腔音')
+
+  // 延长线只在下一个音符没有新音节时保留
+  const level3 = simplifyScore(analyzed, { mainLevel: 3, lyricsMode: 'syllable' })
+  assertEqual(describe(level3.measures[0]).slice(3, 5), ['G@3.5:0.5 tle_', 'A@4:0.5'], 'Level 3 音节方式：拖腔音保留时延长线保留')
+  assert(!syllable.measures[0].notes[3].lyrics[0].extend, 'Level 2 音节方式：下一个音符是新音节时去掉延长线')
+
+  // 拖腔方式：被删除的音节用 elision 合并到覆盖其位置的保留音符
+  const melisma = simplifyScore(analyzed, { mainLevel: 2, lyricsMode: 'melisma' })
+  assertEqual(describe(melisma.measures[0]), ['C@1:2 Twin~kle', 'G@3:2 lit~tle~star'], 'Level 2 拖腔方式：音节合并到保留音符')
+  const melisma3 = simplifyScore(analyzed, { mainLevel: 3, lyricsMode: 'melisma' })
+  assertEqual(describe(melisma3.measures[0]).slice(2), ['G@3:1 lit~tle', 'A@4:1 star'], 'Level 3 拖腔方式：合并的 tle 后面紧跟 star，去掉延长线')
+
+  // 导出 <lyric>，重新解析后不变
+  for (const [label, simplified] of [['音节方式', level3], ['拖腔方式', melisma]]) {
+    const xml = generateMusicXML(simplified)
+    assertEqual(describe(parseXmlContent(xml).measures[0]), describe(simplified.measures[0]), `${label}: 导出的 <lyric> 重新解析后不变`)
+  }
+  const xml = generateMusicXML(melisma)
+  assert(xml.includes('<lyric number="1"><syllabic>begin</syllabic><text>lit</text><elision> </elision><syllabic>end</syllabic><text>tle</text>' +
+    '<elision> </elision><syllabic>single</syllabic><text>star</text></lyric>'), '导出 elision 连接的音节')
+  assert(generateMusicXML(level3).includes('<text>tle</text><extend/></lyric>'), '导出延长线')
+}
+
+// ============ 主测试函数 ============
+async function runAllTests() {
+  await testDirections()
+  await testArticulations()
+  await testLyrics()
+
+  console.log('\n' + '═'.repeat(60))
+  console.log(`✅ 通过: ${testResults.passed}`)
+  console.log(`❌ 失败: ${testResults.failed}`)
+  if (testResults.errors.length > 0) {
+    console.log('\n失败详情:')
+    testResults.errors.forEach((err, idx) => console.log(`  ${idx + 1}. ${err}`))
+  }
+  process.exit(testResults.failed > 0 ? 1 : 0)
+}
+
+runAllTests()
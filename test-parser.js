@@ -0,0 +1,215 @@
+/**
+ * MusicXML 解析测试
+ * 验证多 part 乐谱的解析与 part 选择，乐曲中途的拍号、调号、谱号变化，以及时值
+ */
+
+import { JSDOM } from 'jsdom'
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>')
+global.DOMParser = dom.window.DOMParser
+
+const { parseXmlContent, selectPart, getScoreParts } = await import('./src/modules/parser.js')
+const { analyzeScore } = await import('./src/modules/analyzer.js')
+const { simplifyScore } = await import('./src/modules/simplifier.js')
+const { generateMusicXML } = await import('./src/modules/exporter.js')
+
+const testResults = { passed: 0, failed: 0, errors: [] }
+
+function assert(condition, message) {
+  if (condition) {
+    testResults.passed++
+    console.log(`✅ ${message}`)
+  } else {
+    testResults.failed++
+    testResults.errors.push(message)
+    console.log(`❌ ${message}`)
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected)
+  assert(ok, ok ? message : `${message}: ${JSON.stringify(actual)} (期望: ${JSON.stringify(expected)})`)
+}
+
+const pitchName = n => `${n.pitch.step}${n.pitch.octave}`
+
+// 小提琴 + 钢琴：小提琴一个谱表两个小节，钢琴两个谱表三个小节
+const VIOLIN_PIANO = `<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list>
+    <score-part id="P1"><part-name>Violin</part-name></score-part>
+    <score-part id="P2"><part-name>Piano</part-name></score-part>
+  </part-list>
+  <part id="P1">
+    <measure number="1">
+      <attributes><divisions>1</divisions><key><fifths>0</fifths></key><time><beats>4</beats><beat-type>4</beat-type></time>
+        <clef><sign>G</sign><line>2</line></clef></attributes>
+      <note><pitch><step>E</step><octave>5</octave></pitch><duration>4</duration><type>whole</type></note>
+    </measure>
+    <measure number="2">
+      <note><pitch><step>D</step><octave>5</octave></pitch><duration>4</duration><type>whole</type></note>
+    </measure>
+  </part>
+  <part id="P2">
+    <measure number="1">
+      <attributes><divisions>1</divisions><key><fifths>0</fifths></key><time><beats>4</beats><beat-type>4</beat-type></time>
+        <staves>2</staves><clef number="1"><sign>G</sign><line>2</line></clef><clef number="2"><sign>F</sign><line>4</line></clef></attributes>
+      <note><pitch><step>C</step><octave>4</octave></pitch><duration>4</duration><type>whole</type><staff>1</staff></note>
+      <backup><duration>4</duration></backup>
+      <note><pitch><step>C</step><octave>3</octave></pitch><duration>4</duration><type>whole</type><staff>2</staff></note>
+    </measure>
+    <measure number="2">
+      <note><pitch><step>B</step><octave>3</octave></pitch><duration>4</duration><type>whole</type><staff>1</staff></note>
+    </measure>
+    <measure number="3">
+      <note><pitch><step>C</step><octave>4</octave></pitch><duration>4</duration><type>whole</type><staff>1</staff></note>
+    </measure>
+  </part>
+</score-partwise>`
+
+// 单行谱：第 3 小节 3/4 转 6/8 并转为 G 大调，第 4 小节换成低音谱号，第 5 小节中途的 attributes 从下一小节生效
+const ATTRIBUTE_CHANGES = `<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>Cello</part-name></score-part></part-list>
+  <part id="P1">
+    <measure number="1">
+      <attributes><divisions>2</divisions><key><fifths>0</fifths></key><time><beats>3</beats><beat-type>4</beat-type></time>
+        <clef><sign>G</sign><line>2</line></clef></attributes>
+      <note><pitch><step>C</step><octave>5</octave></pitch><duration>6</duration><type>half</type><dot/></note>
+    </measure>
+    <measure number="2">
+      <note><pitch><step>E</step><octave>5</octave></pitch><duration>6</duration><type>half</type><dot/></note>
+    </measure>
+    <measure number="3">
+      <attributes><key><fifths>1</fifths></key><time><beats>6</beats><beat-type>8</beat-type></time></attributes>
+      <note><pitch><step>G</step><octave>4</octave></pitch><duration>6</duration><type>half</type><dot/></note>
+    </measure>
+    <measure number="4">
+      <attributes><clef><sign>F</sign><line>4</line></clef></attributes>
+      <note><pitch><step>D</step><octave>3</octave></pitch><duration>6</duration><type>half</type><dot/></note>
+    </measure>
+    <measure number="5">
+      <note><pitch><step>G</step><octave>2</octave></pitch><duration>6</duration><type>half</type><dot/></note>
+      <attributes><key><fifths>0</fifths></key></attributes>
+    </measure>
+    <measure number="6">
+      <note><pitch><step>C</step><octave>3</octave></pitch><duration>6</duration><type>half</type><dot/></note>
+    </measure>
+  </part>
+</score-partwise>`
+
+// ============ 多 part 乐谱 ============
+function testParts() {
+  console.log('\n' + '='.repeat(60))
+  console.log('多 part 解析测试')
+  console.log('='.repeat(60))
+
+  const score = parseXmlContent(VIOLIN_PIANO)
+  const { parts } = score
+  assert(parts.length === 2, `两个 part (${parts.length})`)
+  assertEqual(parts.map(p => [p.id, p.name, p.staves]), [['P1', 'Violin', 1], ['P2', 'Piano', 2]], '每个 part 的 id、名称和谱表数')
+  assertEqual(parts.map(p => p.measures.length), [2, 3], '每个 part 有自己的小节')
+  assertEqual(parts[0].measures.map(m => m.notes.map(pitchName)), [['E5'], ['D5']], '小提琴的小节只有小提琴的音')
+  assertEqual(parts[1].measures[0].notes.map(n => [pitchName(n), n.staff]), [['C4', 1], ['C3', 2]], '钢琴的音按谱表区分')
+  assert(score.measures === parts[0].measures, 'score.measures 为第一个 part 的小节')
+
+  // 选择 part
+  const piano = selectPart(score, 'P2')
+  assertEqual(piano.parts.map(p => p.id), ['P2'], 'selectPart 只保留所选的 part')
+  assert(piano.measures === parts[1].measures, 'selectPart 后 measures 为所选 part 的小节')
+  assert(selectPart(score, 'all').parts.length === 2, "selectPart 'all' 保留全部 part")
+  let error = null
+  try {
+    selectPart(score, 'P9')
+  } catch (err) {
+    error = err
+  }
+  assertEqual(error?.message, 'PART_NOT_FOUND', '不存在的 part 抛出 PART_NOT_FOUND')
+
+  // 没有 parts 的乐谱视为单个 part
+  const legacy = getScoreParts({ measures: parts[0].measures })
+  assertEqual(legacy.map(p => [p.id, p.measures.length]), [['P1', 2]], '没有 parts 的乐谱视为单个 part')
+}
+
+// ============ 拍号、调号、谱号变化 ============
+async function testAttributeChanges() {
+  console.log('\n' + '='.repeat(60))
+  console.log('拍号、调号、谱号变化测试')
+  console.log('='.repeat(60))
+
+  const score = parseXmlContent(ATTRIBUTE_CHANGES)
+  const { measures } = score
+  assertEqual(measures.map(m => `${m.timeSignature.beats}/${m.timeSignature.beatType}`), ['3/4', '3/4', '6/8', '6/8', '6/8', '6/8'], '每个小节的拍号')
+  assertEqual(measures[2].timeSignature.type, 'compound', '6/8 为复拍子')
+  assertEqual(measures.map(m => m.keySignature.fifths), [0, 0, 1, 1, 1, 0], '每个小节的调号，小节中途的改变从下一小节生效')
+  assertEqual(measures.map(m => m.clefs[0]), ['G2', 'G2', 'G2', 'F4', 'F4', 'F4'], '每个小节的谱号')
+  assertEqual(score.metadata.timeSignature.beats, 3, 'metadata 保留开头的拍号')
+
+  // 导出：只在发生变化的小节写出 attributes
+  const analyzed = await analyzeScore(score, 'single-staff')
+  const xml = generateMusicXML(simplifyScore(analyzed, { mainLevel: 5 }))
+  const exported = [...xml.matchAll(/<measure number="(\d+)"[^>]*>([\s\S]*?)<\/measure>/g)].map(([, number, content]) => ({
+    number: parseInt(number),
+    attributes: /<attributes>([\s\S]*?)<\/attributes>/.exec(content)?.[1].replace(/\s+/g, '') || null
+  }))
+  assertEqual(exported.filter(m => m.attributes).map(m => m.number), [1, 3, 4, 6], '只在第 1、3、4、6 小节写出 attributes')
+  const byNumber = new Map(exported.map(m => [m.number, m.attributes]))
+  assert(byNumber.get(1).includes('<divisions>') && byNumber.get(1).includes('<beats>3</beats>') && byNumber.get(1).includes('<line>2</line>'), '第 1 小节写出完整的 attributes')
+  assertEqual(byNumber.get(3), '<key><fifths>1</fifths></key><time><beats>6</beats><beat-type>8</beat-type></time>', '第 3 小节只写出新的调号和拍号')
+  assertEqual(byNumber.get(4), '<clef><sign>F</sign><line>4</line></clef>', '第 4 小节只写出新的谱号')
+  assertEqual(byNumber.get(6), '<key><fifths>0</fifths></key>', '第 6 小节只写出新的调号')
+
+  // 导出的乐谱重新解析后各小节的属性不变
+  const reparsed = parseXmlContent(xml).measures
+  assertEqual(reparsed.map(m => [m.timeSignature.beats, m.keySignature.fifths, m.clefs[0]]),
+    measures.map(m => [m.timeSignature.beats, m.keySignature.fifths, m.clefs[0]]), '重新解析后各小节的拍号、调号、谱号不变')
+}
+
+// ============ 时值 ============
+function testDurations() {
+  console.log('\n' + '='.repeat(60))
+  console.log('时值测试')
+  console.log('='.repeat(60))
+
+  // <duration> 已包含附点和连音，不再按 <dot/> 加长
+  const score = parseXmlContent(`<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>Flute</part-name></score-part></part-list>
+  <part id="P1">
+    <measure number="1">
+      <attributes><divisions>6</divisions><key><fifths>0</fifths></key><time><beats>3</beats><beat-type>4</beat-type></time></attributes>
+      <note><pitch><step>C</step><octave>5</octave></pitch><duration>9</duration><type>quarter</type><dot/></note>
+      <note><pitch><step>D</step><octave>5</octave></pitch><duration>3</duration><type>eighth</type></note>
+      <note><pitch><step>E</step><octave>5</octave></pitch><duration>2</duration><type>eighth</type><time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification></note>
+      <note><pitch><step>F</step><octave>5</octave></pitch><duration>2</duration><type>eighth</type><time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification></note>
+      <note><pitch><step>G</step><octave>5</octave></pitch><duration>2</duration><type>eighth</type><time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification></note>
+    </measure>
+    <measure number="2">
+      <note><pitch><step>C</step><octave>6</octave></pitch><duration>18</duration><type>half</type><dot/></note>
+    </measure>
+  </part>
+</score-partwise>`)
+  const [dottedQuarter, eighth, triplet] = score.measures[0].notes
+  assertEqual([dottedQuarter.duration.type, dottedQuarter.duration.dots, dottedQuarter.duration.ticks], ['quarter', 1, 1536], '附点四分音符为 1536 ticks')
+  assertEqual([eighth.startBeat, eighth.duration.ticks], [2.5, 512], '附点四分音符之后的八分音符从第 2.5 拍开始')
+  assertEqual([triplet.startBeat, triplet.duration.ticks, triplet.duration.tuplet], [3, 341, { actual: 3, normal: 2 }], '三连音')
+  assertEqual(score.measures[1].notes[0].duration.ticks, 3072, '附点二分音符为 3072 ticks')
+}
+
+// ============ 主测试函数 ============
+async function runAllTests() {
+  testParts()
+  await testAttributeChanges()
+  testDurations()
+
+  console.log('\n' + '═'.repeat(60))
+  console.log(`✅ 通过: ${testResults.passed}`)
+  console.log(`❌ 失败: ${testResults.failed}`)
+  if (testResults.errors.length > 0) {
+    console.log('\n失败详情:')
+    testResults.errors.forEach((err, idx) => console.log(`  ${idx + 1}. ${err}`))
+  }
+  process.exit(testResults.failed > 0 ? 1 : 0)
+}
+
+runAllTests()
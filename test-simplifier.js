@@ -0,0 +1,218 @@
+/**
+ * 简化流程测试
+ * 验证异步简化与分析的取消和进度，以及 Worker 分块简化与 simplifyScore 结果相同
+ */
+
+import { JSDOM } from 'jsdom'
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>')
+global.DOMParser = dom.window.DOMParser
+
+const { parseXmlContent } = await import('./src/modules/parser.js')
+const { analyzeScore } = await import('./src/modules/analyzer.js')
+const { simplifyScore, simplifyScoreAsync, simplifyScoreWithWorkers } = await import('./src/modules/simplifier.js')
+const { createWorkerPool } = await import('./src/workers/workerPool.js')
+
+// Worker 在同一线程中运行 simplifyWorker.js：消息经结构化克隆后异步转发，回复按 taskId 交给发出任务的 Worker
+const taskOwners = new Map()
+global.self = {
+  postMessage(data) {
+    const owner = taskOwners.get(data.payload?.taskId)
+    if (owner) setTimeout(() => owner.onmessage({ data: structuredClone(data) }), 0)
+  }
+}
+global.Worker = class {
+  postMessage(data) {
+    if (data.payload?.taskId) taskOwners.set(data.payload.taskId, this)
+    setTimeout(() => self.onmessage({ data: structuredClone(data) }), 0)
+  }
+
+  terminate() {}
+}
+await import('./src/workers/simplifyWorker.js')
+
+const testResults = { passed: 0, failed: 0, errors: [] }
+
+function assert(condition, message) {
+  if (condition) {
+    testResults.passed++
+    console.log(`✅ ${message}`)
+  } else {
+    testResults.failed++
+    testResults.errors.push(message)
+    console.log(`❌ ${message}`)
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected)
+  assert(ok, ok ? message : `${message}: ${JSON.stringify(actual)} (期望: ${JSON.stringify(expected)})`)
+}
+
+// 以 error.message 判断 Promise 是否被拒绝
+async function rejection(promise) {
+  try {
+    await promise
+    return null
+  } catch (error) {
+    return error.message
+  }
+}
+
+// ============ 乐谱 ============
+
+// 音符：divisions 为 4，拍数以四分音符为 1；extra 为 { tie, slur, chord }
+const TYPES = { 0.25: '16th', 0.5: 'eighth', 0.75: 'eighth', 1: 'quarter', 1.5: 'quarter', 2: 'half', 3: 'half', 4: 'whole' }
+function note(pitch, beats, staff, extra = {}) {
+  const [, step, octave] = /^([A-G])(\d)$/.exec(pitch)
+  const dotted = [0.75, 1.5, 3].includes(beats)
+  const tie = extra.tie ? `<tie type="${extra.tie}"/>` : ''
+  const notations = [
+    extra.tie ? `<tied type="${extra.tie}"/>` : '',
+    extra.slur ? `<slur type="${extra.slur}" number="1"/>` : ''
+  ].join('')
+  return `<note>${extra.chord ? '<chord/>' : ''}<pitch><step>${step}</step><octave>${octave}</octave></pitch><duration>${beats * 4}</duration>${tie}` +
+    `<voice>${staff === 2 ? 5 : 1}</voice><type>${TYPES[beats]}</type>${dotted ? '<dot/>' : ''}<staff>${staff}</staff>` +
+    `${notations ? `<notations>${notations}</notations>` : ''}</note>`
+}
+
+// 四个小节一组：附点节奏、跨小节的连线、跨小节的连奏线、十六分音符、和弦
+const PATTERN = [
+  () => note('E5', 1.5, 1, { slur: 'start' }) + note('D5', 0.5, 1) + note('C5', 1, 1) + note('G5', 1, 1, { tie: 'start' }) +
+    '<backup><duration>16</duration></backup>' + note('C3', 2, 2) + note('E3', 2, 2),
+  () => note('G5', 2, 1, { tie: 'stop' }) + note('F5', 0.5, 1) + note('E5', 0.5, 1) + note('D5', 1, 1, { slur: 'stop' }) +
+    '<backup><duration>16</duration></backup>' + note('G2', 4, 2),
+  () => note('C5', 0.25, 1) + note('D5', 0.25, 1) + note('E5', 0.25, 1) + note('F5', 0.25, 1) + note('G5', 3, 1) +
+    '<backup><duration>16</duration></backup>' + note('C3', 1, 2) + note('G3', 1, 2) + note('E3', 1, 2) + note('G3', 1, 2),
+  () => note('E4', 4, 1) + note('G4', 4, 1, { chord: true }) + note('C5', 4, 1, { chord: true }) +
+    '<backup><duration>16</duration></backup>' + note('C3', 4, 2)
+]
+
+/**
+ * 大谱表或单行谱（只取上谱表）的乐谱
+ * @param {number} count - 小节数
+ * @param {string} scoreType - 'grand-staff' | 'single-staff'
+ */
+function buildScore(count, scoreType) {
+  const grandStaff = scoreType === 'grand-staff'
+  const clefs = grandStaff
+    ? '<staves>2</staves><clef number="1"><sign>G</sign><line>2</line></clef><clef number="2"><sign>F</sign><line>4</line></clef>'
+    : '<clef><sign>G</sign><line>2</line></clef>'
+  const body = Array.from({ length: count }, (_, idx) => {
+    const attributes = idx === 0
+      ? `<attributes><divisions>4</divisions><key><fifths>0</fifths></key><time><beats>4</beats><beat-type>4</beat-type></time>${clefs}</attributes>`
+      : ''
+    let content = PATTERN[idx % PATTERN.length]()
+    if (!grandStaff) content = content.split('<backup>')[0].replaceAll('<staff>1</staff>', '')
+    return `<measure number="${idx + 1}">${attributes}${content}</measure>`
+  }).join('\n')
+  return parseXmlContent(`<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>${grandStaff ? 'Piano' : 'Flute'}</part-name></score-part></part-list>
+  <part id="P1">
+${body}
+  </part>
+</score-partwise>`)
+}
+
+const MEASURES = 36
+
+// ============ 取消与进度 ============
+async function testCancellation() {
+  console.log('\n' + '='.repeat(60))
+  console.log('取消与进度测试')
+  console.log('='.repeat(60))
+
+  const score = buildScore(MEASURES, 'single-staff')
+
+  // 分析
+  const aborted = new AbortController()
+  aborted.abort()
+  assertEqual(await rejection(analyzeScore(score, 'single-staff', { signal: aborted.signal })), 'SIMPLIFICATION_CANCELLED', '分析：已取消的 signal 直接拒绝')
+
+  const analysisController = new AbortController()
+  const analysisProgress = []
+  const analysisError = await rejection(analyzeScore(score, 'single-staff', {
+    signal: analysisController.signal,
+    onProgress: percent => {
+      analysisProgress.push(percent)
+      analysisController.abort()
+    }
+  }))
+  assertEqual(analysisError, 'SIMPLIFICATION_CANCELLED', '分析：中途取消时拒绝')
+  assert(analysisProgress.length > 0 && analysisProgress.every(p => p < 100), `分析：取消后不再报告进度 (${analysisProgress.join(', ')})`)
+
+  const stages = []
+  const analyzed = await analyzeScore(score, 'single-staff', { onProgress: (percent, stage) => stages.push([percent, stage]) })
+  assertEqual(stages[stages.length - 1], [100, 'analyze'], '分析：进度到达 100')
+
+  // 简化
+  assertEqual(await rejection(simplifyScoreAsync(analyzed, { mainLevel: 2 }, null, aborted.signal)), 'SIMPLIFICATION_CANCELLED', '简化：已取消的 signal 直接拒绝')
+
+  const controller = new AbortController()
+  const progress = []
+  const error = await rejection(simplifyScoreAsync(analyzed, { mainLevel: 2 }, percent => {
+    progress.push(percent)
+    if (percent >= 25) controller.abort()
+  }, controller.signal))
+  assertEqual(error, 'SIMPLIFICATION_CANCELLED', '简化：中途取消时拒绝')
+  assert(progress.length > 0 && progress.every(p => p < 100) && progress[progress.length - 1] >= 25, `简化：取消之后停止 (${progress[progress.length - 1]})`)
+
+  const completed = []
+  const simplified = await simplifyScoreAsync(analyzed, { mainLevel: 2 }, percent => completed.push(percent))
+  assertEqual(completed[completed.length - 1], 100, '简化：进度到达 100')
+  assert(completed.every((p, idx) => idx === 0 || p >= completed[idx - 1]), '简化：进度不倒退')
+  assertEqual(simplified.measures.length, MEASURES, '简化：每个小节都有结果')
+}
+
+// ============ Worker 分块简化 ============
+async function testWorkerPath() {
+  console.log('\n' + '='.repeat(60))
+  console.log('Worker 分块简化测试')
+  console.log('='.repeat(60))
+
+  const comparable = score => JSON.stringify(score.parts.map(p => ({ measures: p.measures, slurs: p.slurs })))
+
+  for (const scoreType of ['single-staff', 'grand-staff']) {
+    const analyzed = await analyzeScore(buildScore(MEASURES, scoreType), scoreType)
+    const notes = analyzed.measures.flatMap(m => m.notes)
+    assert(notes.some(n => n.tiedTo) && analyzed.parts[0].slurs.length > 0, `${scoreType}: 乐谱含跨小节的连线和连奏线`)
+
+    for (const level of [1, 2, 3, 4, 5]) {
+      const pool = createWorkerPool(2)
+      const progress = []
+      const viaWorkers = await simplifyScoreWithWorkers(analyzed, { mainLevel: level }, pool, percent => progress.push(percent))
+      pool.terminate()
+      const expected = simplifyScore(analyzed, { mainLevel: level })
+      assert(comparable(viaWorkers) === comparable(expected), `${scoreType} Level ${level}: 分块简化、合并、修复连线和连奏线后与 simplifyScore 相同`)
+      if (level === 1) assertEqual(progress[progress.length - 1], 100, `${scoreType}: 进度到达 100`)
+    }
+  }
+
+  // 取消时停止 Worker 中的任务
+  const analyzed = await analyzeScore(buildScore(MEASURES, 'single-staff'), 'single-staff')
+  const pool = createWorkerPool(2)
+  const controller = new AbortController()
+  const error = await rejection(simplifyScoreWithWorkers(analyzed, { mainLevel: 3 }, pool, percent => {
+    if (percent > 0) controller.abort()
+  }, controller.signal))
+  pool.terminate()
+  assertEqual(error, 'SIMPLIFICATION_CANCELLED', 'Worker 简化：中途取消时拒绝')
+}
+
+// ============ 主测试函数 ============
+async function runAllTests() {
+  await testCancellation()
+  await testWorkerPath()
+
+  console.log('\n' + '═'.repeat(60))
+  console.log(`✅ 通过: ${testResults.passed}`)
+  console.log(`❌ 失败: ${testResults.failed}`)
+  if (testResults.errors.length > 0) {
+    console.log('\n失败详情:')
+    testResults.errors.forEach((err, idx) => console.log(`  ${idx + 1}. ${err}`))
+  }
+  process.exit(testResults.failed > 0 ? 1 : 0)
+}
+
+runAllTests()
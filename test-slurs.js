@@ -0,0 +1,178 @@
+/**
+ * 连奏线测试
+ * 验证连奏线配对成 part.slurs（linkSlurs）、简化后重新挂到保留的音符上（reattachSlurs），以及导出
+ */
+
+import { JSDOM } from 'jsdom'
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>')
+global.DOMParser = dom.window.DOMParser
+
+const { parseXmlContent } = await import('./src/modules/parser.js')
+const { analyzeScore } = await import('./src/modules/analyzer.js')
+const { simplifyScore } = await import('./src/modules/simplifier.js')
+const { generateMusicXML } = await import('./src/modules/exporter.js')
+const { reattachSlurs, attachSlurMarks } = await import('./src/modules/slurs.js')
+
+const testResults = { passed: 0, failed: 0, errors: [] }
+
+function assert(condition, message) {
+  if (condition) {
+    testResults.passed++
+    console.log(`✅ ${message}`)
+  } else {
+    testResults.failed++
+    testResults.errors.push(message)
+    console.log(`❌ ${message}`)
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual)
+  const e = JSON.stringify(expected)
+  assert(a === e, `${message}: ${a}${a === e ? '' : ` (期望: ${e})`}`)
+}
+
+// ============ 测试乐谱 ============
+
+/**
+ * 四分音符 XML
+ * @param {string} pitch - 如 'C5'
+ * @param {Array} slurs - [[type, number]]，如 [['start', 1]]
+ */
+function note(pitch, slurs = []) {
+  const [, step, octave] = /^([A-G])(\d)$/.exec(pitch)
+  const marks = slurs.map(([type, number]) => `<slur type="${type}" number="${number}"${type === 'start' ? ' placement="above"' : ''}/>`).join('')
+  return `<note><pitch><step>${step}</step><octave>${octave}</octave></pitch><duration>1</duration>` +
+    `<voice>1</voice><type>quarter</type>${marks ? `<notations>${marks}</notations>` : ''}</note>`
+}
+
+function buildScore(measures) {
+  const body = measures.map((content, idx) => {
+    const attributes = idx === 0
+      ? '<attributes><divisions>1</divisions><key><fifths>0</fifths></key><time><beats>4</beats><beat-type>4</beat-type></time><clef><sign>G</sign><line>2</line></clef></attributes>'
+      : ''
+    return `<measure number="${idx + 1}">${attributes}${content}</measure>`
+  }).join('\n')
+  return parseXmlContent(`<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>Violin</part-name></score-part></part-list>
+  <part id="P1">
+${body}
+  </part>
+</score-partwise>`)
+}
+
+function pitchOf(measures, id) {
+  const found = measures.flatMap(m => m.notes).find(n => n.id === id)
+  return found ? `${found.pitch.step}${found.pitch.octave}` : null
+}
+
+// ============ 连奏线配对 ============
+function testLinkSlurs() {
+  console.log('\n' + '='.repeat(60))
+  console.log('连奏线配对测试 (linkSlurs)')
+  console.log('='.repeat(60))
+
+  // 跨小节的连奏线、嵌套的连奏线（number 不同）、同一音符上一条结束另一条开始
+  const score = buildScore([
+    note('C5', [['start', 1]]) + note('D5') + note('E5', [['start', 2]]) + note('F5', [['stop', 2]]),
+    note('G5') + note('A5', [['stop', 1], ['start', 1]]) + note('B5') + note('C6', [['stop', 1]])
+  ])
+  const slurs = score.parts[0].slurs
+  const span = slur => [pitchOf(score.measures, slur.startNoteId), pitchOf(score.measures, slur.endNoteId)]
+
+  assertEqual(slurs.map(span), [['E5', 'F5'], ['C5', 'A5'], ['A5', 'C6']], '连奏线按 number 配对')
+  assertEqual(slurs.map(s => s.placement), ['above', 'above', 'above'], '保留 placement')
+  assert(score.measures.every(m => m.notes.every(n => n.slurMarks === undefined)), '音符上不留临时的 slurMarks')
+
+  // 没有终点的连奏线被丢弃
+  const open = buildScore([note('C5', [['start', 1]]) + note('D5') + note('E5') + note('F5')])
+  assertEqual(open.parts[0].slurs, [], '没有终点的连奏线被丢弃')
+}
+
+// ============ 重新挂接 ============
+function testReattachSlurs() {
+  console.log('\n' + '='.repeat(60))
+  console.log('连奏线重新挂接测试 (reattachSlurs)')
+  console.log('='.repeat(60))
+
+  const make = (id, startBeat, staff = 1) => ({ id, startBeat, staff, pitch: { step: 'C', octave: 5 } })
+  const original = [
+    { notes: [make('a', 1), make('b', 2), make('c', 3), make('d', 4)] },
+    { notes: [make('e', 1), make('f', 2), make('g', 3), make('h', 4), make('x', 1, 2)] }
+  ]
+  const slurs = [
+    { number: 1, startNoteId: 'b', endNoteId: 'g', placement: null },
+    { number: 2, startNoteId: 'c', endNoteId: 'd', placement: null }
+  ]
+
+  const kept = reattachSlurs(slurs, original, original)
+  assertEqual(kept.map(s => [s.startNoteId, s.endNoteId]), [['b', 'g'], ['c', 'd']], '两端都保留时不变')
+
+  // 起点 b 和终点 g 被删除：改挂到范围内（同一谱表）第一个和最后一个保留的音符
+  const simplified = [
+    { notes: [make('a', 1), make('c', 3)] },
+    { notes: [make('e', 1), make('h', 4), make('x', 1, 2)] }
+  ]
+  const moved = reattachSlurs(slurs, original, simplified)
+  assertEqual(moved.map(s => [s.startNoteId, s.endNoteId]), [['c', 'e']], '两端改挂到范围内保留的音符，只剩一个音符的连奏线被移除')
+
+  const none = reattachSlurs(slurs, original, [{ notes: [make('a', 1)] }, { notes: [make('h', 4)] }])
+  assertEqual(none, [], '范围内没有保留音符时移除')
+
+  // 导出用的 slurMarks：同一 id 出现多次时起点写在第一个，终点写在最后一个
+  const split = [{ notes: [make('c', 3), make('c', 3.5)] }, { notes: [make('e', 1)] }]
+  const marked = attachSlurMarks(split, [{ number: 1, startNoteId: 'c', endNoteId: 'e', placement: null }])
+  assertEqual(marked[0].notes.map(n => (n.slurMarks || []).map(m => m.type)), [['start'], []], '起点写在第一个拆分的音符上')
+  assertEqual(marked[1].notes[0].slurMarks.map(m => m.type), ['stop'], '终点写在终点音符上')
+}
+
+// ============ 简化与导出 ============
+async function testSimplifiedSlurs() {
+  console.log('\n' + '='.repeat(60))
+  console.log('简化后的连奏线测试')
+  console.log('='.repeat(60))
+
+  const score = buildScore([
+    note('E5') + note('F5', [['start', 1]]) + note('G5') + note('A5'),
+    note('G5') + note('F5') + note('E5') + note('D5', [['stop', 1]]),
+    note('C5', [['start', 1]]) + note('D5') + note('E5') + note('F5'),
+    note('E5') + note('D5') + note('C5') + note('C5', [['stop', 1]])
+  ])
+  const analyzed = await analyzeScore(score, 'single-staff')
+
+  for (let level = 1; level <= 5; level++) {
+    const simplified = simplifyScore(analyzed, { mainLevel: level })
+    const ids = new Set(simplified.measures.flatMap(m => m.notes).map(n => n.id))
+    const slurs = simplified.parts[0].slurs
+    assert(slurs.every(s => ids.has(s.startNoteId) && ids.has(s.endNoteId) && s.startNoteId !== s.endNoteId),
+      `Level ${level}: ${slurs.length} 条连奏线都挂在保留的音符上`)
+
+    const exported = new DOMParser().parseFromString(generateMusicXML(simplified), 'text/xml')
+    const starts = exported.querySelectorAll('slur[type="start"]').length
+    const stops = exported.querySelectorAll('slur[type="stop"]').length
+    assert(starts === slurs.length && stops === slurs.length, `Level ${level}: 导出的连奏线 start/stop 成对 (${starts}/${stops})`)
+  }
+
+  const full = simplifyScore(analyzed, { mainLevel: 5 })
+  assertEqual(full.parts[0].slurs.length, 2, 'Level 5 保留两条连奏线')
+}
+
+// ============ 主测试函数 ============
+async function runAllTests() {
+  testLinkSlurs()
+  testReattachSlurs()
+  await testSimplifiedSlurs()
+
+  console.log('\n' + '═'.repeat(60))
+  console.log(`✅ 通过: ${testResults.passed}`)
+  console.log(`❌ 失败: ${testResults.failed}`)
+  if (testResults.errors.length > 0) {
+    console.log('\n失败详情:')
+    testResults.errors.forEach((err, idx) => console.log(`  ${idx + 1}. ${err}`))
+  }
+  process.exit(testResults.failed > 0 ? 1 : 0)
+}
+
+runAllTests()
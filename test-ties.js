@@ -0,0 +1,222 @@
+/**
+ * 连线测试
+ * 验证连线按 id 配对（linkTies）、简化后修复（repairTieChains），以及导出的 start/stop 成对
+ */
+
+import { JSDOM } from 'jsdom'
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>')
+global.DOMParser = dom.window.DOMParser
+
+const { parseXmlContent } = await import('./src/modules/parser.js')
+const { analyzeScore } = await import('./src/modules/analyzer.js')
+const { simplifyScore } = await import('./src/modules/simplifier.js')
+const { generateMusicXML } = await import('./src/modules/exporter.js')
+const { linkTies, repairTieChains } = await import('./src/modules/ties.js')
+
+const testResults = { passed: 0, failed: 0, errors: [] }
+
+function assert(condition, message) {
+  if (condition) {
+    testResults.passed++
+    console.log(`✅ ${message}`)
+  } else {
+    testResults.failed++
+    testResults.errors.push(message)
+    console.log(`❌ ${message}`)
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual)
+  const e = JSON.stringify(expected)
+  assert(a === e, `${message}: ${a}${a === e ? '' : ` (期望: ${e})`}`)
+}
+
+// ============ 测试乐谱 ============
+
+/**
+ * 音符 XML
+ * @param {string} pitch - 如 'C5'
+ * @param {number} duration - 以四分音符为 1
+ * @param {Object} options - { type, tie: ['start' | 'stop'], chord, staff }
+ */
+function note(pitch, duration, { type = 'quarter', tie = [], chord = false, staff = 1 } = {}) {
+  const [, step, octave] = /^([A-G])(\d)$/.exec(pitch)
+  const ties = tie.map(t => `<tie type="${t}"/>`).join('')
+  const tied = tie.map(t => `<tied type="${t}"/>`).join('')
+  return `<note>${chord ? '<chord/>' : ''}<pitch><step>${step}</step><octave>${octave}</octave></pitch>` +
+    `<duration>${duration * 2}</duration>${ties}<voice>${staff === 2 ? 5 : 1}</voice><type>${type}</type>` +
+    `<staff>${staff}</staff>${tied ? `<notations>${tied}</notations>` : ''}</note>`
+}
+
+// 回到小节开头，写下一个谱表
+const backup = `<backup><duration>8</duration></backup>`
+
+function buildScore(measures, staves = 1) {
+  const clefs = staves === 2
+    ? '<staves>2</staves><clef number="1"><sign>G</sign><line>2</line></clef><clef number="2"><sign>F</sign><line>4</line></clef>'
+    : '<clef><sign>G</sign><line>2</line></clef>'
+  const body = measures.map((content, idx) => {
+    const attributes = idx === 0
+      ? `<attributes><divisions>2</divisions><key><fifths>0</fifths></key><time><beats>4</beats><beat-type>4</beat-type></time>${clefs}</attributes>`
+      : ''
+    return `<measure number="${idx + 1}">${attributes}${content}</measure>`
+  }).join('\n')
+  return parseXmlContent(`<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="3.1">
+  <part-list><score-part id="P1"><part-name>Piano</part-name></score-part></part-list>
+  <part id="P1">
+${body}
+  </part>
+</score-partwise>`)
+}
+
+const pitchOf = n => `${n.pitch.step}${n.pitch.octave}`
+
+// 所有连线的两端都存在且互相指向
+function checkTieChains(measures) {
+  const byId = new Map(measures.flatMap(m => m.notes).map(n => [n.id, n]))
+  return measures.flatMap(m => m.notes).every(n =>
+    (!n.tiedTo || byId.get(n.tiedTo)?.tiedFrom === n.id) &&
+    (!n.tiedFrom || byId.get(n.tiedFrom)?.tiedTo === n.id)
+  )
+}
+
+// ============ 连线配对 ============
+function testLinkTies() {
+  console.log('\n' + '='.repeat(60))
+  console.log('连线配对测试 (linkTies)')
+  console.log('='.repeat(60))
+
+  // 跨小节的和弦连线：按音高配对，而不是按顺序
+  const score = buildScore([
+    note('C5', 2, { type: 'half' }) + note('E5', 2, { type: 'half', tie: ['start'] }) + note('G5', 2, { type: 'half', chord: true, tie: ['start'] }),
+    note('G5', 2, { type: 'half', tie: ['stop'] }) + note('E5', 2, { type: 'half', chord: true, tie: ['stop', 'start'] }) + note('D5', 2, { type: 'half' }),
+    note('E5', 4, { type: 'whole', tie: ['stop'] })
+  ])
+  const [m1, m2, m3] = score.measures.map(m => m.notes)
+  const find = (notes, pitch) => notes.find(n => pitchOf(n) === pitch)
+
+  assertEqual(find(m1, 'E5').tiedTo, find(m2, 'E5').id, 'E5 连到下一小节的 E5')
+  assertEqual(find(m1, 'G5').tiedTo, find(m2, 'G5').id, 'G5 连到下一小节的 G5')
+  assertEqual(find(m2, 'E5').tiedFrom, find(m1, 'E5').id, '终点记录起点的 id')
+  assertEqual(find(m2, 'E5').tiedTo, find(m3, 'E5').id, '连续连线 A → B → C')
+  assertEqual(find(m1, 'C5').tiedTo ?? null, null, '没有连线的音符')
+  assert(checkTieChains(score.measures), '所有连线两端互相指向')
+
+  // 找不到终点（或起点）的连线被移除
+  const measures = [
+    { notes: [{ id: 'a', pitch: { step: 'C', octave: 5 }, startBeat: 1, staff: 1, voice: 1, tiedTo: 'pending', tiedFrom: null }] },
+    { notes: [
+      { id: 'b', pitch: { step: 'D', octave: 5 }, startBeat: 1, staff: 1, voice: 1, tiedTo: null, tiedFrom: 'pending' },
+      { id: 'c', pitch: { step: 'C', octave: 5 }, startBeat: 1, staff: 2, voice: 5, tiedTo: null, tiedFrom: 'pending' }
+    ] }
+  ]
+  linkTies(measures)
+  assertEqual(measures.flatMap(m => m.notes).map(n => [n.tiedTo, n.tiedFrom]), [[null, null], [null, null], [null, null]],
+    '音高或谱表不同的连线不配对')
+}
+
+// ============ 连线修复 ============
+function testRepairTieChains() {
+  console.log('\n' + '='.repeat(60))
+  console.log('连线修复测试 (repairTieChains)')
+  console.log('='.repeat(60))
+
+  const make = (id, pitch, startBeat, beats, tie = {}) => ({
+    id,
+    pitch: { step: pitch[0], octave: parseInt(pitch[1]) },
+    startBeat,
+    duration: { ticks: beats * 1024 },
+    staff: 1,
+    voice: 1,
+    tiedTo: tie.to || null,
+    tiedFrom: tie.from || null
+  })
+  const timeSignature = { beats: 4, beatType: 4 }
+
+  const valid = repairTieChains([
+    { notes: [make('a', 'C5', 1, 2), make('b', 'E5', 3, 2, { to: 'c' })] },
+    { notes: [make('c', 'E5', 1, 2, { from: 'b' }), make('d', 'E5', 3, 2)] }
+  ], timeSignature)
+  assertEqual([valid[0].notes[1].tiedTo, valid[1].notes[0].tiedFrom], ['c', 'b'], '跨小节连线保留')
+
+  // 终点被简化删除
+  const removed = repairTieChains([
+    { notes: [make('a', 'C5', 1, 2), make('b', 'E5', 3, 2, { to: 'c' })] },
+    { notes: [make('d', 'G5', 1, 4)] }
+  ], timeSignature)
+  assertEqual(removed[0].notes[1].tiedTo, null, '终点被删除时连线断开')
+
+  // 起点不再延续到小节末尾（后面还有音符）
+  const gap = repairTieChains([
+    { notes: [make('b', 'E5', 1, 2, { to: 'c' }), make('x', 'D5', 3, 2)] },
+    { notes: [make('c', 'E5', 1, 4, { from: 'b' })] }
+  ], timeSignature)
+  assertEqual([gap[0].notes[0].tiedTo, gap[1].notes[0].tiedFrom], [null, null], '起点之后还有音符时连线断开')
+
+  // 同一小节内：终点必须紧接起点
+  const inside = repairTieChains([
+    { notes: [make('a', 'C5', 1, 1, { to: 'b' }), make('b', 'C5', 2, 1, { from: 'a', to: 'c' }), make('c', 'C5', 4, 1, { from: 'b' })] }
+  ], timeSignature)
+  assertEqual(inside[0].notes.map(n => [n.tiedTo, n.tiedFrom]), [['b', null], [null, 'a'], [null, null]], '同一小节内不相接的连线断开')
+
+  // 音高改变（如和弦音被替换）
+  const pitch = repairTieChains([
+    { notes: [make('b', 'E5', 1, 4, { to: 'c' })] },
+    { notes: [make('c', 'F5', 1, 4, { from: 'b' })] }
+  ], timeSignature)
+  assertEqual([pitch[0].notes[0].tiedTo, pitch[1].notes[0].tiedFrom], [null, null], '音高不同时连线断开')
+}
+
+// ============ 简化与导出 ============
+async function testSimplifiedTies() {
+  console.log('\n' + '='.repeat(60))
+  console.log('简化后的连线测试')
+  console.log('='.repeat(60))
+
+  const score = buildScore([
+    note('C5', 1) + note('D5', 1) + note('E5', 1) + note('G5', 1, { tie: ['start'] }) + backup +
+      note('C3', 2, { type: 'half', staff: 2 }) + note('G3', 2, { type: 'half', staff: 2, tie: ['start'] }),
+    note('G5', 2, { type: 'half', tie: ['stop'] }) + note('F5', 1) + note('E5', 1) + backup +
+      note('G3', 4, { type: 'whole', staff: 2, tie: ['stop'] }),
+    note('D5', 1) + note('B4', 1) + note('G4', 1) + note('B4', 1) + backup +
+      note('G2', 4, { type: 'whole', staff: 2 }),
+    note('C5', 4, { type: 'whole' }) + backup + note('C3', 4, { type: 'whole', staff: 2 })
+  ], 2)
+  const analyzed = await analyzeScore(score, 'grand-staff')
+
+  for (let level = 1; level <= 5; level++) {
+    const simplified = simplifyScore(analyzed, { mainLevel: level })
+    assert(checkTieChains(simplified.measures), `Level ${level}: 连线两端互相指向`)
+
+    const exported = new DOMParser().parseFromString(generateMusicXML(simplified), 'text/xml')
+    const starts = exported.querySelectorAll('tied[type="start"]').length
+    const stops = exported.querySelectorAll('tied[type="stop"]').length
+    assert(starts === stops, `Level ${level}: 导出的连线 start/stop 成对 (${starts}/${stops})`)
+  }
+
+  // Level 5 保留全部音符，连线不变
+  const full = simplifyScore(analyzed, { mainLevel: 5 })
+  const tied = full.measures.flatMap(m => m.notes).filter(n => n.tiedTo).map(pitchOf)
+  assertEqual(tied.sort(), ['G3', 'G5'], 'Level 5 保留原有的两条连线')
+}
+
+// ============ 主测试函数 ============
+async function runAllTests() {
+  testLinkTies()
+  testRepairTieChains()
+  await testSimplifiedTies()
+
+  console.log('\n' + '═'.repeat(60))
+  console.log(`✅ 通过: ${testResults.passed}`)
+  console.log(`❌ 失败: ${testResults.failed}`)
+  if (testResults.errors.length > 0) {
+    console.log('\n失败详情:')
+    testResults.errors.forEach((err, idx) => console.log(`  ${idx + 1}. ${err}`))
+  }
+  process.exit(testResults.failed > 0 ? 1 : 0)
+}
+
+runAllTests()
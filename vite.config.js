@@ -25,6 +25,10 @@ export default defineConfig({
       external: []
     }
   },
+  // simplifyWorker 引用的模块含动态 import，Worker 需以 ES module 打包
+  worker: {
+    format: 'es'
+  },
   resolve: {
     alias: {
       '@': resolve(__dirname, 'src')